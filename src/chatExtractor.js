@@ -0,0 +1,318 @@
+// Chat page extraction
+// Reads the open chat and its visible messages out of a messaging web app's
+// DOM using a platform's selectors. It only needs a Document, so it runs in
+// the chat preload and equally against saved HTML fixture pages.
+
+// Attributes that carry a message's own id in the supported apps
+const ID_ATTRIBUTES = ['data-id', 'data-mid', 'data-message-id'];
+
+const DOCUMENT_POSITION_FOLLOWING = 4;
+
+// WhatsApp's data-pre-plain-text: "[10:15, 31/12/2023] Ann: "
+const META_PATTERN = /^\[(\d{1,2})[:.](\d{2})(?:\s*([AaPp])\.?\s?[Mm]\.?)?,\s*(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})\]\s*(.*?):\s*$/;
+
+function queryFirst(root, selectors = []) {
+  for (const selector of selectors) {
+    try {
+      const element = root.querySelector(selector);
+      if (element) return { element, selector };
+    } catch (error) {
+      // An invalid selector in a pack should not stop the others
+    }
+  }
+  return { element: null, selector: null };
+}
+
+function queryAll(root, selectors = []) {
+  const elements = new Set();
+  const matched = [];
+  selectors.forEach(selector => {
+    let found;
+    try {
+      found = root.querySelectorAll(selector);
+    } catch (error) {
+      return;
+    }
+    if (found.length > 0) matched.push(selector);
+    found.forEach(element => elements.add(element));
+  });
+  return { elements: Array.from(elements), matched };
+}
+
+function matchesAny(element, selectors = []) {
+  return selectors.some(selector => {
+    try {
+      return Boolean(element.closest(selector) || element.querySelector(selector));
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Visible text of an element without the parts listed in `exclude`
+ * (timestamps, reactions and the like rendered inside the bubble).
+ */
+function cleanText(element, exclude = []) {
+  if (!element) return '';
+  const clone = element.cloneNode(true);
+  exclude.forEach(selector => {
+    try {
+      clone.querySelectorAll(selector).forEach(node => node.remove());
+    } catch (error) {
+      // Ignore invalid selectors
+    }
+  });
+  return (clone.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function hashText(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * Whether the page writes dates day-first, judged from its locale.
+ */
+function localeDayFirst(locale) {
+  try {
+    const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(2000, 11, 31));
+    return parts.findIndex(part => part.type === 'day') < parts.findIndex(part => part.type === 'month');
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * @returns {{sender: string, timestamp: string|null}|null}
+ */
+function parseMeta(value, dayFirst = true) {
+  const match = META_PATTERN.exec(value || '');
+  if (!match) return null;
+
+  let [, hours, minutes, meridiem, first, second, year] = match;
+  hours = parseInt(hours, 10);
+  if (meridiem) {
+    hours = (hours % 12) + (/p/i.test(meridiem) ? 12 : 0);
+  }
+
+  let a = parseInt(first, 10);
+  let b = parseInt(second, 10);
+  let y = parseInt(year, 10);
+  if (a > 31) {
+    // Year-first dates: 2023/12/31
+    [y, a, b] = [a, b, y];
+    dayFirst = false;
+  } else if (a > 12) {
+    dayFirst = true;
+  } else if (b > 12) {
+    dayFirst = false;
+  }
+  if (y < 100) y += 2000;
+
+  const [day, month] = dayFirst ? [a, b] : [b, a];
+  const date = new Date(y, month - 1, day, hours, parseInt(minutes, 10));
+  return {
+    sender: match[7],
+    timestamp: Number.isNaN(date.getTime()) ? null : date.toISOString()
+  };
+}
+
+function messageTimestamp(row, selectors) {
+  const attribute = selectors.timestampAttribute;
+  const holder = attribute && (row.hasAttribute(attribute) ? row : row.querySelector(`[${attribute}]`));
+  if (holder) {
+    const seconds = parseFloat(holder.getAttribute(attribute));
+    if (!Number.isNaN(seconds)) return new Date(seconds * 1000).toISOString();
+  }
+
+  const time = row.querySelector('time[datetime]');
+  if (time) {
+    const date = new Date(time.getAttribute('datetime'));
+    if (!Number.isNaN(date.getTime())) return date.toISOString();
+  }
+  return null;
+}
+
+function messageId(row) {
+  const holder = [row, ...(row.parentElement ? [row.parentElement] : [])]
+    .find(element => ID_ATTRIBUTES.some(attribute => element.hasAttribute(attribute)));
+  if (!holder) return null;
+  const attribute = ID_ATTRIBUTES.find(name => holder.hasAttribute(name));
+  return holder.getAttribute(attribute);
+}
+
+/**
+ * @param {Element} row - The whole message bubble
+ * @param {object} selectors - Platform selectors
+ * @param {object} [options]
+ * @param {boolean} [options.dayFirst]
+ */
+function extractMessage(row, selectors, options = {}) {
+  const textElement = queryFirst(row, selectors.text).element;
+  const text = cleanText(textElement || row, selectors.exclude);
+  if (!text) return null;
+
+  const direction = matchesAny(row, selectors.outgoing) ? 'outgoing' : 'incoming';
+  const metaHolder = selectors.metaAttribute && (row.hasAttribute(selectors.metaAttribute)
+    ? row
+    : row.querySelector(`[${selectors.metaAttribute}]`));
+  const meta = metaHolder ? parseMeta(metaHolder.getAttribute(selectors.metaAttribute), options.dayFirst) : null;
+
+  const senderElement = queryFirst(row, selectors.sender).element;
+  const sender = (meta && meta.sender) || cleanText(senderElement) || null;
+  const timestamp = messageTimestamp(row, selectors) || (meta && meta.timestamp) || null;
+
+  return {
+    // Apps without message ids get one derived from what is shown
+    id: messageId(row) || `h${hashText(`${direction}|${sender}|${timestamp}|${text}`)}`,
+    direction,
+    sender,
+    text,
+    timestamp
+  };
+}
+
+/**
+ * The chat that is open on the page.
+ * @returns {{id: string, name: string}|null}
+ */
+function extractChat(doc, selectors, location = doc.location) {
+  const title = queryFirst(doc, selectors.chatTitle);
+  const name = title.element
+    ? (title.element.getAttribute('title') || cleanText(title.element))
+    : '';
+
+  let id = null;
+  const idElement = queryFirst(doc, selectors.chatId).element;
+  if (idElement && selectors.chatIdAttribute) {
+    id = idElement.getAttribute(selectors.chatIdAttribute);
+  }
+  if (!id && selectors.urlChatId && location) {
+    const match = new RegExp(selectors.urlChatId).exec(location.href);
+    if (match) id = decodeURIComponent(match[1]);
+  }
+  if (!id) id = name;
+
+  return id ? { id, name: name || id } : null;
+}
+
+/**
+ * Messages rendered on the page, oldest first.
+ * @param {object} [options]
+ * @param {boolean} [options.dayFirst]
+ * @param {WeakMap} [options.rowIds] - Ids given to rows without one of their own; keep it across scans of a page
+ */
+function extractMessages(doc, selectors, options = {}) {
+  const { elements, matched } = queryAll(doc, selectors.messages);
+
+  const rows = new Set();
+  elements.forEach(element => {
+    let row = element;
+    if (selectors.row) {
+      try {
+        row = element.closest(selectors.row);
+      } catch (error) {
+        row = null;
+      }
+    }
+    if (row) rows.add(row);
+  });
+
+  // Several selectors can match, so put the rows back into page order
+  const ordered = Array.from(rows).sort((a, b) => (a.compareDocumentPosition(b) & DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+  // Identical rows without an id of their own (the same "ok" twice in a
+  // minute, or no timestamp at all) hash alike, so they are numbered in page
+  // order. A row keeps the id it was first given, so history loaded above it
+  // does not renumber rows already reported.
+  const rowIds = options.rowIds || new WeakMap();
+  const messages = [];
+  const taken = new Set();
+  const unnamed = [];
+  ordered.forEach(row => {
+    const message = extractMessage(row, selectors, options);
+    if (!message) return;
+
+    if (messageId(row) === null) {
+      const known = rowIds.get(row);
+      // Apps recycle row elements, so the content must still match
+      if (!known || known.hash !== message.id || taken.has(known.id)) {
+        unnamed.push({ row, message });
+        messages.push(message);
+        return;
+      }
+      message.id = known.id;
+    } else if (taken.has(message.id)) {
+      return;
+    }
+    taken.add(message.id);
+    messages.push(message);
+  });
+
+  unnamed.forEach(({ row, message }) => {
+    const hash = message.id;
+    for (let n = 2; taken.has(message.id); n++) {
+      message.id = `${hash}-${n}`;
+    }
+    taken.add(message.id);
+    rowIds.set(row, { hash, id: message.id });
+  });
+  return { messages, matched };
+}
+
+/**
+ * Everything the main process needs from one look at the page, plus which
+ * selectors matched (useful when an app changes its markup).
+ */
+function extractSnapshot(doc, selectors, options = {}) {
+  const dayFirst = options.dayFirst !== undefined ? options.dayFirst : localeDayFirst(options.locale);
+  const { messages, matched } = extractMessages(doc, selectors, { dayFirst, rowIds: options.rowIds });
+
+  return {
+    chat: extractChat(doc, selectors, options.location || doc.location),
+    messages,
+    matched: {
+      messages: matched,
+      chatTitle: queryFirst(doc, selectors.chatTitle).selector,
+      input: queryFirst(doc, selectors.input).selector,
+      chatList: queryFirst(doc, selectors.chatList).selector,
+      signIn: queryFirst(doc, selectors.signIn).selector
+    }
+  };
+}
+
+/**
+ * How many elements every selector of every list matches on the page, for
+ * checking a pack against the current markup. Invalid selectors are flagged
+ * instead of counted.
+ */
+function inspectSelectors(doc, selectors) {
+  const report = {};
+  Object.keys(selectors).forEach(key => {
+    if (!Array.isArray(selectors[key])) return;
+    report[key] = selectors[key].map(selector => {
+      try {
+        return { selector, valid: true, count: doc.querySelectorAll(selector).length };
+      } catch (error) {
+        return { selector, valid: false, count: 0 };
+      }
+    });
+  });
+  return report;
+}
+
+module.exports = {
+  extractSnapshot,
+  inspectSelectors,
+  extractChat,
+  extractMessages,
+  extractMessage,
+  parseMeta,
+  queryFirst,
+  queryAll,
+  localeDayFirst
+};
@@ -0,0 +1,223 @@
+const { ipcRenderer } = require('electron');
+const { extractSnapshot, inspectSelectors, queryFirst } = require('./chatExtractor');
+
+// Runs sandboxed in an isolated world next to an embedded messaging web app.
+// It watches the page for messages and reports them, along with where the
+// compose box is, to the main process. It also expands snippet
+// abbreviations typed into the compose box. Nothing is exposed to the page.
+// The sandbox only lets it require electron, so the main process bundles
+// chatExtractor.js into it (see bundlePreload in services/chatViews.js).
+
+// Let a burst of DOM changes settle before reading the page again
+const SCAN_DELAY_MS = 300;
+
+let selectors = null;
+let chatId = null;
+let seen = new Set();
+// Ids the extractor gave to message rows that have none of their own
+const rowIds = new WeakMap();
+let scanTimer = null;
+let health = null;
+let abbreviations = new Set();
+
+// Keys that expand an abbreviation right before the caret, and the
+// character each one puts after the expanded text
+const EXPAND_KEYS = new Map([[' ', ' '], ['Tab', '\t']]);
+
+function report(chat, messages, initial) {
+  if (messages.length > 0 || initial) {
+    ipcRenderer.send('chat-view-messages', { chat, messages, initial });
+  }
+}
+
+// Tell the main process which selectors match whenever that changes, so it
+// can notice when an app update breaks the pack
+function reportHealth(matched) {
+  const summary = JSON.stringify(matched);
+  if (summary !== health) {
+    health = summary;
+    ipcRenderer.send('chat-view-health', matched);
+  }
+}
+
+function scan() {
+  scanTimer = null;
+  const snapshot = extractSnapshot(document, selectors, { locale: navigator.language, rowIds });
+  reportHealth(snapshot.matched);
+  if (!snapshot.chat) return;
+
+  // Everything on screen when a chat is opened is history
+  if (snapshot.chat.id !== chatId) {
+    chatId = snapshot.chat.id;
+    seen = new Set(snapshot.messages.map(message => message.id));
+    report(snapshot.chat, snapshot.messages, true);
+    return;
+  }
+
+  // New rows above the newest known message were loaded by scrolling up;
+  // only rows below it arrived just now
+  let lastSeen = -1;
+  snapshot.messages.forEach((message, index) => {
+    if (seen.has(message.id)) lastSeen = index;
+  });
+
+  const history = [];
+  const live = [];
+  snapshot.messages.forEach((message, index) => {
+    if (seen.has(message.id)) return;
+    seen.add(message.id);
+    (index < lastSeen ? history : live).push(message);
+  });
+
+  if (history.length > 0) report(snapshot.chat, history, true);
+  if (live.length > 0) report(snapshot.chat, live, false);
+}
+
+function scheduleScan() {
+  if (!scanTimer) {
+    scanTimer = setTimeout(scan, SCAN_DELAY_MS);
+  }
+}
+
+function composeBox(target) {
+  const input = queryFirst(document, selectors.input).element;
+  return input && input.contains(target) ? input : null;
+}
+
+function inputRect(target) {
+  const input = composeBox(target);
+  if (!input) return null;
+
+  const rect = input.getBoundingClientRect();
+  return { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+}
+
+function textBeforeCaret(input) {
+  if (input.isContentEditable) {
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0 || !selection.isCollapsed) return null;
+    const range = document.createRange();
+    range.selectNodeContents(input);
+    range.setEnd(selection.focusNode, selection.focusOffset);
+    return range.toString();
+  }
+  if (input.selectionStart !== input.selectionEnd) return null;
+  return input.value.slice(0, input.selectionStart);
+}
+
+// The abbreviation must start a word: ";addr" expands, "x;addr" does not
+function abbreviationBeforeCaret(input) {
+  const text = textBeforeCaret(input);
+  const match = text && /(?:^|\s)(\S+)$/.exec(text);
+  if (!match) return null;
+
+  const word = match[1].toLowerCase();
+  return Array.from(abbreviations).find(abbreviation => abbreviation.toLowerCase() === word) || null;
+}
+
+/**
+ * Swap `typed`, right before the caret, for `text` the way typing would,
+ * then put the caret at `cursor` within it.
+ */
+function replaceBeforeCaret(input, typed, text, cursor) {
+  const after = cursor === null ? 0 : Array.from(text.slice(cursor)).length;
+
+  if (input.isContentEditable) {
+    const selection = window.getSelection();
+    for (let steps = Array.from(typed).length; steps > 0; steps--) {
+      selection.modify('extend', 'backward', 'character');
+    }
+    document.execCommand('insertText', false, text);
+    for (let steps = after; steps > 0; steps--) {
+      selection.modify('move', 'backward', 'character');
+    }
+    return;
+  }
+
+  const start = input.selectionStart - typed.length;
+  const { set } = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(input), 'value');
+  set.call(input, input.value.slice(0, start) + text + input.value.slice(input.selectionStart));
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+  const caret = start + (cursor === null ? text.length : cursor);
+  input.setSelectionRange(caret, caret);
+}
+
+// The trigger key was held back from the page, so it is typed here: after
+// the expanded text, or on its own when there is nothing to expand
+async function expandSnippet(input, abbreviation, trigger) {
+  let expansion = null;
+  try {
+    expansion = await ipcRenderer.invoke('chat-view-expand-snippet', abbreviation);
+  } catch (error) {
+    console.error('Chatsy could not expand a snippet:', error);
+  }
+  if (!input.contains(document.activeElement)) return;
+
+  // Typing went on while the main process answered
+  if (abbreviationBeforeCaret(input) !== abbreviation) return;
+  if (expansion) {
+    replaceBeforeCaret(input, abbreviation, expansion.text + trigger, expansion.cursor);
+  } else {
+    replaceBeforeCaret(input, '', trigger, null);
+  }
+}
+
+async function start() {
+  const config = await ipcRenderer.invoke('chat-view-config');
+  if (!config) return;
+  selectors = config.selectors;
+  abbreviations = new Set(config.abbreviations || []);
+
+  new MutationObserver(scheduleScan).observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    characterData: true
+  });
+  scheduleScan();
+
+  // A new pack was loaded; read the page again with it
+  ipcRenderer.on('chat-view-selectors', (event, next) => {
+    selectors = next;
+    health = null;
+    scheduleScan();
+  });
+
+  ipcRenderer.on('chat-view-snippets', (event, next) => {
+    abbreviations = new Set(next);
+  });
+
+  ipcRenderer.on('chat-view-inspect', (event, requestId) => {
+    ipcRenderer.send('chat-view-inspect-result', requestId, {
+      url: location.href,
+      selectors: inspectSelectors(document, selectors)
+    });
+  });
+
+  // The overlay sits next to the compose box while it has focus
+  document.addEventListener('focusin', (event) => {
+    const rect = inputRect(event.target);
+    if (rect) ipcRenderer.send('chat-view-input', rect);
+  });
+  document.addEventListener('focusout', (event) => {
+    if (inputRect(event.target)) ipcRenderer.send('chat-view-input', null);
+  });
+
+  // Capture, so the page's own key handlers never see the trigger key
+  document.addEventListener('keydown', (event) => {
+    if (abbreviations.size === 0 || !EXPAND_KEYS.has(event.key) || event.isComposing ||
+      event.ctrlKey || event.metaKey || event.altKey || event.shiftKey) return;
+
+    const input = composeBox(event.target);
+    const abbreviation = input && abbreviationBeforeCaret(input);
+    if (!abbreviation) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    expandSnippet(input, abbreviation, EXPAND_KEYS.get(event.key))
+      .catch(error => console.error('Chatsy could not expand a snippet:', error));
+  }, true);
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  start().catch(error => console.error('Chatsy could not watch this page:', error));
+});
@@ -1,41 +1,96 @@
-const { app, BrowserWindow, Menu, Tray, nativeImage, ipcMain, shell, dialog } = require('electron');
+const { app, BrowserWindow, Menu, Tray, Notification, nativeImage, ipcMain, shell, dialog, safeStorage, globalShortcut } = require('electron');
 const { autoUpdater } = require('electron-updater');
 const path = require('path');
 const fs = require('fs');
 const log = require('electron-log');
 const Store = require('electron-store');
+const { Config } = require('./services/config');
+const { DataStore, conversationTags, CLEAR_SCOPES } = require('./services/dataStore');
+const { DataTransfer } = require('./services/dataTransfer');
+const { RetentionJob } = require('./services/retention');
+const { ChatImporter } = require('./services/importers');
+const { AnalyticsEngine } = require('./services/analytics');
+const { MessageAnalyzer } = require('./services/messageAnalyzer');
+const { SearchIndex } = require('./services/searchIndex');
+const { ContactDirectory } = require('./services/contacts');
+const { OverlayWindow } = require('./services/overlayWindow');
+const { SuggestionInserter } = require('./services/suggestionInserter');
+const { SnippetLibrary } = require('./services/snippets');
+const { defaultViewSettings, normalizeFilter, normalizeView } = require('./services/conversationViews');
+const { platformSettings, selectorOverrides } = require('./services/platforms');
+const { SelectorPacks } = require('./services/selectorPacks');
+const { ChatViews, bundlePreload } = require('./services/chatViews');
+const { KeyManager } = require('./services/encryption');
+const { Anonymizer, defaultRedactionSettings } = require('./services/anonymizer');
+const { SuggestionService } = require('./services/ai/suggestionService');
+const { SuggestionFeedback } = require('./services/ai/suggestionFeedback');
+const { RetrievalEngine } = require('./services/ai/retrievalEngine');
+const { RequestScheduler } = require('./services/ai/requestScheduler');
+const { ResponseCache } = require('./services/ai/responseCache');
+const { defaultAiSettings } = require('./services/ai/providers');
+const { normalizeProfile } = require('./services/ai/toneProfiles');
 
 // Configure logging
 log.transports.file.level = 'info';
 log.transports.console.level = 'info';
 
-// Initialize store
-const store = new Store({
-  encryptionKey: 'chatsy-desktop-encryption-key',
-  defaults: {
-    settings: {
-      autoStart: false,
-      minimizeToTray: true,
-      notifications: true,
-      theme: 'light',
-      language: 'en'
-    },
-    apiKeys: {
-      huggingface: '',
-      gemini: '',
-      openai: ''
-    },
-    privacy: {
-      dataRetentionDays: 30,
-      enableEncryption: true,
-      enableAnalytics: false
-    }
-  }
-});
+// Load config.env from the app folder, then from the user data folder
+const config = Config.load([
+  path.join(__dirname, '../config.env'),
+  path.join(app.getPath('userData'), 'config.env')
+]);
+
+// Settings written before per-install keys were introduced use this key
+const LEGACY_STORE_ENCRYPTION_KEY = 'chatsy-desktop-encryption-key';
+
+const STORE_DEFAULTS = {
+  settings: {
+    autoStart: false,
+    minimizeToTray: true,
+    notifications: true,
+    theme: 'light',
+    language: 'en',
+    insertMode: 'auto',
+    // Fills {myName} in snippets
+    myName: ''
+  },
+  apiKeys: {
+    huggingface: '',
+    gemini: '',
+    openai: ''
+  },
+  ai: defaultAiSettings(config),
+  privacy: {
+    dataRetentionDays: 30,
+    enableEncryption: true,
+    enableAnalytics: false,
+    redaction: defaultRedactionSettings(config)
+  },
+  snippets: [],
+  conversationViews: defaultViewSettings()
+};
 
 let mainWindow;
 let tray;
 let isQuitting = false;
+let store;
+let keyManager;
+let dataStore;
+let suggestionService;
+let suggestionFeedback;
+let requestScheduler;
+let responseCache;
+let dataTransfer;
+let retentionJob;
+let chatImporter;
+let analyticsEngine;
+let messageAnalyzer;
+let searchIndex;
+let contactDirectory;
+let overlayWindow;
+let chatViews;
+let selectorPacks;
+let snippetLibrary;
 
 // Handle creating/removing shortcuts on Windows when installing/uninstalling
 if (process.platform === 'win32') {
@@ -73,6 +128,8 @@ function createWindow() {
     fullscreenable: true
   });
 
+  chatViews.attach(mainWindow);
+
   // Load the index.html of the app
   mainWindow.loadFile(path.join(__dirname, 'renderer/index.html'));
 
@@ -89,6 +146,11 @@ function createWindow() {
   // Handle window closed
   mainWindow.on('closed', () => {
     mainWindow = null;
+    // The hidden overlay would otherwise keep the app running
+    if (overlayWindow) {
+      overlayWindow.destroy();
+      overlayWindow = null;
+    }
   });
 
   // Handle window close event
@@ -161,6 +223,53 @@ function createTray() {
   });
 }
 
+// Encryption keys and settings store (safeStorage needs the app to be ready)
+function initStore() {
+  keyManager = new KeyManager({
+    filePath: path.join(app.getPath('userData'), 'chatsy-keys.json'),
+    safeStorage
+  }).load();
+
+  const encryptionKey = keyManager.getSettingsKey();
+  try {
+    store = new Store({ encryptionKey, defaults: STORE_DEFAULTS });
+  } catch (error) {
+    // electron-store ignores decryption failures, so a file under another key
+    // fails as a SyntaxError when the still-encrypted bytes are parsed
+    if (error.name !== 'SyntaxError') throw error;
+    migrateLegacyStore(encryptionKey);
+    store = new Store({ encryptionKey, defaults: STORE_DEFAULTS });
+  }
+}
+
+// Re-encrypt settings saved with the old fixed key under this install's key.
+// The new file is written in full before it replaces the old one.
+function migrateLegacyStore(encryptionKey) {
+  let legacyStore;
+  try {
+    legacyStore = new Store({ encryptionKey: LEGACY_STORE_ENCRYPTION_KEY, defaults: STORE_DEFAULTS });
+  } catch (error) {
+    throw new Error(`Settings file cannot be decrypted: ${error.message}`);
+  }
+
+  // Left behind if an earlier migration was interrupted
+  fs.rmSync(path.join(path.dirname(legacyStore.path), 'config.migrating.json'), { force: true });
+  const migrated = new Store({ name: 'config.migrating', encryptionKey });
+  migrated.store = legacyStore.store;
+  fs.renameSync(migrated.path, legacyStore.path);
+  log.info('Migrated settings to the per-install encryption key');
+}
+
+// Without its keys and settings the app cannot start, and carrying on could
+// overwrite data it failed to read
+function reportStartupError(error) {
+  log.error('Failed to open encrypted settings:', error);
+  const detail = error.code === 'SAFE_STORAGE_UNAVAILABLE'
+    ? 'The system keychain is unavailable, so the encryption keys cannot be read. Unlock or set up the keychain and start Chatsy again.'
+    : error.message;
+  dialog.showErrorBox('Chatsy cannot start', detail);
+}
+
 // IPC Handlers
 ipcMain.handle('get-settings', () => {
   return store.get('settings');
@@ -180,15 +289,696 @@ ipcMain.handle('set-api-keys', (event, apiKeys) => {
   return true;
 });
 
+// Settings saved before a key was added to the defaults lack it
+function getAiSettings() {
+  return { ...STORE_DEFAULTS.ai, ...store.get('ai') };
+}
+
+ipcMain.handle('get-ai-settings', () => {
+  return getAiSettings();
+});
+
+ipcMain.handle('set-ai-settings', (event, aiSettings) => {
+  const current = getAiSettings();
+  const providers = { ...current.providers };
+  Object.keys(aiSettings.providers || {}).forEach(name => {
+    providers[name] = { ...providers[name], ...aiSettings.providers[name] };
+  });
+  store.set('ai', { ...current, ...aiSettings, providers });
+  return true;
+});
+
+ipcMain.handle('reset-ai-settings', () => {
+  store.reset('ai');
+  return true;
+});
+
+// Reply tone profiles
+ipcMain.handle('save-reply-profile', (event, input) => {
+  const ai = getAiSettings();
+  const existing = input.id ? ai.profiles.find(profile => profile.id === input.id) : null;
+  const profile = normalizeProfile(input, existing);
+  const profiles = existing
+    ? ai.profiles.map(item => (item.id === profile.id ? profile : item))
+    : [...ai.profiles, profile];
+  store.set('ai', { ...ai, profiles });
+  return profile;
+});
+
+ipcMain.handle('delete-reply-profile', (event, id) => {
+  const ai = getAiSettings();
+  const profile = ai.profiles.find(item => item.id === id);
+  if (!profile) return false;
+  if (profile.builtin) {
+    throw new Error('Built-in profiles can be edited but not deleted');
+  }
+
+  // Nothing may keep pointing at the removed profile
+  const platformProfiles = { ...ai.platformProfiles };
+  Object.keys(platformProfiles).forEach(platform => {
+    if (platformProfiles[platform] === id) delete platformProfiles[platform];
+  });
+  store.set('ai', {
+    ...ai,
+    profiles: ai.profiles.filter(item => item.id !== id),
+    defaultProfile: ai.defaultProfile === id ? null : ai.defaultProfile,
+    platformProfiles
+  });
+  dataStore.listConversations()
+    .filter(conversation => conversation.profileId === id)
+    .forEach(conversation => dataStore.setConversationProfile(conversation.id, null));
+  dataStore.listContacts()
+    .filter(contact => contact.profileId === id)
+    .forEach(contact => contactDirectory.update(contact.id, { profileId: null }));
+  return true;
+});
+
+ipcMain.handle('set-conversation-profile', (event, conversationId, profileId) => {
+  dataStore.setConversationProfile(conversationId, profileId);
+  return true;
+});
+
+// Conversation list filters and saved views
+function getConversationViews() {
+  const views = { ...defaultViewSettings(), ...store.get('conversationViews') };
+  return { current: normalizeFilter(views.current), saved: views.saved };
+}
+
+function saveConversationView(input) {
+  const views = getConversationViews();
+  const existing = input.id ? views.saved.find(view => view.id === input.id) : null;
+  const view = normalizeView(input, existing);
+  const saved = existing
+    ? views.saved.map(item => (item.id === view.id ? view : item))
+    : [...views.saved, view];
+  store.set('conversationViews', { ...views, saved });
+  return view;
+}
+
+ipcMain.handle('get-conversation-views', () => {
+  return getConversationViews();
+});
+
+ipcMain.handle('set-conversation-filter', (event, filter) => {
+  const current = normalizeFilter(filter);
+  store.set('conversationViews', { ...getConversationViews(), current });
+  return current;
+});
+
+ipcMain.handle('save-conversation-view', (event, input) => {
+  return saveConversationView(input);
+});
+
+ipcMain.handle('delete-conversation-view', (event, id) => {
+  const views = getConversationViews();
+  const saved = views.saved.filter(view => view.id !== id);
+  if (saved.length === views.saved.length) return false;
+  store.set('conversationViews', { ...views, saved });
+  return true;
+});
+
+ipcMain.handle('set-conversation-flags', (event, conversationId, flags) => {
+  dataStore.setConversationFlags(conversationId, flags);
+  return true;
+});
+
+// Quick-reply snippets
+function initSnippets() {
+  snippetLibrary = new SnippetLibrary({
+    getSnippets: () => store.get('snippets'),
+    setSnippets: (snippets) => store.set('snippets', snippets),
+    getMyName: () => store.get('settings.myName'),
+    locale: app.getLocale()
+  });
+}
+
+ipcMain.handle('list-snippets', (event, query) => {
+  return query ? snippetLibrary.search(query) : snippetLibrary.list();
+});
+
+ipcMain.handle('save-snippet', (event, input) => {
+  return snippetLibrary.save(input);
+});
+
+ipcMain.handle('delete-snippet', (event, id) => {
+  return snippetLibrary.remove(id);
+});
+
 ipcMain.handle('get-privacy-settings', () => {
   return store.get('privacy');
 });
 
-ipcMain.handle('set-privacy-settings', (event, privacy) => {
+// Encryption is switched first: it fails while the store is locked, and the
+// saved settings must not claim a state the data is not in
+function savePrivacySettings(privacy) {
+  if (privacy.enableEncryption !== undefined) {
+    dataStore.setEncryption(privacy.enableEncryption);
+  }
   store.set('privacy', { ...store.get('privacy'), ...privacy });
+}
+
+ipcMain.handle('set-privacy-settings', (event, privacy) => {
+  savePrivacySettings(privacy);
+  if (privacy.dataRetentionDays !== undefined) {
+    retentionJob.run();
+  }
+  return true;
+});
+
+// Encryption
+ipcMain.handle('get-encryption-status', () => {
+  return {
+    enabled: dataStore.encrypted,
+    protection: keyManager.protection,
+    locked: dataStore.locked
+  };
+});
+
+ipcMain.handle('unlock-encryption', (event, passphrase) => {
+  keyManager.unlock(passphrase);
+  dataStore.unlock();
+  retentionJob.run();
+  return true;
+});
+
+ipcMain.handle('set-encryption-passphrase', (event, passphrase) => {
+  keyManager.setPassphrase(passphrase);
+  return keyManager.protection;
+});
+
+// Errors reach the renderer; the old keys stay in use if anything fails
+ipcMain.handle('rotate-encryption-keys', (event, passphrase) => {
+  keyManager.rotate(passphrase, [dataStore, responseCache]);
+  return true;
+});
+
+// Data store
+function initDataStore() {
+  dataStore = new DataStore({
+    filePath: path.join(app.getPath('userData'), 'chatsy-data.json'),
+    keyManager,
+    encrypted: store.get('privacy.enableEncryption')
+  }).load();
+
+  // Let open views refresh when the underlying data changes
+  dataStore.on('change', (change) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('store-changed', change);
+    }
+  });
+
+  analyticsEngine = new AnalyticsEngine({ dataStore });
+
+  // Tag incoming messages with sentiment, intent and topics on this device
+  messageAnalyzer = new MessageAnalyzer({
+    dataStore,
+    sentiment: config.boolean('SENTIMENT_ANALYSIS_ENABLED', true),
+    intent: config.boolean('INTENT_DETECTION_ENABLED', true),
+    topics: config.boolean('TOPIC_EXTRACTION_ENABLED', true)
+  });
+  messageAnalyzer.backfill();
+
+  // Full-text search; built in memory only, so it never leaves text on disk
+  searchIndex = new SearchIndex({ dataStore });
+
+  // One contact per person, linking their conversations across platforms
+  contactDirectory = new ContactDirectory({ dataStore }).ensureAll();
+
+  // Provider replies, reused for repeated prompts across restarts
+  responseCache = new ResponseCache({
+    filePath: path.join(app.getPath('userData'), 'chatsy-response-cache.json'),
+    keyManager,
+    dataStore,
+    enabled: config.boolean('AI_CACHE_ENABLED', true) && config.boolean('ENABLE_REQUEST_CACHING', true),
+    ttlMs: config.number('AI_CACHE_TTL_MINUTES', 30) * 60 * 1000,
+    maxBytes: config.number('MAX_CACHE_SIZE_MB', 50) * 1024 * 1024,
+    cleanupIntervalMs: config.number('CACHE_CLEANUP_INTERVAL_MS', 600000)
+  }).load();
+}
+
+function initRetentionJob() {
+  retentionJob = new RetentionJob({
+    dataStore,
+    responseCache,
+    getRetentionDays: () => store.get('privacy.dataRetentionDays')
+  }).start();
+}
+
+// Checked up front so a bad request clears nothing
+ipcMain.handle('clear-data', (event, options = {}) => {
+  const { scope = 'all', platform = null, conversationId = null } = options;
+  if (!CLEAR_SCOPES.includes(scope)) {
+    throw new Error(`Unknown clear scope: ${scope}`);
+  }
+  if (scope === 'platform' && !platform) {
+    throw new Error('Choose the platform to clear');
+  }
+  if (scope === 'conversation' && !conversationId) {
+    throw new Error('Choose the conversation to clear');
+  }
+
+  const counts = dataStore.clear({ scope, platform, conversationId });
+  dataStore.addEvent('data-cleared', { scope, platform, ...counts });
+  log.info(`Cleared data (${scope}): ${counts.conversations} conversations, ${counts.messages} messages`);
+  return counts;
+});
+
+// AI suggestions
+function getRedactionSettings() {
+  return store.get('privacy.redaction', STORE_DEFAULTS.privacy.redaction);
+}
+
+function initSuggestionService() {
+  requestScheduler = new RequestScheduler({
+    perMinute: config.number('MAX_REQUESTS_PER_MINUTE', 60),
+    perHour: config.number('MAX_REQUESTS_PER_HOUR', 1000),
+    retryAttempts: config.number('RETRY_ATTEMPTS', 3),
+    retryDelayMs: config.number('RETRY_DELAY_MS', 1000)
+  });
+
+  // Suggestions for a message are moot once another one arrives
+  dataStore.on('change', (change) => {
+    if (change.type !== 'message-added') return;
+    const message = dataStore.getMessage(change.messageId);
+    if (message && message.direction === 'incoming') {
+      requestScheduler.cancelGroup(message.conversationId, 'Superseded by a newer message');
+    }
+  });
+
+  // Queue changes come in bursts; the dashboard only needs the latest
+  let statusTimer = null;
+  requestScheduler.on('change', () => {
+    if (statusTimer) return;
+    statusTimer = setTimeout(() => {
+      statusTimer = null;
+      if (mainWindow) {
+        mainWindow.webContents.send('scheduler-status', requestStatus());
+      }
+    }, 250);
+  });
+
+  suggestionFeedback = new SuggestionFeedback({ dataStore });
+  suggestionService = new SuggestionService({
+    dataStore,
+    feedback: suggestionFeedback,
+    retrieval: new RetrievalEngine({ dataStore }),
+    scheduler: requestScheduler,
+    cache: responseCache,
+    getAiSettings,
+    getApiKeys: () => store.get('apiKeys'),
+    getRedactionSettings: getRedactionSettings,
+    timeoutMs: config.number('REQUEST_TIMEOUT_MS', 10000),
+    contextMessages: config.number('CONTEXT_WINDOW_SIZE', 5),
+    maxMessageLength: config.number('MAX_MESSAGE_LENGTH', 500)
+  });
+}
+
+ipcMain.handle('generate-suggestions', (event, context) => {
+  return suggestionService.generateSuggestions(context);
+});
+
+function requestStatus() {
+  return { ...requestScheduler.status(), cache: responseCache.getStats() };
+}
+
+ipcMain.handle('get-scheduler-status', () => {
+  return requestStatus();
+});
+
+ipcMain.handle('get-response-cache-stats', () => {
+  return responseCache.getStats();
+});
+
+ipcMain.handle('clear-response-cache', () => {
+  const removed = responseCache.clear();
+  log.info(`Cleared ${removed} cached AI response(s)`);
+  return removed;
+});
+
+ipcMain.handle('record-suggestion-feedback', (event, suggestionId, feedback) => {
+  suggestionFeedback.record(suggestionId, feedback);
+  return true;
+});
+
+// Embedded chat apps
+function initChatViews() {
+  // Packs in the user folder replace the built-in ones without a rebuild
+  selectorPacks = new SelectorPacks({
+    builtinDir: path.join(__dirname, 'selectorPacks'),
+    userDir: path.join(app.getPath('userData'), 'selector-packs'),
+    overrides: selectorOverrides(config)
+  }).load().watch();
+
+  chatViews = new ChatViews({
+    platforms: platformSettings(config),
+    selectorPacks,
+    preload: bundlePreload(
+      path.join(__dirname, 'chatPreload.js'),
+      { './chatExtractor': path.join(__dirname, 'chatExtractor.js') },
+      path.join(app.getPath('userData'), 'chat-preload.js')
+    ),
+    dataStore,
+    snippets: snippetLibrary,
+    userAgent: app.userAgentFallback,
+    degradedAfterMs: config.number('SELECTOR_DEGRADED_MINUTES', 10) * 60 * 1000,
+    onInputFocus: (rect) => {
+      if (overlayWindow) {
+        overlayWindow.setAnchor(rect);
+      }
+    },
+    onStatusChange: (status) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('platform-status', status);
+      }
+    }
+  });
+}
+
+ipcMain.handle('chat-view-config', (event) => {
+  return chatViews.getConfig(event.sender);
+});
+
+ipcMain.on('chat-view-messages', (event, payload) => {
+  chatViews.ingest(event.sender, payload);
+});
+
+ipcMain.on('chat-view-input', (event, rect) => {
+  chatViews.handleInputFocus(event.sender, rect);
+});
+
+ipcMain.on('chat-view-health', (event, matched) => {
+  chatViews.reportHealth(event.sender, matched);
+});
+
+ipcMain.on('chat-view-inspect-result', (event, requestId, result) => {
+  chatViews.handleInspectResult(event.sender, requestId, result);
+});
+
+ipcMain.handle('chat-view-expand-snippet', (event, abbreviation) => {
+  return chatViews.expandAbbreviation(event.sender, abbreviation);
+});
+
+ipcMain.handle('list-chat-views', () => {
+  return chatViews.status();
+});
+
+ipcMain.handle('show-chat-view', (event, platform, bounds) => {
+  chatViews.show(platform, bounds);
   return true;
 });
 
+ipcMain.handle('set-chat-view-bounds', (event, bounds) => {
+  chatViews.setBounds(bounds);
+  return true;
+});
+
+ipcMain.handle('hide-chat-view', () => {
+  chatViews.hide();
+  return true;
+});
+
+ipcMain.handle('reload-chat-view', (event, platform) => {
+  chatViews.reload(platform);
+  return true;
+});
+
+ipcMain.handle('get-platform-status', () => {
+  return chatViews.platformStatuses();
+});
+
+ipcMain.handle('list-selector-packs', () => {
+  return selectorPacks.list();
+});
+
+ipcMain.handle('inspect-chat-selectors', (event, platform) => {
+  return chatViews.inspect(platform);
+});
+
+ipcMain.handle('get-active-chat-context', () => {
+  const conversationId = chatViews.activeConversationId();
+  const conversation = conversationId && dataStore.getConversation(conversationId);
+  if (!conversation) return null;
+
+  const { messages } = dataStore.getMessages(conversationId, { limit: config.number('CONTEXT_WINDOW_SIZE', 5) });
+  return {
+    conversationId,
+    platform: conversation.platform,
+    contact: conversation.name,
+    messages
+  };
+});
+
+// Suggestion overlay
+function initOverlay() {
+  overlayWindow = new OverlayWindow({
+    page: path.join(__dirname, 'renderer/overlay.html'),
+    preload: path.join(__dirname, 'overlayPreload.js'),
+    dataStore,
+    suggestionService,
+    feedback: suggestionFeedback,
+    snippets: snippetLibrary,
+    inserter: new SuggestionInserter({
+      platforms: platformSettings(config),
+      selectorPacks,
+      getMode: () => store.get('settings.insertMode')
+    }),
+    getActiveConversationId: () => chatViews.activeConversationId(),
+    positioning: config.get('SUGGESTION_POSITIONING', 'auto'),
+    autoHideMs: config.number('AUTO_HIDE_SUGGESTIONS_MS', 10000),
+    messageDelayMs: config.number('RESPONSE_DELAY_MS', 1000)
+  });
+}
+
+function registerShortcuts() {
+  if (!config.boolean('ENABLE_KEYBOARD_SHORTCUTS', true)) return;
+
+  const accelerator = config.get('SUGGESTION_SHORTCUT', 'CommandOrControl+Shift+Space');
+  const registered = globalShortcut.register(accelerator, () => {
+    if (!overlayWindow) return;
+    overlayWindow.toggle().catch(error => log.error('Failed to show suggestion overlay:', error));
+  });
+  if (!registered) {
+    log.warn(`Could not register the suggestion shortcut ${accelerator}; it may be used by another app`);
+  }
+}
+
+ipcMain.handle('set-overlay-enabled', (event, enabled) => {
+  if (overlayWindow) {
+    overlayWindow.setEnabled(enabled);
+  }
+  return true;
+});
+
+// The overlay is gone by the time the text lands on the clipboard
+function notifyCopied(result, label) {
+  if (result && result.method === 'copy' && store.get('settings.notifications') && Notification.isSupported()) {
+    new Notification({
+      title: 'Chatsy',
+      body: result.fallback
+        ? `Could not paste the ${label.toLowerCase()}. It is on the clipboard instead.`
+        : `${label} copied to the clipboard.`
+    }).show();
+  }
+}
+
+ipcMain.handle('overlay-choose', async (event, rank, options) => {
+  if (!overlayWindow) return null;
+
+  const result = await overlayWindow.choose(rank, options);
+  notifyCopied(result, 'Suggestion');
+  return result;
+});
+
+ipcMain.handle('overlay-search-snippets', (event, query) => {
+  return overlayWindow ? overlayWindow.searchSnippets(query) : [];
+});
+
+ipcMain.handle('overlay-choose-snippet', async (event, id, options) => {
+  if (!overlayWindow) return null;
+
+  const result = await overlayWindow.chooseSnippet(id, options);
+  notifyCopied(result, 'Snippet');
+  return result;
+});
+
+ipcMain.handle('overlay-dismiss', () => {
+  if (overlayWindow) {
+    overlayWindow.close('dismissed');
+  }
+  return true;
+});
+
+ipcMain.handle('overlay-set-interactive', (event, interactive) => {
+  if (overlayWindow) {
+    overlayWindow.setInteractive(interactive);
+  }
+  return true;
+});
+
+ipcMain.handle('anonymize-context', (event, context) => {
+  const { context: anonymized, redactions } = new Anonymizer(getRedactionSettings()).anonymize(context);
+  return { context: anonymized, redactions };
+});
+
+ipcMain.handle('list-redactions', (event, limit) => {
+  return dataStore.listEvents({ type: 'context-redacted', limit: limit || 50 });
+});
+
+ipcMain.handle('test-ai-provider', (event, provider) => {
+  return suggestionService.testProvider(provider);
+});
+
+// Interface switches from config.env
+ipcMain.handle('get-ui-config', () => {
+  return {
+    virtualScrolling: config.boolean('ENABLE_VIRTUAL_SCROLLING', true),
+    lazyLoading: config.boolean('ENABLE_LAZY_LOADING', true)
+  };
+});
+
+ipcMain.handle('store-get-stats', () => {
+  return dataStore.getStats();
+});
+
+ipcMain.handle('store-list-conversations', (event, options) => {
+  return dataStore.listConversations(options);
+});
+
+ipcMain.handle('store-get-conversation', (event, conversationId) => {
+  return dataStore.getConversation(conversationId);
+});
+
+ipcMain.handle('store-get-messages', (event, conversationId, options) => {
+  return dataStore.getMessages(conversationId, options);
+});
+
+ipcMain.handle('store-list-suggestions', (event, options) => {
+  return dataStore.listSuggestions(options);
+});
+
+ipcMain.handle('store-list-conversation-tags', () => {
+  const tags = new Set();
+  dataStore.listConversations().forEach(conversation => {
+    conversationTags(conversation).forEach(tag => tags.add(tag));
+  });
+  return Array.from(tags).sort();
+});
+
+ipcMain.handle('store-search-messages', (event, query, options) => {
+  return searchIndex.search(query, options);
+});
+
+// Contacts
+ipcMain.handle('contacts-list', () => {
+  return contactDirectory.list();
+});
+
+ipcMain.handle('contacts-get', (event, contactId) => {
+  return contactDirectory.get(contactId);
+});
+
+ipcMain.handle('contacts-update', (event, contactId, patch) => {
+  contactDirectory.update(contactId, patch);
+  return contactDirectory.get(contactId);
+});
+
+ipcMain.handle('contacts-history', (event, contactId, options) => {
+  return contactDirectory.history(contactId, options);
+});
+
+ipcMain.handle('contacts-merge-suggestions', () => {
+  return contactDirectory.suggestions();
+});
+
+ipcMain.handle('contacts-merge', (event, targetId, sourceId) => {
+  return contactDirectory.merge(targetId, sourceId);
+});
+
+ipcMain.handle('contacts-split', (event, conversationId) => {
+  return contactDirectory.split(conversationId);
+});
+
+ipcMain.handle('contacts-dismiss-suggestion', (event, firstId, secondId) => {
+  contactDirectory.dismiss(firstId, secondId);
+  return true;
+});
+
+ipcMain.handle('store-mark-conversation-read', (event, conversationId) => {
+  return dataStore.markConversationRead(conversationId);
+});
+
+ipcMain.handle('store-list-events', (event, options) => {
+  return dataStore.listEvents(options);
+});
+
+ipcMain.handle('store-add-event', (event, type, data) => {
+  return dataStore.addEvent(type, data);
+});
+
+ipcMain.handle('store-get-analytics', (event, days) => {
+  return analyticsEngine.getAnalytics(days);
+});
+
+// Export & import
+function applyImportedSettings(imported) {
+  if (imported.settings) {
+    store.set('settings', { ...store.get('settings'), ...imported.settings });
+  }
+  if (imported.ai) {
+    store.set('ai', { ...getAiSettings(), ...imported.ai });
+  }
+  if (imported.privacy) {
+    savePrivacySettings(imported.privacy);
+  }
+  if (Array.isArray(imported.snippets)) {
+    snippetLibrary.merge(imported.snippets);
+  }
+  if (Array.isArray(imported.conversationViews)) {
+    imported.conversationViews.forEach(view => {
+      try {
+        saveConversationView(view);
+      } catch (error) {
+        log.warn(`Skipping imported conversation view: ${error.message}`);
+      }
+    });
+  }
+}
+
+function initDataTransfer() {
+  dataTransfer = new DataTransfer({
+    dataStore,
+    getAnalytics: (days) => analyticsEngine.getAnalytics(days),
+    // API keys are never exported
+    getSettings: () => ({
+      settings: store.get('settings'),
+      ai: getAiSettings(),
+      privacy: store.get('privacy'),
+      snippets: snippetLibrary.list(),
+      conversationViews: getConversationViews().saved
+    }),
+    applySettings: applyImportedSettings,
+    appVersion: app.getVersion()
+  });
+  chatImporter = new ChatImporter({ dataStore });
+}
+
+ipcMain.handle('export-data', (event, format, target, options) => {
+  return dataTransfer.export(format, target, options);
+});
+
+ipcMain.handle('import-data', (event, filePath, options) => {
+  return dataTransfer.import(filePath, options);
+});
+
+// Chat exports from the messaging apps
+ipcMain.handle('preview-chat-import', (event, paths) => {
+  return chatImporter.preview(paths);
+});
+
+ipcMain.handle('import-chats', (event, paths, options) => {
+  return chatImporter.import(paths, options);
+});
+
 ipcMain.handle('show-open-dialog', async (event, options) => {
   const result = await dialog.showOpenDialog(mainWindow, options);
   return result;
@@ -225,11 +1015,27 @@ autoUpdater.on('error', (err) => {
 
 // App events
 app.whenReady().then(() => {
+  try {
+    initStore();
+  } catch (error) {
+    reportStartupError(error);
+    app.quit();
+    return;
+  }
+  initSnippets();
+  initDataStore();
+  initRetentionJob();
+  initSuggestionService();
+  initDataTransfer();
+  initChatViews();
+  initOverlay();
   createWindow();
   createTray();
+  registerShortcuts();
   
   app.on('activate', () => {
-    if (BrowserWindow.getAllWindows().length === 0) {
+    // The overlay window does not count as an open app window
+    if (!mainWindow) {
       createWindow();
     }
   });
@@ -243,6 +1049,32 @@ app.on('window-all-closed', () => {
 
 app.on('before-quit', () => {
   isQuitting = true;
+  if (retentionJob) {
+    retentionJob.stop();
+  }
+  if (overlayWindow) {
+    overlayWindow.destroy();
+    overlayWindow = null;
+  }
+  if (chatViews) {
+    chatViews.destroy();
+  }
+  if (selectorPacks) {
+    selectorPacks.unwatch();
+  }
+  if (requestScheduler) {
+    requestScheduler.destroy();
+  }
+  if (responseCache) {
+    responseCache.destroy();
+  }
+  if (dataStore) {
+    dataStore.flush();
+  }
+});
+
+app.on('will-quit', () => {
+  globalShortcut.unregisterAll();
 });
 
 // Security: Prevent new window creation
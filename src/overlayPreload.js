@@ -0,0 +1,17 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// The overlay only receives suggestions, looks up snippets and reports what
+// was done with them
+contextBridge.exposeInMainWorld('overlayAPI', {
+  choose: (rank, options) => ipcRenderer.invoke('overlay-choose', rank, options),
+  searchSnippets: (query) => ipcRenderer.invoke('overlay-search-snippets', query),
+  chooseSnippet: (id, options) => ipcRenderer.invoke('overlay-choose-snippet', id, options),
+  dismiss: () => ipcRenderer.invoke('overlay-dismiss'),
+  setInteractive: (interactive) => ipcRenderer.invoke('overlay-set-interactive', interactive),
+
+  // Events
+  onLoading: (callback) => ipcRenderer.on('overlay-loading', callback),
+  onSuggestions: (callback) => ipcRenderer.on('overlay-suggestions', callback),
+  onError: (callback) => ipcRenderer.on('overlay-error', callback),
+  onClear: (callback) => ipcRenderer.on('overlay-clear', callback)
+});
@@ -4,6 +4,7 @@ const { contextBridge, ipcRenderer } = require('electron');
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
   // Settings
+  getUiConfig: () => ipcRenderer.invoke('get-ui-config'),
   getSettings: () => ipcRenderer.invoke('get-settings'),
   setSettings: (settings) => ipcRenderer.invoke('set-settings', settings),
   
@@ -11,10 +12,88 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getApiKeys: () => ipcRenderer.invoke('get-api-keys'),
   setApiKeys: (apiKeys) => ipcRenderer.invoke('set-api-keys', apiKeys),
   
+  // AI Settings
+  getAiSettings: () => ipcRenderer.invoke('get-ai-settings'),
+  setAiSettings: (aiSettings) => ipcRenderer.invoke('set-ai-settings', aiSettings),
+  resetAiSettings: () => ipcRenderer.invoke('reset-ai-settings'),
+  saveReplyProfile: (profile) => ipcRenderer.invoke('save-reply-profile', profile),
+  deleteReplyProfile: (id) => ipcRenderer.invoke('delete-reply-profile', id),
+  setConversationProfile: (conversationId, profileId) => ipcRenderer.invoke('set-conversation-profile', conversationId, profileId),
+  
+  // AI Suggestions
+  generateSuggestions: (context) => ipcRenderer.invoke('generate-suggestions', context),
+  recordSuggestionFeedback: (suggestionId, feedback) => ipcRenderer.invoke('record-suggestion-feedback', suggestionId, feedback),
+  testAiProvider: (provider) => ipcRenderer.invoke('test-ai-provider', provider),
+  getSchedulerStatus: () => ipcRenderer.invoke('get-scheduler-status'),
+  getResponseCacheStats: () => ipcRenderer.invoke('get-response-cache-stats'),
+  clearResponseCache: () => ipcRenderer.invoke('clear-response-cache'),
+  anonymizeContext: (context) => ipcRenderer.invoke('anonymize-context', context),
+  listRedactions: (limit) => ipcRenderer.invoke('list-redactions', limit),
+  setOverlayEnabled: (enabled) => ipcRenderer.invoke('set-overlay-enabled', enabled),
+  
+  // Snippets
+  listSnippets: (query) => ipcRenderer.invoke('list-snippets', query),
+  saveSnippet: (snippet) => ipcRenderer.invoke('save-snippet', snippet),
+  deleteSnippet: (id) => ipcRenderer.invoke('delete-snippet', id),
+  
+  // Conversation Views
+  getConversationViews: () => ipcRenderer.invoke('get-conversation-views'),
+  setConversationFilter: (filter) => ipcRenderer.invoke('set-conversation-filter', filter),
+  saveConversationView: (view) => ipcRenderer.invoke('save-conversation-view', view),
+  deleteConversationView: (id) => ipcRenderer.invoke('delete-conversation-view', id),
+  setConversationFlags: (conversationId, flags) => ipcRenderer.invoke('set-conversation-flags', conversationId, flags),
+  
   // Privacy Settings
   getPrivacySettings: () => ipcRenderer.invoke('get-privacy-settings'),
   setPrivacySettings: (privacy) => ipcRenderer.invoke('set-privacy-settings', privacy),
   
+  // Encryption
+  getEncryptionStatus: () => ipcRenderer.invoke('get-encryption-status'),
+  unlockEncryption: (passphrase) => ipcRenderer.invoke('unlock-encryption', passphrase),
+  setEncryptionPassphrase: (passphrase) => ipcRenderer.invoke('set-encryption-passphrase', passphrase),
+  rotateEncryptionKeys: (passphrase) => ipcRenderer.invoke('rotate-encryption-keys', passphrase),
+  
+  // Data Store
+  getStats: () => ipcRenderer.invoke('store-get-stats'),
+  listConversations: (options) => ipcRenderer.invoke('store-list-conversations', options),
+  getConversation: (conversationId) => ipcRenderer.invoke('store-get-conversation', conversationId),
+  getMessages: (conversationId, options) => ipcRenderer.invoke('store-get-messages', conversationId, options),
+  listSuggestions: (options) => ipcRenderer.invoke('store-list-suggestions', options),
+  listConversationTags: () => ipcRenderer.invoke('store-list-conversation-tags'),
+  searchMessages: (query, options) => ipcRenderer.invoke('store-search-messages', query, options),
+  markConversationRead: (conversationId) => ipcRenderer.invoke('store-mark-conversation-read', conversationId),
+  listEvents: (options) => ipcRenderer.invoke('store-list-events', options),
+  addEvent: (type, data) => ipcRenderer.invoke('store-add-event', type, data),
+  getAnalytics: (days) => ipcRenderer.invoke('store-get-analytics', days),
+  clearData: (options) => ipcRenderer.invoke('clear-data', options),
+  
+  // Contacts
+  listContacts: () => ipcRenderer.invoke('contacts-list'),
+  getContact: (contactId) => ipcRenderer.invoke('contacts-get', contactId),
+  updateContact: (contactId, patch) => ipcRenderer.invoke('contacts-update', contactId, patch),
+  getContactHistory: (contactId, options) => ipcRenderer.invoke('contacts-history', contactId, options),
+  listMergeSuggestions: () => ipcRenderer.invoke('contacts-merge-suggestions'),
+  mergeContacts: (targetId, sourceId) => ipcRenderer.invoke('contacts-merge', targetId, sourceId),
+  splitContact: (conversationId) => ipcRenderer.invoke('contacts-split', conversationId),
+  dismissMergeSuggestion: (firstId, secondId) => ipcRenderer.invoke('contacts-dismiss-suggestion', firstId, secondId),
+  
+  // Export & Import
+  exportData: (format, target, options) => ipcRenderer.invoke('export-data', format, target, options),
+  importData: (filePath, options) => ipcRenderer.invoke('import-data', filePath, options),
+  previewChatImport: (paths) => ipcRenderer.invoke('preview-chat-import', paths),
+  importChats: (paths, options) => ipcRenderer.invoke('import-chats', paths, options),
+  
+  // Chat Apps
+  listChatViews: () => ipcRenderer.invoke('list-chat-views'),
+  showChatView: (platform, bounds) => ipcRenderer.invoke('show-chat-view', platform, bounds),
+  setChatViewBounds: (bounds) => ipcRenderer.invoke('set-chat-view-bounds', bounds),
+  hideChatView: () => ipcRenderer.invoke('hide-chat-view'),
+  reloadChatView: (platform) => ipcRenderer.invoke('reload-chat-view', platform),
+  getPlatformStatus: () => ipcRenderer.invoke('get-platform-status'),
+  listSelectorPacks: () => ipcRenderer.invoke('list-selector-packs'),
+  inspectChatSelectors: (platform) => ipcRenderer.invoke('inspect-chat-selectors', platform),
+  getActiveChatContext: () => ipcRenderer.invoke('get-active-chat-context'),
+  
   // File Dialogs
   showOpenDialog: (options) => ipcRenderer.invoke('show-open-dialog', options),
   showSaveDialog: (options) => ipcRenderer.invoke('show-save-dialog', options),
@@ -24,6 +103,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onUpdateAvailable: (callback) => ipcRenderer.on('update-available', callback),
   onUpdateDownloaded: (callback) => ipcRenderer.on('update-downloaded', callback),
   onOpenSettings: (callback) => ipcRenderer.on('open-settings', callback),
+  onStoreChanged: (callback) => ipcRenderer.on('store-changed', callback),
+  onPlatformStatus: (callback) => ipcRenderer.on('platform-status', callback),
+  onSchedulerStatus: (callback) => ipcRenderer.on('scheduler-status', callback),
   
   // Remove listeners
   removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel)
@@ -1,10 +1,19 @@
-// Placeholder for AI suggestion engine
-// This module will handle context-aware response generation using on-device models or API fallback
+// AI suggestion engine
+// Suggestions are generated in the main process by the provider chain
+// (src/services/ai); this module forwards the conversation context over IPC.
 
-export function generateSuggestions(context) {
-  // TODO: Implement context extraction and AI response generation
-  return [
-    'Sure, I will get back to you soon.',
-    'Thanks for the update!',
-    'Let me check and reply.']
+/**
+ * @returns {Promise<{suggestionId: string, suggestions: string[], provider: string, latencyMs: number}>}
+ */
+export async function generateSuggestions(context) {
+  return window.electronAPI.generateSuggestions(context);
+}
+
+/**
+ * Report what happened to a batch of suggestions.
+ * @param {string} suggestionId
+ * @param {object} feedback - { outcome: 'accepted'|'edited'|'dismissed'|'timed-out', rank, sentText }
+ */
+export async function recordFeedback(suggestionId, feedback) {
+  return window.electronAPI.recordSuggestionFeedback(suggestionId, feedback);
 }
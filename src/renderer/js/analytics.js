@@ -3,11 +3,17 @@ class AnalyticsManager {
     constructor() {
         this.charts = {};
         this.currentPeriod = 30;
+        this.data = null;
+        this.listenersBound = false;
     }
 
     init() {
         console.log('Analytics initialized');
-        this.initEventListeners();
+        // init() runs on every visit to the view; bind listeners once
+        if (!this.listenersBound) {
+            this.initEventListeners();
+            this.listenersBound = true;
+        }
         this.loadAnalytics();
     }
 
@@ -20,6 +26,13 @@ class AnalyticsManager {
                 this.loadAnalytics();
             });
         }
+
+        // Save charts as PNG
+        document.querySelectorAll('.chart-export-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportChart(button.dataset.chart);
+            });
+        });
     }
 
     async loadAnalytics() {
@@ -28,6 +41,7 @@ class AnalyticsManager {
             
             // Load analytics data
             const data = await this.getAnalyticsData();
+            this.data = data;
             
             // Render charts
             this.renderCharts(data);
@@ -37,61 +51,121 @@ class AnalyticsManager {
     }
 
     async getAnalyticsData() {
-        // This would fetch data from storage/background service
-        // For now, return mock data
-        return {
-            messageVolume: this.generateMockMessageVolume(),
-            platformUsage: this.generateMockPlatformUsage(),
-            responseTime: this.generateMockResponseTime(),
-            suggestionAccuracy: this.generateMockSuggestionAccuracy()
-        };
-    }
-
-    generateMockMessageVolume() {
-        const days = this.currentPeriod;
-        const data = [];
-        
-        for (let i = days - 1; i >= 0; i--) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            data.push({
-                date: date.toISOString().split('T')[0],
-                messages: Math.floor(Math.random() * 50) + 10,
-                suggestions: Math.floor(Math.random() * 20) + 5
-            });
+        return window.electronAPI.getAnalytics(this.currentPeriod);
+    }
+
+    renderCharts(data) {
+        const labels = data.messageVolume.map(day => this.formatDay(day.date));
+
+        this.renderChart('messageVolume', 'messageVolumeChart', Charts.StackedBarChart, {
+            labels,
+            series: [
+                { name: 'Incoming', values: data.messageVolume.map(day => day.incoming) },
+                { name: 'Outgoing', values: data.messageVolume.map(day => day.outgoing) }
+            ],
+            emptyText: 'No messages in this period'
+        });
+
+        this.renderChart('platformUsage', 'platformUsageChart', Charts.DonutChart, {
+            labels: data.platformUsage.map(item => Utils.capitalizeFirst(item.platform)),
+            values: data.platformUsage.map(item => item.messages),
+            totalLabel: 'messages',
+            emptyText: 'No messages in this period'
+        });
+
+        this.renderChart('suggestions', 'suggestionTrendChart', Charts.LineChart, {
+            labels,
+            series: [
+                { name: 'Suggestions', values: data.messageVolume.map(day => day.suggestions) }
+            ],
+            height: 200,
+            emptyText: 'No suggestions in this period'
+        });
+
+        this.renderSuggestionMetrics(data.responseTime, data.suggestionAccuracy);
+        this.renderMessageAnalysis(data.messageAnalysis);
+    }
+
+    renderMessageAnalysis(analysis) {
+        this.renderChart('sentiment', 'sentimentChart', Charts.DonutChart, {
+            labels: analysis.sentiments.map(item => Utils.capitalizeFirst(item.label)),
+            values: analysis.sentiments.map(item => item.messages),
+            colors: ['#4CAF50', '#9E9E9E', '#f44336'],
+            totalLabel: 'messages',
+            emptyText: 'No analyzed messages in this period'
+        });
+
+        this.renderChart('intents', 'intentChart', Charts.DonutChart, {
+            labels: analysis.intents.map(item => Utils.capitalizeFirst(item.intent)),
+            values: analysis.intents.map(item => item.messages),
+            totalLabel: 'messages',
+            emptyText: 'No intents detected in this period'
+        });
+
+        const topicList = document.getElementById('topicList');
+        if (topicList) {
+            topicList.innerHTML = analysis.topics.map(item => `
+                <span class="topic-badge" title="${item.messages} message(s)">${Utils.escapeHtml(item.topic)}</span>
+            `).join('');
         }
-        
-        return data;
     }
 
-    generateMockPlatformUsage() {
-        return [
-            { platform: 'WhatsApp', messages: 65, percentage: 65 },
-            { platform: 'Instagram', messages: 20, percentage: 20 },
-            { platform: 'Telegram', messages: 15, percentage: 15 }
-        ];
+    renderChart(key, canvasId, ChartType, config) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+
+        if (this.charts[key] instanceof ChartType) {
+            this.charts[key].update(config);
+        } else {
+            if (this.charts[key]) {
+                this.charts[key].destroy();
+            }
+            this.charts[key] = new ChartType(canvas, config);
+        }
     }
 
-    generateMockResponseTime() {
-        return {
-            average: 1.2,
-            min: 0.5,
-            max: 3.0,
-            trend: 'improving'
-        };
+    // Redraw with the colours of a newly applied theme
+    refreshTheme() {
+        Object.values(this.charts).forEach(chart => chart.render());
     }
 
-    generateMockSuggestionAccuracy() {
-        return {
-            accepted: 78,
-            rejected: 22,
-            total: 100
-        };
+    formatDay(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
     }
 
-    renderCharts(data) {
-        this.renderMessageVolumeChart(data.messageVolume);
-        this.renderPlatformUsageChart(data.platformUsage);
+    async exportChart(key) {
+        const chart = this.charts[key];
+        if (!chart) return;
+
+        try {
+            await chart.exportPNG(`chatsy-${key}-${this.currentPeriod}d-${new Date().toISOString().split('T')[0]}.png`);
+        } catch (error) {
+            console.error('Failed to export chart:', error);
+            window.chatsyApp.showNotification('Failed to export chart', 'error');
+        }
+    }
+
+    renderSuggestionMetrics(responseTime, accuracy) {
+        const container = document.getElementById('suggestionMetrics');
+        if (!container) return;
+
+        const seconds = (value) => `${value.toFixed(2)}s`;
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const metrics = [
+            { label: 'Median latency', value: responseTime.count ? seconds(responseTime.p50) : '—' },
+            { label: '90th percentile', value: responseTime.count ? seconds(responseTime.p90) : '—' },
+            { label: '95th percentile', value: responseTime.count ? seconds(responseTime.p95) : '—' },
+            { label: 'Accepted', value: accuracy.total ? `${percent(accuracy.acceptRate)} (${accuracy.accepted})` : '—' },
+            { label: 'Rejected', value: accuracy.total ? `${percent(accuracy.rejectRate)} (${accuracy.rejected})` : '—' }
+        ];
+
+        container.innerHTML = metrics.map(metric => `
+            <div class="status-item">
+                <span class="label">${metric.label}</span>
+                <span class="value">${metric.value}</span>
+            </div>
+        `).join('');
     }
 
     renderMessageVolumeChart(data) {
@@ -141,7 +215,10 @@ class AnalyticsManager {
         ctx.font = '14px Arial';
         ctx.textAlign = 'center';
         ctx.fillText('Platform Usage Chart', canvas.width / 2, canvas.height / 2);
-        ctx.fillText('WhatsApp: 65%, Instagram: 20%, Telegram: 15%', canvas.width / 2, canvas.height / 2 + 20);
+        const summary = data.length > 0
+            ? data.map(item => `${Utils.capitalizeFirst(item.platform)}: ${item.percentage}%`).join(', ')
+            : 'No messages in this period';
+        ctx.fillText(summary, canvas.width / 2, canvas.height / 2 + 20);
     }
 
     exportAnalytics() {
@@ -150,13 +227,26 @@ class AnalyticsManager {
     }
 
     getInsights() {
-        // Generate insights from analytics data
-        return [
-            'Most active time: 2-4 PM',
-            'WhatsApp is your most used platform',
-            'Response time has improved by 15% this week',
-            'Suggestion acceptance rate: 78%'
-        ];
+        // Generate insights from the last loaded analytics data
+        const insights = [];
+        if (!this.data) return insights;
+
+        const topPlatform = this.data.platformUsage[0];
+        if (topPlatform) {
+            insights.push(`${Utils.capitalizeFirst(topPlatform.platform)} is your most used platform`);
+        }
+
+        const topIntent = this.data.messageAnalysis.intents[0];
+        if (topIntent) {
+            insights.push(`Most incoming messages are ${topIntent.intent === 'greeting' ? 'greetings' : `${topIntent.intent}s`}`);
+        }
+
+        const accuracy = this.data.suggestionAccuracy;
+        if (accuracy.total > 0) {
+            insights.push(`Suggestion acceptance rate: ${Math.round(accuracy.acceptRate * 100)}%`);
+        }
+
+        return insights;
     }
 }
 
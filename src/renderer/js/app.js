@@ -4,6 +4,7 @@ class ChatsyApp {
         this.currentView = 'dashboard';
         this.settings = {};
         this.apiKeys = {};
+        this.aiSettings = {};
         this.privacySettings = {};
         this.serviceStatus = 'stopped';
         
@@ -14,12 +15,18 @@ class ChatsyApp {
         try {
             // Load settings
             await this.loadSettings();
+
+            // Unlock passphrase-protected data
+            await this.unlockData();
             
             // Initialize UI
             this.initUI();
             
             // Initialize event listeners
             this.initEventListeners();
+
+            // Saved conversation views in the sidebar
+            await this.loadSavedViews();
             
             // Initialize service
             await this.initService();
@@ -38,12 +45,33 @@ class ChatsyApp {
         try {
             this.settings = await window.electronAPI.getSettings();
             this.apiKeys = await window.electronAPI.getApiKeys();
+            this.aiSettings = await window.electronAPI.getAiSettings();
             this.privacySettings = await window.electronAPI.getPrivacySettings();
         } catch (error) {
             console.error('Failed to load settings:', error);
         }
     }
 
+    async unlockData() {
+        const status = await window.electronAPI.getEncryptionStatus();
+        if (!status.locked) return;
+
+        let message = 'Your conversation data is encrypted. Enter your passphrase to unlock it.';
+        for (;;) {
+            const passphrase = await Utils.promptPassword(message, 'Unlock Chatsy');
+            if (passphrase === null) {
+                this.showNotification('Conversation data stays locked until you enter your passphrase', 'warning');
+                return;
+            }
+            try {
+                await window.electronAPI.unlockEncryption(passphrase);
+                return;
+            } catch (error) {
+                message = 'Incorrect passphrase. Please try again.';
+            }
+        }
+    }
+
     initUI() {
         // Initialize navigation
         this.initNavigation();
@@ -65,6 +93,54 @@ class ChatsyApp {
         });
     }
 
+    async loadSavedViews() {
+        const section = document.getElementById('savedViewsSection');
+        const list = document.getElementById('savedViews');
+        if (!section || !list) return;
+
+        try {
+            const views = await window.electronAPI.getConversationViews();
+            section.classList.toggle('hidden', views.saved.length === 0);
+            list.innerHTML = views.saved.map(view => `
+                <div class="saved-view${this.currentView === 'conversations' && this.sameFilter(view.filter, views.current) ? ' active' : ''}" data-id="${Utils.escapeHtml(view.id)}">
+                    <button class="nav-item saved-view-open">
+                        <i class="fas fa-filter"></i>
+                        <span>${Utils.escapeHtml(view.name)}</span>
+                    </button>
+                    <button class="saved-view-delete" title="Delete view">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `).join('');
+
+            list.querySelectorAll('.saved-view').forEach(item => {
+                const view = views.saved.find(saved => saved.id === item.dataset.id);
+                item.querySelector('.saved-view-open').addEventListener('click', () => this.openSavedView(view));
+                item.querySelector('.saved-view-delete').addEventListener('click', () => this.deleteSavedView(view));
+            });
+        } catch (error) {
+            console.error('Failed to load saved views:', error);
+        }
+    }
+
+    sameFilter(a, b) {
+        return Object.keys(a).every(key => a[key] === b[key]);
+    }
+
+    async openSavedView(view) {
+        // The conversations view picks the filter up when it opens
+        await window.electronAPI.setConversationFilter(view.filter);
+        this.switchView('conversations');
+    }
+
+    async deleteSavedView(view) {
+        const confirmed = await Utils.confirm(`Delete the view "${Utils.escapeHtml(view.name)}"?`, 'Delete View');
+        if (!confirmed) return;
+
+        await window.electronAPI.deleteConversationView(view.id);
+        this.loadSavedViews();
+    }
+
     initHeaderControls() {
         // Settings button
         document.getElementById('settingsBtn').addEventListener('click', () => {
@@ -96,22 +172,58 @@ class ChatsyApp {
         window.electronAPI.onUpdateDownloaded(() => {
             this.showNotification('Update downloaded and ready to install', 'success');
         });
+
+        // Refresh the visible view when stored data changes
+        const refreshView = Utils.debounce(() => this.refreshCurrentView(), 500);
+        window.electronAPI.onStoreChanged(() => refreshView());
+
+        window.electronAPI.onPlatformStatus(() => {
+            if (this.currentView === 'dashboard') {
+                this.getDashboard().loadPlatformStatus();
+            }
+        });
+
+        window.electronAPI.onSchedulerStatus((event, status) => {
+            if (this.currentView === 'dashboard') {
+                this.getDashboard().renderSchedulerStatus(status);
+            }
+        });
+    }
+
+    refreshCurrentView() {
+        switch (this.currentView) {
+            case 'dashboard':
+                this.updateStats();
+                this.updateRecentActivity();
+                this.getDashboard().loadSchedulerStatus();
+                break;
+            case 'conversations':
+                if (window.conversationsManager) {
+                    window.conversationsManager.loadConversations();
+                }
+                break;
+            case 'contacts':
+                if (window.contactsManager) {
+                    window.contactsManager.loadContacts();
+                }
+                break;
+            case 'analytics':
+                if (window.analyticsManager) {
+                    window.analyticsManager.loadAnalytics();
+                }
+                break;
+        }
     }
 
     async initService() {
         // Initialize the background service
         try {
-            // Check if API keys are configured
-            const hasApiKeys = this.apiKeys.huggingface || this.apiKeys.gemini || this.apiKeys.openai;
-            
-            if (!hasApiKeys) {
-                this.serviceStatus = 'configure';
-                this.showNotification('Please configure API keys in settings', 'warning');
-            } else {
-                this.serviceStatus = 'ready';
-                // Start the service
-                await this.startService();
+            // Without API keys suggestions come from the local reply history
+            if (!this.hasApiKeys()) {
+                this.showNotification('No API keys configured; suggesting replies from your own history', 'info');
             }
+            this.serviceStatus = 'ready';
+            await this.startService();
         } catch (error) {
             console.error('Failed to initialize service:', error);
             this.serviceStatus = 'error';
@@ -125,9 +237,11 @@ class ChatsyApp {
             
             // Initialize background monitoring
             await this.initBackgroundMonitoring();
+            await window.electronAPI.setOverlayEnabled(true);
             
             this.serviceStatus = 'running';
             this.updateStatusUI();
+            await window.electronAPI.addEvent('service-started');
             this.showNotification('Service started successfully', 'success');
         } catch (error) {
             console.error('Failed to start service:', error);
@@ -144,9 +258,11 @@ class ChatsyApp {
             
             // Stop background monitoring
             await this.stopBackgroundMonitoring();
+            await window.electronAPI.setOverlayEnabled(false);
             
             this.serviceStatus = 'stopped';
             this.updateStatusUI();
+            await window.electronAPI.addEvent('service-stopped');
             this.showNotification('Service stopped', 'info');
         } catch (error) {
             console.error('Failed to stop service:', error);
@@ -174,7 +290,16 @@ class ChatsyApp {
         console.log('Background monitoring stopped');
     }
 
-    switchView(viewName) {
+    /**
+     * @param {string} viewName
+     * @param {object} [options] - Passed to the view, e.g. { conversationId } to open one
+     */
+    switchView(viewName, options = {}) {
+        // Embedded chat pages sit above the UI, so take them down first
+        if (viewName !== 'chats' && window.chatsManager) {
+            window.chatsManager.hide();
+        }
+
         // Hide all views
         const views = document.querySelectorAll('.view');
         views.forEach(view => view.classList.remove('active'));
@@ -195,18 +320,26 @@ class ChatsyApp {
         });
         
         this.currentView = viewName;
+        // A saved view is only highlighted while the conversation list shows it
+        this.loadSavedViews();
         
         // Initialize view-specific functionality
-        this.initView(viewName);
+        this.initView(viewName, options);
     }
 
-    initView(viewName) {
+    initView(viewName, options = {}) {
         switch (viewName) {
             case 'dashboard':
                 this.initDashboard();
                 break;
             case 'conversations':
-                this.initConversations();
+                this.initConversations(options);
+                break;
+            case 'contacts':
+                this.initContacts(options);
+                break;
+            case 'chats':
+                this.initChats();
                 break;
             case 'analytics':
                 this.initAnalytics();
@@ -221,6 +354,8 @@ class ChatsyApp {
         // Initialize dashboard-specific functionality
         this.updateStats();
         this.updateRecentActivity();
+        this.getDashboard().loadPlatformStatus();
+        this.getDashboard().loadSchedulerStatus();
         
         // Initialize action buttons
         this.initDashboardActions();
@@ -242,6 +377,11 @@ class ChatsyApp {
             this.exportData();
         });
 
+        // Import data button
+        document.getElementById('importDataBtn').addEventListener('click', () => {
+            this.importData();
+        });
+
         // Clear data button
         document.getElementById('clearDataBtn').addEventListener('click', () => {
             this.clearData();
@@ -250,41 +390,189 @@ class ChatsyApp {
 
     async exportData() {
         try {
-            const result = await window.electronAPI.showSaveDialog({
-                title: 'Export Data',
-                defaultPath: `chatsy-export-${new Date().toISOString().split('T')[0]}.json`,
+            const choice = await Utils.showModal('Export Data', `
+                <p>Choose an export format. API keys are never included.</p>
+                <ul class="export-formats">
+                    <li><strong>JSON</strong> &mdash; conversations, suggestion history, analytics and settings</li>
+                    <li><strong>CSV</strong> &mdash; one spreadsheet per conversation</li>
+                    <li><strong>Encrypted archive</strong> &mdash; everything in a passphrase-protected .chatsy file</li>
+                </ul>
+            `, [
+                { text: 'Cancel', primary: false },
+                { text: 'CSV', primary: false },
+                { text: 'JSON', primary: false },
+                { text: 'Encrypted archive', primary: true }
+            ]);
+
+            const format = [null, 'csv', 'json', 'chatsy'][choice];
+            if (!format) return;
+
+            const date = new Date().toISOString().split('T')[0];
+            let target;
+            if (format === 'csv') {
+                const result = await window.electronAPI.showOpenDialog({
+                    title: 'Choose Export Folder',
+                    properties: ['openDirectory', 'createDirectory']
+                });
+                if (result.canceled || result.filePaths.length === 0) return;
+                target = result.filePaths[0];
+            } else {
+                const result = await window.electronAPI.showSaveDialog({
+                    title: 'Export Data',
+                    defaultPath: `chatsy-export-${date}.${format}`,
+                    filters: format === 'json'
+                        ? [{ name: 'JSON Files', extensions: ['json'] }]
+                        : [{ name: 'Chatsy Archives', extensions: ['chatsy'] }]
+                });
+                if (result.canceled || !result.filePath) return;
+                target = result.filePath;
+            }
+
+            const options = {};
+            if (format === 'chatsy') {
+                const passphrase = await Utils.promptPassword('Choose a passphrase for this archive. It is needed to import it again.', 'Archive Passphrase');
+                if (!passphrase) return;
+                const repeated = await Utils.promptPassword('Enter the passphrase again.', 'Archive Passphrase');
+                if (repeated !== passphrase) {
+                    this.showNotification('Passphrases do not match', 'error');
+                    return;
+                }
+                options.passphrase = passphrase;
+            }
+
+            const summary = await window.electronAPI.exportData(format, target, options);
+            this.showNotification(`Exported ${summary.conversations} conversations and ${summary.messages} messages`, 'success');
+        } catch (error) {
+            console.error('Failed to export data:', error);
+            this.showNotification(`Failed to export data: ${error.message}`, 'error');
+        }
+    }
+
+    async importData() {
+        try {
+            const result = await window.electronAPI.showOpenDialog({
+                title: 'Import Data',
+                properties: ['openFile'],
                 filters: [
-                    { name: 'JSON Files', extensions: ['json'] }
+                    { name: 'Chatsy Exports', extensions: ['json', 'chatsy'] }
                 ]
             });
+            if (result.canceled || result.filePaths.length === 0) return;
 
-            if (!result.canceled) {
-                // Export data logic here
-                this.showNotification('Data exported successfully', 'success');
+            const filePath = result.filePaths[0];
+            const options = { mode: 'merge' };
+
+            if (filePath.toLowerCase().endsWith('.chatsy')) {
+                options.passphrase = await Utils.promptPassword('Enter the passphrase for this archive.', 'Archive Passphrase');
+                if (!options.passphrase) return;
+            }
+
+            const choice = await Utils.showModal('Import Data', `
+                <p><strong>Merge</strong> adds conversations and messages that are not already here and keeps your local copy where they differ.</p>
+                <p><strong>Replace</strong> deletes all current conversation data first.</p>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="importSettingsCheckbox">
+                    Also import settings (API keys are never imported)
+                </label>
+            `, [
+                { text: 'Cancel', primary: false },
+                { text: 'Replace', primary: false },
+                { text: 'Merge', primary: true }
+            ]);
+            if (choice <= 0) return;
+
+            options.includeSettings = document.getElementById('importSettingsCheckbox').checked;
+            if (choice === 1) {
+                const confirmed = await Utils.confirm('All conversations, messages and suggestion history will be replaced by the imported file. This cannot be undone.', 'Replace Data');
+                if (!confirmed) return;
+                options.mode = 'replace';
+            }
+
+            const report = await window.electronAPI.importData(filePath, options);
+            await this.showImportReport(report);
+
+            if (report.settingsApplied) {
+                await this.loadSettings();
             }
+            this.refreshCurrentView();
         } catch (error) {
-            console.error('Failed to export data:', error);
-            this.showNotification('Failed to export data', 'error');
+            console.error('Failed to import data:', error);
+            this.showNotification(`Failed to import data: ${error.message}`, 'error');
         }
     }
 
+    async showImportReport(report) {
+        const conflicts = report.conflicts.slice(0, 20).map(conflict =>
+            `<li>${Utils.escapeHtml(conflict.type)} ${Utils.escapeHtml(conflict.id.slice(0, 8))}: ${Utils.escapeHtml(conflict.reason)}</li>`
+        ).join('');
+        const more = report.conflicts.length > 20 ? `<p>&hellip;and ${report.conflicts.length - 20} more</p>` : '';
+
+        await Utils.showModal('Import Complete', `
+            <p>Conversations: ${report.conversations.added} added, ${report.conversations.updated} already present</p>
+            <p>Messages: ${report.messages.added} added, ${report.messages.duplicates} duplicates skipped</p>
+            <p>Suggestions: ${report.suggestions.added} added</p>
+            <p>Activity events: ${report.events.added} added</p>
+            ${report.settingsApplied ? '<p>Settings were imported.</p>' : ''}
+            ${report.conflicts.length > 0 ? `<p><strong>${report.conflicts.length} conflict(s):</strong></p><ul>${conflicts}</ul>${more}` : ''}
+        `, [
+            { text: 'OK', primary: true }
+        ]);
+    }
+
     async clearData() {
         try {
-            const result = await window.electronAPI.showMessageBox({
-                type: 'warning',
-                title: 'Clear Data',
-                message: 'Are you sure you want to clear all data?',
-                detail: 'This action cannot be undone.',
-                buttons: ['Cancel', 'Clear Data'],
-                defaultId: 0,
-                cancelId: 0
-            });
-
-            if (result.response === 1) {
-                // Clear data logic here
-                this.showNotification('Data cleared successfully', 'success');
-                this.updateStats();
+            const stats = await window.electronAPI.getStats();
+            const conversations = await window.electronAPI.listConversations({ limit: 500 });
+
+            const platformOptions = Object.keys(stats.platforms).map(platform =>
+                `<option value="${Utils.escapeHtml(platform)}">${Utils.escapeHtml(Utils.capitalizeFirst(platform))} (${stats.platforms[platform]})</option>`
+            ).join('');
+            const contactOptions = conversations.map(conversation =>
+                `<option value="${conversation.id}">${Utils.escapeHtml(conversation.name)} &middot; ${Utils.escapeHtml(conversation.platform)}</option>`
+            ).join('');
+
+            const choice = await Utils.showModal('Clear Data', `
+                <p>Choose what to delete. Deleted data is overwritten on disk and cannot be recovered.</p>
+                <div class="setting-group">
+                    <label class="checkbox-label">
+                        <input type="radio" name="clearScope" value="all" checked>
+                        All data (${stats.conversations} conversations, ${stats.messages} messages)
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="radio" name="clearScope" value="platform" ${platformOptions ? '' : 'disabled'}>
+                        One platform
+                    </label>
+                    <select id="clearPlatformSelect" class="select">${platformOptions}</select>
+                    <label class="checkbox-label">
+                        <input type="radio" name="clearScope" value="conversation" ${contactOptions ? '' : 'disabled'}>
+                        One contact
+                    </label>
+                    <select id="clearContactSelect" class="select">${contactOptions}</select>
+                </div>
+            `, [
+                { text: 'Cancel', primary: false },
+                { text: 'Clear Data', primary: true }
+            ]);
+            if (choice !== 1) return;
+
+            const scope = document.querySelector('input[name="clearScope"]:checked').value;
+            const options = { scope };
+            let description = 'all conversations, messages, suggestions and activity';
+            if (scope === 'platform') {
+                options.platform = document.getElementById('clearPlatformSelect').value;
+                description = `all ${Utils.capitalizeFirst(options.platform)} conversations`;
+            } else if (scope === 'conversation') {
+                const select = document.getElementById('clearContactSelect');
+                options.conversationId = select.value;
+                description = `the conversation with ${select.options[select.selectedIndex].text}`;
             }
+
+            const confirmed = await Utils.confirm(`Permanently delete ${Utils.escapeHtml(description)}?`, 'Clear Data');
+            if (!confirmed) return;
+
+            const counts = await window.electronAPI.clearData(options);
+            this.showNotification(`Deleted ${counts.conversations} conversation(s) and ${counts.messages} message(s)`, 'success');
+            this.updateStats();
         } catch (error) {
             console.error('Failed to clear data:', error);
             this.showNotification('Failed to clear data', 'error');
@@ -292,33 +580,19 @@ class ChatsyApp {
     }
 
     updateStats() {
-        // Update statistics (this would come from the background service)
-        const stats = {
-            conversations: Math.floor(Math.random() * 50) + 10,
-            messages: Math.floor(Math.random() * 1000) + 100,
-            suggestions: Math.floor(Math.random() * 200) + 50
-        };
-
-        document.getElementById('totalConversations').textContent = stats.conversations;
-        document.getElementById('totalMessages').textContent = stats.messages;
-        document.getElementById('suggestionsGiven').textContent = stats.suggestions;
+        // Statistics come from the local data store via the dashboard module
+        this.getDashboard().loadStats();
     }
 
     updateRecentActivity() {
-        const activities = [
-            { icon: 'fas fa-comment', text: 'New message from John Doe', time: '2 minutes ago' },
-            { icon: 'fas fa-lightbulb', text: 'AI suggestion generated', time: '5 minutes ago' },
-            { icon: 'fas fa-sync', text: 'Service restarted', time: '10 minutes ago' }
-        ];
-
-        const activityList = document.getElementById('recentActivity');
-        activityList.innerHTML = activities.map(activity => `
-            <div class="activity-item">
-                <i class="${activity.icon}"></i>
-                <span>${activity.text}</span>
-                <small style="margin-left: auto; color: #999;">${activity.time}</small>
-            </div>
-        `).join('');
+        this.getDashboard().loadRecentActivity();
+    }
+
+    getDashboard() {
+        if (!window.dashboardManager) {
+            window.dashboardManager = new DashboardManager();
+        }
+        return window.dashboardManager;
     }
 
     updateStatusUI() {
@@ -370,14 +644,35 @@ class ChatsyApp {
         serviceStatus.textContent = text;
     }
 
+    hasApiKeys() {
+        return Boolean(this.apiKeys.huggingface || this.apiKeys.gemini || this.apiKeys.openai);
+    }
+
+    updateProviderUI() {
+        const providerNames = {
+            huggingface: 'HuggingFace',
+            gemini: 'Google Gemini',
+            openai: 'OpenAI'
+        };
+        const provider = this.aiSettings.defaultProvider;
+        document.getElementById('aiProvider').textContent = this.hasApiKeys()
+            ? providerNames[provider] || provider || 'None'
+            : 'Local (offline)';
+    }
+
     updateUI() {
         this.updateStatusUI();
+        this.updateProviderUI();
         this.updateStats();
         this.updateRecentActivity();
+        this.getDashboard().loadPlatformStatus();
     }
 
     applyTheme(theme) {
         document.body.className = `theme-${theme}`;
+        if (window.analyticsManager) {
+            window.analyticsManager.refreshTheme();
+        }
     }
 
     showNotification(message, type = 'info') {
@@ -414,13 +709,28 @@ class ChatsyApp {
         }
     }
 
-    // Placeholder methods for other views
-    initConversations() {
-        // Will be implemented in conversations.js
+    initConversations(options) {
+        if (window.initConversations) {
+            window.initConversations(options);
+        }
+    }
+
+    initContacts(options) {
+        if (window.initContacts) {
+            window.initContacts(options);
+        }
+    }
+
+    initChats() {
+        if (window.initChats) {
+            window.initChats();
+        }
     }
 
     initAnalytics() {
-        // Will be implemented in analytics.js
+        if (window.initAnalytics) {
+            window.initAnalytics();
+        }
     }
 
     initSettings() {
@@ -0,0 +1,467 @@
+// Charts Module
+// Small canvas charts for the Analytics view: line, stacked bar and donut,
+// with axes, legends, hover tooltips, HiDPI scaling and light/dark colours.
+
+const CHART_THEMES = {
+    light: {
+        background: '#ffffff',
+        text: '#333333',
+        mutedText: '#888888',
+        grid: '#f0f0f0',
+        axis: '#e0e0e0',
+        tooltipBackground: 'rgba(33, 33, 33, 0.9)',
+        tooltipText: '#ffffff',
+        palette: ['#667eea', '#4caf50', '#ff9800', '#e91e63', '#00bcd4', '#9c27b0', '#795548']
+    },
+    dark: {
+        background: '#1e1e2e',
+        text: '#e0e0e0',
+        mutedText: '#9e9e9e',
+        grid: '#2c2c3c',
+        axis: '#3c3c4c',
+        tooltipBackground: 'rgba(250, 250, 250, 0.95)',
+        tooltipText: '#222222',
+        palette: ['#8c9eff', '#81c784', '#ffb74d', '#f06292', '#4dd0e1', '#ba68c8', '#a1887f']
+    }
+};
+
+const CHART_FONT = "12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+const CHART_PADDING = { top: 36, right: 16, bottom: 32, left: 44 };
+
+class Chart {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} config - { labels, series: [{ name, values, color }], height, formatValue }
+     */
+    constructor(canvas, config) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.config = config;
+        this.hoverIndex = null;
+        this.regions = [];
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'chart-tooltip hidden';
+        canvas.parentElement.classList.add('chart-container');
+        canvas.parentElement.appendChild(this.tooltip);
+
+        this.onMouseMove = (event) => this.handleMouseMove(event);
+        this.onMouseLeave = () => this.setHover(null);
+        canvas.addEventListener('mousemove', this.onMouseMove);
+        canvas.addEventListener('mouseleave', this.onMouseLeave);
+
+        this.resizeObserver = new ResizeObserver(() => this.render());
+        this.resizeObserver.observe(canvas.parentElement);
+
+        this.render();
+    }
+
+    /**
+     * Colours for the active app theme ("auto" follows the OS setting).
+     */
+    static getTheme() {
+        const body = document.body;
+        let dark = body.classList.contains('theme-dark');
+        if (body.classList.contains('theme-auto') && window.matchMedia) {
+            dark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        }
+        return CHART_THEMES[dark ? 'dark' : 'light'];
+    }
+
+    update(config) {
+        this.config = { ...this.config, ...config };
+        this.hoverIndex = null;
+        this.render();
+    }
+
+    destroy() {
+        this.canvas.removeEventListener('mousemove', this.onMouseMove);
+        this.canvas.removeEventListener('mouseleave', this.onMouseLeave);
+        this.resizeObserver.disconnect();
+        this.tooltip.remove();
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // Size the backing store for the device pixel ratio so lines stay crisp
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const parent = this.canvas.parentElement;
+        const style = getComputedStyle(parent);
+        const width = (parent.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight)) || 300;
+        const height = this.config.height || 260;
+
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+            this.canvas.style.width = `${width}px`;
+            this.canvas.style.height = `${height}px`;
+        }
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        return { width, height };
+    }
+
+    render() {
+        const { width, height } = this.resize();
+        const theme = Chart.getTheme();
+
+        this.ctx.fillStyle = theme.background;
+        this.ctx.fillRect(0, 0, width, height);
+        this.ctx.font = CHART_FONT;
+        this.regions = [];
+
+        if (this.isEmpty()) {
+            this.ctx.fillStyle = theme.mutedText;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(this.config.emptyText || 'No data for this period', width / 2, height / 2);
+            return;
+        }
+
+        this.draw(width, height, theme);
+    }
+
+    isEmpty() {
+        return this.config.series.every(series => series.values.every(value => !value));
+    }
+
+    seriesColor(series, index, theme) {
+        return series.color || theme.palette[index % theme.palette.length];
+    }
+
+    formatValue(value) {
+        return this.config.formatValue ? this.config.formatValue(value) : String(Math.round(value * 100) / 100);
+    }
+
+    drawLegend(items, theme, x, y) {
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        let offset = x;
+        items.forEach(item => {
+            this.ctx.fillStyle = item.color;
+            this.ctx.fillRect(offset, y - 5, 10, 10);
+            this.ctx.fillStyle = theme.text;
+            this.ctx.fillText(item.name, offset + 14, y);
+            offset += 14 + this.ctx.measureText(item.name).width + 16;
+        });
+    }
+
+    // Round the axis maximum up to 1, 2 or 5 times a power of ten
+    static niceScale(max, ticks = 4) {
+        if (max <= 0) return { max: ticks, step: 1 };
+        const rough = max / ticks;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+        return { max: step * Math.ceil(max / step), step };
+    }
+
+    // Shared y axis, grid lines and x labels for the cartesian charts
+    drawAxes(plot, scale, theme) {
+        const ctx = this.ctx;
+        const labels = this.config.labels;
+
+        ctx.strokeStyle = theme.grid;
+        ctx.fillStyle = theme.mutedText;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        const ticks = Math.round(scale.max / scale.step);
+        for (let tick = 0; tick <= ticks; tick++) {
+            const value = tick * scale.step;
+            const y = Math.round(plot.y + plot.height - (value / scale.max) * plot.height) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(plot.x, y);
+            ctx.lineTo(plot.x + plot.width, y);
+            ctx.stroke();
+            ctx.fillText(this.formatValue(value), plot.x - 8, y);
+        }
+
+        ctx.strokeStyle = theme.axis;
+        ctx.beginPath();
+        ctx.moveTo(plot.x, plot.y + plot.height + 0.5);
+        ctx.lineTo(plot.x + plot.width, plot.y + plot.height + 0.5);
+        ctx.stroke();
+
+        // Skip labels that would overlap
+        const labelWidth = labels.reduce((max, label) => Math.max(max, ctx.measureText(label).width), 0) + 12;
+        const every = Math.max(1, Math.ceil((labelWidth * labels.length) / plot.width));
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        labels.forEach((label, index) => {
+            if (index % every !== 0) return;
+            ctx.fillText(label, this.xFor(plot, index), plot.y + plot.height + 8);
+        });
+    }
+
+    plotArea(width, height) {
+        return {
+            x: CHART_PADDING.left,
+            y: CHART_PADDING.top,
+            width: width - CHART_PADDING.left - CHART_PADDING.right,
+            height: height - CHART_PADDING.top - CHART_PADDING.bottom
+        };
+    }
+
+    handleMouseMove(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        const region = this.regions.find(candidate => candidate.contains(x, y));
+        this.setHover(region ? region.index : null, x, y);
+    }
+
+    setHover(index, x, y) {
+        if (index === null) {
+            this.tooltip.classList.add('hidden');
+            if (this.hoverIndex !== null) {
+                this.hoverIndex = null;
+                this.render();
+            }
+            return;
+        }
+
+        if (index !== this.hoverIndex) {
+            this.hoverIndex = index;
+            this.render();
+        }
+
+        const theme = Chart.getTheme();
+        const lines = this.tooltipLines(index);
+        this.tooltip.innerHTML = lines.map((line, lineIndex) => (lineIndex === 0
+            ? `<strong>${Utils.escapeHtml(line)}</strong>`
+            : `<div>${Utils.escapeHtml(line)}</div>`)).join('');
+        this.tooltip.style.background = theme.tooltipBackground;
+        this.tooltip.style.color = theme.tooltipText;
+        this.tooltip.classList.remove('hidden');
+
+        // Keep the tooltip inside the chart
+        const offsetX = this.canvas.offsetLeft;
+        const offsetY = this.canvas.offsetTop;
+        const maxLeft = this.canvas.clientWidth - this.tooltip.offsetWidth;
+        this.tooltip.style.left = `${offsetX + Math.max(0, Math.min(x + 12, maxLeft))}px`;
+        this.tooltip.style.top = `${offsetY + Math.max(0, y - this.tooltip.offsetHeight - 8)}px`;
+    }
+
+    tooltipLines(index) {
+        return [
+            this.config.labels[index],
+            ...this.config.series.map(series => `${series.name}: ${this.formatValue(series.values[index] || 0)}`)
+        ];
+    }
+
+    /**
+     * Save the chart as a PNG file.
+     */
+    exportPNG(filename) {
+        return new Promise((resolve, reject) => {
+            this.canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('Could not render chart image'));
+                    return;
+                }
+                Utils.downloadFile(blob, filename, 'image/png');
+                resolve();
+            }, 'image/png');
+        });
+    }
+}
+
+class LineChart extends Chart {
+    xFor(plot, index) {
+        const count = this.config.labels.length;
+        return count > 1 ? plot.x + (index / (count - 1)) * plot.width : plot.x + plot.width / 2;
+    }
+
+    draw(width, height, theme) {
+        const ctx = this.ctx;
+        const plot = this.plotArea(width, height);
+        const max = this.config.series.reduce((result, series) => Math.max(result, ...series.values), 0);
+        const scale = Chart.niceScale(max);
+        const yFor = (value) => plot.y + plot.height - (value / scale.max) * plot.height;
+
+        this.drawAxes(plot, scale, theme);
+        this.drawLegend(this.config.series.map((series, index) => ({
+            name: series.name,
+            color: this.seriesColor(series, index, theme)
+        })), theme, plot.x, 14);
+
+        this.config.series.forEach((series, seriesIndex) => {
+            const color = this.seriesColor(series, seriesIndex, theme);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.lineJoin = 'round';
+            ctx.beginPath();
+            series.values.forEach((value, index) => {
+                const x = this.xFor(plot, index);
+                const y = yFor(value || 0);
+                if (index === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+
+            if (this.hoverIndex !== null) {
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(this.xFor(plot, this.hoverIndex), yFor(series.values[this.hoverIndex] || 0), 4, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
+
+        if (this.hoverIndex !== null) {
+            const x = Math.round(this.xFor(plot, this.hoverIndex)) + 0.5;
+            ctx.strokeStyle = theme.axis;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, plot.y);
+            ctx.lineTo(x, plot.y + plot.height);
+            ctx.stroke();
+        }
+
+        // One hover column per label
+        const count = this.config.labels.length;
+        const half = count > 1 ? plot.width / (count - 1) / 2 : plot.width / 2;
+        this.config.labels.forEach((label, index) => {
+            const center = this.xFor(plot, index);
+            this.regions.push({
+                index,
+                contains: (x, y) => x >= center - half && x < center + half && y >= plot.y && y <= plot.y + plot.height
+            });
+        });
+    }
+}
+
+class StackedBarChart extends Chart {
+    xFor(plot, index) {
+        const slot = plot.width / this.config.labels.length;
+        return plot.x + slot * index + slot / 2;
+    }
+
+    tooltipLines(index) {
+        const total = this.config.series.reduce((sum, series) => sum + (series.values[index] || 0), 0);
+        return [...super.tooltipLines(index), `Total: ${this.formatValue(total)}`];
+    }
+
+    draw(width, height, theme) {
+        const ctx = this.ctx;
+        const plot = this.plotArea(width, height);
+        const totals = this.config.labels.map((label, index) =>
+            this.config.series.reduce((sum, series) => sum + (series.values[index] || 0), 0)
+        );
+        const scale = Chart.niceScale(Math.max(...totals));
+        const slot = plot.width / this.config.labels.length;
+        const barWidth = Math.max(2, Math.min(32, slot * 0.7));
+
+        this.drawAxes(plot, scale, theme);
+        this.drawLegend(this.config.series.map((series, index) => ({
+            name: series.name,
+            color: this.seriesColor(series, index, theme)
+        })), theme, plot.x, 14);
+
+        this.config.labels.forEach((label, index) => {
+            const x = this.xFor(plot, index) - barWidth / 2;
+            let base = plot.y + plot.height;
+
+            if (index === this.hoverIndex) {
+                ctx.fillStyle = theme.grid;
+                ctx.fillRect(plot.x + slot * index, plot.y, slot, plot.height);
+            }
+
+            this.config.series.forEach((series, seriesIndex) => {
+                const value = series.values[index] || 0;
+                if (!value) return;
+                const barHeight = (value / scale.max) * plot.height;
+                ctx.fillStyle = this.seriesColor(series, seriesIndex, theme);
+                ctx.fillRect(x, base - barHeight, barWidth, barHeight);
+                base -= barHeight;
+            });
+
+            const left = plot.x + slot * index;
+            this.regions.push({
+                index,
+                contains: (px, py) => px >= left && px < left + slot && py >= plot.y && py <= plot.y + plot.height
+            });
+        });
+    }
+}
+
+class DonutChart extends Chart {
+    // Donuts take a single series; each label is one slice
+    isEmpty() {
+        return this.config.values.every(value => !value);
+    }
+
+    tooltipLines(index) {
+        const total = this.config.values.reduce((sum, value) => sum + value, 0);
+        const value = this.config.values[index];
+        return [this.config.labels[index], `${this.formatValue(value)} (${Math.round((value / total) * 100)}%)`];
+    }
+
+    draw(width, height, theme) {
+        const ctx = this.ctx;
+        const { labels, values } = this.config;
+        const total = values.reduce((sum, value) => sum + value, 0);
+        const legendWidth = Math.min(180, width * 0.4);
+        const radius = Math.max(20, Math.min((width - legendWidth) / 2, height / 2) - 16);
+        const centerX = (width - legendWidth) / 2;
+        const centerY = height / 2;
+        const inner = radius * 0.6;
+        const colors = labels.map((label, index) => (this.config.colors && this.config.colors[index]) || theme.palette[index % theme.palette.length]);
+
+        let angle = -Math.PI / 2;
+        const slices = values.map((value, index) => {
+            const sweep = total ? (value / total) * Math.PI * 2 : 0;
+            const slice = { index, start: angle, end: angle + sweep };
+            angle += sweep;
+            return slice;
+        });
+
+        slices.forEach(slice => {
+            const grow = slice.index === this.hoverIndex ? 6 : 0;
+            ctx.fillStyle = colors[slice.index];
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, radius + grow, slice.start, slice.end);
+            ctx.arc(centerX, centerY, inner, slice.end, slice.start, true);
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        // Total in the middle
+        ctx.fillStyle = theme.text;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = `bold 18px ${CHART_FONT.split('px ')[1]}`;
+        ctx.fillText(this.formatValue(total), centerX, centerY - 8);
+        ctx.font = CHART_FONT;
+        ctx.fillStyle = theme.mutedText;
+        ctx.fillText(this.config.totalLabel || 'Total', centerX, centerY + 12);
+
+        // Legend with percentages on the right
+        const legendX = width - legendWidth + 8;
+        const legendY = centerY - (labels.length * 22) / 2 + 11;
+        ctx.textAlign = 'left';
+        labels.forEach((label, index) => {
+            const y = legendY + index * 22;
+            ctx.fillStyle = colors[index];
+            ctx.fillRect(legendX, y - 5, 10, 10);
+            ctx.fillStyle = theme.text;
+            ctx.fillText(`${label} ${total ? Math.round((values[index] / total) * 100) : 0}%`, legendX + 16, y);
+        });
+
+        slices.forEach(slice => {
+            this.regions.push({
+                index: slice.index,
+                contains: (x, y) => {
+                    const dx = x - centerX;
+                    const dy = y - centerY;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    if (distance < inner || distance > radius + 6) return false;
+                    let theta = Math.atan2(dy, dx);
+                    if (theta < -Math.PI / 2) theta += Math.PI * 2;
+                    return theta >= slice.start && theta < slice.end;
+                }
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+window.Charts = { Chart, LineChart, StackedBarChart, DonutChart };
@@ -0,0 +1,162 @@
+// Chats Manager
+// Shows the embedded WhatsApp, Instagram and Telegram pages. Each page is a
+// BrowserView that the main process draws over the #chatHost area.
+class ChatsManager {
+    constructor() {
+        this.platforms = [];
+        this.currentPlatform = null;
+        this.visible = false;
+        this.listenersBound = false;
+    }
+
+    async init() {
+        try {
+            this.platforms = await window.electronAPI.listChatViews();
+            this.renderTabs();
+            this.bindEvents();
+
+            if (this.platforms.length === 0) {
+                document.getElementById('chatHost').innerHTML = `
+                    <div class="empty-state">
+                        <i class="fas fa-comment-slash"></i>
+                        <p>No chat apps are enabled in config.env</p>
+                    </div>
+                `;
+                return;
+            }
+
+            const platform = this.currentPlatform || this.platforms[0].platform;
+            await this.showPlatform(platform);
+        } catch (error) {
+            console.error('Failed to load chat apps:', error);
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification(`Failed to load chat apps: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    renderTabs() {
+        const tabs = document.getElementById('chatTabs');
+        tabs.innerHTML = this.platforms.map(({ platform }) => `
+            <button class="btn btn-secondary chat-tab${platform === this.currentPlatform ? ' active' : ''}" data-platform="${platform}">
+                <i class="${Utils.getPlatformIcon(platform)}"></i> ${Utils.capitalizeFirst(platform)}
+            </button>
+        `).join('');
+
+        tabs.querySelectorAll('.chat-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.showPlatform(tab.dataset.platform));
+        });
+    }
+
+    bindEvents() {
+        if (this.listenersBound) return;
+        this.listenersBound = true;
+
+        document.getElementById('reloadChatBtn').addEventListener('click', () => {
+            if (this.currentPlatform) {
+                window.electronAPI.reloadChatView(this.currentPlatform);
+            }
+        });
+
+        document.getElementById('inspectSelectorsBtn').addEventListener('click', () => {
+            if (this.currentPlatform) {
+                this.inspectSelectors(this.currentPlatform);
+            }
+        });
+
+        // Keep the page glued to the host area as the window resizes
+        const syncBounds = Utils.debounce(() => {
+            if (this.visible) {
+                window.electronAPI.setChatViewBounds(this.hostBounds());
+            }
+        }, 50);
+        new ResizeObserver(syncBounds).observe(document.getElementById('chatHost'));
+    }
+
+    hostBounds() {
+        const rect = document.getElementById('chatHost').getBoundingClientRect();
+        return { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+    }
+
+    async showPlatform(platform) {
+        try {
+            this.currentPlatform = platform;
+            document.querySelectorAll('.chat-tab').forEach(tab => {
+                tab.classList.toggle('active', tab.dataset.platform === platform);
+            });
+
+            await window.electronAPI.showChatView(platform, this.hostBounds());
+            this.visible = true;
+        } catch (error) {
+            console.error('Failed to show chat app:', error);
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification(`Failed to open ${Utils.capitalizeFirst(platform)}: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Developer view of the active selector pack: how many elements each
+     * selector matches on the page that is open right now.
+     */
+    async inspectSelectors(platform) {
+        let report;
+        try {
+            report = await window.electronAPI.inspectChatSelectors(platform);
+        } catch (error) {
+            console.error('Failed to inspect selectors:', error);
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification(`Failed to inspect ${Utils.capitalizeFirst(platform)}: ${error.message}`, 'error');
+            }
+            return;
+        }
+
+        const pack = report.pack
+            ? `${report.pack.version} (${report.pack.source}${report.pack.updated ? `, updated ${report.pack.updated}` : ''})`
+            : 'none';
+        const lists = Object.keys(report.selectors).map(key => `
+            <h4>${Utils.escapeHtml(key)}</h4>
+            <ul class="selector-list">
+                ${report.selectors[key].map(({ selector, valid, count }) => `
+                    <li class="${!valid ? 'invalid' : count > 0 ? 'matched' : ''}">
+                        <code>${Utils.escapeHtml(selector)}</code>
+                        <span>${valid ? `${count} match${count === 1 ? '' : 'es'}` : 'invalid'}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `).join('');
+
+        // The page is drawn above the window's own content, so step it aside
+        // while the dialog is open
+        this.hide();
+        await Utils.showModal(`${Utils.capitalizeFirst(platform)} selectors`, `
+            <p>Pack: ${Utils.escapeHtml(pack)}</p>
+            <p><small>${Utils.escapeHtml(report.url)}</small></p>
+            <div class="selector-report">${lists}</div>
+        `, [
+            { text: 'Close', primary: true }
+        ]);
+        if (window.chatsyApp && window.chatsyApp.currentView === 'chats') {
+            this.showPlatform(platform);
+        }
+    }
+
+    hide() {
+        if (!this.visible) return;
+        this.visible = false;
+        window.electronAPI.hideChatView().catch(error => {
+            console.error('Failed to hide chat app:', error);
+        });
+    }
+}
+
+// Initialize chats when needed
+function initChats() {
+    if (!window.chatsManager) {
+        window.chatsManager = new ChatsManager();
+    }
+    window.chatsManager.init();
+}
+
+// Export for use in other modules
+window.initChats = initChats;
@@ -0,0 +1,507 @@
+// Contacts Module
+// One page per person: the conversations linked to them on each platform,
+// their combined history and stats, and the reply profile and privacy
+// choices that apply to all of those conversations.
+const CONTACT_HISTORY_PAGE_SIZE = 100;
+
+class ContactsManager {
+    constructor() {
+        this.contacts = [];
+        this.suggestions = [];
+        this.profiles = [];
+        this.listenersBound = false;
+        this.openContactId = null;
+        this.contact = null;
+        this.history = [];
+        this.historyCursor = null;
+        this.historyHasMore = false;
+        this.historyRequest = 0;
+        this.searchQuery = '';
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.contactId] - Open this contact's page, e.g. from a conversation
+     */
+    async init(options = {}) {
+        console.log('Contacts initialized');
+        // init() runs on every visit to the view; bind listeners once
+        if (!this.listenersBound) {
+            this.initEventListeners();
+            this.listenersBound = true;
+        }
+        await this.loadContacts();
+        if (options.contactId) {
+            this.openContact(options.contactId);
+        }
+    }
+
+    initEventListeners() {
+        const searchInput = document.getElementById('contactSearch');
+        if (searchInput) {
+            searchInput.addEventListener('input', Utils.debounce(() => {
+                this.searchQuery = searchInput.value.trim().toLowerCase();
+                this.renderContacts();
+            }, 150));
+        }
+    }
+
+    // ---------------------------------------------------------------------------
+    // List
+    // ---------------------------------------------------------------------------
+
+    async loadContacts() {
+        try {
+            const [contacts, suggestions, aiSettings] = await Promise.all([
+                window.electronAPI.listContacts(),
+                window.electronAPI.listMergeSuggestions(),
+                window.electronAPI.getAiSettings()
+            ]);
+            this.contacts = contacts;
+            this.suggestions = suggestions;
+            this.profiles = aiSettings.profiles || [];
+            this.renderContacts();
+            this.renderSuggestions();
+
+            if (this.openContactId && !contacts.some(contact => contact.id === this.openContactId)) {
+                // Merged away or deleted
+                this.closeContact();
+            } else if (this.openContactId) {
+                await this.refreshContact();
+            }
+        } catch (error) {
+            console.error('Failed to load contacts:', error);
+        }
+    }
+
+    renderContacts() {
+        const list = document.getElementById('contactsList');
+        if (!list) return;
+
+        const contacts = this.searchQuery
+            ? this.contacts.filter(contact => contact.name.toLowerCase().includes(this.searchQuery))
+            : this.contacts;
+
+        if (contacts.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-address-book"></i>
+                    <h3>${this.searchQuery ? 'No matching contacts' : 'No contacts yet'}</h3>
+                    <p>${this.searchQuery ? 'No contact has that name.' : 'Everyone you chat with on WhatsApp, Instagram or Telegram gets a contact here.'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = contacts.map(contact => `
+            <div class="conversation-item contact-item${contact.id === this.openContactId ? ' selected' : ''}" data-id="${Utils.escapeHtml(contact.id)}">
+                <div class="conversation-avatar">
+                    <i class="fas fa-user"></i>
+                </div>
+                <div class="conversation-content">
+                    <div class="conversation-header">
+                        <h4>${Utils.escapeHtml(contact.name)}</h4>
+                        ${contact.platforms.map(platform => `<span class="platform-badge ${platform}">${platform}</span>`).join('')}
+                        <span class="timestamp">${contact.lastMessageAt ? Utils.formatRelativeTime(contact.lastMessageAt) : ''}</span>
+                    </div>
+                    <div class="conversation-preview">
+                        <p>${contact.messageCount.toLocaleString()} message${contact.messageCount === 1 ? '' : 's'}${contact.conversations > 1 ? ` in ${contact.conversations} conversations` : ''}</p>
+                        ${contact.unreadCount > 0 ? `<span class="unread-badge">${contact.unreadCount}</span>` : ''}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.contact-item').forEach(item => {
+            item.addEventListener('click', () => {
+                this.openContact(item.dataset.id);
+            });
+        });
+    }
+
+    // ---------------------------------------------------------------------------
+    // Merge suggestions
+    // ---------------------------------------------------------------------------
+
+    renderSuggestions() {
+        const container = document.getElementById('mergeSuggestions');
+        if (!container) return;
+
+        container.classList.toggle('hidden', this.suggestions.length === 0);
+        if (this.suggestions.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="merge-suggestions-header">
+                <i class="fas fa-people-arrows"></i>
+                ${this.suggestions.length} possible duplicate${this.suggestions.length === 1 ? '' : 's'}
+            </div>
+            ${this.suggestions.map((suggestion, index) => `
+                <div class="merge-suggestion" data-index="${index}">
+                    <div class="merge-suggestion-contacts">
+                        ${suggestion.contacts.map(contact => `
+                            <span class="merge-suggestion-contact">
+                                <strong>${Utils.escapeHtml(contact.name)}</strong>
+                                ${contact.platforms.map(platform => `<i class="${Utils.getPlatformIcon(platform)}" title="${Utils.capitalizeFirst(platform)}"></i>`).join(' ')}
+                            </span>
+                        `).join('<i class="fas fa-arrows-alt-h"></i>')}
+                        <small>${Utils.escapeHtml(suggestion.reason)}</small>
+                    </div>
+                    <div class="merge-suggestion-actions">
+                        <button class="btn btn-secondary merge-dismiss">Different people</button>
+                        <button class="btn btn-primary merge-accept">Merge</button>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+
+        container.querySelectorAll('.merge-suggestion').forEach(item => {
+            const suggestion = this.suggestions[Number(item.dataset.index)];
+            item.querySelector('.merge-accept').addEventListener('click', () => this.acceptSuggestion(suggestion));
+            item.querySelector('.merge-dismiss').addEventListener('click', () => this.dismissSuggestion(suggestion));
+        });
+    }
+
+    async acceptSuggestion(suggestion) {
+        // Keep the busier contact's name and settings
+        const [target, source] = suggestion.contacts.slice().sort((a, b) => b.messageCount - a.messageCount);
+        await this.merge(target, source);
+    }
+
+    async dismissSuggestion(suggestion) {
+        const [first, second] = suggestion.contacts;
+        try {
+            await window.electronAPI.dismissMergeSuggestion(first.id, second.id);
+            await this.loadContacts();
+        } catch (error) {
+            console.error('Failed to dismiss merge suggestion:', error);
+            window.chatsyApp.showNotification('Failed to dismiss suggestion', 'error');
+        }
+    }
+
+    async merge(target, source) {
+        const confirmed = await Utils.confirm(
+            `Merge <strong>${Utils.escapeHtml(source.name)}</strong> into <strong>${Utils.escapeHtml(target.name)}</strong>? ` +
+            'Their conversations are linked to one contact; you can split them again later.',
+            'Merge Contacts'
+        );
+        if (!confirmed) return;
+
+        try {
+            const merged = await window.electronAPI.mergeContacts(target.id, source.id);
+            this.openContactId = merged.id;
+            await this.loadContacts();
+            window.chatsyApp.showNotification(`Merged into ${merged.name}`, 'success');
+        } catch (error) {
+            console.error('Failed to merge contacts:', error);
+            window.chatsyApp.showNotification(`Failed to merge contacts: ${error.message}`, 'error');
+        }
+    }
+
+    // Pick another contact to merge into the open one
+    async chooseMerge() {
+        const others = this.contacts.filter(contact => contact.id !== this.openContactId);
+        if (!this.contact || others.length === 0) return;
+
+        const choice = await Utils.showModal('Merge With', `
+            <div class="setting-item">
+                <label for="mergeContact">Contact</label>
+                <select id="mergeContact" class="select">
+                    ${others.map(contact => `<option value="${Utils.escapeHtml(contact.id)}">${Utils.escapeHtml(contact.name)} (${contact.platforms.map(Utils.capitalizeFirst).join(', ') || 'no chats'})</option>`).join('')}
+                </select>
+            </div>
+            <p>Its conversations move to ${Utils.escapeHtml(this.contact.name)}, who keeps this name and settings.</p>
+        `, [
+            { text: 'Cancel' },
+            { text: 'Merge', primary: true }
+        ]);
+        if (choice !== 1) return;
+
+        const source = others.find(contact => contact.id === document.getElementById('mergeContact').value);
+        if (source) {
+            await this.merge(this.contact, source);
+        }
+    }
+
+    // ---------------------------------------------------------------------------
+    // Contact page
+    // ---------------------------------------------------------------------------
+
+    async openContact(contactId) {
+        this.openContactId = contactId;
+        document.querySelectorAll('#contactsList .contact-item').forEach(item => {
+            item.classList.toggle('selected', item.dataset.id === contactId);
+        });
+        this.history = [];
+        this.historyCursor = null;
+        this.historyHasMore = false;
+        await this.refreshContact();
+    }
+
+    closeContact() {
+        this.openContactId = null;
+        this.contact = null;
+        this.history = [];
+        document.getElementById('contactDetail').classList.add('hidden');
+        document.querySelectorAll('#contactsList .contact-item.selected').forEach(item => {
+            item.classList.remove('selected');
+        });
+    }
+
+    // Reload the open contact and the newest page of their history
+    async refreshContact() {
+        try {
+            const contact = await window.electronAPI.getContact(this.openContactId);
+            if (!contact) {
+                this.closeContact();
+                return;
+            }
+            this.contact = contact;
+            this.history = [];
+            this.historyCursor = null;
+            this.renderContact();
+            await this.loadHistory();
+        } catch (error) {
+            console.error('Failed to open contact:', error);
+            window.chatsyApp.showNotification('Failed to open contact', 'error');
+        }
+    }
+
+    renderContact() {
+        const detail = document.getElementById('contactDetail');
+        const contact = this.contact;
+        if (!detail || !contact) return;
+
+        const stats = contact.stats;
+        const usedRate = stats.suggestions > 0 ? Math.round((stats.suggestionsUsed / stats.suggestions) * 100) : null;
+        detail.classList.remove('hidden');
+        detail.innerHTML = `
+            <div class="conversation-detail-header">
+                <div>
+                    <h3>${Utils.escapeHtml(contact.name)}</h3>
+                    <small>${contact.phones.length > 0 ? contact.phones.map(phone => `+${Utils.escapeHtml(phone)}`).join(', ') : 'No phone number'}</small>
+                </div>
+                <div class="view-actions">
+                    <button class="btn btn-secondary" id="editContactBtn" title="Edit name and phone numbers">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="btn btn-secondary" id="mergeContactBtn">
+                        <i class="fas fa-object-group"></i> Merge with…
+                    </button>
+                    <button class="btn btn-secondary" id="closeContactBtn" title="Close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="contact-body">
+                <div class="contact-stats">
+                    <div class="stat-item">
+                        <span class="stat-number">${stats.messages.toLocaleString()}</span>
+                        <span class="stat-label">Messages</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-number">${stats.received.toLocaleString()}</span>
+                        <span class="stat-label">Received</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-number">${stats.sent.toLocaleString()}</span>
+                        <span class="stat-label">Sent</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-number">${usedRate !== null ? `${usedRate}%` : '–'}</span>
+                        <span class="stat-label">Suggestions used</span>
+                    </div>
+                </div>
+                <p class="contact-since">
+                    ${stats.firstMessageAt ? `Chatting since ${Utils.formatDate(stats.firstMessageAt)}, last message ${Utils.formatRelativeTime(stats.lastMessageAt)}` : 'No messages yet'}
+                </p>
+
+                <div class="setting-item">
+                    <label for="contactProfile">Reply profile</label>
+                    <select id="contactProfile" class="select">
+                        <option value="">Use platform or default</option>
+                        ${this.profiles.map(profile => `<option value="${Utils.escapeHtml(profile.id)}"${profile.id === contact.profileId ? ' selected' : ''}>${Utils.escapeHtml(profile.name)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="setting-item">
+                    <label for="contactLocalOnly">Keep suggestions on this device</label>
+                    <input type="checkbox" id="contactLocalOnly" class="toggle"${contact.privacy.ai === 'local' ? ' checked' : ''}>
+                </div>
+
+                <h4 class="contact-section-title">Linked conversations</h4>
+                <div class="contact-handles">
+                    ${contact.conversations.map(conversation => `
+                        <div class="contact-handle" data-id="${Utils.escapeHtml(conversation.id)}">
+                            <i class="${Utils.getPlatformIcon(conversation.platform)}"></i>
+                            <span class="contact-handle-name">
+                                ${Utils.escapeHtml(conversation.name)}
+                                <small>${Utils.capitalizeFirst(conversation.platform)} · ${conversation.messageCount.toLocaleString()} message${conversation.messageCount === 1 ? '' : 's'}</small>
+                            </span>
+                            <button class="btn btn-secondary contact-handle-open" title="Open conversation">
+                                <i class="fas fa-comments"></i>
+                            </button>
+                            ${contact.conversations.length > 1 ? `
+                                <button class="btn btn-secondary contact-handle-split" title="Not the same person">
+                                    <i class="fas fa-unlink"></i> Split
+                                </button>
+                            ` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+
+                <h4 class="contact-section-title">History</h4>
+                <div id="contactHistory" class="contact-history">
+                    <!-- Messages from every linked conversation are loaded here -->
+                </div>
+            </div>
+        `;
+
+        detail.querySelector('#closeContactBtn').addEventListener('click', () => this.closeContact());
+        detail.querySelector('#editContactBtn').addEventListener('click', () => this.editContact());
+        detail.querySelector('#mergeContactBtn').addEventListener('click', () => this.chooseMerge());
+        detail.querySelector('#contactProfile').addEventListener('change', (event) => {
+            this.updateContact({ profileId: event.target.value || null });
+        });
+        detail.querySelector('#contactLocalOnly').addEventListener('change', (event) => {
+            this.updateContact({ privacy: { ai: event.target.checked ? 'local' : 'cloud' } });
+        });
+        detail.querySelectorAll('.contact-handle').forEach(item => {
+            item.querySelector('.contact-handle-open').addEventListener('click', () => {
+                window.chatsyApp.switchView('conversations', { conversationId: item.dataset.id });
+            });
+            const split = item.querySelector('.contact-handle-split');
+            if (split) {
+                split.addEventListener('click', () => this.split(item.dataset.id));
+            }
+        });
+    }
+
+    async updateContact(patch) {
+        try {
+            this.contact = await window.electronAPI.updateContact(this.openContactId, patch);
+            await this.loadContacts();
+        } catch (error) {
+            console.error('Failed to update contact:', error);
+            window.chatsyApp.showNotification(`Failed to update contact: ${error.message}`, 'error');
+        }
+    }
+
+    async editContact() {
+        const contact = this.contact;
+        if (!contact) return;
+
+        const choice = await Utils.showModal('Edit Contact', `
+            <div class="setting-item">
+                <label for="contactName">Name</label>
+                <input type="text" id="contactName" class="input" value="${Utils.escapeHtml(contact.name)}">
+            </div>
+            <div class="setting-item">
+                <label for="contactPhones">Phone numbers</label>
+                <input type="text" id="contactPhones" class="input" value="${Utils.escapeHtml(contact.phones.map(phone => `+${phone}`).join(', '))}" placeholder="+49 151 2345678">
+            </div>
+            <p>Separate phone numbers with commas. Contacts sharing a number are suggested for merging.</p>
+        `, [
+            { text: 'Cancel' },
+            { text: 'Save', primary: true }
+        ]);
+        if (choice !== 1) return;
+
+        await this.updateContact({
+            name: document.getElementById('contactName').value,
+            phones: document.getElementById('contactPhones').value.split(',')
+        });
+    }
+
+    async split(conversationId) {
+        const conversation = this.contact.conversations.find(c => c.id === conversationId);
+        const confirmed = await Utils.confirm(
+            `Move <strong>${Utils.escapeHtml(conversation.name)}</strong> (${Utils.capitalizeFirst(conversation.platform)}) to a contact of its own?`,
+            'Split Contact'
+        );
+        if (!confirmed) return;
+
+        try {
+            const contact = await window.electronAPI.splitContact(conversationId);
+            await this.loadContacts();
+            window.chatsyApp.showNotification(`${contact.name} is now a separate contact`, 'success');
+        } catch (error) {
+            console.error('Failed to split contact:', error);
+            window.chatsyApp.showNotification(`Failed to split contact: ${error.message}`, 'error');
+        }
+    }
+
+    // ---------------------------------------------------------------------------
+    // History
+    // ---------------------------------------------------------------------------
+
+    // Load the next older page of the combined history
+    async loadHistory() {
+        const request = ++this.historyRequest;
+        const contactId = this.openContactId;
+        try {
+            const page = await window.electronAPI.getContactHistory(contactId, {
+                cursor: this.historyCursor || {},
+                limit: CONTACT_HISTORY_PAGE_SIZE
+            });
+            // Another contact was opened meanwhile
+            if (request !== this.historyRequest) return;
+
+            this.history = [...page.messages, ...this.history];
+            this.historyCursor = page.cursor;
+            this.historyHasMore = page.hasMore;
+            this.renderHistory();
+        } catch (error) {
+            console.error('Failed to load contact history:', error);
+        }
+    }
+
+    renderHistory() {
+        const container = document.getElementById('contactHistory');
+        if (!container) return;
+
+        if (this.history.length === 0) {
+            container.innerHTML = '<p class="contact-since">No messages yet</p>';
+            return;
+        }
+
+        const platforms = new Set(this.contact.conversations.map(conversation => conversation.platform));
+        let lastDay = null;
+        const rows = this.history.map(message => {
+            const day = Utils.formatDate(message.timestamp || message.createdAt);
+            const divider = day !== lastDay ? `<div class="thread-day"><span>${day}</span></div>` : '';
+            lastDay = day;
+            return `${divider}
+                <div class="thread-row ${message.direction === 'outgoing' ? 'outgoing' : 'incoming'}">
+                    <div class="message-bubble">
+                        ${platforms.size > 1 ? `<div class="message-sender"><i class="${Utils.getPlatformIcon(message.platform)}"></i> ${Utils.capitalizeFirst(message.platform)}</div>` : ''}
+                        <div class="message-text">${Utils.escapeHtml(message.text)}</div>
+                        <div class="message-time">${message.timestamp ? Utils.formatTime(message.timestamp) : ''}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            ${this.historyHasMore ? '<button class="btn btn-secondary contact-history-more" id="contactHistoryMore">Load older</button>' : ''}
+            ${rows}
+        `;
+
+        const more = document.getElementById('contactHistoryMore');
+        if (more) {
+            more.addEventListener('click', () => this.loadHistory());
+        }
+    }
+}
+
+// Initialize contacts when needed
+function initContacts(options) {
+    if (!window.contactsManager) {
+        window.contactsManager = new ContactsManager();
+    }
+    window.contactsManager.init(options);
+}
+
+// Export for use in other modules
+window.initContacts = initContacts;
@@ -1,14 +1,38 @@
 // Conversations Module
+const SEARCH_PAGE_SIZE = 50;
+
 class ConversationsManager {
     constructor() {
         this.conversations = [];
-        this.currentFilter = 'all';
+        // Every conversation, for the contact filter and search results hidden by the list filter
+        this.allConversations = [];
+        this.filter = null;
+        this.tags = [];
+        this.listenersBound = false;
+        this.openConversationId = null;
+        this.thread = null;
+        this.searchQuery = '';
+        this.searchLimit = SEARCH_PAGE_SIZE;
+        this.searchRequest = 0;
     }
 
-    init() {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.conversationId] - Open this conversation, e.g. from a contact page
+     */
+    async init(options = {}) {
         console.log('Conversations initialized');
-        this.loadConversations();
-        this.initEventListeners();
+        // init() runs on every visit to the view; bind listeners once
+        if (!this.listenersBound) {
+            this.initEventListeners();
+            this.listenersBound = true;
+        }
+        // A saved view may have been picked in the sidebar
+        await this.loadFilter();
+        await this.loadConversations();
+        if (options.conversationId) {
+            this.openConversation(options.conversationId);
+        }
     }
 
     initEventListeners() {
@@ -19,35 +43,315 @@ class ConversationsManager {
                 this.loadConversations();
             });
         }
+
+        // Close the message thread
+        const closeThreadBtn = document.getElementById('closeThreadBtn');
+        if (closeThreadBtn) {
+            closeThreadBtn.addEventListener('click', () => {
+                this.closeConversation();
+            });
+        }
+
+        // Jump to the page of the open conversation's contact
+        const openContactBtn = document.getElementById('openContactBtn');
+        if (openContactBtn) {
+            openContactBtn.addEventListener('click', () => {
+                const conversation = this.allConversations.find(c => c.id === this.openConversationId);
+                if (conversation && conversation.contactId) {
+                    window.chatsyApp.switchView('contacts', { contactId: conversation.contactId });
+                }
+            });
+        }
+
+        // List filters and sorting
+        document.querySelectorAll('.conversation-filters select, .conversation-filters input').forEach(control => {
+            control.addEventListener('change', () => {
+                this.applyFilter(this.readFilterControls());
+            });
+        });
+
+        const resetFilterBtn = document.getElementById('resetFilterBtn');
+        if (resetFilterBtn) {
+            resetFilterBtn.addEventListener('click', () => {
+                this.applyFilter({});
+            });
+        }
+
+        const saveViewBtn = document.getElementById('saveViewBtn');
+        if (saveViewBtn) {
+            saveViewBtn.addEventListener('click', () => {
+                this.saveView();
+            });
+        }
+
+        // Full-text search
+        const searchInput = document.getElementById('conversationSearch');
+        if (searchInput) {
+            const search = Utils.debounce(() => this.searchConversations(searchInput.value), 200);
+            searchInput.addEventListener('input', search);
+        }
+
+        const searchFiltersBtn = document.getElementById('searchFiltersBtn');
+        if (searchFiltersBtn) {
+            searchFiltersBtn.addEventListener('click', () => {
+                document.getElementById('searchFilters').classList.toggle('hidden');
+            });
+        }
+
+        document.querySelectorAll('#searchFilters select, #searchFilters input').forEach(control => {
+            control.addEventListener('change', () => {
+                this.searchLimit = SEARCH_PAGE_SIZE;
+                this.runSearch();
+            });
+        });
+
+        // Import chat exports
+        const importBtn = document.getElementById('importChatsBtn');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => {
+                this.importChats();
+            });
+        }
     }
 
-    async loadConversations() {
+    async importChats() {
         try {
-            // Load conversations from storage
-            // This would typically come from the background service
-            console.log('Loading conversations...');
-            
-            // Simulate loading conversations
-            this.conversations = [
-                {
-                    id: '1',
-                    name: 'John Doe',
-                    platform: 'whatsapp',
-                    lastMessage: 'Hey, how are you?',
-                    timestamp: new Date().toISOString(),
-                    unreadCount: 2
-                },
-                {
-                    id: '2',
-                    name: 'Jane Smith',
-                    platform: 'instagram',
-                    lastMessage: 'Thanks for the help!',
-                    timestamp: new Date(Date.now() - 3600000).toISOString(),
-                    unreadCount: 0
-                }
-            ];
+            const source = await Utils.showModal('Import Chats', `
+                <p>Import chat history exported from the messaging apps:</p>
+                <ul>
+                    <li><strong>WhatsApp</strong> &mdash; the .txt file from "Export chat"</li>
+                    <li><strong>Telegram Desktop</strong> &mdash; result.json from "Export chat history"</li>
+                    <li><strong>Instagram</strong> &mdash; the messages folder of your data download</li>
+                </ul>
+            `, [
+                { text: 'Cancel', primary: false },
+                { text: 'Choose Folder', primary: false },
+                { text: 'Choose Files', primary: true }
+            ]);
+            if (source <= 0) return;
+
+            const result = await window.electronAPI.showOpenDialog({
+                title: 'Import Chats',
+                properties: source === 1 ? ['openDirectory'] : ['openFile', 'multiSelections'],
+                filters: source === 1 ? [] : [{ name: 'Chat Exports', extensions: ['txt', 'json'] }]
+            });
+            if (result.canceled || result.filePaths.length === 0) return;
+
+            const preview = await window.electronAPI.previewChatImport(result.filePaths);
+            const self = await this.confirmChatImport(preview);
+            if (!self) return;
+
+            const report = await window.electronAPI.importChats(result.filePaths, { self });
+            const skippedFiles = report.errors.length > 0 ? `, ${report.errors.length} file(s) skipped` : '';
+            const skippedMessages = report.warnings.length > 0 ? `, ${report.warnings.length} message(s) without a valid date skipped` : '';
+            window.chatsyApp.showNotification(
+                `Imported ${report.messages.added} messages in ${report.conversations.added + report.conversations.updated} conversations${skippedFiles}${skippedMessages}`,
+                'success'
+            );
+            this.loadConversations();
+        } catch (error) {
+            console.error('Failed to import chats:', error);
+            window.chatsyApp.showNotification(`Failed to import chats: ${error.message}`, 'error');
+        }
+    }
 
+    // Show what was found and ask which participant is the user on each platform
+    async confirmChatImport(preview) {
+        const sections = preview.platforms.map(entry => {
+            const chats = entry.chats.slice(0, 10).map(chat =>
+                `<li>${Utils.escapeHtml(chat.name)} &middot; ${chat.messages} messages${chat.from ? ` (${Utils.formatDate(chat.from)} &ndash; ${Utils.formatDate(chat.to)})` : ''}</li>`
+            ).join('');
+            const more = entry.chats.length > 10 ? `<li>&hellip;and ${entry.chats.length - 10} more</li>` : '';
+            const options = entry.participants.map(name =>
+                `<option value="${Utils.escapeHtml(name)}" ${name === entry.self ? 'selected' : ''}>${Utils.escapeHtml(name)}</option>`
+            ).join('');
+
+            return `
+                <h4>${Utils.capitalizeFirst(entry.platform)}</h4>
+                <ul>${chats}${more}</ul>
+                <div class="setting-item">
+                    <label>Which one is you?</label>
+                    <select class="select import-self-select" data-platform="${entry.platform}">
+                        ${entry.self ? '' : '<option value="">Not in these chats</option>'}
+                        ${options}
+                    </select>
+                </div>
+            `;
+        }).join('');
+        const errors = preview.errors.length > 0
+            ? `<p>${preview.errors.length} file(s) could not be read and will be skipped.</p>`
+            : '';
+        const warnings = preview.warnings.length > 0
+            ? `<p>${preview.warnings.length} message(s) have no valid date and will be skipped.</p>`
+            : '';
+
+        const choice = await Utils.showModal('Import Chats', `${sections}${errors}${warnings}`, [
+            { text: 'Cancel', primary: false },
+            { text: 'Import', primary: true }
+        ]);
+        if (choice !== 1) return null;
+
+        const self = {};
+        document.querySelectorAll('.import-self-select').forEach(select => {
+            self[select.dataset.platform] = select.value;
+        });
+        return self;
+    }
+
+    // ---------------------------------------------------------------------------
+    // Filters and saved views
+    // ---------------------------------------------------------------------------
+
+    async loadFilter() {
+        try {
+            const views = await window.electronAPI.getConversationViews();
+            this.filter = views.current;
+            this.renderFilterControls();
+        } catch (error) {
+            console.error('Failed to load conversation filter:', error);
+        }
+    }
+
+    renderFilterControls() {
+        document.getElementById('filterPlatform').value = this.filter.platform;
+        document.getElementById('filterUnread').checked = this.filter.unread;
+        document.getElementById('filterNeedsReply').checked = this.filter.needsReply;
+        document.getElementById('filterPinned').checked = this.filter.pinned;
+        document.getElementById('filterArchived').value = this.filter.archived;
+        document.getElementById('filterFrom').value = this.filter.from;
+        document.getElementById('filterTo').value = this.filter.to;
+        document.getElementById('filterSort').value = this.filter.sort;
+        this.renderTagOptions();
+    }
+
+    readFilterControls() {
+        return {
+            platform: document.getElementById('filterPlatform').value,
+            unread: document.getElementById('filterUnread').checked,
+            needsReply: document.getElementById('filterNeedsReply').checked,
+            pinned: document.getElementById('filterPinned').checked,
+            archived: document.getElementById('filterArchived').value,
+            tag: document.getElementById('filterTag').value,
+            from: document.getElementById('filterFrom').value,
+            to: document.getElementById('filterTo').value,
+            sort: document.getElementById('filterSort').value
+        };
+    }
+
+    // Save the filter so it is there after a restart, then show the list it selects
+    async applyFilter(filter) {
+        try {
+            this.filter = await window.electronAPI.setConversationFilter(filter);
+            this.renderFilterControls();
+            await this.loadConversations();
+            window.chatsyApp.loadSavedViews();
+        } catch (error) {
+            console.error('Failed to apply conversation filter:', error);
+        }
+    }
+
+    // What the store needs to apply this.filter
+    listOptions() {
+        const filter = this.filter;
+        const options = { platform: filter.platform, sort: filter.sort, pinnedFirst: true };
+        if (filter.unread) options.unread = true;
+        if (filter.needsReply) options.needsReply = true;
+        if (filter.pinned) options.pinned = true;
+        if (filter.archived !== 'all') options.archived = filter.archived === 'only';
+        if (filter.tag) options.tag = filter.tag;
+        // Whole local days
+        if (filter.from) options.since = new Date(`${filter.from}T00:00:00`).toISOString();
+        if (filter.to) options.until = new Date(`${filter.to}T23:59:59.999`).toISOString();
+        return options;
+    }
+
+    isFiltered() {
+        const filter = this.filter;
+        return filter.platform !== 'all' || filter.unread || filter.needsReply || filter.pinned ||
+            filter.archived !== 'hide' || !!filter.tag || !!filter.from || !!filter.to;
+    }
+
+    renderTagOptions(tags = this.tags) {
+        const select = document.getElementById('filterTag');
+        if (!select) return;
+
+        this.tags = tags;
+        // Keep a saved view's tag selectable even when no conversation has it right now
+        const values = this.filter && this.filter.tag && !tags.includes(this.filter.tag)
+            ? [...tags, this.filter.tag]
+            : tags;
+        select.innerHTML = '<option value="">Any tag</option>' + values
+            .map(tag => `<option value="${Utils.escapeHtml(tag)}">${Utils.escapeHtml(tag)}</option>`)
+            .join('');
+        select.value = this.filter ? this.filter.tag : '';
+    }
+
+    async saveView() {
+        const choice = await Utils.showModal('Save View', `
+            <div class="setting-item">
+                <label for="viewName">Name</label>
+                <input type="text" id="viewName" class="input" placeholder="e.g. Work, needs reply">
+            </div>
+            <p>The current filters and sort are saved as a view in the sidebar.</p>
+        `, [
+            { text: 'Cancel' },
+            { text: 'Save', primary: true }
+        ]);
+        if (choice !== 1) return;
+
+        try {
+            const view = await window.electronAPI.saveConversationView({
+                name: document.getElementById('viewName').value,
+                filter: this.filter
+            });
+            window.chatsyApp.loadSavedViews();
+            window.chatsyApp.showNotification(`Saved view "${view.name}"`, 'success');
+        } catch (error) {
+            window.chatsyApp.showNotification(error.message, 'error');
+        }
+    }
+
+    async toggleFlag(conversationId, flag) {
+        const conversation = this.allConversations.find(c => c.id === conversationId);
+        if (!conversation) return;
+
+        try {
+            await window.electronAPI.setConversationFlags(conversationId, { [flag]: !conversation[flag] });
+            await this.loadConversations();
+        } catch (error) {
+            console.error(`Failed to update ${flag}:`, error);
+            window.chatsyApp.showNotification('Failed to update conversation', 'error');
+        }
+    }
+
+    // ---------------------------------------------------------------------------
+    // List
+    // ---------------------------------------------------------------------------
+
+    async loadConversations() {
+        if (!this.filter) return;
+
+        try {
+            const [conversations, allConversations, tags] = await Promise.all([
+                window.electronAPI.listConversations(this.listOptions()),
+                window.electronAPI.listConversations(),
+                window.electronAPI.listConversationTags()
+            ]);
+            this.conversations = conversations;
+            this.allConversations = allConversations;
             this.renderConversations();
+            this.renderTagOptions(tags);
+            this.renderSearchContacts();
+            if (this.searchQuery) {
+                await this.runSearch();
+            }
+            if (this.openConversationId && !this.allConversations.some(c => c.id === this.openConversationId)) {
+                // Deleted
+                this.closeConversation();
+            } else if (this.openConversationId) {
+                this.renderThreadHeader();
+                await this.thread.refresh();
+            }
         } catch (error) {
             console.error('Failed to load conversations:', error);
         }
@@ -57,32 +361,52 @@ class ConversationsManager {
         const conversationsList = document.getElementById('conversationsList');
         if (!conversationsList) return;
 
+        if (this.conversations.length === 0 && this.isFiltered()) {
+            conversationsList.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-filter"></i>
+                    <h3>No matching conversations</h3>
+                    <p>No conversation matches these filters.</p>
+                </div>
+            `;
+            return;
+        }
+
         if (this.conversations.length === 0) {
             conversationsList.innerHTML = `
                 <div class="empty-state">
                     <i class="fas fa-comments"></i>
                     <h3>No conversations yet</h3>
-                    <p>Start chatting on WhatsApp, Instagram, or Telegram to see conversations here.</p>
+                    <p>Start chatting on WhatsApp, Instagram, or Telegram, or use Import Chats to load exported history.</p>
                 </div>
             `;
             return;
         }
 
         conversationsList.innerHTML = this.conversations.map(conversation => `
-            <div class="conversation-item" data-id="${conversation.id}">
+            <div class="conversation-item${conversation.id === this.openConversationId ? ' selected' : ''}${conversation.archived ? ' archived' : ''}" data-id="${conversation.id}">
                 <div class="conversation-avatar">
                     <i class="fas fa-user"></i>
                 </div>
                 <div class="conversation-content">
                     <div class="conversation-header">
-                        <h4>${conversation.name}</h4>
+                        <h4>${conversation.pinned ? '<i class="fas fa-thumbtack pinned-icon" title="Pinned"></i> ' : ''}${Utils.escapeHtml(conversation.name)}</h4>
                         <span class="platform-badge ${conversation.platform}">${conversation.platform}</span>
-                        <span class="timestamp">${this.formatTimestamp(conversation.timestamp)}</span>
+                        <span class="timestamp">${this.formatTimestamp(conversation.lastMessageAt || conversation.createdAt)}</span>
+                        <div class="conversation-actions">
+                            <button class="conversation-action" data-flag="pinned" title="${conversation.pinned ? 'Unpin' : 'Pin'}">
+                                <i class="fas fa-thumbtack"></i>
+                            </button>
+                            <button class="conversation-action" data-flag="archived" title="${conversation.archived ? 'Unarchive' : 'Archive'}">
+                                <i class="fas ${conversation.archived ? 'fa-box-open' : 'fa-archive'}"></i>
+                            </button>
+                        </div>
                     </div>
                     <div class="conversation-preview">
-                        <p>${conversation.lastMessage}</p>
+                        <p>${Utils.escapeHtml(conversation.lastMessage)}</p>
                         ${conversation.unreadCount > 0 ? `<span class="unread-badge">${conversation.unreadCount}</span>` : ''}
                     </div>
+                    ${this.renderAnalysisBadges(conversation.lastAnalysis)}
                 </div>
             </div>
         `).join('');
@@ -94,14 +418,94 @@ class ConversationsManager {
                 this.openConversation(item.dataset.id);
             });
         });
+        conversationsList.querySelectorAll('.conversation-action').forEach(button => {
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.toggleFlag(button.closest('.conversation-item').dataset.id, button.dataset.flag);
+            });
+        });
+    }
+
+    // Tags the message analyzer gave the latest incoming message
+    renderAnalysisBadges(analysis) {
+        if (!analysis) return '';
+
+        const badges = [];
+        if (analysis.sentiment && analysis.sentiment.label !== 'neutral') {
+            const icon = analysis.sentiment.label === 'positive' ? 'fa-smile' : 'fa-frown';
+            badges.push(`<span class="analysis-badge sentiment-${analysis.sentiment.label}" title="Sentiment ${analysis.sentiment.score}"><i class="fas ${icon}"></i> ${analysis.sentiment.label}</span>`);
+        }
+        if (analysis.intent) {
+            badges.push(`<span class="analysis-badge intent">${Utils.escapeHtml(analysis.intent)}</span>`);
+        }
+        (analysis.topics || []).forEach(topic => {
+            badges.push(`<span class="analysis-badge topic">#${Utils.escapeHtml(topic)}</span>`);
+        });
+        return badges.length > 0 ? `<div class="analysis-badges">${badges.join('')}</div>` : '';
+    }
+
+    // The thread pane is created on first use, once the UI switches are known
+    async getThread() {
+        if (!this.thread) {
+            const uiConfig = await window.electronAPI.getUiConfig();
+            this.thread = new ThreadView(document.getElementById('threadViewport'), {
+                virtual: uiConfig.virtualScrolling,
+                lazy: uiConfig.lazyLoading,
+                renderBadges: (analysis) => this.renderAnalysisBadges(analysis)
+            });
+        }
+        return this.thread;
+    }
+
+    /**
+     * @param {string} conversationId
+     * @param {object} [options]
+     * @param {string} [options.messageId] - Scroll to this message, e.g. a search result
+     */
+    async openConversation(conversationId, options = {}) {
+        const conversation = this.allConversations.find(c => c.id === conversationId);
+        if (!conversation) return;
+
+        try {
+            const thread = await this.getThread();
+            this.openConversationId = conversationId;
+            document.getElementById('conversationDetail').classList.remove('hidden');
+            document.querySelectorAll('#conversationsList .conversation-item').forEach(item => {
+                item.classList.toggle('selected', item.dataset.id === conversationId);
+            });
+            this.renderThreadHeader();
+            await thread.open(conversationId, options);
+
+            if (conversation.unreadCount > 0) {
+                await window.electronAPI.markConversationRead(conversationId);
+            }
+        } catch (error) {
+            console.error('Failed to open conversation:', error);
+            window.chatsyApp.showNotification('Failed to open conversation', 'error');
+        }
     }
 
-    openConversation(conversationId) {
-        const conversation = this.conversations.find(c => c.id === conversationId);
-        if (conversation) {
-            console.log('Opening conversation:', conversation);
-            // This would open a detailed view of the conversation
+    closeConversation() {
+        this.openConversationId = null;
+        if (this.thread) {
+            this.thread.close();
         }
+        document.getElementById('conversationDetail').classList.add('hidden');
+        document.querySelectorAll('#conversationsList .conversation-item.selected').forEach(item => {
+            item.classList.remove('selected');
+        });
+    }
+
+    renderThreadHeader() {
+        const conversation = this.allConversations.find(c => c.id === this.openConversationId);
+        if (!conversation) return;
+
+        document.getElementById('threadTitle').textContent = conversation.name;
+        const count = conversation.messageCount;
+        document.getElementById('threadSummary').textContent = [
+            Utils.capitalizeFirst(conversation.platform),
+            count !== undefined ? `${count.toLocaleString()} message${count === 1 ? '' : 's'}` : null
+        ].filter(Boolean).join(' · ');
     }
 
     formatTimestamp(timestamp) {
@@ -122,24 +526,151 @@ class ConversationsManager {
         }
     }
 
-    filterConversations(filter) {
-        this.currentFilter = filter;
-        // Implement filtering logic here
-        this.renderConversations();
+    filterConversations(platform) {
+        this.applyFilter({ ...this.filter, platform });
     }
 
     searchConversations(query) {
-        // Implement search logic here
-        console.log('Searching conversations:', query);
+        this.searchQuery = query.trim();
+        this.searchLimit = SEARCH_PAGE_SIZE;
+        const searching = this.searchQuery.length > 0;
+        document.getElementById('conversationsList').classList.toggle('hidden', searching);
+        document.getElementById('searchResults').classList.toggle('hidden', !searching);
+        if (searching) {
+            this.runSearch();
+        }
+    }
+
+    searchOptions() {
+        const value = id => document.getElementById(id).value;
+        const options = { limit: this.searchLimit };
+        if (value('searchPlatform')) options.platform = value('searchPlatform');
+        if (value('searchContact')) options.conversationId = value('searchContact');
+        if (value('searchDirection')) options.direction = value('searchDirection');
+        // Whole local days
+        if (value('searchFrom')) options.since = new Date(`${value('searchFrom')}T00:00:00`).toISOString();
+        if (value('searchTo')) options.until = new Date(`${value('searchTo')}T23:59:59.999`).toISOString();
+        return options;
+    }
+
+    async runSearch() {
+        if (!this.searchQuery) return;
+        const request = ++this.searchRequest;
+
+        try {
+            const results = await window.electronAPI.searchMessages(this.searchQuery, this.searchOptions());
+            // Typing on may have started a newer search
+            if (request !== this.searchRequest) return;
+            this.renderSearchResults(results);
+        } catch (error) {
+            console.error('Failed to search messages:', error);
+        }
+    }
+
+    renderSearchResults(results) {
+        const container = document.getElementById('searchResults');
+        if (!container) return;
+
+        if (results.error) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-search"></i>
+                    <h3>Search is too long</h3>
+                    <p>${Utils.escapeHtml(results.error)}.</p>
+                </div>
+            `;
+            return;
+        }
+
+        if (results.messages.length === 0 && results.conversations.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-search"></i>
+                    <h3>No matches</h3>
+                    <p>Try fewer words, or change the filters.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const conversations = results.conversations.map(conversation => `
+            <div class="search-result conversation-match" data-conversation-id="${Utils.escapeHtml(conversation.id)}">
+                <div class="search-result-header">
+                    <h4>${Utils.escapeHtml(conversation.name)}</h4>
+                    <span class="platform-badge ${conversation.platform}">${conversation.platform}</span>
+                </div>
+            </div>
+        `).join('');
+        const messages = results.messages.map(message => `
+            <div class="search-result" data-conversation-id="${Utils.escapeHtml(message.conversationId)}" data-message-id="${Utils.escapeHtml(message.id)}">
+                <div class="search-result-header">
+                    <h4>${Utils.escapeHtml(message.conversationName)}</h4>
+                    <span class="platform-badge ${message.platform}">${message.platform}</span>
+                    <span class="timestamp">${Utils.formatDate(message.timestamp)}</span>
+                </div>
+                <p class="search-snippet">
+                    ${message.direction === 'outgoing' ? '<span class="search-sender">You:</span> ' : ''}${this.highlightSnippet(message.snippet, message.highlights)}
+                </p>
+            </div>
+        `).join('');
+        const more = results.total > results.messages.length
+            ? '<button class="btn btn-secondary" id="moreSearchResultsBtn">Show more</button>'
+            : '';
+
+        container.innerHTML = `
+            <div class="search-summary">${results.total.toLocaleString()} message${results.total === 1 ? '' : 's'}</div>
+            ${conversations}
+            ${messages}
+            ${more}
+        `;
+
+        container.querySelectorAll('.search-result').forEach(item => {
+            item.addEventListener('click', () => {
+                this.openConversation(item.dataset.conversationId, { messageId: item.dataset.messageId });
+            });
+        });
+        const moreBtn = document.getElementById('moreSearchResultsBtn');
+        if (moreBtn) {
+            moreBtn.addEventListener('click', () => {
+                this.searchLimit += SEARCH_PAGE_SIZE;
+                this.runSearch();
+            });
+        }
+    }
+
+    // Escape a result snippet and mark the matched words
+    highlightSnippet(snippet, highlights) {
+        let html = '';
+        let last = 0;
+        highlights.forEach(([start, end]) => {
+            html += `${Utils.escapeHtml(snippet.slice(last, start))}<mark>${Utils.escapeHtml(snippet.slice(start, end))}</mark>`;
+            last = end;
+        });
+        return html + Utils.escapeHtml(snippet.slice(last));
+    }
+
+    // Keep the contact filter in step with the stored conversations
+    renderSearchContacts() {
+        const select = document.getElementById('searchContact');
+        if (!select) return;
+
+        const selected = select.value;
+        const options = this.allConversations
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(conversation => `<option value="${Utils.escapeHtml(conversation.id)}">${Utils.escapeHtml(conversation.name)} (${Utils.capitalizeFirst(conversation.platform)})</option>`)
+            .join('');
+        select.innerHTML = `<option value="">Any contact</option>${options}`;
+        select.value = this.allConversations.some(c => c.id === selected) ? selected : '';
     }
 }
 
 // Initialize conversations when needed
-function initConversations() {
+function initConversations(options) {
     if (!window.conversationsManager) {
         window.conversationsManager = new ConversationsManager();
     }
-    window.conversationsManager.init();
+    window.conversationsManager.init(options);
 }
 
 // Export for use in other modules
@@ -13,17 +13,166 @@ class DashboardManager {
         console.log('Dashboard initialized');
         this.loadStats();
         this.loadRecentActivity();
+        this.loadPlatformStatus();
+        this.loadSchedulerStatus();
     }
 
     async loadStats() {
-        // Load statistics from storage
-        // This would typically come from the background service
-        console.log('Loading dashboard stats...');
+        try {
+            const stats = await window.electronAPI.getStats();
+            this.updateStats(stats);
+        } catch (error) {
+            console.error('Failed to load dashboard stats:', error);
+        }
+    }
+
+    async loadPlatformStatus() {
+        try {
+            const statuses = await window.electronAPI.getPlatformStatus();
+            this.renderPlatformStatus(statuses);
+        } catch (error) {
+            console.error('Failed to load platform status:', error);
+        }
+    }
+
+    renderPlatformStatus(statuses) {
+        const element = document.getElementById('activePlatforms');
+        if (!element) return;
+
+        if (statuses.length === 0) {
+            element.textContent = 'None';
+            return;
+        }
+
+        const labels = {
+            degraded: 'degraded',
+            'signed-out': 'signed out',
+            'not-loaded': 'not opened'
+        };
+        element.innerHTML = statuses.map(({ platform, status, reason }) => {
+            const label = labels[status] ? ` (${labels[status]})` : '';
+            const title = reason ? ` title="${Utils.escapeHtml(reason)}"` : '';
+            return `<span class="platform-status ${status}"${title}>${Utils.capitalizeFirst(platform)}${label}</span>`;
+        }).join(', ');
+    }
+
+    async loadSchedulerStatus() {
+        try {
+            const status = await window.electronAPI.getSchedulerStatus();
+            this.renderSchedulerStatus(status);
+        } catch (error) {
+            console.error('Failed to load request queue:', error);
+        }
+    }
+
+    renderSchedulerStatus(status) {
+        const element = document.getElementById('requestQueue');
+        if (!element) return;
+
+        if (status.providers.length === 0) {
+            element.innerHTML = `
+                <div class="activity-item">
+                    <i class="fas fa-info-circle"></i>
+                    <span>No requests yet</span>
+                </div>
+            `;
+        } else {
+            const quota = (bucket, period) => {
+                const low = bucket.remaining < bucket.limit * 0.1 ? ' low' : '';
+                return `<span class="quota${low}">${bucket.remaining}/${bucket.limit} left this ${period}</span>`;
+            };
+            element.innerHTML = status.providers.map(provider => {
+                const activity = [
+                    provider.running > 0 ? `${provider.running} running` : '',
+                    provider.queued > 0 ? `${provider.queued} queued` : '',
+                    provider.retrying > 0 ? `${provider.retrying} retrying` : ''
+                ].filter(Boolean).join(', ') || 'idle';
+                const paused = provider.pausedUntil
+                    ? `<span class="paused">paused until ${new Date(provider.pausedUntil).toLocaleTimeString()}</span>`
+                    : '';
+                return `
+                    <div class="status-item">
+                        <span class="label">${Utils.capitalizeFirst(provider.provider)}</span>
+                        <span class="value">${activity}</span>
+                        ${quota(provider.minute, 'minute')}
+                        ${quota(provider.hour, 'hour')}
+                        ${paused}
+                    </div>
+                `;
+            }).join('');
+        }
+
+        const totals = document.getElementById('requestTotals');
+        if (totals) {
+            const { completed, failed, retried, cancelled, coalesced } = status.totals;
+            const cache = status.cache && status.cache.enabled
+                ? ` · Cache: ${status.cache.hits} hits, ${status.cache.misses} misses (${status.cache.hitRate}%)`
+                : '';
+            totals.textContent = `${completed} completed, ${failed} failed, ${retried} retried, ${cancelled} cancelled, ${coalesced} shared${cache}`;
+        }
     }
 
     async loadRecentActivity() {
-        // Load recent activity from storage
-        console.log('Loading recent activity...');
+        try {
+            const events = await window.electronAPI.listEvents({ limit: 10 });
+            this.activities = events.map(event => ({
+                ...this.describeEvent(event),
+                time: Utils.formatRelativeTime(event.timestamp)
+            }));
+            this.renderActivities();
+        } catch (error) {
+            console.error('Failed to load recent activity:', error);
+        }
+    }
+
+    describeEvent(event) {
+        const data = event.data || {};
+
+        switch (event.type) {
+            case 'conversation-created':
+                return { icon: 'fas fa-comment', text: `New conversation with ${data.name} on ${data.platform}` };
+            case 'suggestion-generated':
+                return { icon: 'fas fa-lightbulb', text: 'AI suggestion generated' };
+            case 'suggestion-feedback':
+                return { icon: 'fas fa-check-circle', text: this.describeFeedback(data) };
+            case 'context-redacted': {
+                const hidden = Object.values(data.counts || {}).reduce((sum, count) => sum + count, 0);
+                return { icon: 'fas fa-user-secret', text: `Hid ${hidden} private item(s) before contacting ${data.provider}` };
+            }
+            case 'service-started':
+                return { icon: 'fas fa-play', text: 'Service started' };
+            case 'service-stopped':
+                return { icon: 'fas fa-stop', text: 'Service stopped' };
+            case 'data-imported':
+                return { icon: 'fas fa-upload', text: `Imported ${data.messages} message(s) (${data.mode})` };
+            case 'chats-imported':
+                return { icon: 'fas fa-file-import', text: `Imported ${data.messages} message(s) from ${data.platforms.join(', ')} exports` };
+            case 'data-purged':
+                return { icon: 'fas fa-broom', text: `Removed ${data.messages} message(s) older than ${data.days} days` };
+            case 'selectors-degraded':
+                return { icon: 'fas fa-exclamation-triangle', text: `${Utils.capitalizeFirst(data.platform)} page no longer matches selector pack ${data.pack || ''}`.trim() };
+            case 'contacts-merged':
+                return { icon: 'fas fa-object-group', text: `Merged ${data.merged} into ${data.name}` };
+            case 'contact-split':
+                return { icon: 'fas fa-unlink', text: `Split ${data.name} from ${data.from}` };
+            case 'data-cleared':
+                return { icon: 'fas fa-trash', text: `Cleared ${data.conversations} conversation(s) and ${data.messages} message(s)` };
+            default:
+                return { icon: 'fas fa-info-circle', text: data.text || event.type };
+        }
+    }
+
+    describeFeedback(data) {
+        switch (data.outcome) {
+            case 'accepted':
+                return `Suggestion #${data.rank} used`;
+            case 'edited':
+                return `Suggestion #${data.rank} edited and sent`;
+            case 'timed-out':
+                return 'Suggestions timed out';
+            default:
+                return 'Suggestions dismissed';
+        }
     }
 
     updateStats(newStats) {
@@ -71,7 +220,7 @@ class DashboardManager {
         activityList.innerHTML = this.activities.map(activity => `
             <div class="activity-item">
                 <i class="${activity.icon}"></i>
-                <span>${activity.text}</span>
+                <span>${Utils.escapeHtml(activity.text)}</span>
                 <small style="margin-left: auto; color: #999;">${activity.time}</small>
             </div>
         `).join('');
@@ -1,10 +1,11 @@
-// Placeholder for messaging app integration
-// Handles screen content monitoring and context extraction
+// Messaging app integration
+// The chat apps run in embedded views whose preload reads messages off the
+// page (see src/chatPreload.js); this returns the chat open there.
 
-export function extractConversationContext() {
-  // TODO: Implement OCR or accessibility API integration
-  return {
-    messages: [],
-    contact: null
-  };
+/**
+ * @returns {Promise<{conversationId: string, platform: string, contact: string, messages: object[]}>}
+ */
+export async function extractConversationContext() {
+  const context = await window.electronAPI.getActiveChatContext();
+  return context || { messages: [], contact: null };
 }
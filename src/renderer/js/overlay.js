@@ -0,0 +1,217 @@
+// Suggestion overlay
+// Renders the suggestions pushed by the main process and reports which one
+// was picked. Everything outside the panel lets clicks through.
+// Click or 1-9 inserts a suggestion; Shift+click, Shift+1-9 or the send
+// button inserts and sends it. Typing in the search box (/ focuses it)
+// lists matching snippets instead; Enter inserts the first one.
+
+class SuggestionOverlay {
+    constructor() {
+        this.panel = document.getElementById('suggestionOverlay');
+        this.title = document.getElementById('overlayTitle');
+        this.status = document.getElementById('overlayStatus');
+        this.list = document.getElementById('overlaySuggestions');
+        this.search = document.getElementById('overlaySearch');
+        this.suggestions = [];
+        this.loading = false;
+        this.snippets = null;
+        this.searchRequest = 0;
+        this.searchSnippets = Utils.debounce(() => this.loadSnippets(), 150);
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        window.overlayAPI.onLoading((event, info) => this.showLoading(info));
+        window.overlayAPI.onSuggestions((event, result) => this.showSuggestions(result));
+        window.overlayAPI.onError((event, error) => {
+            this.loading = false;
+            this.showStatus(error.message);
+        });
+        window.overlayAPI.onClear(() => this.clear());
+
+        // Capture the mouse only while it is over the panel
+        this.panel.addEventListener('mouseenter', () => window.overlayAPI.setInteractive(true));
+        this.panel.addEventListener('mouseleave', () => window.overlayAPI.setInteractive(false));
+
+        document.getElementById('overlayClose').addEventListener('click', () => {
+            window.overlayAPI.dismiss();
+        });
+
+        this.search.addEventListener('input', () => {
+            // Typing a search counts as using the overlay
+            window.overlayAPI.setInteractive(true);
+            this.searchSnippets();
+        });
+
+        this.search.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.search.value) {
+                event.stopPropagation();
+                this.search.value = '';
+                this.loadSnippets();
+            } else if (event.key === 'Enter' && this.snippets && this.snippets.length > 0) {
+                event.preventDefault();
+                this.chooseSnippet(this.snippets[0].id, event.shiftKey);
+            }
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                window.overlayAPI.dismiss();
+                return;
+            }
+            if (event.target === this.search) return;
+            if (event.key === '/') {
+                event.preventDefault();
+                this.search.focus();
+                return;
+            }
+
+            // Shift turns digits into symbols, so read the physical key
+            const match = /^Digit([1-9])$/.exec(event.code);
+            const rank = match ? parseInt(match[1], 10) : 0;
+            if (rank >= 1 && rank <= this.suggestions.length) {
+                this.choose(rank, event.shiftKey);
+            }
+        });
+    }
+
+    showLoading(info) {
+        document.body.className = info.orientation;
+        document.body.dataset.edge = info.edge;
+
+        this.title.textContent = info.contact
+            ? `Reply to ${info.contact}${info.platform ? ` · ${Utils.capitalizeFirst(info.platform)}` : ''}`
+            : 'Chatsy';
+        this.suggestions = [];
+        this.loading = true;
+        this.snippets = null;
+        this.search.value = '';
+        this.list.innerHTML = '';
+        this.showStatus('Thinking…');
+        this.panel.classList.remove('hidden');
+    }
+
+    showSuggestions(result) {
+        this.suggestions = result.suggestions;
+        this.loading = false;
+        // Search results stay on screen until the search is cleared
+        if (this.snippets) return;
+        this.renderSuggestions();
+    }
+
+    renderSuggestions() {
+        this.list.innerHTML = '';
+        if (this.loading) {
+            this.showStatus('Thinking…');
+            return;
+        }
+
+        if (this.suggestions.length === 0) {
+            this.showStatus('No suggestions this time');
+            return;
+        }
+
+        this.showStatus('');
+        this.suggestions.forEach((text, index) => {
+            const item = document.createElement('div');
+            item.className = 'suggestion';
+            item.title = `Insert (${index + 1}) · Shift to insert and send`;
+            item.innerHTML = `
+                <span class="suggestion-key">${index + 1}</span>
+                <span class="suggestion-text"></span>
+                <button class="suggestion-send" title="Insert and send">&#10148;</button>
+            `;
+            item.querySelector('.suggestion-text').textContent = text;
+            item.addEventListener('click', (event) => this.choose(index + 1, event.shiftKey));
+            item.querySelector('.suggestion-send').addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.choose(index + 1, true);
+            });
+            this.list.appendChild(item);
+        });
+    }
+
+    async loadSnippets() {
+        const query = this.search.value.trim();
+        const request = ++this.searchRequest;
+        if (!query) {
+            this.snippets = null;
+            this.renderSuggestions();
+            return;
+        }
+
+        try {
+            const snippets = await window.overlayAPI.searchSnippets(query);
+            if (request !== this.searchRequest) return;
+            this.snippets = snippets;
+            this.renderSnippets();
+        } catch (error) {
+            console.error('Failed to search snippets:', error);
+            this.showStatus(error.message);
+        }
+    }
+
+    renderSnippets() {
+        this.list.innerHTML = '';
+        this.showStatus(this.snippets.length === 0 ? 'No matching snippets' : '');
+
+        this.snippets.forEach((snippet, index) => {
+            const item = document.createElement('div');
+            item.className = 'suggestion snippet';
+            item.title = `${snippet.folder}${snippet.abbreviation ? ` · ${snippet.abbreviation}` : ''} · Shift to insert and send`;
+            item.innerHTML = `
+                <span class="suggestion-key">${index === 0 ? '&#8629;' : ''}</span>
+                <span class="snippet-body">
+                    <span class="snippet-name"></span>
+                    <span class="suggestion-text"></span>
+                </span>
+                <button class="suggestion-send" title="Insert and send">&#10148;</button>
+            `;
+            item.querySelector('.snippet-name').textContent = snippet.name;
+            item.querySelector('.suggestion-text').textContent = snippet.preview;
+            item.addEventListener('click', (event) => this.chooseSnippet(snippet.id, event.shiftKey));
+            item.querySelector('.suggestion-send').addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.chooseSnippet(snippet.id, true);
+            });
+            this.list.appendChild(item);
+        });
+    }
+
+    async chooseSnippet(id, send = false) {
+        try {
+            await window.overlayAPI.chooseSnippet(id, { send });
+        } catch (error) {
+            console.error('Failed to use snippet:', error);
+            this.showStatus(error.message);
+        }
+    }
+
+    showStatus(message) {
+        this.status.textContent = message || '';
+        this.status.classList.toggle('hidden', !message);
+    }
+
+    async choose(rank, send = false) {
+        try {
+            await window.overlayAPI.choose(rank, { send });
+        } catch (error) {
+            console.error('Failed to use suggestion:', error);
+            this.showStatus(error.message);
+        }
+    }
+
+    clear() {
+        this.suggestions = [];
+        this.snippets = null;
+        this.searchRequest++;
+        this.search.value = '';
+        this.list.innerHTML = '';
+        this.panel.classList.add('hidden');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.suggestionOverlay = new SuggestionOverlay();
+});
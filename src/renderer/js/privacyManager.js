@@ -1,12 +1,9 @@
-// Placeholder for privacy manager
-// Handles encryption, anonymization, and privacy dashboard features
+// Privacy manager
+// Anonymization (src/services/anonymizer.js) runs in the main process; these
+// helpers call it over IPC. Encryption keys never leave the main process.
 
-export function encryptData(data) {
-  // TODO: Implement encryption using device-specific keys
-  return data;
-}
-
-export function anonymizeContext(context) {
-  // TODO: Implement context anonymization
-  return context;
+// Resolves to { context, redactions } with personal data replaced by
+// placeholders such as <PERSON_1>
+export async function anonymizeContext(context) {
+  return window.electronAPI.anonymizeContext(context);
 }
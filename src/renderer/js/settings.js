@@ -3,7 +3,13 @@ class SettingsManager {
     constructor() {
         this.settings = {};
         this.apiKeys = {};
+        this.aiSettings = {};
         this.privacySettings = {};
+        this.encryptionStatus = {};
+        this.cacheStats = null;
+        this.snippets = [];
+        this.providers = ['huggingface', 'gemini', 'openai'];
+        this.tones = ['formal', 'casual', 'brief', 'warm', 'professional'];
         this.init();
     }
 
@@ -17,13 +23,95 @@ class SettingsManager {
         try {
             this.settings = await window.electronAPI.getSettings();
             this.apiKeys = await window.electronAPI.getApiKeys();
+            this.aiSettings = await window.electronAPI.getAiSettings();
             this.privacySettings = await window.electronAPI.getPrivacySettings();
+            this.encryptionStatus = await window.electronAPI.getEncryptionStatus();
+            this.cacheStats = await window.electronAPI.getResponseCacheStats();
+            this.snippets = await window.electronAPI.listSnippets();
         } catch (error) {
             console.error('Failed to load settings:', error);
         }
     }
 
     initEventListeners() {
+        // Encryption key management
+        document.getElementById('setPassphraseBtn').addEventListener('click', () => {
+            this.changePassphrase();
+        });
+
+        document.getElementById('rotateKeysBtn').addEventListener('click', () => {
+            this.rotateKeys();
+        });
+
+        // Redaction log
+        document.getElementById('viewRedactionsBtn').addEventListener('click', () => {
+            this.showRedactionLog();
+        });
+
+        document.getElementById('clearResponseCacheBtn').addEventListener('click', () => {
+            this.clearResponseCache();
+        });
+
+        // Reply profiles
+        document.getElementById('addProfileBtn').addEventListener('click', () => {
+            this.editProfile(null);
+        });
+
+        document.getElementById('profileList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const profile = this.aiSettings.profiles.find(item => item.id === button.dataset.id);
+            if (button.dataset.action === 'edit') {
+                this.editProfile(profile);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteProfile(profile);
+            }
+        });
+
+        document.getElementById('assignProfileBtn').addEventListener('click', () => {
+            this.assignContactProfile();
+        });
+
+        document.getElementById('contactProfileList').addEventListener('change', (e) => {
+            if (e.target.matches('select[data-conversation]')) {
+                this.setContactProfile(e.target.dataset.conversation, e.target.value || null);
+            }
+        });
+
+        document.getElementById('contactProfileList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-conversation]');
+            if (button) {
+                this.setContactProfile(button.dataset.conversation, null);
+            }
+        });
+
+        // Snippets
+        document.getElementById('addSnippetBtn').addEventListener('click', () => {
+            this.editSnippet(null);
+        });
+
+        document.getElementById('snippetSearch').addEventListener('input', Utils.debounce(() => {
+            this.loadSnippets();
+        }, 200));
+
+        document.getElementById('snippetList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const snippet = this.snippets.find(item => item.id === button.dataset.id);
+            if (button.dataset.action === 'edit') {
+                this.editSnippet(snippet);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteSnippet(snippet);
+            }
+        });
+
+        // Provider test buttons
+        document.querySelectorAll('.test-provider-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.testApiConnection(button.dataset.provider);
+            });
+        });
+
         // Save settings button
         document.getElementById('saveSettingsBtn').addEventListener('click', () => {
             this.saveSettings();
@@ -51,16 +139,83 @@ class SettingsManager {
         document.getElementById('minimizeToTray').checked = this.settings.minimizeToTray !== false;
         document.getElementById('notifications').checked = this.settings.notifications !== false;
         document.getElementById('theme').value = this.settings.theme || 'light';
+        document.getElementById('insertMode').value = this.settings.insertMode || 'auto';
 
         // API keys
         document.getElementById('huggingfaceKey').value = this.apiKeys.huggingface || '';
         document.getElementById('geminiKey').value = this.apiKeys.gemini || '';
         document.getElementById('openaiKey').value = this.apiKeys.openai || '';
 
+        // AI provider settings
+        const providerSettings = this.aiSettings.providers || {};
+        document.getElementById('defaultAiProvider').value = this.aiSettings.defaultProvider || 'huggingface';
+        document.getElementById('aiFallbackEnabled').checked = this.aiSettings.fallbackEnabled !== false;
+        this.providers.forEach(provider => {
+            const settings = providerSettings[provider] || {};
+            document.getElementById(`${provider}Model`).value = settings.model || '';
+            document.getElementById(`${provider}Temperature`).value = settings.temperature !== undefined ? settings.temperature : '';
+            document.getElementById(`${provider}MaxTokens`).value = settings.maxTokens || '';
+        });
+
+        this.renderProfiles();
+
+        // Snippets
+        document.getElementById('myName').value = this.settings.myName || '';
+        this.renderSnippets();
+
         // Privacy settings
         document.getElementById('dataRetention').value = this.privacySettings.dataRetentionDays || 30;
         document.getElementById('enableEncryption').checked = this.privacySettings.enableEncryption !== false;
         document.getElementById('enableAnalytics').checked = this.privacySettings.enableAnalytics || false;
+        this.renderEncryptionStatus();
+        this.renderCacheStats();
+
+        // Redaction settings
+        const redaction = this.privacySettings.redaction || {};
+        document.getElementById('redactionEnabled').checked = redaction.enabled !== false;
+        document.querySelectorAll('.redaction-rule').forEach(checkbox => {
+            checkbox.checked = (redaction.rules || {})[checkbox.dataset.rule] !== false;
+        });
+        document.getElementById('redactionTerms').value = (redaction.customTerms || []).join('\n');
+    }
+
+    renderEncryptionStatus() {
+        const labels = {
+            safeStorage: '(protected by Windows)',
+            passphrase: '(protected by passphrase)',
+            none: '(not protected)'
+        };
+        document.getElementById('encryptionProtection').textContent = labels[this.encryptionStatus.protection] || '';
+    }
+
+    renderCacheStats() {
+        const element = document.getElementById('responseCacheStats');
+        const stats = this.cacheStats;
+        if (!stats) {
+            element.textContent = '';
+        } else if (!stats.enabled) {
+            element.textContent = '(off)';
+        } else {
+            element.textContent = `(${stats.entries} replies, ${Utils.formatFileSize(stats.bytes)}, ` +
+                `${stats.hits} hits / ${stats.misses} misses, ${stats.hitRate}% hit rate)`;
+        }
+    }
+
+    async clearResponseCache() {
+        try {
+            const removed = await window.electronAPI.clearResponseCache();
+            this.cacheStats = await window.electronAPI.getResponseCacheStats();
+            this.renderCacheStats();
+
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification(`Removed ${removed} cached repl${removed === 1 ? 'y' : 'ies'}`, 'success');
+            }
+        } catch (error) {
+            console.error('Failed to clear response cache:', error);
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification('Failed to clear response cache', 'error');
+            }
+        }
     }
 
     async saveSettings() {
@@ -70,7 +225,9 @@ class SettingsManager {
                 autoStart: document.getElementById('autoStart').checked,
                 minimizeToTray: document.getElementById('minimizeToTray').checked,
                 notifications: document.getElementById('notifications').checked,
-                theme: document.getElementById('theme').value
+                theme: document.getElementById('theme').value,
+                insertMode: document.getElementById('insertMode').value,
+                myName: document.getElementById('myName').value.trim()
             };
 
             const newApiKeys = {
@@ -79,25 +236,42 @@ class SettingsManager {
                 openai: document.getElementById('openaiKey').value.trim()
             };
 
+            const newAiSettings = {
+                defaultProvider: document.getElementById('defaultAiProvider').value,
+                fallbackEnabled: document.getElementById('aiFallbackEnabled').checked,
+                providers: this.collectProviderSettings(),
+                ...this.collectProfileAssignments()
+            };
+
             const newPrivacySettings = {
                 dataRetentionDays: parseInt(document.getElementById('dataRetention').value),
                 enableEncryption: document.getElementById('enableEncryption').checked,
-                enableAnalytics: document.getElementById('enableAnalytics').checked
+                enableAnalytics: document.getElementById('enableAnalytics').checked,
+                redaction: this.collectRedactionSettings()
             };
 
             // Save settings
             await window.electronAPI.setSettings(newSettings);
             await window.electronAPI.setApiKeys(newApiKeys);
+            await window.electronAPI.setAiSettings(newAiSettings);
             await window.electronAPI.setPrivacySettings(newPrivacySettings);
 
             // Update local state
             this.settings = { ...this.settings, ...newSettings };
             this.apiKeys = { ...this.apiKeys, ...newApiKeys };
+            this.aiSettings = await window.electronAPI.getAiSettings();
             this.privacySettings = { ...this.privacySettings, ...newPrivacySettings };
 
             // Apply theme
             this.applyTheme(newSettings.theme);
 
+            // Keep the dashboard's provider label in sync
+            if (window.chatsyApp) {
+                window.chatsyApp.aiSettings = this.aiSettings;
+                window.chatsyApp.apiKeys = this.apiKeys;
+                window.chatsyApp.updateProviderUI();
+            }
+
             // Show success notification
             if (window.chatsyApp) {
                 window.chatsyApp.showNotification('Settings saved successfully', 'success');
@@ -117,6 +291,385 @@ class SettingsManager {
         }
     }
 
+    collectRedactionSettings() {
+        const rules = {};
+        document.querySelectorAll('.redaction-rule').forEach(checkbox => {
+            rules[checkbox.dataset.rule] = checkbox.checked;
+        });
+
+        return {
+            ...(this.privacySettings.redaction || {}),
+            enabled: document.getElementById('redactionEnabled').checked,
+            rules,
+            customTerms: document.getElementById('redactionTerms').value
+                .split('\n')
+                .map(term => term.trim())
+                .filter(Boolean)
+        };
+    }
+
+    profileOptions(selected, emptyLabel) {
+        const options = [`<option value="">${emptyLabel}</option>`];
+        (this.aiSettings.profiles || []).forEach(profile => {
+            const isSelected = profile.id === selected ? ' selected' : '';
+            options.push(`<option value="${Utils.escapeHtml(profile.id)}"${isSelected}>${Utils.escapeHtml(profile.name)}</option>`);
+        });
+        return options.join('');
+    }
+
+    renderProfiles() {
+        const platformProfiles = this.aiSettings.platformProfiles || {};
+        document.getElementById('defaultProfile').innerHTML = this.profileOptions(this.aiSettings.defaultProfile, 'None');
+        document.querySelectorAll('.platform-profile').forEach(select => {
+            select.innerHTML = this.profileOptions(platformProfiles[select.dataset.platform], 'Use default');
+        });
+
+        const emojiLabels = { none: 'no emoji', some: 'some emoji', lots: 'lots of emoji' };
+        document.getElementById('profileList').innerHTML = (this.aiSettings.profiles || []).map(profile => `
+            <div class="profile-item">
+                <div>
+                    <strong>${Utils.escapeHtml(profile.name)}</strong>
+                    <small>${Utils.capitalizeFirst(profile.tone)} · ${emojiLabels[profile.emoji] || ''}${profile.language ? ` · ${Utils.escapeHtml(profile.language)}` : ''}</small>
+                    ${profile.instructions ? `<div class="profile-instructions">${Utils.escapeHtml(profile.instructions)}</div>` : ''}
+                </div>
+                <div class="setting-group">
+                    <button class="btn btn-secondary" data-action="edit" data-id="${Utils.escapeHtml(profile.id)}">Edit</button>
+                    ${profile.builtin ? '' : `<button class="btn btn-secondary" data-action="delete" data-id="${Utils.escapeHtml(profile.id)}">Delete</button>`}
+                </div>
+            </div>
+        `).join('');
+
+        this.loadContactProfiles();
+    }
+
+    async loadContactProfiles() {
+        try {
+            const conversations = await window.electronAPI.listConversations();
+            this.conversations = conversations;
+            const assigned = conversations.filter(conversation => conversation.profileId);
+            const element = document.getElementById('contactProfileList');
+
+            element.innerHTML = assigned.length === 0
+                ? '<p class="empty-hint">Every contact uses its platform profile or the default.</p>'
+                : assigned.map(conversation => `
+                    <div class="profile-item">
+                        <div>
+                            <strong>${Utils.escapeHtml(conversation.name)}</strong>
+                            <small>${Utils.capitalizeFirst(conversation.platform)}</small>
+                        </div>
+                        <div class="setting-group">
+                            <select class="select" data-conversation="${Utils.escapeHtml(conversation.id)}">
+                                ${this.profileOptions(conversation.profileId, 'Use platform or default')}
+                            </select>
+                            <button class="btn btn-secondary" data-conversation="${Utils.escapeHtml(conversation.id)}">Remove</button>
+                        </div>
+                    </div>
+                `).join('');
+        } catch (error) {
+            console.error('Failed to load contact profiles:', error);
+        }
+    }
+
+    collectProfileAssignments() {
+        const platformProfiles = {};
+        document.querySelectorAll('.platform-profile').forEach(select => {
+            if (select.value) {
+                platformProfiles[select.dataset.platform] = select.value;
+            }
+        });
+        return {
+            defaultProfile: document.getElementById('defaultProfile').value || null,
+            platformProfiles
+        };
+    }
+
+    async editProfile(profile) {
+        const current = profile || { name: '', tone: 'casual', emoji: 'some', language: '', instructions: '' };
+        const toneOptions = this.tones.map(tone =>
+            `<option value="${tone}"${tone === current.tone ? ' selected' : ''}>${Utils.capitalizeFirst(tone)}</option>`
+        ).join('');
+        const emojiOptions = [['none', 'None'], ['some', 'Now and then'], ['lots', 'Lots']].map(([value, label]) =>
+            `<option value="${value}"${value === current.emoji ? ' selected' : ''}>${label}</option>`
+        ).join('');
+
+        const content = `
+            <div class="setting-item">
+                <label for="profileName">Name</label>
+                <input type="text" id="profileName" class="input" value="${Utils.escapeHtml(current.name)}"${profile && profile.builtin ? ' disabled' : ''}>
+            </div>
+            <div class="setting-item">
+                <label for="profileTone">Tone</label>
+                <select id="profileTone" class="select">${toneOptions}</select>
+            </div>
+            <div class="setting-item">
+                <label for="profileEmoji">Emoji</label>
+                <select id="profileEmoji" class="select">${emojiOptions}</select>
+            </div>
+            <div class="setting-item">
+                <label for="profileLanguage">Language</label>
+                <input type="text" id="profileLanguage" class="input" placeholder="Same as the chat" value="${Utils.escapeHtml(current.language)}">
+            </div>
+            <div class="setting-item">
+                <label for="profileInstructions">Instructions</label>
+                <textarea id="profileInstructions" class="input" rows="3" placeholder="e.g. Call her Dr. Lee, never make jokes">${Utils.escapeHtml(current.instructions)}</textarea>
+            </div>
+        `;
+
+        const choice = await Utils.showModal(profile ? `Edit ${profile.name}` : 'New Profile', content, [
+            { text: 'Cancel' },
+            { text: 'Save', primary: true }
+        ]);
+        if (choice !== 1) return;
+
+        try {
+            await window.electronAPI.saveReplyProfile({
+                id: profile ? profile.id : undefined,
+                name: document.getElementById('profileName').value,
+                tone: document.getElementById('profileTone').value,
+                emoji: document.getElementById('profileEmoji').value,
+                language: document.getElementById('profileLanguage').value,
+                instructions: document.getElementById('profileInstructions').value
+            });
+            await this.reloadProfiles();
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification('Profile saved', 'success');
+            }
+        } catch (error) {
+            console.error('Failed to save profile:', error);
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification(`Failed to save profile: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    async deleteProfile(profile) {
+        const confirmed = await Utils.confirm(
+            `Delete the "${Utils.escapeHtml(profile.name)}" profile? Contacts and platforms using it go back to the default.`,
+            'Delete Profile'
+        );
+        if (!confirmed) return;
+
+        try {
+            await window.electronAPI.deleteReplyProfile(profile.id);
+            await this.reloadProfiles();
+        } catch (error) {
+            console.error('Failed to delete profile:', error);
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification(`Failed to delete profile: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    async assignContactProfile() {
+        const conversations = this.conversations || await window.electronAPI.listConversations();
+        if (conversations.length === 0) {
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification('No conversations yet', 'info');
+            }
+            return;
+        }
+
+        const contactOptions = conversations.map(conversation =>
+            `<option value="${Utils.escapeHtml(conversation.id)}">${Utils.escapeHtml(conversation.name)} (${Utils.capitalizeFirst(conversation.platform)})</option>`
+        ).join('');
+        const content = `
+            <div class="setting-item">
+                <label for="assignContact">Contact</label>
+                <select id="assignContact" class="select">${contactOptions}</select>
+            </div>
+            <div class="setting-item">
+                <label for="assignProfile">Profile</label>
+                <select id="assignProfile" class="select">${this.profileOptions(null, 'Choose a profile')}</select>
+            </div>
+        `;
+
+        const choice = await Utils.showModal('Assign Profile', content, [
+            { text: 'Cancel' },
+            { text: 'Assign', primary: true }
+        ]);
+        const profileId = document.getElementById('assignProfile').value;
+        if (choice !== 1 || !profileId) return;
+
+        await this.setContactProfile(document.getElementById('assignContact').value, profileId);
+    }
+
+    async setContactProfile(conversationId, profileId) {
+        try {
+            await window.electronAPI.setConversationProfile(conversationId, profileId);
+            await this.loadContactProfiles();
+        } catch (error) {
+            console.error('Failed to assign profile:', error);
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification('Failed to assign profile', 'error');
+            }
+        }
+    }
+
+    // Keep unsaved default and platform choices while the list refreshes
+    async reloadProfiles() {
+        const assignments = this.collectProfileAssignments();
+        this.aiSettings = { ...(await window.electronAPI.getAiSettings()), ...assignments };
+        this.renderProfiles();
+    }
+
+    renderSnippets() {
+        const element = document.getElementById('snippetList');
+        if (this.snippets.length === 0) {
+            element.innerHTML = document.getElementById('snippetSearch').value.trim()
+                ? '<p class="empty-hint">No matching snippets.</p>'
+                : '<p class="empty-hint">No snippets yet. Add replies you type often.</p>';
+            return;
+        }
+
+        const platformLabel = (snippet) => (snippet.platform ? Utils.capitalizeFirst(snippet.platform) : 'All platforms');
+        const folders = new Map();
+        this.snippets.forEach(snippet => {
+            if (!folders.has(snippet.folder)) folders.set(snippet.folder, []);
+            folders.get(snippet.folder).push(snippet);
+        });
+
+        element.innerHTML = Array.from(folders, ([folder, snippets]) => `
+            <h4 class="snippet-folder">${Utils.escapeHtml(folder)}</h4>
+            ${snippets.map(snippet => `
+                <div class="profile-item">
+                    <div>
+                        <strong>${Utils.escapeHtml(snippet.name)}</strong>
+                        ${snippet.abbreviation ? `<span class="snippet-abbreviation">${Utils.escapeHtml(snippet.abbreviation)}</span>` : ''}
+                        <small>${platformLabel(snippet)}</small>
+                        <div class="snippet-text">${Utils.escapeHtml(snippet.text)}</div>
+                    </div>
+                    <div class="setting-group">
+                        <button class="btn btn-secondary" data-action="edit" data-id="${Utils.escapeHtml(snippet.id)}">Edit</button>
+                        <button class="btn btn-secondary" data-action="delete" data-id="${Utils.escapeHtml(snippet.id)}">Delete</button>
+                    </div>
+                </div>
+            `).join('')}
+        `).join('');
+    }
+
+    async loadSnippets() {
+        try {
+            this.snippets = await window.electronAPI.listSnippets(document.getElementById('snippetSearch').value.trim());
+            this.renderSnippets();
+        } catch (error) {
+            console.error('Failed to load snippets:', error);
+        }
+    }
+
+    async editSnippet(snippet) {
+        const current = snippet || { name: '', abbreviation: '', folder: '', platform: null, text: '' };
+        const platformOptions = [['', 'All platforms'], ['whatsapp', 'WhatsApp'], ['instagram', 'Instagram'], ['telegram', 'Telegram']]
+            .map(([value, label]) => `<option value="${value}"${value === (current.platform || '') ? ' selected' : ''}>${label}</option>`)
+            .join('');
+        const folders = Array.from(new Set(this.snippets.map(item => item.folder)));
+        const variables = ['{contact.firstName}', '{contact.lastName}', '{contact.name}', '{platform}', '{myName}',
+            '{today}', '{tomorrow}', '{weekday}', '{time}', '{cursor}'];
+
+        const content = `
+            <div class="setting-item">
+                <label for="snippetName">Name</label>
+                <input type="text" id="snippetName" class="input" value="${Utils.escapeHtml(current.name)}">
+            </div>
+            <div class="setting-item">
+                <label for="snippetAbbreviation">Abbreviation</label>
+                <input type="text" id="snippetAbbreviation" class="input" placeholder="e.g. ;addr" value="${Utils.escapeHtml(current.abbreviation)}">
+            </div>
+            <div class="setting-item">
+                <label for="snippetFolder">Folder</label>
+                <input type="text" id="snippetFolder" class="input" list="snippetFolders" placeholder="General" value="${Utils.escapeHtml(current.folder)}">
+                <datalist id="snippetFolders">
+                    ${folders.map(folder => `<option value="${Utils.escapeHtml(folder)}">`).join('')}
+                </datalist>
+            </div>
+            <div class="setting-item">
+                <label for="snippetPlatform">Platform</label>
+                <select id="snippetPlatform" class="select">${platformOptions}</select>
+            </div>
+            <div class="setting-item">
+                <label for="snippetText">Text</label>
+                <textarea id="snippetText" class="input" rows="5" placeholder="Hi {contact.firstName}, {cursor}">${Utils.escapeHtml(current.text)}</textarea>
+            </div>
+            <p class="variable-hint">${variables.map(variable => `<code>${variable}</code>`).join('')}</p>
+        `;
+
+        const choice = await Utils.showModal(snippet ? `Edit ${snippet.name}` : 'New Snippet', content, [
+            { text: 'Cancel' },
+            { text: 'Save', primary: true }
+        ]);
+        if (choice !== 1) return;
+
+        try {
+            await window.electronAPI.saveSnippet({
+                id: snippet ? snippet.id : undefined,
+                name: document.getElementById('snippetName').value,
+                abbreviation: document.getElementById('snippetAbbreviation').value,
+                folder: document.getElementById('snippetFolder').value,
+                platform: document.getElementById('snippetPlatform').value || null,
+                text: document.getElementById('snippetText').value
+            });
+            await this.loadSnippets();
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification('Snippet saved', 'success');
+            }
+        } catch (error) {
+            console.error('Failed to save snippet:', error);
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification(`Failed to save snippet: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    async deleteSnippet(snippet) {
+        const confirmed = await Utils.confirm(`Delete the "${Utils.escapeHtml(snippet.name)}" snippet?`, 'Delete Snippet');
+        if (!confirmed) return;
+
+        try {
+            await window.electronAPI.deleteSnippet(snippet.id);
+            await this.loadSnippets();
+        } catch (error) {
+            console.error('Failed to delete snippet:', error);
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification(`Failed to delete snippet: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    async showRedactionLog() {
+        try {
+            const events = await window.electronAPI.listRedactions(50);
+            const content = events.length === 0
+                ? '<p>Nothing has been hidden yet.</p>'
+                : events.map(event => `
+                    <div class="activity-item">
+                        <i class="fas fa-user-secret"></i>
+                        <div>
+                            <div>${event.data.items.map(item => `${Utils.escapeHtml(item.placeholder)} = ${Utils.escapeHtml(item.value)}`).join('<br>')}</div>
+                            <small style="color: #999;">Sent to ${Utils.escapeHtml(event.data.provider)} · ${Utils.formatDateTime(event.timestamp)}</small>
+                        </div>
+                    </div>
+                `).join('');
+
+            await Utils.showModal('Hidden From AI Providers', content, [{ text: 'Close', primary: true }]);
+        } catch (error) {
+            console.error('Failed to load redaction log:', error);
+        }
+    }
+
+    collectProviderSettings() {
+        const providers = {};
+        this.providers.forEach(provider => {
+            const current = (this.aiSettings.providers || {})[provider] || {};
+            const temperature = parseFloat(document.getElementById(`${provider}Temperature`).value);
+            const maxTokens = parseInt(document.getElementById(`${provider}MaxTokens`).value);
+            providers[provider] = {
+                model: document.getElementById(`${provider}Model`).value.trim() || current.model,
+                temperature: isNaN(temperature) ? current.temperature : temperature,
+                maxTokens: isNaN(maxTokens) ? current.maxTokens : maxTokens
+            };
+        });
+        return providers;
+    }
+
     async resetSettings() {
         try {
             const result = await window.electronAPI.showMessageBox({
@@ -135,7 +688,8 @@ class SettingsManager {
                     autoStart: false,
                     minimizeToTray: true,
                     notifications: true,
-                    theme: 'light'
+                    theme: 'light',
+                    insertMode: 'auto'
                 };
 
                 const defaultApiKeys = {
@@ -147,17 +701,25 @@ class SettingsManager {
                 const defaultPrivacySettings = {
                     dataRetentionDays: 30,
                     enableEncryption: true,
-                    enableAnalytics: false
+                    enableAnalytics: false,
+                    redaction: {
+                        enabled: true,
+                        rules: { name: true, phone: true, email: true, url: true, card: true, iban: true, address: true },
+                        customTerms: [],
+                        customPatterns: []
+                    }
                 };
 
                 // Save defaults
                 await window.electronAPI.setSettings(defaultSettings);
                 await window.electronAPI.setApiKeys(defaultApiKeys);
+                await window.electronAPI.resetAiSettings();
                 await window.electronAPI.setPrivacySettings(defaultPrivacySettings);
 
                 // Update local state
                 this.settings = defaultSettings;
                 this.apiKeys = defaultApiKeys;
+                this.aiSettings = await window.electronAPI.getAiSettings();
                 this.privacySettings = defaultPrivacySettings;
 
                 // Repopulate form
@@ -179,6 +741,63 @@ class SettingsManager {
         }
     }
 
+    async changePassphrase() {
+        try {
+            const passphrase = await Utils.promptPassword(
+                'Enter a new passphrase to protect your encryption keys, or leave it empty to use Windows key storage.',
+                'Set Passphrase'
+            );
+            if (passphrase === null) return;
+
+            if (passphrase) {
+                const confirmation = await Utils.promptPassword('Enter the passphrase again to confirm.', 'Confirm Passphrase');
+                if (confirmation !== passphrase) {
+                    throw new Error('Passphrases do not match');
+                }
+            }
+
+            await window.electronAPI.setEncryptionPassphrase(passphrase);
+            this.encryptionStatus = await window.electronAPI.getEncryptionStatus();
+            this.renderEncryptionStatus();
+
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification(passphrase ? 'Passphrase set' : 'Passphrase removed', 'success');
+            }
+        } catch (error) {
+            console.error('Failed to set passphrase:', error);
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification(`Failed to set passphrase: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    async rotateKeys() {
+        try {
+            const confirmed = await Utils.confirm(
+                'Generate new encryption keys and re-encrypt all stored data?',
+                'Rotate Keys'
+            );
+            if (!confirmed) return;
+
+            let passphrase;
+            if (this.encryptionStatus.protection === 'passphrase') {
+                passphrase = await Utils.promptPassword('Enter your passphrase to protect the new keys.');
+                if (passphrase === null) return;
+            }
+
+            await window.electronAPI.rotateEncryptionKeys(passphrase);
+
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification('Encryption keys rotated', 'success');
+            }
+        } catch (error) {
+            console.error('Failed to rotate keys:', error);
+            if (window.chatsyApp) {
+                window.chatsyApp.showNotification(`Failed to rotate keys: ${error.message}`, 'error');
+            }
+        }
+    }
+
     applyTheme(theme) {
         document.body.className = `theme-${theme}`;
         
@@ -248,11 +867,10 @@ class SettingsManager {
                 throw new Error('No API key configured');
             }
 
-            // Test API connection logic here
-            // This would make a test request to the respective API
+            const result = await window.electronAPI.testAiProvider(provider);
             
             if (window.chatsyApp) {
-                window.chatsyApp.showNotification(`${provider} API connection successful`, 'success');
+                window.chatsyApp.showNotification(`${provider} API connection successful (${result.latencyMs}ms)`, 'success');
             }
         } catch (error) {
             console.error(`Failed to test ${provider} API:`, error);
@@ -0,0 +1,489 @@
+// Thread View
+// Shows one conversation's messages grouped by day, with each incoming
+// message's tags and the suggestions offered for it. Older pages are loaded
+// from the store as the user scrolls up. With virtual scrolling only the
+// rows near the viewport are in the page: row heights are estimated until a
+// row has been drawn once and measured.
+
+const THREAD_PAGE_SIZE = 200;
+// Rows drawn above and below the viewport, so fast scrolling finds them ready
+const THREAD_OVERSCAN_PX = 800;
+// Start loading the previous (or next) page this far from the edge
+const THREAD_LOAD_THRESHOLD_PX = 1200;
+// How long a message opened from search stays highlighted
+const THREAD_HIGHLIGHT_MS = 2500;
+const THREAD_DAY_HEIGHT = 44;
+
+const SUGGESTION_OUTCOMES = {
+    accepted: 'Used',
+    edited: 'Edited',
+    dismissed: 'Dismissed',
+    'timed-out': 'Not used',
+    shown: 'Shown'
+};
+
+class ThreadView {
+    /**
+     * @param {HTMLElement} viewport - Scrolling container
+     * @param {object} [options]
+     * @param {boolean} [options.virtual] - ENABLE_VIRTUAL_SCROLLING
+     * @param {boolean} [options.lazy] - ENABLE_LAZY_LOADING; off loads the whole thread at once
+     * @param {(analysis: object) => string} [options.renderBadges] - HTML for a message's tags
+     */
+    constructor(viewport, options = {}) {
+        this.viewport = viewport;
+        this.virtual = options.virtual !== false;
+        this.lazy = options.lazy !== false;
+        this.renderBadges = options.renderBadges || (() => '');
+
+        this.spacer = document.createElement('div');
+        this.spacer.className = `thread-spacer${this.virtual ? ' virtual' : ''}`;
+        this.viewport.innerHTML = '';
+        this.viewport.appendChild(this.spacer);
+
+        // Bumped on every open and close so late answers are dropped
+        this.request = 0;
+        this.highlightTimer = null;
+        this.reset();
+
+        this.viewport.addEventListener('scroll', () => this.handleScroll());
+        // Rows reflow when the pane changes width; measure them again
+        this.width = 0;
+        new ResizeObserver(() => {
+            if (this.viewport.clientWidth === this.width) return;
+            this.width = this.viewport.clientWidth;
+            this.heights.clear();
+            this.layout();
+            this.render(true);
+        }).observe(this.viewport);
+    }
+
+    reset() {
+        this.conversationId = null;
+        this.messages = [];
+        this.rows = [];
+        this.rowIndex = new Map();
+        this.heights = new Map();
+        this.offsets = [0];
+        this.suggestions = new Map();
+        this.hasMore = false;
+        this.hasNewer = false;
+        this.total = 0;
+        this.loading = false;
+        this.range = null;
+        this.highlightId = null;
+        clearTimeout(this.highlightTimer);
+        this.spacer.innerHTML = '';
+        this.spacer.style.height = '';
+    }
+
+    // ---------------------------------------------------------------------------
+    // Loading
+    // ---------------------------------------------------------------------------
+
+    /**
+     * @param {string} conversationId
+     * @param {object} [options]
+     * @param {string} [options.messageId] - Open at this message instead of the newest
+     */
+    async open(conversationId, options = {}) {
+        this.reset();
+        this.conversationId = conversationId;
+        const request = ++this.request;
+
+        const query = { limit: this.lazy ? THREAD_PAGE_SIZE : Number.MAX_SAFE_INTEGER };
+        if (options.messageId && this.lazy) query.aroundId = options.messageId;
+        const [page, suggestions] = await Promise.all([
+            window.electronAPI.getMessages(conversationId, query),
+            window.electronAPI.listSuggestions({ conversationId })
+        ]);
+        if (request !== this.request) return;
+
+        this.setSuggestions(suggestions);
+        this.messages = page.messages;
+        this.hasMore = page.hasMore;
+        this.hasNewer = !!page.hasNewer;
+        this.total = page.total;
+        this.rebuild();
+        if (options.messageId && this.rowIndex.has(options.messageId)) {
+            this.scrollToMessage(options.messageId);
+        } else {
+            this.scrollToBottom();
+        }
+    }
+
+    close() {
+        this.request++;
+        this.reset();
+    }
+
+    setSuggestions(suggestions) {
+        this.suggestions = new Map();
+        suggestions.forEach(suggestion => {
+            if (!suggestion.messageId) return;
+            if (!this.suggestions.has(suggestion.messageId)) this.suggestions.set(suggestion.messageId, []);
+            this.suggestions.get(suggestion.messageId).push(suggestion);
+        });
+    }
+
+    async loadOlder() {
+        if (this.loading || !this.hasMore || this.messages.length === 0) return;
+        this.loading = true;
+        const request = this.request;
+
+        try {
+            const page = await window.electronAPI.getMessages(this.conversationId, {
+                beforeId: this.messages[0].id,
+                limit: THREAD_PAGE_SIZE
+            });
+            if (request !== this.request) return;
+
+            // Keep the row at the top of the viewport where it is
+            const anchor = this.anchor();
+            this.messages = page.messages.concat(this.messages);
+            this.hasMore = page.hasMore;
+            this.total = page.total;
+            this.rebuild(anchor);
+        } catch (error) {
+            console.error('Failed to load older messages:', error);
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    async loadNewer() {
+        if (this.loading || !this.hasNewer || this.messages.length === 0) return;
+        this.loading = true;
+        const request = this.request;
+
+        try {
+            const page = await window.electronAPI.getMessages(this.conversationId, {
+                afterId: this.messages[this.messages.length - 1].id,
+                limit: THREAD_PAGE_SIZE
+            });
+            if (request !== this.request) return;
+
+            const anchor = this.anchor();
+            this.messages = this.messages.concat(page.messages);
+            this.hasNewer = !!page.hasNewer;
+            this.total = page.total;
+            this.rebuild(anchor);
+        } catch (error) {
+            console.error('Failed to load newer messages:', error);
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    /**
+     * Pick up messages and suggestion outcomes stored since the thread was
+     * opened. Stays at the bottom if the user was reading the newest message.
+     */
+    async refresh() {
+        if (!this.conversationId) return;
+        const request = this.request;
+
+        if (this.hasNewer) {
+            // Reading older history; new messages come in through loadNewer()
+            const suggestions = await window.electronAPI.listSuggestions({ conversationId: this.conversationId });
+            if (request !== this.request) return;
+            const anchor = this.anchor();
+            this.setSuggestions(suggestions);
+            this.rebuild(anchor);
+            return;
+        }
+
+        const [page, suggestions] = await Promise.all([
+            window.electronAPI.getMessages(this.conversationId, { limit: THREAD_PAGE_SIZE }),
+            window.electronAPI.listSuggestions({ conversationId: this.conversationId })
+        ]);
+        if (request !== this.request) return;
+
+        const atBottom = this.isAtBottom();
+        const known = new Set(this.messages.map(message => message.id));
+        const newest = this.messages[this.messages.length - 1];
+        const added = page.messages.filter(message => !known.has(message.id));
+
+        if (page.total < this.total || (newest && added.length === page.messages.length && page.hasMore)) {
+            // Messages were deleted, or more arrived than one page; start over
+            await this.open(this.conversationId);
+            return;
+        }
+
+        const anchor = this.anchor();
+        // Messages can be re-tagged after they were loaded
+        const latest = new Map(page.messages.map(message => [message.id, message]));
+        this.messages = this.messages.map(message => latest.get(message.id) || message).concat(added);
+        this.total = page.total;
+        this.setSuggestions(suggestions);
+        // Only the newest messages get new tags or suggestion outcomes
+        page.messages.forEach(message => this.heights.delete(message.id));
+        this.rebuild(atBottom ? null : anchor);
+        if (atBottom) this.scrollToBottom();
+    }
+
+    handleScroll() {
+        this.render();
+        if (!this.lazy) return;
+        if (this.viewport.scrollTop < THREAD_LOAD_THRESHOLD_PX) {
+            this.loadOlder();
+        } else if (this.viewport.scrollHeight - this.viewport.scrollTop - this.viewport.clientHeight < THREAD_LOAD_THRESHOLD_PX) {
+            this.loadNewer();
+        }
+    }
+
+    // ---------------------------------------------------------------------------
+    // Layout
+    // ---------------------------------------------------------------------------
+
+    /**
+     * Day separators and messages, oldest first.
+     */
+    rebuild(anchor) {
+        this.rows = [];
+        this.rowIndex = new Map();
+        let day = null;
+
+        this.messages.forEach(message => {
+            const date = new Date(message.timestamp || message.createdAt);
+            const key = date.toDateString();
+            if (key !== day) {
+                day = key;
+                this.pushRow({ key: `day:${key}`, type: 'day', date });
+            }
+            this.pushRow({ key: message.id, type: 'message', message });
+        });
+
+        this.layout();
+        this.render(true);
+        if (anchor) this.restoreAnchor(anchor);
+    }
+
+    pushRow(row) {
+        this.rowIndex.set(row.key, this.rows.length);
+        this.rows.push(row);
+    }
+
+    rowHeight(row) {
+        if (this.heights.has(row.key)) return this.heights.get(row.key);
+        if (row.type === 'day') return THREAD_DAY_HEIGHT;
+
+        // Rough guess from the text length until the row is measured
+        const lines = Math.ceil((row.message.text || '').length / 60) || 1;
+        const offered = this.suggestions.get(row.message.id);
+        return 44 + lines * 20 + (row.message.analysis ? 26 : 0) + (offered ? offered.length * 60 : 0);
+    }
+
+    layout() {
+        this.offsets = new Array(this.rows.length + 1);
+        this.offsets[0] = 0;
+        this.rows.forEach((row, index) => {
+            this.offsets[index + 1] = this.offsets[index] + this.rowHeight(row);
+        });
+        if (this.virtual) {
+            this.spacer.style.height = `${this.offsets[this.rows.length]}px`;
+        }
+    }
+
+    /**
+     * Index of the row at `y` pixels from the top of the thread.
+     */
+    rowAt(y) {
+        let low = 0;
+        let high = this.rows.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >>> 1;
+            if (this.offsets[mid] <= y) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return Math.max(0, low);
+    }
+
+    anchor() {
+        if (this.rows.length === 0) return null;
+        if (!this.virtual) {
+            return { scrollHeight: this.viewport.scrollHeight, scrollTop: this.viewport.scrollTop };
+        }
+        const index = this.rowAt(this.viewport.scrollTop);
+        return { key: this.rows[index].key, delta: this.viewport.scrollTop - this.offsets[index] };
+    }
+
+    restoreAnchor(anchor) {
+        if (!this.virtual) {
+            this.viewport.scrollTop = anchor.scrollTop + (this.viewport.scrollHeight - anchor.scrollHeight);
+            return;
+        }
+        const index = this.rowIndex.get(anchor.key);
+        if (index === undefined) return;
+        this.viewport.scrollTop = this.offsets[index] + anchor.delta;
+        this.render(true);
+    }
+
+    isAtBottom() {
+        return this.viewport.scrollHeight - this.viewport.scrollTop - this.viewport.clientHeight < 40;
+    }
+
+    scrollToBottom() {
+        this.viewport.scrollTop = this.viewport.scrollHeight;
+        this.render(true);
+        // Measured rows can differ from the estimates; settle on the real bottom
+        this.viewport.scrollTop = this.viewport.scrollHeight;
+    }
+
+    /**
+     * Bring a loaded message to the upper third of the viewport and flash it.
+     */
+    scrollToMessage(messageId) {
+        const index = this.rowIndex.get(messageId);
+        if (index === undefined) return;
+
+        this.highlightId = messageId;
+        clearTimeout(this.highlightTimer);
+        this.highlightTimer = setTimeout(() => {
+            this.highlightId = null;
+            const element = this.spacer.querySelector('.thread-row.highlighted');
+            if (element) element.classList.remove('highlighted');
+        }, THREAD_HIGHLIGHT_MS);
+
+        if (!this.virtual) {
+            this.render(true);
+            const element = this.spacer.children[index];
+            this.viewport.scrollTop = element.offsetTop - this.viewport.clientHeight / 3;
+            return;
+        }
+        // Drawing the rows around it replaces their estimated heights; aim again after
+        for (let pass = 0; pass < 2; pass++) {
+            this.viewport.scrollTop = this.offsets[index] - this.viewport.clientHeight / 3;
+            this.render(true);
+        }
+    }
+
+    // ---------------------------------------------------------------------------
+    // Rendering
+    // ---------------------------------------------------------------------------
+
+    render(force = false) {
+        if (!this.virtual) {
+            if (force) {
+                this.spacer.innerHTML = this.rows.map(row => this.rowHtml(row)).join('');
+            }
+            return;
+        }
+        if (this.rows.length === 0) {
+            this.spacer.innerHTML = '';
+            return;
+        }
+
+        const top = Math.max(0, this.viewport.scrollTop - THREAD_OVERSCAN_PX);
+        const bottom = this.viewport.scrollTop + this.viewport.clientHeight + THREAD_OVERSCAN_PX;
+        const first = this.rowAt(top);
+        let last = first;
+        while (last < this.rows.length - 1 && this.offsets[last + 1] < bottom) last++;
+
+        if (!force && this.range && this.range.first === first && this.range.last === last) return;
+        this.range = { first, last };
+
+        this.spacer.innerHTML = this.rows.slice(first, last + 1)
+            .map((row, index) => this.rowHtml(row, this.offsets[first + index]))
+            .join('');
+        this.measure(first);
+    }
+
+    /**
+     * Replace estimated heights with the drawn ones. Rows above the viewport
+     * that turn out taller or shorter shift the scroll position to match, so
+     * the visible rows stay put.
+     */
+    measure(first) {
+        let changed = false;
+        let shiftAbove = 0;
+        const visibleIndex = this.rowAt(this.viewport.scrollTop);
+
+        Array.from(this.spacer.children).forEach((element, position) => {
+            const row = this.rows[first + position];
+            const height = element.offsetHeight;
+            const previous = this.rowHeight(row);
+            if (height === previous && this.heights.has(row.key)) return;
+
+            this.heights.set(row.key, height);
+            if (height !== previous) {
+                changed = true;
+                if (first + position < visibleIndex) shiftAbove += height - previous;
+            }
+        });
+        if (!changed) return;
+
+        this.layout();
+        Array.from(this.spacer.children).forEach((element, position) => {
+            element.style.top = `${this.offsets[first + position]}px`;
+        });
+        if (shiftAbove !== 0) {
+            this.viewport.scrollTop += shiftAbove;
+        }
+    }
+
+    rowHtml(row, top) {
+        const position = top === undefined ? '' : ` style="top: ${top}px"`;
+        if (row.type === 'day') {
+            return `<div class="thread-day" data-key="${Utils.escapeHtml(row.key)}"${position}><span>${this.dayLabel(row.date)}</span></div>`;
+        }
+
+        const message = row.message;
+        const sender = message.direction === 'incoming' && message.sender
+            ? `<div class="message-sender">${Utils.escapeHtml(message.sender)}</div>`
+            : '';
+        return `
+            <div class="thread-row ${message.direction}${message.id === this.highlightId ? ' highlighted' : ''}" data-key="${Utils.escapeHtml(row.key)}" data-id="${Utils.escapeHtml(message.id)}"${position}>
+                <div class="message-bubble">
+                    ${sender}
+                    <div class="message-text">${Utils.escapeHtml(message.text || '')}</div>
+                    <div class="message-time">${message.timestamp ? new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : ''}</div>
+                </div>
+                ${message.analysis ? this.renderBadges(message.analysis) : ''}
+                ${(this.suggestions.get(message.id) || []).map(suggestion => this.suggestionHtml(suggestion)).join('')}
+            </div>
+        `;
+    }
+
+    suggestionHtml(suggestion) {
+        const outcome = SUGGESTION_OUTCOMES[suggestion.status] || suggestion.status;
+        const label = suggestion.rank && (suggestion.status === 'accepted' || suggestion.status === 'edited')
+            ? `${outcome} #${suggestion.rank}`
+            : outcome;
+        const candidates = suggestion.candidates.map((text, index) => `
+            <span class="thread-suggestion${suggestion.rank === index + 1 ? ' chosen' : ''}">${Utils.escapeHtml(text)}</span>
+        `).join('');
+        const sent = suggestion.status === 'edited' && suggestion.sentText
+            ? `<div class="thread-suggestion-sent">Sent: ${Utils.escapeHtml(suggestion.sentText)}</div>`
+            : '';
+
+        return `
+            <div class="thread-suggestions">
+                <div class="thread-suggestions-header">
+                    <i class="fas fa-magic"></i> ${Utils.escapeHtml(suggestion.provider || 'Suggestions')} &middot; ${Utils.escapeHtml(label)}
+                </div>
+                <div class="thread-suggestion-list">${candidates}</div>
+                ${sent}
+            </div>
+        `;
+    }
+
+    dayLabel(date) {
+        const today = new Date();
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        if (date.toDateString() === today.toDateString()) return 'Today';
+        if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+        return date.toLocaleDateString([], {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: date.getFullYear() === today.getFullYear() ? undefined : 'numeric'
+        });
+    }
+}
+
+// Export for use in other modules
+window.ThreadView = ThreadView;
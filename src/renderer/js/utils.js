@@ -95,6 +95,15 @@ class Utils {
         return text.substr(0, maxLength) + '...';
     }
 
+    static escapeHtml(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     static capitalizeFirst(str) {
         return str.charAt(0).toUpperCase() + str.slice(1);
     }
@@ -200,6 +209,18 @@ class Utils {
         ]);
     }
 
+    static async promptPassword(message, title = 'Passphrase') {
+        const result = await Utils.showModal(title, `
+            <p>${message}</p>
+            <input type="password" id="modalPasswordInput" class="input" style="width: 100%; margin-top: 12px;">
+        `, [
+            { text: 'Cancel', primary: false },
+            { text: 'OK', primary: true }
+        ]);
+        const value = document.getElementById('modalPasswordInput').value;
+        return result === 1 ? value : null;
+    }
+
     static sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -0,0 +1,190 @@
+// Context Builder
+// Turns stored messages into the prompt sent to a provider: the last few
+// turns labelled "me" or "them", long messages shortened, and the oldest
+// turns dropped until the prompt fits the target model's token budget. The
+// same turns are rendered both as chat messages and as plain text.
+
+const { profileInstructions } = require('./toneProfiles');
+
+const DEFAULT_MAX_TURNS = 5;
+const DEFAULT_MAX_MESSAGE_LENGTH = 500;
+
+// Context window sizes by model name prefix, and how many characters of
+// Latin-script chat text one token covers on average for that tokenizer
+const MODEL_LIMITS = [
+  { pattern: /^gpt-4o|^gpt-4-turbo|^gpt-4\.1/i, contextTokens: 128000, charsPerToken: 4 },
+  { pattern: /^gpt-4/i, contextTokens: 8192, charsPerToken: 4 },
+  { pattern: /^gpt-3\.5-turbo/i, contextTokens: 16385, charsPerToken: 4 },
+  { pattern: /^gemini-1\.5|^gemini-2/i, contextTokens: 1048576, charsPerToken: 4 },
+  { pattern: /^gemini/i, contextTokens: 30720, charsPerToken: 4 },
+  // GPT-2 byte pair encoding splits chat text into more pieces
+  { pattern: /dialogpt|gpt2/i, contextTokens: 1024, charsPerToken: 3.5 }
+];
+const DEFAULT_LIMIT = { contextTokens: 4096, charsPerToken: 4 };
+
+// Role markers and separators each chat message adds
+const TOKENS_PER_MESSAGE = 4;
+// Headroom for the estimate being off
+const SAFETY_MARGIN = 0.9;
+
+// How the message analyzer's tags on the last incoming message steer replies
+const INTENT_HINTS = {
+  complaint: 'They are unhappy about something; acknowledge it calmly before anything else.',
+  invitation: 'They are inviting the user; offer ways to accept and to decline politely.',
+  scheduling: 'They are arranging a time; replies should mention or ask about a concrete time or day.',
+  request: 'They are asking for something; replies should say whether and when the user will do it.',
+  question: 'They asked a question; replies should answer it.',
+  greeting: 'They are greeting the user; greet them back.'
+};
+const SENTIMENT_HINTS = {
+  negative: 'They sound upset, so keep the tone warm and supportive.',
+  positive: 'They sound upbeat; matching their energy is fine.'
+};
+
+// Emoji and non-Latin scripts take about a token per character or more
+const WIDE_CHARACTER = /[^\u0000-\u024F]/gu;
+
+function modelLimits(model) {
+  return MODEL_LIMITS.find(limit => limit.pattern.test(model || '')) || DEFAULT_LIMIT;
+}
+
+/**
+ * Rough token count of `text` for `model`. Good enough for budgeting
+ * without shipping every vendor's tokenizer.
+ */
+function estimateTokens(text, model) {
+  const value = String(text || '');
+  if (!value) return 0;
+
+  const wide = (value.match(WIDE_CHARACTER) || []).length;
+  const narrow = value.length - wide;
+  return Math.ceil(narrow / modelLimits(model).charsPerToken) + wide;
+}
+
+/**
+ * Shorten text to at most `maxLength` characters, cutting at a word
+ * boundary where there is one nearby.
+ */
+function truncateText(text, maxLength) {
+  const value = String(text || '').trim();
+  if (value.length <= maxLength) return value;
+
+  // Do not split an emoji's surrogate pair
+  const cut = value.slice(0, Math.max(0, maxLength - 1)).replace(/[\uD800-\uDBFF]$/, '');
+  const space = cut.lastIndexOf(' ');
+  return `${space > maxLength * 0.6 ? cut.slice(0, space) : cut}…`;
+}
+
+class ContextBuilder {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxTurns] - CONTEXT_WINDOW_SIZE
+   * @param {number} [options.maxMessageLength] - MAX_MESSAGE_LENGTH, in characters
+   */
+  constructor(options = {}) {
+    this.maxTurns = options.maxTurns || DEFAULT_MAX_TURNS;
+    this.maxMessageLength = options.maxMessageLength || DEFAULT_MAX_MESSAGE_LENGTH;
+  }
+
+  /**
+   * The most recent messages as speaker turns, oldest first.
+   */
+  turns(messages = []) {
+    return messages
+      .filter(message => message && String(message.text || '').trim())
+      .slice(-this.maxTurns)
+      .map(message => ({
+        speaker: message.direction === 'outgoing' ? 'me' : 'them',
+        text: truncateText(message.text, this.maxMessageLength)
+      }));
+  }
+
+  /**
+   * Guidance from the tags on the latest message when it is theirs.
+   */
+  hints(messages = []) {
+    const last = messages[messages.length - 1];
+    if (!last || last.direction === 'outgoing' || !last.analysis) return [];
+
+    const hints = [];
+    if (last.analysis.intent && INTENT_HINTS[last.analysis.intent]) {
+      hints.push(INTENT_HINTS[last.analysis.intent]);
+    }
+    if (last.analysis.sentiment && SENTIMENT_HINTS[last.analysis.sentiment.label]) {
+      hints.push(SENTIMENT_HINTS[last.analysis.sentiment.label]);
+    }
+    return hints;
+  }
+
+  /**
+   * Tokens left for the conversation once the reply is reserved.
+   */
+  budget(model, maxTokens) {
+    const { contextTokens } = modelLimits(model);
+    return Math.floor(contextTokens * SAFETY_MARGIN) - (maxTokens || 0);
+  }
+
+  /**
+   * @param {object} context - { messages }, optionally tagged by the message analyzer
+   * @param {object} options
+   * @param {number} options.count - Suggestions to ask for
+   * @param {string} [options.model] - Target model, for the token estimate
+   * @param {number} [options.maxTokens] - Tokens reserved for the reply
+   * @param {object} [options.profile] - Tone profile the replies should follow
+   * @returns {{system: string, messages: object[], text: string, turns: number, dropped: number, tokens: number, budget: number}}
+   */
+  build(context, options) {
+    const { count, model, maxTokens, profile } = options;
+    const system = [
+      `You are a texting assistant. Suggest ${count} short, natural replies the user could send next in this chat.`,
+      ...profileInstructions(profile),
+      ...this.hints(context.messages),
+      'Reply with one suggestion per line and nothing else.'
+    ].join(' ');
+    const instruction = `Suggest ${count} replies I could send next, one per line.`;
+
+    const budget = this.budget(model, maxTokens);
+    const fixed = estimateTokens(system, model) + estimateTokens(instruction, model) + 2 * TOKENS_PER_MESSAGE;
+    const line = turn => `${turn.speaker === 'me' ? 'Me' : 'Them'}: ${turn.text}`;
+    const cost = turn => estimateTokens(line(turn), model) + TOKENS_PER_MESSAGE;
+
+    const all = this.turns(context.messages);
+    const turns = all.slice();
+    let tokens = fixed + turns.reduce((sum, turn) => sum + cost(turn), 0);
+
+    // Drop the oldest turns first; the latest message matters most
+    while (tokens > budget && turns.length > 1) {
+      tokens -= cost(turns.shift());
+    }
+
+    // A single message that still does not fit is cut down to what is left,
+    // less again if it is mostly emoji or non-Latin text
+    if (tokens > budget && turns.length === 1) {
+      const original = turns[0];
+      const room = Math.max(0, budget - fixed - cost({ ...original, text: '' }) - 1);
+      let chars = Math.floor(room * modelLimits(model).charsPerToken);
+      do {
+        turns[0] = { ...original, text: truncateText(original.text, chars) };
+        tokens = fixed + cost(turns[0]);
+        chars = Math.floor(chars * 0.8);
+      } while (tokens > budget && chars > 0);
+    }
+
+    const transcript = turns.map(line).join('\n');
+
+    return {
+      system,
+      messages: [
+        ...turns.map(turn => ({ role: turn.speaker === 'me' ? 'assistant' : 'user', content: turn.text })),
+        { role: 'user', content: instruction }
+      ],
+      text: `${system}\n\n${transcript}\n\nReplies:`,
+      turns: turns.length,
+      dropped: all.length - turns.length,
+      tokens,
+      budget
+    };
+  }
+}
+
+module.exports = { ContextBuilder, estimateTokens, truncateText, modelLimits };
@@ -0,0 +1,102 @@
+// Provider Chain
+// Tries the default provider first and, when fallback is enabled, each other
+// configured provider in turn until one returns suggestions. Calls go
+// through the request scheduler when one is given.
+
+const log = require('electron-log');
+const { ProviderError } = require('./providers/baseProvider');
+const { PROVIDER_ORDER, createProvider } = require('./providers');
+
+class ProviderChain {
+  constructor(providers, options = {}) {
+    this.providers = providers;
+    this.fallbackEnabled = options.fallbackEnabled !== false;
+    this.scheduler = options.scheduler || null;
+  }
+
+  /**
+   * Build a chain from the stored `ai` settings and API keys. Providers
+   * without a key are left out.
+   */
+  static fromSettings(settings, apiKeys, options = {}) {
+    const order = [settings.defaultProvider, ...PROVIDER_ORDER.filter(name => name !== settings.defaultProvider)];
+    const only = options.only ? [options.only] : null;
+
+    const providers = (only || order)
+      .filter(name => apiKeys[name])
+      .map(name => createProvider(name, {
+        ...settings.providers[name],
+        apiKey: apiKeys[name],
+        timeoutMs: options.timeoutMs
+      }));
+
+    return new ProviderChain(providers, {
+      fallbackEnabled: only ? false : settings.fallbackEnabled,
+      scheduler: options.scheduler
+    });
+  }
+
+  get names() {
+    return this.providers.map(provider => provider.name);
+  }
+
+  call(provider, request, options) {
+    if (!this.scheduler) {
+      return provider.generate(request, options);
+    }
+    return this.scheduler.schedule(
+      provider.name,
+      signal => provider.generate(request, { ...options, signal }),
+      { request: { request, count: options.count }, group: options.group, signal: options.signal }
+    );
+  }
+
+  /**
+   * @param {object|function} prompt - A prompt, or a function building one
+   *   for each provider tried so it fits that provider's model
+   * @param {object} [options] - { count, signal, group }; a newer request
+   *   with the same group (a conversation id) cancels this one
+   */
+  async generate(prompt, options = {}) {
+    if (this.providers.length === 0) {
+      throw new ProviderError('No AI provider is configured', { retryable: false });
+    }
+
+    const attempts = [];
+    const candidates = this.fallbackEnabled ? this.providers : this.providers.slice(0, 1);
+
+    for (const provider of candidates) {
+      const started = Date.now();
+      try {
+        const request = typeof prompt === 'function' ? prompt(provider) : prompt;
+        const suggestions = await this.call(provider, request, options);
+        return {
+          provider: provider.name,
+          model: provider.model,
+          suggestions,
+          latencyMs: Date.now() - started,
+          attempts
+        };
+      } catch (error) {
+        // Superseded by a newer request; nobody is waiting for this one
+        if (error.cancelled) throw error;
+
+        attempts.push({ provider: provider.name, error: error.message, latencyMs: Date.now() - started });
+        log.warn(`AI provider ${provider.name} failed: ${error.message}`);
+
+        if (options.signal && options.signal.aborted) {
+          break;
+        }
+      }
+    }
+
+    const error = new ProviderError(
+      `All AI providers failed: ${attempts.map(attempt => attempt.error).join('; ')}`,
+      { retryable: false }
+    );
+    error.attempts = attempts;
+    throw error;
+  }
+}
+
+module.exports = { ProviderChain };
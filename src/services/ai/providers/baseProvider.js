@@ -0,0 +1,145 @@
+// AI Provider Interface
+// Every vendor adapter extends BaseProvider and implements generate().
+
+class ProviderError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = options.provider || null;
+    this.status = options.status || null;
+    this.retryAfterMs = options.retryAfterMs || null;
+    // Network failures, timeouts, rate limits and 5xx responses are worth
+    // trying again or handing to the next provider; bad requests are not
+    this.retryable = options.retryable !== undefined
+      ? options.retryable
+      : !this.status || this.status === 429 || this.status >= 500;
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class BaseProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey
+   * @param {string} options.apiUrl - Endpoint; override to point at a mock server
+   * @param {string} options.model
+   * @param {number} options.temperature
+   * @param {number} options.maxTokens
+   * @param {number} options.timeoutMs
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || '';
+    this.apiUrl = options.apiUrl;
+    this.model = options.model;
+    this.temperature = options.temperature;
+    this.maxTokens = options.maxTokens;
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  get name() {
+    throw new Error('Provider must define a name');
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Generate reply candidates.
+   * @param {object} prompt - { system, messages: [{ role, content }], text }
+   * @param {object} options - { count, signal }
+   * @returns {Promise<string[]>}
+   */
+  async generate() {
+    throw new Error(`${this.name} provider does not implement generate()`);
+  }
+
+  async postJson(url, body, headers = {}, signal) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) controller.abort();
+      signal.addEventListener('abort', onAbort);
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      const cancelled = signal && signal.aborted;
+      const message = cancelled
+        ? 'Request cancelled'
+        : error.name === 'AbortError' ? `Request timed out after ${this.timeoutMs}ms` : error.message;
+      throw new ProviderError(`${this.name}: ${message}`, { provider: this.name, retryable: !cancelled });
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      data = null;
+    }
+
+    if (!response.ok) {
+      const detail = (data && data.error && (data.error.message || data.error)) || text || response.statusText;
+      throw new ProviderError(`${this.name}: HTTP ${response.status} ${detail}`, {
+        provider: this.name,
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+      });
+    }
+
+    if (data === null) {
+      throw new ProviderError(`${this.name}: invalid JSON response`, { provider: this.name });
+    }
+
+    return data;
+  }
+
+  /**
+   * Split model output into individual replies, dropping list markers and
+   * surrounding quotes that models like to add.
+   */
+  static splitCandidates(texts, count) {
+    const candidates = [];
+
+    texts.forEach(text => {
+      String(text || '').split(/\r?\n/).forEach(line => {
+        const cleaned = line
+          .replace(/^\s*(?:\d+[.)]|[-*•])\s*/, '')
+          .trim()
+          .replace(/^["'“](.*)["'”]$/, '$1')
+          .trim();
+        if (cleaned && !candidates.includes(cleaned)) {
+          candidates.push(cleaned);
+        }
+      });
+    });
+
+    return count ? candidates.slice(0, count) : candidates;
+  }
+}
+
+module.exports = { BaseProvider, ProviderError, parseRetryAfter };
@@ -0,0 +1,48 @@
+// Google Gemini (generateContent) adapter
+
+const { BaseProvider, ProviderError } = require('./baseProvider');
+
+class GeminiProvider extends BaseProvider {
+  get name() {
+    return 'gemini';
+  }
+
+  // GEMINI_API_URL may be the full generateContent URL or the models base URL
+  getEndpoint() {
+    const base = this.apiUrl.replace(/\/$/, '');
+    if (base.includes(':generateContent')) {
+      return base.replace(/models\/[^/:]+:generateContent/, `models/${this.model}:generateContent`);
+    }
+    return `${base}/${this.model}:generateContent`;
+  }
+
+  async generate(prompt, options = {}) {
+    const count = options.count || 3;
+
+    const data = await this.postJson(this.getEndpoint(), {
+      contents: [
+        { role: 'user', parts: [{ text: prompt.text }] }
+      ],
+      generationConfig: {
+        temperature: this.temperature,
+        maxOutputTokens: this.maxTokens
+      }
+    }, {
+      'x-goog-api-key': this.apiKey
+    }, options.signal);
+
+    const texts = (data.candidates || []).map(candidate => {
+      const parts = (candidate.content && candidate.content.parts) || [];
+      return parts.map(part => part.text || '').join('');
+    });
+    const candidates = BaseProvider.splitCandidates(texts, count);
+
+    if (candidates.length === 0) {
+      const reason = data.promptFeedback && data.promptFeedback.blockReason;
+      throw new ProviderError(`${this.name}: ${reason ? `blocked (${reason})` : 'empty response'}`, { provider: this.name });
+    }
+    return candidates;
+  }
+}
+
+module.exports = { GeminiProvider };
@@ -0,0 +1,41 @@
+// HuggingFace Inference API adapter
+
+const { BaseProvider, ProviderError } = require('./baseProvider');
+
+class HuggingFaceProvider extends BaseProvider {
+  get name() {
+    return 'huggingface';
+  }
+
+  async generate(prompt, options = {}) {
+    const count = options.count || 3;
+    const url = `${this.apiUrl.replace(/\/$/, '')}/${this.model}`;
+
+    const data = await this.postJson(url, {
+      inputs: prompt.text,
+      parameters: {
+        max_new_tokens: this.maxTokens,
+        temperature: this.temperature,
+        num_return_sequences: count,
+        do_sample: true,
+        return_full_text: false
+      },
+      options: {
+        wait_for_model: true
+      }
+    }, {
+      Authorization: `Bearer ${this.apiKey}`
+    }, options.signal);
+
+    const outputs = Array.isArray(data) ? data : [data];
+    const texts = outputs.map(output => output && output.generated_text);
+    const candidates = BaseProvider.splitCandidates(texts, count);
+
+    if (candidates.length === 0) {
+      throw new ProviderError(`${this.name}: empty response`, { provider: this.name });
+    }
+    return candidates;
+  }
+}
+
+module.exports = { HuggingFaceProvider };
@@ -0,0 +1,58 @@
+// Provider registry
+
+const { HuggingFaceProvider } = require('./huggingface');
+const { GeminiProvider } = require('./gemini');
+const { OpenAIProvider } = require('./openai');
+const { defaultProfileSettings } = require('../toneProfiles');
+
+const PROVIDERS = {
+  huggingface: HuggingFaceProvider,
+  gemini: GeminiProvider,
+  openai: OpenAIProvider
+};
+
+// Order used for fallback after the default provider
+const PROVIDER_ORDER = ['huggingface', 'gemini', 'openai'];
+
+function createProvider(name, options) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+  return new Provider(options);
+}
+
+/**
+ * Default `ai` settings, seeded from config.env values.
+ * @param {import('../../config').Config} config
+ */
+function defaultAiSettings(config) {
+  return {
+    defaultProvider: config.get('DEFAULT_AI_PROVIDER', 'huggingface'),
+    fallbackEnabled: config.boolean('AI_FALLBACK_ENABLED', true),
+    maxSuggestions: config.number('MAX_SUGGESTIONS', 3),
+    providers: {
+      huggingface: {
+        apiUrl: config.get('HUGGINGFACE_API_URL'),
+        model: config.get('HUGGINGFACE_MODEL_NAME'),
+        temperature: config.number('HUGGINGFACE_TEMPERATURE', 0.7),
+        maxTokens: config.number('HUGGINGFACE_MAX_LENGTH', 100)
+      },
+      gemini: {
+        apiUrl: config.get('GEMINI_API_URL'),
+        model: config.get('GEMINI_MODEL_NAME'),
+        temperature: config.number('GEMINI_TEMPERATURE', 0.8),
+        maxTokens: config.number('GEMINI_MAX_TOKENS', 150)
+      },
+      openai: {
+        apiUrl: config.get('OPENAI_API_URL'),
+        model: config.get('OPENAI_MODEL_NAME'),
+        temperature: config.number('OPENAI_TEMPERATURE', 0.7),
+        maxTokens: config.number('OPENAI_MAX_TOKENS', 150)
+      }
+    },
+    ...defaultProfileSettings()
+  };
+}
+
+module.exports = { PROVIDERS, PROVIDER_ORDER, createProvider, defaultAiSettings };
@@ -0,0 +1,37 @@
+// OpenAI Chat Completions adapter
+
+const { BaseProvider, ProviderError } = require('./baseProvider');
+
+class OpenAIProvider extends BaseProvider {
+  get name() {
+    return 'openai';
+  }
+
+  async generate(prompt, options = {}) {
+    const count = options.count || 3;
+    const messages = [];
+    if (prompt.system) {
+      messages.push({ role: 'system', content: prompt.system });
+    }
+    messages.push(...prompt.messages);
+
+    const data = await this.postJson(this.apiUrl, {
+      model: this.model,
+      messages,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens
+    }, {
+      Authorization: `Bearer ${this.apiKey}`
+    }, options.signal);
+
+    const texts = (data.choices || []).map(choice => choice.message && choice.message.content);
+    const candidates = BaseProvider.splitCandidates(texts, count);
+
+    if (candidates.length === 0) {
+      throw new ProviderError(`${this.name}: empty response`, { provider: this.name });
+    }
+    return candidates;
+  }
+}
+
+module.exports = { OpenAIProvider };
@@ -0,0 +1,366 @@
+// Request Scheduler
+// Every call to an AI provider goes through here. Each provider has
+// per-minute and per-hour token buckets, failed calls are retried with
+// exponential backoff (or after the provider's Retry-After), a request for a
+// conversation cancels the older one still pending for it, and identical
+// requests in flight share one call. Each caller sharing a call keeps its own
+// group and signal; the call itself is only aborted once nobody waits for it.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const log = require('electron-log');
+const { ProviderError } = require('./providers/baseProvider');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Calls running at once per provider
+const CONCURRENCY = 2;
+// Waiting longer than this for a slot or a Retry-After is pointless for a
+// chat reply; the request fails over to the next provider instead
+const MAX_WAIT_MS = 10 * 1000;
+const MAX_BACKOFF_MS = 8 * 1000;
+
+class TokenBucket {
+  /**
+   * @param {number} capacity - Requests allowed per `periodMs`
+   * @param {number} periodMs
+   */
+  constructor(capacity, periodMs) {
+    this.capacity = capacity;
+    this.refillPerMs = capacity / periodMs;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * How long until a token is available; 0 when one is available now.
+   */
+  waitMs() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  take() {
+    this.refill();
+    this.tokens -= 1;
+  }
+
+  get remaining() {
+    this.refill();
+    return Math.floor(this.tokens);
+  }
+}
+
+function rateLimitError(provider, waitMs) {
+  return new ProviderError(
+    `${provider}: request limit reached; next slot in ${Math.ceil(waitMs / 1000)}s`,
+    { provider, status: 429, retryAfterMs: waitMs }
+  );
+}
+
+function cancelledError(message) {
+  const error = new ProviderError(message, { retryable: false });
+  error.cancelled = true;
+  return error;
+}
+
+class RequestScheduler extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.perMinute] - MAX_REQUESTS_PER_MINUTE, per provider
+   * @param {number} [options.perHour] - MAX_REQUESTS_PER_HOUR, per provider
+   * @param {number} [options.retryAttempts] - RETRY_ATTEMPTS, calls in total per request
+   * @param {number} [options.retryDelayMs] - RETRY_DELAY_MS, first backoff step
+   */
+  constructor(options = {}) {
+    super();
+    this.perMinute = options.perMinute || 60;
+    this.perHour = options.perHour || 1000;
+    this.retryAttempts = Math.max(1, options.retryAttempts || 3);
+    this.retryDelayMs = options.retryDelayMs || 1000;
+
+    this.providers = new Map();
+    this.inFlight = new Map();
+    // Jobs queued, running or waiting to retry
+    this.active = new Set();
+    this.nextId = 1;
+    this.totals = { completed: 0, failed: 0, retried: 0, cancelled: 0, coalesced: 0 };
+  }
+
+  providerState(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, {
+        minute: new TokenBucket(this.perMinute, MINUTE_MS),
+        hour: new TokenBucket(this.perHour, HOUR_MS),
+        queue: [],
+        running: 0,
+        waiting: 0,
+        pausedUntil: 0,
+        timer: null
+      });
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * Time until the provider can take another call.
+   */
+  waitMs(state) {
+    return Math.max(state.minute.waitMs(), state.hour.waitMs(), state.pausedUntil - Date.now(), 0);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scheduling
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Queue a provider call.
+   * @param {string} provider
+   * @param {(signal: AbortSignal) => Promise<*>} task
+   * @param {object} [options]
+   * @param {*} [options.request] - Identical requests to the same provider share one call
+   * @param {string} [options.group] - A newer request in the same group (a conversation) cancels this one
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<*>}
+   */
+  schedule(provider, task, options = {}) {
+    if (options.signal && options.signal.aborted) {
+      this.totals.cancelled++;
+      this.changed();
+      return Promise.reject(cancelledError('Request cancelled'));
+    }
+
+    if (options.group) {
+      this.cancelGroup(options.group, 'Superseded by a newer message');
+    }
+
+    const key = options.request !== undefined
+      ? `${provider}:${crypto.createHash('sha1').update(JSON.stringify(options.request)).digest('hex')}`
+      : null;
+
+    let job = key ? this.inFlight.get(key) : null;
+    if (job) {
+      this.totals.coalesced++;
+    } else {
+      const state = this.providerState(provider);
+      const wait = this.waitMs(state);
+      if (wait > MAX_WAIT_MS) {
+        return Promise.reject(rateLimitError(provider, wait));
+      }
+
+      job = {
+        id: this.nextId++,
+        provider,
+        key,
+        task,
+        controller: new AbortController(),
+        // Callers sharing this call
+        waiters: new Set(),
+        attempts: 0,
+        queuedAt: Date.now()
+      };
+      if (key) this.inFlight.set(key, job);
+      this.active.add(job);
+      state.queue.push(job);
+    }
+
+    const promise = this.addWaiter(job, options);
+    this.pump(provider);
+    return promise;
+  }
+
+  addWaiter(job, options) {
+    const waiter = { job, group: options.group || null, signal: options.signal || null };
+    const promise = new Promise((resolve, reject) => {
+      waiter.resolve = resolve;
+      waiter.reject = reject;
+    });
+    if (waiter.signal) {
+      waiter.onAbort = () => this.cancel(waiter, 'Request cancelled');
+      waiter.signal.addEventListener('abort', waiter.onAbort, { once: true });
+    }
+    job.waiters.add(waiter);
+    return promise;
+  }
+
+  removeWaiter(waiter) {
+    waiter.job.waiters.delete(waiter);
+    if (waiter.signal) {
+      waiter.signal.removeEventListener('abort', waiter.onAbort);
+    }
+  }
+
+  pump(provider) {
+    const state = this.providerState(provider);
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    while (state.queue.length > 0 && state.running < CONCURRENCY) {
+      const wait = this.waitMs(state);
+      if (wait > MAX_WAIT_MS) {
+        // Retries used up the quota; let the chain move on
+        state.queue.splice(0).forEach(job => {
+          this.totals.failed++;
+          this.settle(job, rateLimitError(provider, wait));
+        });
+        break;
+      }
+      if (wait > 0) {
+        state.timer = setTimeout(() => this.pump(provider), wait);
+        break;
+      }
+
+      const job = state.queue.shift();
+      state.minute.take();
+      state.hour.take();
+      this.run(state, job);
+    }
+    this.changed();
+  }
+
+  async run(state, job) {
+    state.running++;
+    job.attempts++;
+    try {
+      const result = await job.task(job.controller.signal);
+      if (job.controller.signal.aborted) return;
+      this.totals.completed++;
+      this.settle(job, null, result);
+    } catch (error) {
+      if (job.controller.signal.aborted) return;
+      this.handleFailure(state, job, error);
+    } finally {
+      state.running--;
+      this.pump(job.provider);
+    }
+  }
+
+  handleFailure(state, job, error) {
+    if (error.retryAfterMs) {
+      // The provider asked for a break; hold every request to it
+      state.pausedUntil = Math.max(state.pausedUntil, Date.now() + error.retryAfterMs);
+    }
+
+    const retryable = error.retryable !== false && job.attempts < this.retryAttempts;
+    const delay = error.retryAfterMs || Math.min(MAX_BACKOFF_MS, this.retryDelayMs * 2 ** (job.attempts - 1));
+    if (!retryable || delay > MAX_WAIT_MS) {
+      this.totals.failed++;
+      this.settle(job, error);
+      return;
+    }
+
+    this.totals.retried++;
+    log.info(`Retrying ${job.provider} in ${delay}ms (attempt ${job.attempts + 1} of ${this.retryAttempts}): ${error.message}`);
+    state.waiting++;
+    job.retryTimer = setTimeout(() => {
+      state.waiting--;
+      job.retryTimer = null;
+      if (job.controller.signal.aborted) return;
+      state.queue.unshift(job);
+      this.pump(job.provider);
+    }, delay);
+  }
+
+  settle(job, error, result) {
+    this.active.delete(job);
+    if (job.key && this.inFlight.get(job.key) === job) {
+      this.inFlight.delete(job.key);
+    }
+    job.waiters.forEach(waiter => {
+      this.removeWaiter(waiter);
+      if (error) {
+        waiter.reject(error);
+      } else {
+        waiter.resolve(result);
+      }
+    });
+    this.changed();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cancellation
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Stop waiting for one caller's request. The shared call is aborted once
+   * no other caller waits for it.
+   */
+  cancel(waiter, reason) {
+    const job = waiter.job;
+    if (!job.waiters.has(waiter)) return;
+
+    this.removeWaiter(waiter);
+    this.totals.cancelled++;
+    waiter.reject(cancelledError(reason));
+    if (job.waiters.size === 0) {
+      this.abort(job);
+    }
+    this.changed();
+  }
+
+  abort(job) {
+    job.controller.abort();
+    this.active.delete(job);
+    if (job.key && this.inFlight.get(job.key) === job) {
+      this.inFlight.delete(job.key);
+    }
+
+    const state = this.providerState(job.provider);
+    const index = state.queue.indexOf(job);
+    if (index !== -1) state.queue.splice(index, 1);
+    if (job.retryTimer) {
+      clearTimeout(job.retryTimer);
+      job.retryTimer = null;
+      state.waiting--;
+    }
+  }
+
+  /**
+   * Cancel everything still pending for a conversation.
+   */
+  cancelGroup(group, reason = 'Request cancelled') {
+    this.waiters().filter(waiter => waiter.group === group).forEach(waiter => this.cancel(waiter, reason));
+  }
+
+  waiters() {
+    return Array.from(this.active).flatMap(job => Array.from(job.waiters));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Status
+  // ---------------------------------------------------------------------------
+
+  changed() {
+    this.emit('change');
+  }
+
+  /**
+   * Queue and quota state per provider, for the dashboard.
+   */
+  status() {
+    const providers = Array.from(this.providers, ([name, state]) => ({
+      provider: name,
+      queued: state.queue.length,
+      running: state.running,
+      retrying: state.waiting,
+      minute: { remaining: state.minute.remaining, limit: this.perMinute },
+      hour: { remaining: state.hour.remaining, limit: this.perHour },
+      pausedUntil: state.pausedUntil > Date.now() ? new Date(state.pausedUntil).toISOString() : null
+    }));
+    return { providers, totals: { ...this.totals } };
+  }
+
+  destroy() {
+    this.waiters().forEach(waiter => this.cancel(waiter, 'Shutting down'));
+    this.providers.forEach(state => clearTimeout(state.timer));
+  }
+}
+
+module.exports = { RequestScheduler, TokenBucket };
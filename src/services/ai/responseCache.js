@@ -0,0 +1,361 @@
+// Response Cache
+// Remembers the suggestions a provider returned for a prompt so the same
+// prompt does not cost another API call. Entries are keyed on a hash of the
+// anonymized context plus the provider and model settings, expire after a
+// TTL, and the least recently used ones are evicted once the cache grows
+// past its byte budget. Only anonymized text is cached, and the file is
+// written encrypted under the key manager's global key.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('electron-log');
+const { GLOBAL_CONTACT } = require('../encryption');
+
+const CACHE_VERSION = 1;
+const SAVE_DEBOUNCE_MS = 5000;
+const MINUTE_MS = 60 * 1000;
+
+// A short last message without a question ("ok thanks", "see you") gets the
+// same replies whatever came before it, so only that message is keyed
+const SHORT_MESSAGE_WORDS = 4;
+
+// Changes after which cached replies may quote removed conversations
+const CLEAR_CHANGES = ['data-cleared', 'data-replaced'];
+
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKC')
+    .replace(/[^\p{L}\p{N}\p{Extended_Pictographic}?\s[\]_]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+class ResponseCache {
+  /**
+   * @param {object} options
+   * @param {string} [options.filePath] - Where the cache persists between runs
+   * @param {import('../encryption').KeyManager} [options.keyManager] - Without one, or while locked, nothing is written
+   * @param {import('../dataStore').DataStore} [options.dataStore] - Loads on unlock and clears with the store
+   * @param {boolean} [options.enabled] - AI_CACHE_ENABLED and ENABLE_REQUEST_CACHING
+   * @param {number} [options.ttlMs] - AI_CACHE_TTL_MINUTES
+   * @param {number} [options.maxBytes] - MAX_CACHE_SIZE_MB
+   * @param {number} [options.cleanupIntervalMs] - CACHE_CLEANUP_INTERVAL_MS
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.keyManager = options.keyManager || null;
+    this.dataStore = options.dataStore || null;
+    this.enabled = options.enabled !== false;
+    this.ttlMs = options.ttlMs || 30 * MINUTE_MS;
+    this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+    this.cleanupIntervalMs = options.cleanupIntervalMs || 10 * MINUTE_MS;
+
+    // Map order doubles as recency: the first entry is the least recently used
+    this.entries = new Map();
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0, expired: 0 };
+    this.loaded = false;
+    this.saveTimer = null;
+    this.cleanupTimer = null;
+
+    if (this.dataStore) {
+      this.onChange = (change) => this.handleChange(change);
+      this.dataStore.on('change', this.onChange);
+    }
+  }
+
+  handleChange(change) {
+    if (change.type === 'store-unlocked' && !this.loaded) {
+      this.load();
+    } else if (CLEAR_CHANGES.includes(change.type)) {
+      this.clear();
+    }
+  }
+
+  get writable() {
+    return !!this.filePath && !!this.keyManager && !this.keyManager.isLocked();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Persistence
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Read the cache file. Skipped while the key manager is locked; the cache
+   * loads itself when the data store is unlocked.
+   */
+  load() {
+    if (!this.enabled) return this;
+    this.startCleanup();
+    if (!this.writable || !fs.existsSync(this.filePath)) {
+      this.loaded = this.writable;
+      return this;
+    }
+
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const payload = this.keyManager.decrypt(raw.payload);
+      this.entries = new Map();
+      this.bytes = 0;
+      payload.entries.forEach(entry => this.insert(entry));
+      this.stats = { ...this.stats, ...payload.stats };
+      this.prune();
+      log.info(`Response cache loaded: ${this.entries.size} entries`);
+    } catch (error) {
+      // A cache is cheap to rebuild; start over rather than fail
+      log.warn(`Discarding unreadable response cache: ${error.message}`);
+      this.entries = new Map();
+      this.bytes = 0;
+    }
+    this.loaded = true;
+    return this;
+  }
+
+  scheduleSave() {
+    if (!this.writable || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DEBOUNCE_MS);
+    if (this.saveTimer.unref) this.saveTimer.unref();
+  }
+
+  save() {
+    if (!this.writable || !this.loaded) return;
+
+    try {
+      const tempPath = `${this.filePath}.tmp`;
+      this.writeFile(tempPath, this.keyManager);
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      log.error('Failed to save response cache:', error);
+    }
+  }
+
+  writeFile(filePath, keyManager) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({
+      version: CACHE_VERSION,
+      encrypted: true,
+      payload: keyManager.encrypt({
+        entries: Array.from(this.entries.values()),
+        stats: this.stats
+      }, GLOBAL_CONTACT)
+    }));
+  }
+
+  /**
+   * Write the cache under another key manager's keys (key rotation) next to
+   * the current file; commit() moves it into place. Errors are thrown
+   * instead of logged.
+   */
+  stageRewrite(keyManager) {
+    if (!this.writable || !this.loaded) {
+      return { commit: () => {}, discard: () => {} };
+    }
+
+    const tempPath = `${this.filePath}.rotate`;
+    try {
+      this.writeFile(tempPath, keyManager);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+
+    return {
+      commit: () => fs.renameSync(tempPath, this.filePath),
+      discard: () => fs.rmSync(tempPath, { force: true })
+    };
+  }
+
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.save();
+  }
+
+  startCleanup() {
+    if (this.cleanupTimer) return;
+    this.cleanupTimer = setInterval(() => this.prune(), this.cleanupIntervalMs);
+    if (this.cleanupTimer.unref) this.cleanupTimer.unref();
+  }
+
+  destroy() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+    this.flush();
+    if (this.dataStore) {
+      this.dataStore.removeListener('change', this.onChange);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Entries
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Cache key for an anonymized context sent to a provider chain.
+   * @param {object} context - { messages }, already anonymized
+   * @param {object} options
+   * @param {number} options.count
+   * @param {object[]} options.providers - Providers in the order the chain tries them
+   * @param {boolean} [options.fallbackEnabled]
+   * @param {number} [options.maxTurns] - CONTEXT_WINDOW_SIZE; older messages never reach the prompt
+   * @param {object} [options.profile] - Tone profile the replies follow
+   */
+  keyFor(context, options) {
+    const messages = (context.messages || []).filter(message => message && String(message.text || '').trim());
+    const last = messages[messages.length - 1];
+    const lastText = last ? normalizeText(last.text) : '';
+    const standalone = last && last.direction !== 'outgoing' && !lastText.includes('?') &&
+      lastText.split(' ').length <= SHORT_MESSAGE_WORDS;
+
+    const turns = (standalone ? [last] : messages).map(message => [
+      message.direction === 'outgoing' ? 'me' : 'them',
+      normalizeText(message.text),
+      message.analysis ? [message.analysis.intent || null, message.analysis.sentiment && message.analysis.sentiment.label] : null
+    ]);
+
+    return hash({
+      turns: options.maxTurns ? turns.slice(-options.maxTurns) : turns,
+      count: options.count,
+      fallback: options.fallbackEnabled !== false,
+      profile: options.profile ? [options.profile.tone, options.profile.emoji, options.profile.language, options.profile.instructions] : null,
+      providers: options.providers.map(provider => [provider.name, provider.model, provider.temperature, provider.maxTokens])
+    });
+  }
+
+  /**
+   * @returns {{provider: string, model: string, suggestions: string[]}|null}
+   */
+  get(key) {
+    if (!this.enabled) return null;
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      this.stats.expired++;
+      this.stats.misses++;
+      this.scheduleSave();
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    entry.hits++;
+    this.stats.hits++;
+    this.scheduleSave();
+    return { provider: entry.provider, model: entry.model, suggestions: entry.suggestions.slice() };
+  }
+
+  set(key, value) {
+    if (!this.enabled) return;
+
+    this.remove(key);
+    const now = Date.now();
+    this.insert({
+      key,
+      provider: value.provider,
+      model: value.model,
+      suggestions: value.suggestions.slice(),
+      createdAt: now,
+      expiresAt: now + this.ttlMs,
+      hits: 0
+    });
+    this.evict();
+    this.scheduleSave();
+  }
+
+  insert(entry) {
+    entry.bytes = Buffer.byteLength(JSON.stringify(entry), 'utf8');
+    this.entries.set(entry.key, entry);
+    this.bytes += entry.bytes;
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    return true;
+  }
+
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.bytes <= this.maxBytes) break;
+      this.remove(key);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Drop expired entries.
+   * @returns {number} Entries removed
+   */
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    Array.from(this.entries.values()).forEach(entry => {
+      if (entry.expiresAt <= now && this.remove(entry.key)) {
+        removed++;
+      }
+    });
+    if (removed > 0) {
+      this.stats.expired += removed;
+      this.scheduleSave();
+    }
+    return removed;
+  }
+
+  /**
+   * Drop entries created before `cutoff`, for the retention purge.
+   * @returns {number} Entries removed
+   */
+  purgeBefore(cutoff) {
+    const cutoffTime = new Date(cutoff).getTime();
+    let removed = 0;
+    Array.from(this.entries.values()).forEach(entry => {
+      if (entry.createdAt < cutoffTime && this.remove(entry.key)) {
+        removed++;
+      }
+    });
+    if (removed > 0) this.scheduleSave();
+    return removed;
+  }
+
+  clear() {
+    const removed = this.entries.size;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.scheduleSave();
+    return removed;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      ttlMinutes: Math.round(this.ttlMs / MINUTE_MS),
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 100) : 0
+    };
+  }
+}
+
+module.exports = { ResponseCache };
@@ -0,0 +1,248 @@
+// Retrieval Engine
+// Offline suggestions from the user's own reply history. Every incoming
+// message (or burst of them) and the reply the user sent next form a pair;
+// a new message is scored against the stored incoming side with BM25 and
+// the replies of the closest matches are offered, adapted to the contact.
+// Nothing leaves the machine, so this also covers having no API keys and
+// every provider failing.
+
+const { ProviderError } = require('./providers/baseProvider');
+const { messageTime } = require('../dataStore');
+
+// BM25 parameters: term frequency saturation and length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+// A reply sent later than this is not taken as an answer
+const REPLY_WINDOW_MS = 6 * 60 * 60 * 1000;
+const MAX_REPLY_LENGTH = 300;
+// Matches from the same conversation count a bit more
+const SAME_CONVERSATION_BOOST = 1.25;
+// Matches scoring below this share of the best one only share a stray word
+const MIN_RELATIVE_SCORE = 0.25;
+
+// Changes that add or remove messages in bulk
+const REBUILD_CHANGES = ['messages-added', 'data-replaced', 'data-purged', 'data-cleared', 'conversation-deleted', 'store-unlocked'];
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function normalize(text) {
+  return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function firstName(name) {
+  return String(name || '').trim().split(/\s+/)[0] || '';
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Fit a past reply to the current chat: the name of the person it was sent
+ * to becomes the current contact's.
+ */
+function adaptReply(text, fromName, toName) {
+  const from = firstName(fromName);
+  const to = firstName(toName);
+  if (!from || !to || from.toLowerCase() === to.toLowerCase() || from.length < 2) return text;
+  return text.replace(new RegExp(`(^|[^\\p{L}])${escapeRegExp(from)}(?![\\p{L}])`, 'giu'), `$1${to}`);
+}
+
+class RetrievalEngine {
+  /**
+   * @param {object} options
+   * @param {import('../dataStore').DataStore} options.dataStore
+   */
+  constructor(options) {
+    this.dataStore = options.dataStore;
+    this.pairs = [];
+    this.postings = new Map();
+    this.totalLength = 0;
+    this.stale = true;
+
+    this.onChange = (change) => this.handleChange(change);
+    this.dataStore.on('change', this.onChange);
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  dispose() {
+    this.dataStore.removeListener('change', this.onChange);
+  }
+
+  handleChange(change) {
+    if (this.stale) return;
+
+    if (change.type === 'message-added') {
+      const message = this.dataStore.getMessage(change.messageId);
+      // Only a reply completes a new pair
+      if (message && message.direction === 'outgoing') {
+        this.indexConversation(message.conversationId, message.id);
+      }
+    } else if (REBUILD_CHANGES.includes(change.type)) {
+      this.stale = true;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Index
+  // ---------------------------------------------------------------------------
+
+  rebuild() {
+    this.pairs = [];
+    this.postings = new Map();
+    this.totalLength = 0;
+    this.dataStore.listConversations().forEach(conversation => this.indexConversation(conversation.id));
+    this.stale = false;
+  }
+
+  /**
+   * Add the pairs of one conversation. With `replyId`, only the pair that
+   * ends in that reply is added.
+   */
+  indexConversation(conversationId, replyId) {
+    const conversation = this.dataStore.getConversation(conversationId);
+    if (!conversation) return;
+
+    const thread = this.dataStore.queryMessages({ conversationId });
+    let burst = [];
+    thread.forEach((message, index) => {
+      if (message.direction !== 'outgoing') {
+        burst.push(message);
+        return;
+      }
+
+      const previous = thread[index - 1];
+      const answers = burst.length > 0 && previous && previous.direction !== 'outgoing';
+      if (answers && (!replyId || message.id === replyId)) {
+        const last = burst[burst.length - 1];
+        const gap = messageTime(message) - messageTime(last);
+        if (gap >= 0 && gap <= REPLY_WINDOW_MS && message.text && message.text.length <= MAX_REPLY_LENGTH) {
+          this.addPair({
+            conversationId,
+            contact: conversation.name,
+            query: burst.map(item => item.text).join(' '),
+            reply: message.text.trim(),
+            timestamp: message.timestamp || message.createdAt
+          });
+        }
+      }
+      burst = [];
+    });
+  }
+
+  addPair(pair) {
+    const terms = tokenize(pair.query);
+    if (terms.length === 0 || !pair.reply) return;
+
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+    const id = this.pairs.length;
+    this.pairs.push({ ...pair, length: terms.length });
+    this.totalLength += terms.length;
+    frequencies.forEach((count, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, []);
+      }
+      this.postings.get(term).push({ id, count });
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Search
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Pairs whose incoming side best matches `text`, best first.
+   */
+  search(text, options = {}) {
+    if (this.stale) this.rebuild();
+    if (this.pairs.length === 0) return [];
+
+    const averageLength = this.totalLength / this.pairs.length;
+    const scores = new Map();
+    new Set(tokenize(text)).forEach(term => {
+      const postings = this.postings.get(term);
+      if (!postings) return;
+
+      const idf = Math.log(1 + (this.pairs.length - postings.length + 0.5) / (postings.length + 0.5));
+      postings.forEach(({ id, count }) => {
+        const length = this.pairs[id].length;
+        const score = idf * (count * (K1 + 1)) / (count + K1 * (1 - B + B * length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + score);
+      });
+    });
+
+    return Array.from(scores, ([id, score]) => {
+      const pair = this.pairs[id];
+      return {
+        ...pair,
+        score: pair.conversationId === options.conversationId ? score * SAME_CONVERSATION_BOOST : score
+      };
+    }).sort((a, b) => b.score - a.score || new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  /**
+   * Reply candidates for the unanswered messages at the end of `context`.
+   * @param {object} context - { conversationId, contact, messages }
+   * @param {number} count
+   * @returns {string[]}
+   */
+  suggest(context, count) {
+    const messages = context.messages || [];
+    const unanswered = [];
+    for (let i = messages.length - 1; i >= 0 && messages[i].direction !== 'outgoing'; i--) {
+      unanswered.unshift(messages[i].text);
+    }
+    const query = unanswered.length > 0 ? unanswered.join(' ') : (messages[messages.length - 1] || {}).text;
+    if (!query) return [];
+
+    const matches = this.search(query, { conversationId: context.conversationId });
+    if (matches.length === 0) return [];
+    const threshold = matches[0].score * MIN_RELATIVE_SCORE;
+
+    // The same reply given to several similar messages adds up
+    const replies = new Map();
+    matches.filter(match => match.score >= threshold).forEach(match => {
+      const text = adaptReply(match.reply, match.contact, context.contact);
+      const key = normalize(text);
+      const existing = replies.get(key);
+      if (existing) {
+        existing.score += match.score;
+      } else {
+        replies.set(key, { text, score: match.score });
+      }
+    });
+
+    return Array.from(replies.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count)
+      .map(reply => reply.text);
+  }
+
+  /**
+   * Same result shape as ProviderChain.generate().
+   */
+  generate(context, options = {}) {
+    const started = Date.now();
+    const suggestions = this.suggest(context, options.count || 3);
+    if (suggestions.length === 0) {
+      throw new ProviderError('No similar messages in your reply history yet', { provider: this.name, retryable: false });
+    }
+    return {
+      provider: this.name,
+      model: 'bm25',
+      suggestions,
+      latencyMs: Date.now() - started,
+      attempts: []
+    };
+  }
+}
+
+module.exports = { RetrievalEngine, tokenize, adaptReply };
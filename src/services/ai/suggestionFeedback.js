@@ -0,0 +1,204 @@
+// Suggestion Feedback
+// Records what happened to each batch of suggestions (accepted, edited then
+// sent, dismissed or timed out) and learns, per contact, which reply styles
+// the user prefers so future candidates can be re-ranked towards them.
+
+const log = require('electron-log');
+const { messageTime } = require('../dataStore');
+
+const OUTCOMES = ['accepted', 'edited', 'dismissed', 'timed-out'];
+
+// An outgoing message this soon after a suggestion is taken as its final text
+const SENT_MATCH_WINDOW_MS = 5 * 60 * 1000;
+
+// Feedback needed for a contact before their ranking changes
+const MIN_SAMPLES = 3;
+const HISTORY_LIMIT = 50;
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+const GREETING_PATTERN = /^(hi|hey|hello|hallo|yo|morning|good (morning|evening|afternoon))\b/i;
+
+/**
+ * Coarse style markers of a reply. Re-ranking works on these rather than on
+ * the words themselves so it generalises across topics.
+ */
+function styleFeatures(text) {
+  const value = String(text || '').trim();
+  const words = value.split(/\s+/).filter(Boolean).length;
+  const features = [];
+
+  features.push(words <= 4 ? 'length:short' : words <= 12 ? 'length:medium' : 'length:long');
+  if (EMOJI_PATTERN.test(value)) features.push('emoji');
+  if (value.includes('?')) features.push('question');
+  if (value.includes('!')) features.push('exclamation');
+  if (GREETING_PATTERN.test(value)) features.push('greeting');
+  if (/^[A-ZÄÖÜ]/.test(value) && /[.!?]$/.test(value)) {
+    features.push('formal');
+  } else if (value === value.toLowerCase()) {
+    features.push('lowercase');
+  }
+  return features;
+}
+
+function normalize(text) {
+  return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+class SuggestionFeedback {
+  /**
+   * @param {object} options
+   * @param {import('../dataStore').DataStore} options.dataStore
+   */
+  constructor(options) {
+    this.dataStore = options.dataStore;
+    this.profiles = new Map();
+
+    this.onChange = (change) => this.handleChange(change);
+    this.dataStore.on('change', this.onChange);
+  }
+
+  dispose() {
+    this.dataStore.removeListener('change', this.onChange);
+  }
+
+  handleChange(change) {
+    if (change.type === 'suggestion-updated' || change.type === 'suggestion-added') {
+      this.profiles.delete(change.conversationId);
+    } else if (change.type === 'message-added') {
+      this.matchSentMessage(change.messageId);
+    } else if (['conversation-deleted', 'data-purged', 'data-cleared', 'data-replaced', 'store-unlocked'].includes(change.type)) {
+      this.profiles.clear();
+    }
+  }
+
+  /**
+   * @param {string} suggestionId
+   * @param {object} feedback
+   * @param {'accepted'|'edited'|'dismissed'|'timed-out'} feedback.outcome
+   * @param {number} [feedback.rank] - 1-based position of the chosen candidate
+   * @param {string} [feedback.sentText] - What was finally sent
+   */
+  record(suggestionId, feedback) {
+    if (!OUTCOMES.includes(feedback.outcome)) {
+      throw new Error(`Unknown suggestion outcome: ${feedback.outcome}`);
+    }
+
+    const suggestion = this.dataStore.getSuggestion(suggestionId);
+    if (!suggestion) {
+      throw new Error(`Unknown suggestion: ${suggestionId}`);
+    }
+
+    let rank = feedback.rank || suggestion.rank || null;
+    let outcome = feedback.outcome;
+    if (feedback.sentText !== undefined && rank) {
+      // Sent text that differs from the chosen candidate means it was edited
+      outcome = normalize(feedback.sentText) === normalize(suggestion.candidates[rank - 1]) ? 'accepted' : 'edited';
+    } else if (feedback.sentText !== undefined && !rank) {
+      const index = suggestion.candidates.findIndex(candidate => normalize(candidate) === normalize(feedback.sentText));
+      if (index !== -1) rank = index + 1;
+    }
+
+    const updated = this.dataStore.updateSuggestion(suggestionId, {
+      status: outcome,
+      rank,
+      sentText: feedback.sentText !== undefined ? feedback.sentText : suggestion.sentText || null,
+      respondedAt: new Date().toISOString()
+    });
+
+    this.dataStore.addEvent('suggestion-feedback', {
+      suggestionId,
+      conversationId: suggestion.conversationId,
+      provider: suggestion.provider,
+      latencyMs: suggestion.latencyMs,
+      rank,
+      outcome
+    });
+    return updated;
+  }
+
+  /**
+   * Complete the most recent open suggestion in a conversation with the
+   * message the user actually sent.
+   */
+  matchSentMessage(messageId) {
+    const message = this.dataStore.getMessage(messageId);
+    if (!message || message.direction !== 'outgoing') return;
+
+    const sentAt = messageTime(message);
+    const suggestion = this.dataStore.listSuggestions({ conversationId: message.conversationId })
+      .filter(candidate => !candidate.sentText && (candidate.status === 'shown' || candidate.status === 'accepted'))
+      .filter(candidate => sentAt - Date.parse(candidate.createdAt) >= 0 && sentAt - Date.parse(candidate.createdAt) <= SENT_MATCH_WINDOW_MS)
+      .pop();
+    if (!suggestion) return;
+
+    try {
+      if (suggestion.status === 'accepted') {
+        this.record(suggestion.id, { outcome: 'accepted', sentText: message.text });
+      } else {
+        const matched = suggestion.candidates.some(candidate => normalize(candidate) === normalize(message.text));
+        // A reply typed without using any candidate counts as a dismissal
+        this.record(suggestion.id, matched ? { outcome: 'accepted', sentText: message.text } : { outcome: 'dismissed' });
+      }
+    } catch (error) {
+      log.warn('Failed to match sent message to suggestion:', error.message);
+    }
+  }
+
+  /**
+   * Style weights for one contact: features of chosen replies score up,
+   * features of candidates passed over score down.
+   */
+  getProfile(conversationId) {
+    if (!conversationId) return null;
+    if (this.profiles.has(conversationId)) {
+      return this.profiles.get(conversationId);
+    }
+
+    const weights = {};
+    const add = (features, amount) => {
+      features.forEach(feature => {
+        weights[feature] = (weights[feature] || 0) + amount;
+      });
+    };
+
+    const decided = this.dataStore.listSuggestions({ conversationId })
+      .filter(suggestion => suggestion.rank && (suggestion.status === 'accepted' || suggestion.status === 'edited'))
+      .slice(-HISTORY_LIMIT);
+
+    decided.forEach(suggestion => {
+      const chosen = suggestion.status === 'edited' && suggestion.sentText
+        ? suggestion.sentText
+        : suggestion.candidates[suggestion.rank - 1];
+      add(styleFeatures(chosen), 1);
+
+      const others = suggestion.candidates.filter((candidate, index) => index !== suggestion.rank - 1);
+      others.forEach(candidate => add(styleFeatures(candidate), -1 / others.length));
+    });
+
+    const profile = { samples: decided.length, weights };
+    this.profiles.set(conversationId, profile);
+    return profile;
+  }
+
+  /**
+   * Order candidates by how well they match the contact's preferred style.
+   * Ties keep the provider's order.
+   */
+  rank(conversationId, candidates) {
+    const profile = this.getProfile(conversationId);
+    if (!profile || profile.samples < MIN_SAMPLES) {
+      return candidates;
+    }
+
+    return candidates
+      .map((text, index) => ({
+        text,
+        index,
+        score: styleFeatures(text).reduce((sum, feature) => sum + (profile.weights[feature] || 0), 0) / profile.samples
+      }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(entry => entry.text);
+  }
+}
+
+module.exports = { SuggestionFeedback, styleFeatures, OUTCOMES };
@@ -0,0 +1,233 @@
+// Suggestion Service
+// Turns a conversation context into reply suggestions using the configured
+// provider chain, and records each batch in the data store.
+
+const log = require('electron-log');
+const { ProviderChain } = require('./providerChain');
+const { ContextBuilder } = require('./contextBuilder');
+const { resolveProfile } = require('./toneProfiles');
+const { Anonymizer } = require('../anonymizer');
+
+const DEFAULT_CONTEXT_MESSAGES = 5;
+
+class SuggestionService {
+  /**
+   * @param {object} options
+   * @param {import('../dataStore').DataStore} options.dataStore
+   * @param {() => object} options.getAiSettings - Current `ai` settings
+   * @param {() => object} options.getApiKeys - Current API keys
+   * @param {() => object} [options.getRedactionSettings] - Current `privacy.redaction` settings
+   * @param {import('./suggestionFeedback').SuggestionFeedback} [options.feedback] - Re-ranks candidates per contact
+   * @param {import('./retrievalEngine').RetrievalEngine} [options.retrieval] - Local suggestions without keys or when every provider fails
+   * @param {import('./requestScheduler').RequestScheduler} [options.scheduler] - Rate limits and retries provider calls
+   * @param {import('./responseCache').ResponseCache} [options.cache] - Provider replies to reuse for the same prompt
+   * @param {number} [options.timeoutMs]
+   * @param {number} [options.contextMessages]
+   * @param {number} [options.maxMessageLength] - Longer messages are shortened in the prompt
+   */
+  constructor(options) {
+    this.dataStore = options.dataStore;
+    this.getAiSettings = options.getAiSettings;
+    this.getApiKeys = options.getApiKeys;
+    this.getRedactionSettings = options.getRedactionSettings || (() => ({}));
+    this.feedback = options.feedback || null;
+    this.retrieval = options.retrieval || null;
+    this.scheduler = options.scheduler || null;
+    this.cache = options.cache || null;
+    this.timeoutMs = options.timeoutMs;
+    this.contextMessages = options.contextMessages || DEFAULT_CONTEXT_MESSAGES;
+    this.contextBuilder = new ContextBuilder({
+      maxTurns: this.contextMessages,
+      maxMessageLength: options.maxMessageLength
+    });
+  }
+
+  createChain(options = {}) {
+    return ProviderChain.fromSettings(this.getAiSettings(), this.getApiKeys(), {
+      timeoutMs: this.timeoutMs,
+      scheduler: this.scheduler,
+      ...options
+    });
+  }
+
+  /**
+   * Fill in the recent messages, platform and contact of a stored
+   * conversation when the caller only passed its id.
+   */
+  resolveContext(context = {}) {
+    const conversation = context.conversationId ? this.dataStore.getConversation(context.conversationId) : null;
+    const resolved = {
+      ...context,
+      platform: context.platform || (conversation && conversation.platform),
+      contact: context.contact || (conversation && conversation.name),
+      messages: context.messages || []
+    };
+    if (resolved.messages.length === 0 && conversation) {
+      resolved.messages = this.dataStore.getMessages(conversation.id, { limit: this.contextMessages }).messages;
+    }
+    return resolved;
+  }
+
+  /**
+   * A prompt builder for the provider chain, so each provider gets the
+   * context trimmed to its own model's budget.
+   */
+  promptFor(context, count, profile) {
+    return (provider) => {
+      const prompt = this.contextBuilder.build(context, {
+        count,
+        model: provider.model,
+        maxTokens: provider.maxTokens,
+        profile
+      });
+      if (prompt.dropped > 0) {
+        log.info(`Dropped ${prompt.dropped} older message(s) to fit ${provider.name} (${prompt.tokens}/${prompt.budget} tokens)`);
+      }
+      return prompt;
+    };
+  }
+
+  /**
+   * Ask the provider chain, or the local retrieval engine when no provider
+   * has a key, all of them failed, or the contact's messages must stay on
+   * this device. A prompt answered before is served from the response cache
+   * without contacting anyone.
+   */
+  async generateCandidates(context, count, profile, localOnly = false) {
+    if (localOnly) {
+      if (!this.retrieval) {
+        throw new Error('Suggestions for this contact are kept on this device, but local suggestions are unavailable');
+      }
+      return { result: this.retrieval.generate(context, { count }), redactions: [], contacted: null };
+    }
+
+    const chain = this.createChain();
+    if (chain.providers.length === 0 && this.retrieval) {
+      return { result: this.retrieval.generate(context, { count }), redactions: [], contacted: null };
+    }
+
+    // Only the anonymized context ever leaves the machine
+    const anonymizer = new Anonymizer(this.getRedactionSettings());
+    const { context: safeContext, mapping, redactions } = anonymizer.anonymize(context);
+
+    const cacheKey = this.cache && this.cache.keyFor(safeContext, {
+      count,
+      providers: chain.providers,
+      fallbackEnabled: chain.fallbackEnabled,
+      maxTurns: this.contextMessages,
+      profile
+    });
+    const cached = cacheKey && this.cache.get(cacheKey);
+    if (cached) {
+      return {
+        result: {
+          ...cached,
+          suggestions: cached.suggestions.map(text => Anonymizer.restore(text, mapping)),
+          latencyMs: 0,
+          attempts: [],
+          cached: true
+        },
+        redactions: [],
+        contacted: null
+      };
+    }
+
+    try {
+      const result = await chain.generate(this.promptFor(safeContext, count, profile), {
+        count,
+        group: context.conversationId
+      });
+      if (cacheKey) {
+        this.cache.set(cacheKey, result);
+      }
+      return {
+        result: { ...result, suggestions: result.suggestions.map(text => Anonymizer.restore(text, mapping)) },
+        redactions,
+        contacted: result.provider
+      };
+    } catch (error) {
+      if (error.cancelled || !this.retrieval || !chain.fallbackEnabled) throw error;
+
+      log.warn('Every AI provider failed; using suggestions from reply history');
+      const result = this.retrieval.generate(context, { count });
+      const attempts = error.attempts || [];
+      // The context did reach the providers that were tried
+      return {
+        result: { ...result, attempts },
+        redactions,
+        contacted: attempts.map(attempt => attempt.provider).join(', ')
+      };
+    }
+  }
+
+  async generateSuggestions(context) {
+    const settings = this.getAiSettings();
+    const count = settings.maxSuggestions || 3;
+    const resolved = this.resolveContext(context);
+    const conversation = resolved.conversationId && this.dataStore.getConversation(resolved.conversationId);
+    const contact = conversation && conversation.contactId && this.dataStore.getContact(conversation.contactId);
+    // The conversation's own profile wins over its contact's, the platform's and the global one
+    const applied = resolveProfile(settings, {
+      profileId: (conversation && conversation.profileId) || (contact && contact.profileId),
+      platform: resolved.platform
+    });
+    const profile = applied && applied.profile;
+    const localOnly = !!(contact && contact.privacy && contact.privacy.ai === 'local');
+
+    const { result, redactions, contacted } = await this.generateCandidates(resolved, count, profile, localOnly);
+    let suggestions = result.suggestions;
+    if (this.feedback) {
+      suggestions = this.feedback.rank(resolved.conversationId, suggestions);
+    }
+
+    const lastIncoming = resolved.messages.slice().reverse().find(message => message.direction !== 'outgoing');
+    const suggestion = this.dataStore.addSuggestion({
+      conversationId: resolved.conversationId,
+      messageId: lastIncoming && lastIncoming.id,
+      provider: result.provider,
+      model: result.model,
+      candidates: suggestions,
+      latencyMs: result.latencyMs,
+      redactions
+    });
+    this.dataStore.addEvent('suggestion-generated', {
+      conversationId: resolved.conversationId,
+      provider: result.provider
+    });
+    if (redactions.length > 0) {
+      this.dataStore.addEvent('context-redacted', {
+        conversationId: resolved.conversationId,
+        provider: contacted,
+        counts: Anonymizer.summarize(redactions),
+        items: redactions
+      });
+    }
+
+    if (result.cached) {
+      log.info(`Suggestions served from the response cache (${result.provider})`);
+    } else if (result.attempts.length > 0) {
+      log.info(`Suggestions served by ${result.provider} after ${result.attempts.length} failed provider(s)`);
+    }
+
+    return {
+      suggestionId: suggestion.id,
+      suggestions,
+      provider: result.provider,
+      latencyMs: result.latencyMs,
+      cached: !!result.cached,
+      profile: profile ? profile.name : null,
+      redactions
+    };
+  }
+
+  /**
+   * Send a minimal request to a single provider to check its key and settings.
+   */
+  async testProvider(name) {
+    const prompt = this.promptFor({ messages: [{ direction: 'incoming', text: 'Hi, are you free tomorrow?' }] }, 1);
+    const result = await this.createChain({ only: name }).generate(prompt, { count: 1 });
+    return { provider: result.provider, latencyMs: result.latencyMs, sample: result.suggestions[0] };
+  }
+}
+
+module.exports = { SuggestionService };
@@ -0,0 +1,130 @@
+// Tone Profiles
+// How suggestions should sound: a tone, emoji usage, a preferred language
+// and free-form instructions. A conversation uses the profile assigned to
+// its contact, else the one for its platform, else the global default.
+// Profiles live in the `ai` settings; contact assignments are stored on the
+// conversation so they are encrypted and deleted along with it.
+
+const crypto = require('crypto');
+
+const TONES = ['formal', 'casual', 'brief', 'warm', 'professional'];
+const EMOJI_LEVELS = ['none', 'some', 'lots'];
+const MAX_INSTRUCTIONS_LENGTH = 500;
+
+const TONE_INSTRUCTIONS = {
+  formal: 'Write in a formal, polite register with complete sentences and no slang.',
+  casual: 'Keep it relaxed and casual, the way friends text each other.',
+  brief: 'Keep every reply to a handful of words.',
+  warm: 'Sound warm, caring and friendly.',
+  professional: 'Sound clear, courteous and professional, as with a colleague or client.'
+};
+
+const EMOJI_INSTRUCTIONS = {
+  none: 'Do not use emoji.',
+  some: 'An emoji now and then is fine.',
+  lots: 'Use emoji freely.'
+};
+
+const BUILTIN_EMOJI = {
+  formal: 'none',
+  casual: 'some',
+  brief: 'none',
+  warm: 'some',
+  professional: 'none'
+};
+
+function defaultProfiles() {
+  return TONES.map(tone => ({
+    id: tone,
+    name: tone.charAt(0).toUpperCase() + tone.slice(1),
+    tone,
+    emoji: BUILTIN_EMOJI[tone],
+    language: '',
+    instructions: '',
+    builtin: true
+  }));
+}
+
+/**
+ * Profile-related defaults merged into the `ai` settings.
+ */
+function defaultProfileSettings() {
+  return {
+    profiles: defaultProfiles(),
+    // null means suggestions are not steered by any profile
+    defaultProfile: null,
+    platformProfiles: {}
+  };
+}
+
+/**
+ * Clean up a profile coming from the settings UI.
+ * @throws {Error} When the profile has no name or an unknown tone
+ */
+function normalizeProfile(input, existing) {
+  const name = String(input.name || '').trim();
+  if (!name) {
+    throw new Error('A profile needs a name');
+  }
+  if (!TONES.includes(input.tone)) {
+    throw new Error(`Unknown tone: ${input.tone}`);
+  }
+
+  return {
+    id: (existing && existing.id) || input.id || crypto.randomUUID(),
+    name,
+    tone: input.tone,
+    emoji: EMOJI_LEVELS.includes(input.emoji) ? input.emoji : 'some',
+    language: String(input.language || '').trim(),
+    instructions: String(input.instructions || '').trim().slice(0, MAX_INSTRUCTIONS_LENGTH),
+    builtin: !!(existing && existing.builtin)
+  };
+}
+
+/**
+ * The profile that applies to a conversation.
+ * @param {object} settings - `ai` settings
+ * @param {object} target - { profileId, platform }; profileId is the contact's own assignment
+ * @returns {{profile: object, source: 'contact'|'platform'|'default'}|null}
+ */
+function resolveProfile(settings, target = {}) {
+  const profiles = settings.profiles || defaultProfiles();
+  const byId = id => (id && profiles.find(profile => profile.id === id)) || null;
+
+  const candidates = [
+    ['contact', target.profileId],
+    ['platform', target.platform && (settings.platformProfiles || {})[target.platform]],
+    ['default', settings.defaultProfile]
+  ];
+  for (const [source, id] of candidates) {
+    const profile = byId(id);
+    if (profile) return { profile, source };
+  }
+  return null;
+}
+
+/**
+ * Prompt sentences describing how replies under `profile` should sound.
+ */
+function profileInstructions(profile) {
+  if (!profile) return [];
+
+  const lines = [TONE_INSTRUCTIONS[profile.tone], EMOJI_INSTRUCTIONS[profile.emoji]];
+  if (profile.language) {
+    lines.push(`Write the replies in ${profile.language}.`);
+  }
+  if (profile.instructions) {
+    lines.push(profile.instructions);
+  }
+  return lines.filter(Boolean);
+}
+
+module.exports = {
+  TONES,
+  EMOJI_LEVELS,
+  defaultProfiles,
+  defaultProfileSettings,
+  normalizeProfile,
+  resolveProfile,
+  profileInstructions
+};
@@ -0,0 +1,263 @@
+// Analytics Engine
+// Keeps one rollup per calendar day (message counts per platform and
+// direction, tags of incoming messages, suggestion outcomes and latencies)
+// and builds the Analytics view
+// metrics from them. Rollups are updated as the data store changes, so
+// switching between periods never rescans the whole history.
+
+const { dayKey, messageTime } = require('./dataStore');
+
+const ACCEPTED_STATUSES = ['accepted', 'edited'];
+const REJECTED_STATUSES = ['dismissed', 'timed-out'];
+
+// Store changes that touch too many records to patch day by day
+const REBUILD_CHANGES = ['conversation-deleted', 'data-purged', 'data-cleared', 'data-replaced', 'store-unlocked'];
+
+const TOP_TOPICS = 10;
+
+function emptyRollup(date) {
+  return {
+    date,
+    messages: 0,
+    incoming: 0,
+    outgoing: 0,
+    platforms: {},
+    // Message analyzer tags of incoming messages
+    sentiments: {},
+    intents: {},
+    topics: {},
+    suggestions: 0,
+    statuses: {},
+    // Suggestion latencies in ms, kept sorted
+    latencies: []
+  };
+}
+
+function dayBounds(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const start = new Date(year, month - 1, day);
+  const end = new Date(year, month - 1, day + 1);
+  return { since: start.toISOString(), until: new Date(end.getTime() - 1).toISOString() };
+}
+
+// Nearest-rank percentile of a sorted list
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+// Merge already-sorted lists
+function mergeSorted(lists) {
+  return lists.reduce((merged, list) => {
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < merged.length && j < list.length) {
+      result.push(merged[i] <= list[j] ? merged[i++] : list[j++]);
+    }
+    return result.concat(merged.slice(i), list.slice(j));
+  }, []);
+}
+
+class AnalyticsEngine {
+  /**
+   * @param {object} options
+   * @param {import('./dataStore').DataStore} options.dataStore
+   */
+  constructor(options) {
+    this.dataStore = options.dataStore;
+    this.rollups = new Map();
+    this.dirtyDays = new Set();
+    this.stale = true;
+
+    this.onChange = (change) => this.handleChange(change);
+    this.dataStore.on('change', this.onChange);
+  }
+
+  dispose() {
+    this.dataStore.removeListener('change', this.onChange);
+  }
+
+  handleChange(change) {
+    if (this.stale) return;
+
+    if (change.type === 'message-added' || change.type === 'message-analyzed') {
+      this.markMessageDays([change.messageId]);
+    } else if (change.type === 'messages-added' || change.type === 'messages-analyzed') {
+      this.markMessageDays(change.messageIds);
+    } else if (change.type === 'suggestion-added' || change.type === 'suggestion-updated') {
+      const suggestion = this.dataStore.getSuggestion(change.suggestionId);
+      if (suggestion) this.dirtyDays.add(dayKey(suggestion.createdAt));
+    } else if (REBUILD_CHANGES.includes(change.type)) {
+      this.stale = true;
+    }
+  }
+
+  markMessageDays(messageIds) {
+    messageIds.forEach(id => {
+      const message = this.dataStore.getMessage(id);
+      if (message) this.dirtyDays.add(dayKey(messageTime(message)));
+    });
+  }
+
+  addMessage(rollup, message) {
+    rollup.messages++;
+    rollup[message.direction === 'outgoing' ? 'outgoing' : 'incoming']++;
+    rollup.platforms[message.platform] = (rollup.platforms[message.platform] || 0) + 1;
+
+    const analysis = message.analysis;
+    if (!analysis) return;
+    const count = (counts, key) => {
+      counts[key] = (counts[key] || 0) + 1;
+    };
+    if (analysis.sentiment) count(rollup.sentiments, analysis.sentiment.label);
+    if (analysis.intent) count(rollup.intents, analysis.intent);
+    (analysis.topics || []).forEach(topic => count(rollup.topics, topic));
+  }
+
+  addSuggestion(rollup, suggestion) {
+    rollup.suggestions++;
+    rollup.statuses[suggestion.status] = (rollup.statuses[suggestion.status] || 0) + 1;
+    if (typeof suggestion.latencyMs === 'number') {
+      rollup.latencies.push(suggestion.latencyMs);
+    }
+  }
+
+  rollupFor(rollups, date) {
+    if (!rollups.has(date)) {
+      rollups.set(date, emptyRollup(date));
+    }
+    return rollups.get(date);
+  }
+
+  // One pass over everything; only needed after bulk changes
+  rebuild() {
+    const rollups = new Map();
+
+    this.dataStore.queryMessages({}).forEach(message => {
+      this.addMessage(this.rollupFor(rollups, dayKey(messageTime(message))), message);
+    });
+    this.dataStore.listSuggestions().forEach(suggestion => {
+      this.addSuggestion(this.rollupFor(rollups, dayKey(suggestion.createdAt)), suggestion);
+    });
+    rollups.forEach(rollup => rollup.latencies.sort((a, b) => a - b));
+
+    this.rollups = rollups;
+    this.dirtyDays.clear();
+    this.stale = false;
+  }
+
+  rebuildDay(date) {
+    const rollup = emptyRollup(date);
+    const bounds = dayBounds(date);
+
+    this.dataStore.queryMessages(bounds).forEach(message => this.addMessage(rollup, message));
+    this.dataStore.listSuggestions(bounds).forEach(suggestion => this.addSuggestion(rollup, suggestion));
+    rollup.latencies.sort((a, b) => a - b);
+
+    if (rollup.messages > 0 || rollup.suggestions > 0) {
+      this.rollups.set(date, rollup);
+    } else {
+      this.rollups.delete(date);
+    }
+  }
+
+  refresh() {
+    if (this.stale) {
+      this.rebuild();
+      return;
+    }
+    this.dirtyDays.forEach(date => this.rebuildDay(date));
+    this.dirtyDays.clear();
+  }
+
+  /**
+   * Metrics for the Analytics view over the last `days` days, today included.
+   */
+  getAnalytics(days = 30) {
+    this.refresh();
+
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - (days - 1));
+
+    const period = [];
+    for (let i = 0; i < days; i++) {
+      const date = new Date(start);
+      date.setDate(start.getDate() + i);
+      const key = dayKey(date);
+      period.push(this.rollups.get(key) || emptyRollup(key));
+    }
+
+    const platformCounts = {};
+    const statuses = {};
+    const sentiments = {};
+    const intents = {};
+    const topics = {};
+    const sum = (totals, counts) => Object.keys(counts).forEach(key => {
+      totals[key] = (totals[key] || 0) + counts[key];
+    });
+    let totalMessages = 0;
+    period.forEach(rollup => {
+      totalMessages += rollup.messages;
+      sum(platformCounts, rollup.platforms);
+      sum(statuses, rollup.statuses);
+      sum(sentiments, rollup.sentiments);
+      sum(intents, rollup.intents);
+      sum(topics, rollup.topics);
+    });
+
+    const platformUsage = Object.keys(platformCounts).map(platform => ({
+      platform,
+      messages: platformCounts[platform],
+      percentage: totalMessages ? Math.round((platformCounts[platform] / totalMessages) * 100) : 0
+    })).sort((a, b) => b.messages - a.messages);
+
+    // Seconds, as shown in the UI
+    const latencies = mergeSorted(period.map(rollup => rollup.latencies)).map(ms => ms / 1000);
+
+    const accepted = ACCEPTED_STATUSES.reduce((sum, status) => sum + (statuses[status] || 0), 0);
+    const rejected = REJECTED_STATUSES.reduce((sum, status) => sum + (statuses[status] || 0), 0);
+    const decided = accepted + rejected;
+
+    return {
+      messageVolume: period.map(rollup => ({
+        date: rollup.date,
+        messages: rollup.messages,
+        incoming: rollup.incoming,
+        outgoing: rollup.outgoing,
+        suggestions: rollup.suggestions
+      })),
+      platformUsage,
+      responseTime: {
+        average: latencies.length ? latencies.reduce((sum, value) => sum + value, 0) / latencies.length : 0,
+        min: latencies.length ? latencies[0] : 0,
+        max: latencies.length ? latencies[latencies.length - 1] : 0,
+        p50: percentile(latencies, 50),
+        p90: percentile(latencies, 90),
+        p95: percentile(latencies, 95),
+        p99: percentile(latencies, 99),
+        count: latencies.length
+      },
+      suggestionAccuracy: {
+        accepted,
+        rejected,
+        total: decided,
+        acceptRate: decided ? accepted / decided : 0,
+        rejectRate: decided ? rejected / decided : 0,
+        byStatus: statuses
+      },
+      messageAnalysis: {
+        sentiments: ['positive', 'neutral', 'negative'].map(label => ({ label, messages: sentiments[label] || 0 })),
+        intents: Object.keys(intents).map(intent => ({ intent, messages: intents[intent] }))
+          .sort((a, b) => b.messages - a.messages),
+        topics: Object.keys(topics).map(topic => ({ topic, messages: topics[topic] }))
+          .sort((a, b) => b.messages - a.messages)
+          .slice(0, TOP_TOPICS)
+      }
+    };
+  }
+}
+
+module.exports = { AnalyticsEngine, percentile };
@@ -0,0 +1,265 @@
+// Context Anonymizer
+// Replaces personal data in a conversation context with stable placeholders
+// such as <PERSON_1> before anything is sent to a cloud provider, and puts
+// the real values back into the replies that come back.
+
+const RULE_KEYS = ['email', 'url', 'iban', 'card', 'phone', 'address', 'name'];
+
+const PLACEHOLDER_PATTERN = /<?\b(PERSON|PHONE|EMAIL|URL|CARD|IBAN|ADDRESS|CUSTOM)_(\d+)\b>?/g;
+
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Square|Sq|Terrace|Parkway|Pkwy|Highway|Hwy';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function ibanValid(value) {
+  const iban = value.replace(/\s+/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+// Built-in detectors, applied in this order so that e.g. card numbers are
+// claimed before the phone detector sees their digits
+const DETECTORS = {
+  email: {
+    type: 'EMAIL',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    normalize: value => value.toLowerCase()
+  },
+  url: {
+    type: 'URL',
+    pattern: /\b(?:https?:\/\/|www\.)[^\s<>"']+[^\s<>"'.,;:!?)]/gi
+  },
+  iban: {
+    type: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: ibanValid,
+    normalize: value => value.replace(/\s+/g, '').toUpperCase()
+  },
+  card: {
+    type: 'CARD',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: value => luhnValid(value.replace(/\D/g, '')),
+    normalize: value => value.replace(/\D/g, '')
+  },
+  phone: {
+    type: 'PHONE',
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}\b/g,
+    validate: value => {
+      const digits = value.replace(/\D/g, '').length;
+      // Leave ISO dates alone
+      return digits >= 7 && digits <= 15 && !/^\d{4}-\d{2}-\d{2}$/.test(value);
+    },
+    normalize: value => value.replace(/\D/g, '')
+  },
+  address: {
+    type: 'ADDRESS',
+    pattern: new RegExp(
+      `\\b\\d{1,5}\\s+(?:[A-Z][a-z]+\\s+){1,4}(?:${STREET_SUFFIXES})\\b\\.?(?:,?\\s*(?:Apt|Suite|Unit)\\.?\\s*\\w+)?` +
+      '|\\b[A-ZÄÖÜ][a-zäöüß]+(?:straße|strasse|weg|gasse|platz)\\s+\\d{1,4}[a-z]?\\b',
+      'g'
+    )
+  }
+};
+
+// Names people introduce themselves or others with
+const INTRODUCED_NAME_PATTERN = /\b(?:my name is|call me|this is|ask|tell)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/g;
+
+/**
+ * Default redaction settings, seeded from config.env values.
+ * @param {import('./config').Config} config
+ */
+function defaultRedactionSettings(config) {
+  const rules = {};
+  RULE_KEYS.forEach(key => {
+    rules[key] = true;
+  });
+  rules.name = config.boolean('ENABLE_CONTACT_ANONYMIZATION', true);
+
+  return {
+    enabled: config.boolean('ENABLE_MESSAGE_SANITIZATION', true),
+    rules,
+    customTerms: [],
+    customPatterns: []
+  };
+}
+
+class Anonymizer {
+  /**
+   * @param {object} settings
+   * @param {boolean} settings.enabled
+   * @param {object} settings.rules - { email, url, iban, card, phone, address, name }
+   * @param {string[]} settings.customTerms - Words that are always hidden
+   * @param {string[]} settings.customPatterns - Regular expressions that are always hidden
+   */
+  constructor(settings = {}) {
+    this.enabled = settings.enabled !== false;
+    this.rules = { ...settings.rules };
+    this.customTerms = (settings.customTerms || []).map(term => term.trim()).filter(Boolean);
+    this.customPatterns = (settings.customPatterns || []).map(source => {
+      try {
+        return new RegExp(source, 'gi');
+      } catch (error) {
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  isRuleEnabled(key) {
+    return this.rules[key] !== false;
+  }
+
+  /**
+   * @returns {{ context: object, mapping: object, redactions: Array<{type, placeholder, value, rule}> }}
+   */
+  anonymize(context) {
+    const state = {
+      byValue: new Map(),
+      counters: {},
+      mapping: {},
+      redactions: []
+    };
+
+    if (!this.enabled) {
+      return { context, mapping: state.mapping, redactions: state.redactions };
+    }
+
+    state.names = this.collectNames(context);
+
+    const messages = (context.messages || []).map(message => ({
+      ...message,
+      sender: message.sender && message.direction !== 'outgoing' && this.isRuleEnabled('name')
+        ? this.placeholderFor(state, 'PERSON', message.sender, message.sender.toLowerCase(), 'name')
+        : message.sender,
+      text: this.anonymizeText(message.text || '', state)
+    }));
+
+    let contact = context.contact;
+    if (typeof contact === 'string' && contact && this.isRuleEnabled('name')) {
+      contact = this.placeholderFor(state, 'PERSON', contact, contact.toLowerCase(), 'name');
+    }
+
+    return {
+      context: { ...context, contact, messages },
+      mapping: state.mapping,
+      redactions: state.redactions
+    };
+  }
+
+  collectNames(context) {
+    if (!this.isRuleEnabled('name')) return [];
+
+    const names = new Set();
+    const add = (name) => {
+      if (typeof name !== 'string') return;
+      const trimmed = name.trim();
+      if (!trimmed || trimmed.toLowerCase() === 'me') return;
+      names.add(trimmed);
+      // Also catch the first name on its own ("John" for "John Doe")
+      const first = trimmed.split(/\s+/)[0];
+      if (first.length >= 3) names.add(first);
+    };
+
+    add(context.contact);
+    (context.messages || []).forEach(message => {
+      if (message.direction !== 'outgoing') add(message.sender);
+      const text = message.text || '';
+      let match;
+      INTRODUCED_NAME_PATTERN.lastIndex = 0;
+      while ((match = INTRODUCED_NAME_PATTERN.exec(text)) !== null) {
+        add(match[1]);
+      }
+    });
+
+    // Longest first so full names win over first names
+    return Array.from(names).sort((a, b) => b.length - a.length);
+  }
+
+  anonymizeText(text, state) {
+    let result = text;
+
+    RULE_KEYS.filter(key => key !== 'name' && this.isRuleEnabled(key)).forEach(key => {
+      const detector = DETECTORS[key];
+      result = result.replace(detector.pattern, (match) => {
+        if (detector.validate && !detector.validate(match)) return match;
+        const normalized = detector.normalize ? detector.normalize(match) : match;
+        return this.placeholderFor(state, detector.type, match, normalized, key);
+      });
+    });
+
+    state.names.forEach(name => {
+      const pattern = new RegExp(`(?<![\\w<])${escapeRegExp(name)}(?![\\w>])`, 'gi');
+      result = result.replace(pattern, match => this.placeholderFor(state, 'PERSON', match, name.toLowerCase(), 'name'));
+    });
+
+    this.customTerms.forEach(term => {
+      const pattern = new RegExp(`(?<![\\w<])${escapeRegExp(term)}(?![\\w>])`, 'gi');
+      result = result.replace(pattern, match => this.placeholderFor(state, 'CUSTOM', match, term.toLowerCase(), 'custom'));
+    });
+
+    this.customPatterns.forEach(pattern => {
+      result = result.replace(pattern, match => this.placeholderFor(state, 'CUSTOM', match, match.toLowerCase(), 'custom'));
+    });
+
+    return result;
+  }
+
+  placeholderFor(state, type, value, normalized, rule) {
+    const key = `${type}:${normalized}`;
+    let placeholder = state.byValue.get(key);
+
+    if (!placeholder) {
+      state.counters[type] = (state.counters[type] || 0) + 1;
+      placeholder = `<${type}_${state.counters[type]}>`;
+      state.byValue.set(key, placeholder);
+      state.mapping[placeholder] = value;
+      state.redactions.push({ type, placeholder, value, rule });
+    }
+
+    return placeholder;
+  }
+
+  /**
+   * Put the original values back into text produced from anonymized input.
+   * Models sometimes drop the angle brackets, so bare TYPE_N is accepted too.
+   */
+  static restore(text, mapping) {
+    return String(text).replace(PLACEHOLDER_PATTERN, (match, type, number) => {
+      const value = mapping[`<${type}_${number}>`];
+      return value === undefined ? match : value;
+    });
+  }
+
+  static summarize(redactions) {
+    const counts = {};
+    redactions.forEach(redaction => {
+      counts[redaction.type] = (counts[redaction.type] || 0) + 1;
+    });
+    return counts;
+  }
+}
+
+module.exports = { Anonymizer, defaultRedactionSettings, RULE_KEYS };
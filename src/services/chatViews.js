@@ -0,0 +1,488 @@
+// Chat Views
+// Hosts WhatsApp Web, Instagram and Telegram Web inside the main window,
+// each in its own BrowserView with a separate persistent session, and
+// stores the messages their preload reads off the page.
+
+const fs = require('fs');
+const path = require('path');
+const { BrowserView, shell } = require('electron');
+const log = require('electron-log');
+const { PLATFORMS } = require('./platforms');
+
+// Permissions the chat apps need; everything else is refused
+const ALLOWED_PERMISSIONS = ['notifications', 'media', 'clipboard-sanitized-write', 'fullscreen'];
+
+const HEALTH_CHECK_INTERVAL_MS = 30 * 1000;
+const INSPECT_TIMEOUT_MS = 5000;
+
+/**
+ * Whether a page's selector report shows the pack still fits the markup.
+ */
+function hasMatch(matched) {
+  return Boolean(matched && (matched.messages.length > 0 || matched.chatTitle || matched.input || matched.chatList));
+}
+
+/**
+ * The web apps only support regular browsers, so drop the Electron and app
+ * tokens from the user agent.
+ */
+function browserUserAgent(userAgent) {
+  return userAgent.replace(/\s(?:Electron|chatsy-desktop|Chatsy Desktop)\/\S+/gi, '');
+}
+
+/**
+ * Write a preload that runs sandboxed. Sandboxed preloads can only require
+ * Electron's own renderer modules, so the local modules the preload
+ * requires are carried inside it. `modules` maps the names they are
+ * required by to their files.
+ * @returns {string} outputPath
+ */
+function bundlePreload(entryPath, modules, outputPath) {
+  const sources = Object.keys(modules).map(name =>
+    `${JSON.stringify(name)}: function (module, exports, require) {\n${fs.readFileSync(modules[name], 'utf8')}\n}`);
+
+  const bundle = [
+    '(function (sandboxRequire) {',
+    `const sources = {\n${sources.join(',\n')}\n};`,
+    'const loaded = {};',
+    'function load(name) {',
+    '  if (!sources[name]) return sandboxRequire(name);',
+    '  if (!loaded[name]) {',
+    '    loaded[name] = { exports: {} };',
+    '    sources[name](loaded[name], loaded[name].exports, load);',
+    '  }',
+    '  return loaded[name].exports;',
+    '}',
+    '(function (require) {',
+    fs.readFileSync(entryPath, 'utf8'),
+    '})(load);',
+    '})(require);',
+    ''
+  ].join('\n');
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, bundle);
+  return outputPath;
+}
+
+class ChatViews {
+  /**
+   * @param {object} options
+   * @param {object} options.platforms - From platformSettings(config)
+   * @param {import('./selectorPacks').SelectorPacks} options.selectorPacks
+   * @param {string} options.preload - Path of the chat page preload, from bundlePreload()
+   * @param {import('./dataStore').DataStore} options.dataStore
+   * @param {string} options.userAgent - The app's default user agent
+   * @param {(rect: object|null) => void} [options.onInputFocus] - Screen rect of a focused compose box
+   * @param {number} [options.degradedAfterMs] - How long no selector may match before a platform is degraded
+   * @param {(status: object) => void} [options.onStatusChange] - A platform's status changed
+   * @param {import('./snippets').SnippetLibrary} [options.snippets] - Abbreviations the pages expand while typing
+   */
+  constructor(options) {
+    this.platforms = options.platforms;
+    this.selectorPacks = options.selectorPacks;
+    this.preload = options.preload;
+    this.dataStore = options.dataStore;
+    this.userAgent = browserUserAgent(options.userAgent);
+    this.onInputFocus = options.onInputFocus || (() => {});
+    this.degradedAfterMs = options.degradedAfterMs || 10 * 60 * 1000;
+    this.onStatusChange = options.onStatusChange || (() => {});
+    this.snippets = options.snippets || null;
+
+    this.window = null;
+    this.views = new Map();
+    this.visible = null;
+    this.bounds = null;
+    // Conversation last reported by each platform's page
+    this.activeChats = new Map();
+    // What each page's selectors last matched, and since when nothing has
+    this.health = new Map();
+    this.statuses = new Map();
+    this.inspections = new Map();
+
+    this.healthTimer = setInterval(() => this.checkHealth(), HEALTH_CHECK_INTERVAL_MS);
+    this.healthTimer.unref();
+
+    this.selectorPacks.on('change', (platforms) => this.applySelectors(platforms));
+    if (this.snippets) {
+      this.snippets.on('change', () => this.applySnippets());
+    }
+  }
+
+  /**
+   * @param {Electron.BrowserWindow} window - The window the views are shown in
+   */
+  attach(window) {
+    this.window = window;
+    this.visible = null;
+  }
+
+  enabledPlatforms() {
+    return PLATFORMS.filter(name => this.platforms[name].enabled);
+  }
+
+  getView(platform) {
+    if (this.views.has(platform)) {
+      return this.views.get(platform);
+    }
+    const settings = this.platforms[platform];
+    if (!settings || !settings.enabled) {
+      throw new Error(`Platform is not enabled: ${platform}`);
+    }
+
+    const view = new BrowserView({
+      webPreferences: {
+        partition: `persist:chatsy-${platform}`,
+        preload: this.preload,
+        contextIsolation: true,
+        nodeIntegration: false,
+        sandbox: true,
+        // Keep reading messages while another view is in front
+        backgroundThrottling: false
+      }
+    });
+
+    const session = view.webContents.session;
+    session.setPermissionRequestHandler((contents, permission, callback) => {
+      callback(ALLOWED_PERMISSIONS.includes(permission));
+    });
+
+    view.webContents.setWindowOpenHandler(({ url }) => {
+      shell.openExternal(url);
+      return { action: 'deny' };
+    });
+    view.webContents.on('render-process-gone', (event, details) => {
+      log.warn(`${platform} page stopped (${details.reason}); reloading`);
+      view.webContents.reload();
+    });
+
+    view.webContents.setUserAgent(this.userAgent);
+    view.webContents.loadURL(settings.url);
+    this.views.set(platform, view);
+    return view;
+  }
+
+  platformFor(webContents) {
+    for (const [platform, view] of this.views) {
+      if (view.webContents === webContents) return platform;
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Display
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Put a platform's page in front, covering `bounds` of the window's content.
+   */
+  show(platform, bounds) {
+    if (!this.window) return;
+
+    const view = this.getView(platform);
+    if (this.visible !== platform) {
+      this.window.setBrowserView(view);
+      this.visible = platform;
+    }
+    this.setBounds(bounds);
+    view.webContents.focus();
+  }
+
+  hide() {
+    if (this.window && this.visible) {
+      this.window.setBrowserView(null);
+    }
+    this.visible = null;
+  }
+
+  setBounds(bounds) {
+    if (!bounds || !this.visible) return;
+    this.bounds = {
+      x: Math.round(bounds.x),
+      y: Math.round(bounds.y),
+      width: Math.max(0, Math.round(bounds.width)),
+      height: Math.max(0, Math.round(bounds.height))
+    };
+    this.views.get(this.visible).setBounds(this.bounds);
+  }
+
+  reload(platform) {
+    const view = this.views.get(platform);
+    if (view) {
+      view.webContents.reload();
+    }
+  }
+
+  status() {
+    return this.enabledPlatforms().map(platform => {
+      const view = this.views.get(platform);
+      return {
+        platform,
+        loaded: Boolean(view),
+        visible: this.visible === platform,
+        url: view ? view.webContents.getURL() : null
+      };
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Page reports
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Selectors for the page asking; null for pages that are not chat views.
+   * Pages ask once per load, which also restarts their health clock.
+   */
+  getConfig(webContents) {
+    const platform = this.platformFor(webContents);
+    if (!platform) return null;
+
+    this.health.set(platform, { matched: null, since: Date.now(), lastMatchAt: null });
+    return {
+      platform,
+      selectors: this.selectorPacks.selectors(platform),
+      abbreviations: this.snippets ? this.snippets.abbreviations(platform) : []
+    };
+  }
+
+  /**
+   * Store messages read off a chat page. History (what was on screen when
+   * the chat opened, or loaded by scrolling up) is added in one batch and
+   * marked read; new messages are added one by one so they can trigger
+   * suggestions.
+   */
+  ingest(webContents, payload) {
+    const platform = this.platformFor(webContents);
+    if (!platform || !payload.chat || this.dataStore.locked) return;
+
+    let conversation = this.dataStore.findConversation(platform, payload.chat.id);
+    if (!conversation || conversation.name !== payload.chat.name) {
+      conversation = this.dataStore.upsertConversation({
+        platform,
+        externalId: payload.chat.id,
+        name: payload.chat.name
+      });
+    }
+    this.activeChats.set(platform, conversation.id);
+
+    const messages = payload.messages.map(message => ({
+      conversationId: conversation.id,
+      externalId: message.id,
+      direction: message.direction,
+      sender: message.sender || undefined,
+      text: message.text,
+      // Unknown stays null rather than turning into the time it was read
+      timestamp: message.timestamp || null
+    }));
+    if (messages.length === 0) return;
+
+    try {
+      if (payload.initial) {
+        this.dataStore.addMessages(messages, { read: true });
+      } else {
+        messages.forEach(message => this.dataStore.addMessage(message, {
+          read: this.visible === platform && this.window && this.window.isFocused()
+        }));
+      }
+    } catch (error) {
+      log.error(`Failed to store ${platform} messages:`, error);
+    }
+  }
+
+  /**
+   * The conversation open in the page that is in front, if any.
+   */
+  activeConversationId() {
+    return this.visible ? this.activeChats.get(this.visible) || null : null;
+  }
+
+  /**
+   * Translate a compose box rect from page to screen coordinates.
+   */
+  handleInputFocus(webContents, rect) {
+    const platform = this.platformFor(webContents);
+    if (!platform || !this.window) return;
+
+    if (!rect || this.visible !== platform || !this.bounds) {
+      this.onInputFocus(null);
+      return;
+    }
+
+    const content = this.window.getContentBounds();
+    this.onInputFocus({
+      x: content.x + this.bounds.x + rect.x,
+      y: content.y + this.bounds.y + rect.y,
+      width: rect.width,
+      height: rect.height
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Snippets
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Hand the current abbreviations to the pages already open.
+   */
+  applySnippets() {
+    this.views.forEach((view, platform) => {
+      if (!view.webContents.isDestroyed()) {
+        view.webContents.send('chat-view-snippets', this.snippets.abbreviations(platform));
+      }
+    });
+  }
+
+  /**
+   * The text an abbreviation typed into a page expands to, with the
+   * variables filled in for the chat open in that page.
+   * @returns {{text: string, cursor: number|null}|null}
+   */
+  expandAbbreviation(webContents, abbreviation) {
+    const platform = this.platformFor(webContents);
+    const snippet = platform && this.snippets && this.snippets.findByAbbreviation(abbreviation, platform);
+    if (!snippet) return null;
+
+    const conversationId = this.activeChats.get(platform);
+    const conversation = conversationId && this.dataStore.getConversation(conversationId);
+    this.snippets.recordUse(snippet.id);
+    return this.snippets.expand(snippet, conversation || { platform });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Selector health
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Hand freshly loaded packs to the pages already open.
+   */
+  applySelectors(platforms) {
+    platforms.forEach(platform => {
+      const view = this.views.get(platform);
+      if (view && !view.webContents.isDestroyed()) {
+        view.webContents.send('chat-view-selectors', this.selectorPacks.selectors(platform));
+      }
+    });
+  }
+
+  /**
+   * @param {object} matched - Matched selectors from extractSnapshot()
+   */
+  reportHealth(webContents, matched) {
+    const platform = this.platformFor(webContents);
+    if (!platform || !matched) return;
+
+    const now = Date.now();
+    const entry = this.health.get(platform) || { matched: null, since: now, lastMatchAt: null };
+    if (hasMatch(matched)) {
+      entry.lastMatchAt = now;
+    } else if (hasMatch(entry.matched)) {
+      // Matching just stopped
+      entry.since = now;
+    }
+    entry.matched = matched;
+    this.health.set(platform, entry);
+    this.checkHealth();
+  }
+
+  platformStatus(platform) {
+    const pack = this.selectorPacks.get(platform);
+    const status = {
+      platform,
+      status: 'ok',
+      reason: null,
+      pack: pack ? pack.version : null,
+      lastMatchAt: null
+    };
+
+    const entry = this.health.get(platform);
+    if (!this.views.has(platform) || !entry) {
+      status.status = 'not-loaded';
+      return status;
+    }
+    status.lastMatchAt = entry.lastMatchAt ? new Date(entry.lastMatchAt).toISOString() : null;
+
+    if (entry.matched && entry.matched.signIn) {
+      status.status = 'signed-out';
+      status.reason = 'Waiting for sign-in';
+    } else if (!hasMatch(entry.matched) && Date.now() - entry.since >= this.degradedAfterMs) {
+      const minutes = Math.floor((Date.now() - entry.since) / 60000);
+      status.status = 'degraded';
+      status.reason = `No selector of pack ${status.pack || '(none)'} has matched for ${minutes} minute(s)`;
+    }
+    return status;
+  }
+
+  platformStatuses() {
+    return this.enabledPlatforms().map(platform => this.platformStatus(platform));
+  }
+
+  /**
+   * Report platforms whose status changed since the last check.
+   */
+  checkHealth() {
+    this.platformStatuses().forEach(status => {
+      const previous = this.statuses.get(status.platform);
+      if (previous === status.status) return;
+      this.statuses.set(status.platform, status.status);
+
+      if (status.status === 'degraded') {
+        log.warn(`${status.platform} looks broken: ${status.reason}`);
+        if (!this.dataStore.locked) {
+          this.dataStore.addEvent('selectors-degraded', { platform: status.platform, pack: status.pack });
+        }
+      }
+      this.onStatusChange(status);
+    });
+  }
+
+  /**
+   * Ask a platform's page how well each selector of its pack matches.
+   */
+  inspect(platform) {
+    const view = this.views.get(platform);
+    if (!view || view.webContents.isDestroyed()) {
+      return Promise.reject(new Error(`${platform} is not open`));
+    }
+
+    const requestId = `${platform}-${Date.now()}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.inspections.delete(requestId);
+        reject(new Error(`${platform} page did not answer`));
+      }, INSPECT_TIMEOUT_MS);
+
+      this.inspections.set(requestId, (result) => {
+        clearTimeout(timer);
+        const pack = this.selectorPacks.get(platform);
+        resolve({
+          platform,
+          pack: pack && { version: pack.version, source: pack.source, updated: pack.updated || null },
+          ...result
+        });
+      });
+      view.webContents.send('chat-view-inspect', requestId);
+    });
+  }
+
+  handleInspectResult(webContents, requestId, result) {
+    const platform = this.platformFor(webContents);
+    const resolve = this.inspections.get(requestId);
+    // Only the page that was asked may answer
+    if (!resolve || !platform || !requestId.startsWith(`${platform}-`)) return;
+    this.inspections.delete(requestId);
+    resolve(result);
+  }
+
+  destroy() {
+    clearInterval(this.healthTimer);
+    this.hide();
+    this.views.forEach(view => {
+      if (!view.webContents.isDestroyed()) {
+        view.webContents.close();
+      }
+    });
+    this.views.clear();
+  }
+}
+
+module.exports = { ChatViews, browserUserAgent, bundlePreload };
@@ -0,0 +1,144 @@
+// Runtime Configuration
+// Reads config.env-style files (see config.env.example) and process.env on
+// top of built-in defaults, and exposes typed getters for the values.
+
+const fs = require('fs');
+const log = require('electron-log');
+
+const DEFAULTS = {
+  HUGGINGFACE_API_URL: 'https://api-inference.huggingface.co/models',
+  HUGGINGFACE_MODEL_NAME: 'microsoft/DialoGPT-medium',
+  HUGGINGFACE_MAX_LENGTH: '100',
+  HUGGINGFACE_TEMPERATURE: '0.7',
+  GEMINI_API_URL: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent',
+  GEMINI_MODEL_NAME: 'gemini-pro',
+  GEMINI_MAX_TOKENS: '150',
+  GEMINI_TEMPERATURE: '0.8',
+  OPENAI_API_URL: 'https://api.openai.com/v1/chat/completions',
+  OPENAI_MODEL_NAME: 'gpt-3.5-turbo',
+  OPENAI_MAX_TOKENS: '150',
+  OPENAI_TEMPERATURE: '0.7',
+  DEFAULT_AI_PROVIDER: 'huggingface',
+  AI_FALLBACK_ENABLED: 'true',
+  MAX_SUGGESTIONS: '3',
+  CONTEXT_WINDOW_SIZE: '5',
+  MAX_MESSAGE_LENGTH: '500',
+  REQUEST_TIMEOUT_MS: '10000',
+  RETRY_ATTEMPTS: '3',
+  RETRY_DELAY_MS: '1000',
+  MAX_REQUESTS_PER_MINUTE: '60',
+  MAX_REQUESTS_PER_HOUR: '1000',
+  AI_CACHE_ENABLED: 'true',
+  AI_CACHE_TTL_MINUTES: '30',
+  MAX_CACHE_SIZE_MB: '50',
+  ENABLE_REQUEST_CACHING: 'true',
+  CACHE_CLEANUP_INTERVAL_MS: '600000',
+  RESPONSE_DELAY_MS: '1000',
+  AUTO_HIDE_SUGGESTIONS_MS: '10000',
+  SUGGESTION_POSITIONING: 'auto',
+  ENABLE_KEYBOARD_SHORTCUTS: 'true',
+  SUGGESTION_SHORTCUT: 'CommandOrControl+Shift+Space',
+  WHATSAPP_ENABLED: 'true',
+  WHATSAPP_DOMAIN: 'web.whatsapp.com',
+  WHATSAPP_MESSAGE_SELECTORS: '',
+  WHATSAPP_INPUT_SELECTORS: '',
+  INSTAGRAM_ENABLED: 'true',
+  INSTAGRAM_DOMAIN: 'www.instagram.com',
+  INSTAGRAM_MESSAGE_SELECTORS: '',
+  INSTAGRAM_INPUT_SELECTORS: '',
+  TELEGRAM_ENABLED: 'true',
+  TELEGRAM_DOMAIN: 'web.telegram.org',
+  TELEGRAM_MESSAGE_SELECTORS: '',
+  TELEGRAM_INPUT_SELECTORS: '',
+  SELECTOR_DEGRADED_MINUTES: '10',
+  SENTIMENT_ANALYSIS_ENABLED: 'true',
+  INTENT_DETECTION_ENABLED: 'true',
+  TOPIC_EXTRACTION_ENABLED: 'true',
+  ENABLE_LAZY_LOADING: 'true',
+  ENABLE_VIRTUAL_SCROLLING: 'true'
+};
+
+/**
+ * Parse KEY=value lines. Blank lines and # comments are ignored and values
+ * may be wrapped in single or double quotes.
+ */
+function parseEnv(content) {
+  const values = {};
+
+  content.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const separator = trimmed.indexOf('=');
+    if (separator === -1) return;
+
+    const key = trimmed.slice(0, separator).trim();
+    let value = trimmed.slice(separator + 1).trim();
+    if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+      value = value.slice(1, -1);
+    }
+    values[key] = value;
+  });
+
+  return values;
+}
+
+class Config {
+  constructor(values = {}) {
+    this.values = { ...DEFAULTS, ...values };
+  }
+
+  /**
+   * Later files override earlier ones; process.env overrides every file.
+   */
+  static load(filePaths = [], env = process.env) {
+    const values = {};
+
+    filePaths.forEach(filePath => {
+      if (!filePath || !fs.existsSync(filePath)) return;
+      try {
+        Object.assign(values, parseEnv(fs.readFileSync(filePath, 'utf8')));
+        log.info(`Loaded configuration from ${filePath}`);
+      } catch (error) {
+        log.error(`Failed to read configuration file ${filePath}:`, error);
+      }
+    });
+
+    Object.keys(env).forEach(key => {
+      if (key in DEFAULTS || key in values) {
+        values[key] = env[key];
+      }
+    });
+
+    return new Config(values);
+  }
+
+  get(key, fallback) {
+    const value = this.values[key];
+    return value === undefined || value === '' ? fallback : value;
+  }
+
+  number(key, fallback) {
+    const value = parseFloat(this.get(key));
+    return Number.isNaN(value) ? fallback : value;
+  }
+
+  boolean(key, fallback) {
+    const value = this.get(key);
+    if (value === undefined) return fallback;
+    return String(value).toLowerCase() === 'true';
+  }
+
+  json(key, fallback) {
+    const value = this.get(key);
+    if (value === undefined) return fallback;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      log.warn(`Invalid JSON in configuration value ${key}`);
+      return fallback;
+    }
+  }
+}
+
+module.exports = { Config, parseEnv };
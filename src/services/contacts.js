@@ -0,0 +1,472 @@
+// Contact Directory
+// One person can chat from WhatsApp, Telegram and Instagram; a contact links
+// those conversations so history, stats, the reply profile and privacy
+// choices belong to the person rather than to one chat. Every conversation
+// gets a contact of its own when it is created. Contacts that look like the
+// same person (same phone number, or very similar names on different
+// platforms) are offered for merging; merging and splitting are up to the
+// user, and a pair marked as different people is not offered again.
+
+const log = require('electron-log');
+const { messageTime } = require('./dataStore');
+
+// Names at least this similar (0-1) are offered for merging
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+// Phone numbers are compared on their last digits, so "+49 151 ..." and "0151 ..." match
+const PHONE_MATCH_DIGITS = 9;
+const MIN_PHONE_DIGITS = 7;
+const MAX_PHONE_DIGITS = 15;
+const MAX_SUGGESTIONS = 50;
+const HISTORY_PAGE_SIZE = 100;
+
+const AI_MODES = ['cloud', 'local'];
+const DEFAULT_PRIVACY = { ai: 'cloud' };
+
+// Changes after which conversations may lack a contact
+const ENSURE_CHANGES = ['store-unlocked', 'data-replaced', 'messages-added'];
+
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const value = text.replace(/ /g, '');
+  const grams = new Map();
+  for (let i = 0; i < value.length - 1; i++) {
+    const gram = value.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * How alike two display names are, from 0 to 1. Case, accents and
+ * punctuation are ignored, and a name that is the start of the other
+ * ("Anna" and "Anna Schmidt") counts as very similar.
+ */
+function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftWords = left.split(' ');
+  const rightWords = right.split(' ');
+  const [shorter, longer] = leftWords.length <= rightWords.length ? [leftWords, rightWords] : [rightWords, leftWords];
+  if (shorter[0] === longer[0] && shorter.every(word => longer.includes(word))) {
+    return 0.9;
+  }
+
+  // Dice coefficient over letter pairs
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  let shared = 0;
+  let total = 0;
+  leftGrams.forEach((count, gram) => {
+    shared += Math.min(count, rightGrams.get(gram) || 0);
+    total += count;
+  });
+  rightGrams.forEach(count => {
+    total += count;
+  });
+  return total > 0 ? (2 * shared) / total : 0;
+}
+
+/**
+ * The digits of a phone number, or null when `value` does not look like one.
+ */
+function phoneDigits(value) {
+  const text = String(value || '').trim().split('@')[0];
+  if (!/^\+?[\d\s().-]+$/.test(text)) return null;
+  const digits = text.replace(/\D/g, '');
+  return digits.length >= MIN_PHONE_DIGITS && digits.length <= MAX_PHONE_DIGITS ? digits : null;
+}
+
+function phoneKey(digits) {
+  return digits.slice(-PHONE_MATCH_DIGITS);
+}
+
+/**
+ * Phone numbers a conversation gives away: WhatsApp uses them as chat ids,
+ * and unsaved contacts are shown by number.
+ */
+function conversationPhones(conversation) {
+  return [phoneDigits(conversation.externalId), phoneDigits(conversation.name)].filter(Boolean);
+}
+
+// Privacy choices for a contact made of two: local-only wins if either side
+// asked for it, so merging never sends a local contact's messages to the cloud
+function stricterPrivacy(a, b) {
+  const privacy = { ...DEFAULT_PRIVACY, ...b, ...a };
+  if ([a, b].some(choice => choice && choice.ai === 'local')) {
+    privacy.ai = 'local';
+  }
+  return privacy;
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+class ContactDirectory {
+  /**
+   * @param {object} options
+   * @param {import('./dataStore').DataStore} options.dataStore
+   */
+  constructor(options) {
+    this.dataStore = options.dataStore;
+    this.onChange = (change) => this.handleChange(change);
+    this.dataStore.on('change', this.onChange);
+  }
+
+  dispose() {
+    this.dataStore.removeListener('change', this.onChange);
+  }
+
+  handleChange(change) {
+    if (change.type === 'conversation-created') {
+      const conversation = this.dataStore.getConversation(change.conversationId);
+      if (conversation) this.ensureContact(conversation);
+    } else if (ENSURE_CHANGES.includes(change.type)) {
+      this.ensureAll();
+    }
+  }
+
+  /**
+   * Give every conversation a contact and drop contacts nothing links to.
+   */
+  ensureAll() {
+    const conversations = this.dataStore.listConversations();
+    conversations.forEach(conversation => this.ensureContact(conversation));
+
+    const linked = new Set(conversations.map(conversation => conversation.contactId));
+    this.dataStore.listContacts()
+      .filter(contact => !linked.has(contact.id))
+      .forEach(contact => this.dataStore.deleteContact(contact.id));
+    return this;
+  }
+
+  ensureContact(conversation) {
+    if (conversation.contactId && this.dataStore.getContact(conversation.contactId)) return;
+
+    const contact = this.dataStore.upsertContact({
+      name: conversation.name,
+      phones: conversationPhones(conversation)
+    });
+    this.dataStore.setConversationContact(conversation.id, contact.id);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reading
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Every contact with its platforms and totals, most recently active first.
+   */
+  list() {
+    const byContact = new Map();
+    this.dataStore.listConversations().forEach(conversation => {
+      if (!byContact.has(conversation.contactId)) byContact.set(conversation.contactId, []);
+      byContact.get(conversation.contactId).push(conversation);
+    });
+
+    return this.dataStore.listContacts()
+      .map(contact => this.summarize(contact, byContact.get(contact.id) || []))
+      .sort((a, b) => new Date(b.lastMessageAt || 0) - new Date(a.lastMessageAt || 0) || a.name.localeCompare(b.name));
+  }
+
+  summarize(contact, conversations) {
+    const last = conversations.find(conversation => conversation.lastMessageAt);
+    return {
+      id: contact.id,
+      name: contact.name,
+      platforms: Array.from(new Set(conversations.map(conversation => conversation.platform))),
+      conversations: conversations.length,
+      messageCount: conversations.reduce((sum, conversation) => sum + (conversation.messageCount || 0), 0),
+      unreadCount: conversations.reduce((sum, conversation) => sum + (conversation.unreadCount || 0), 0),
+      lastMessageAt: last ? last.lastMessageAt : null
+    };
+  }
+
+  /**
+   * A contact with its linked conversations and combined stats, for the contact page.
+   */
+  get(id) {
+    const contact = this.dataStore.getContact(id);
+    if (!contact) return null;
+
+    const conversations = this.dataStore.contactConversations(id);
+    return {
+      ...contact,
+      privacy: { ...DEFAULT_PRIVACY, ...contact.privacy },
+      conversations: conversations.map(conversation => ({
+        id: conversation.id,
+        name: conversation.name,
+        platform: conversation.platform,
+        externalId: conversation.externalId,
+        messageCount: conversation.messageCount || 0,
+        lastMessageAt: conversation.lastMessageAt
+      })),
+      stats: this.stats(conversations)
+    };
+  }
+
+  stats(conversations) {
+    const stats = {
+      messages: 0,
+      received: 0,
+      sent: 0,
+      platforms: {},
+      firstMessageAt: null,
+      lastMessageAt: null,
+      suggestions: 0,
+      suggestionsUsed: 0
+    };
+
+    conversations.forEach(conversation => {
+      const messages = this.dataStore.queryMessages({ conversationId: conversation.id });
+      stats.messages += messages.length;
+      stats.platforms[conversation.platform] = (stats.platforms[conversation.platform] || 0) + messages.length;
+      messages.forEach(message => {
+        if (message.direction === 'outgoing') stats.sent++;
+        else stats.received++;
+      });
+      if (messages.length > 0) {
+        const first = new Date(messageTime(messages[0])).toISOString();
+        const last = new Date(messageTime(messages[messages.length - 1])).toISOString();
+        if (!stats.firstMessageAt || first < stats.firstMessageAt) stats.firstMessageAt = first;
+        if (!stats.lastMessageAt || last > stats.lastMessageAt) stats.lastMessageAt = last;
+      }
+
+      this.dataStore.listSuggestions({ conversationId: conversation.id }).forEach(suggestion => {
+        stats.suggestions++;
+        if (suggestion.status === 'accepted' || suggestion.status === 'edited') stats.suggestionsUsed++;
+      });
+    });
+    return stats;
+  }
+
+  /**
+   * Messages from all of a contact's conversations, merged by time. Pages
+   * go backwards; pass the returned cursor to get the previous page.
+   * @param {string} id
+   * @param {object} [options]
+   * @param {object} [options.cursor] - Oldest loaded message id per conversation
+   * @param {number} [options.limit]
+   * @returns {{messages: object[], cursor: object, hasMore: boolean}}
+   */
+  history(id, options = {}) {
+    const { cursor = {}, limit = HISTORY_PAGE_SIZE } = options;
+    const pages = this.dataStore.contactConversations(id).map(conversation => ({
+      conversationId: conversation.id,
+      ...this.dataStore.getMessages(conversation.id, { beforeId: cursor[conversation.id], limit })
+    }));
+
+    // A conversation whose cursor message was deleted would start over; skip it instead
+    const merged = pages
+      .filter(page => !cursor[page.conversationId] || this.dataStore.getMessage(cursor[page.conversationId]))
+      .flatMap(page => page.messages)
+      .sort((a, b) => messageTime(a) - messageTime(b));
+    const messages = merged.slice(-limit);
+
+    const nextCursor = { ...cursor };
+    messages.slice().reverse().forEach(message => {
+      nextCursor[message.conversationId] = message.id;
+    });
+    return {
+      messages,
+      cursor: nextCursor,
+      hasMore: merged.length > messages.length || pages.some(page => page.hasMore)
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Merge suggestions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Pairs of contacts that are probably the same person, best first.
+   * @returns {{contacts: object[], score: number, reason: string}[]}
+   */
+  suggestions() {
+    const contacts = this.list();
+    const byId = new Map(this.dataStore.listContacts().map(contact => [contact.id, contact]));
+    const suggestions = new Map();
+    const add = (a, b, score, reason) => {
+      const key = pairKey(a.id, b.id);
+      const left = byId.get(a.id);
+      if ((left.distinct || []).includes(b.id)) return;
+      if (!suggestions.has(key) || suggestions.get(key).score < score) {
+        suggestions.set(key, { contacts: [a, b], score, reason });
+      }
+    };
+
+    // Same phone number
+    const byPhone = new Map();
+    contacts.forEach(summary => {
+      (byId.get(summary.id).phones || []).forEach(phone => {
+        const key = phoneKey(phone);
+        if (!byPhone.has(key)) byPhone.set(key, []);
+        byPhone.get(key).push(summary);
+      });
+    });
+    byPhone.forEach(group => {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) {
+          if (group[i].id !== group[j].id) add(group[i], group[j], 1, 'Same phone number');
+        }
+      }
+    });
+
+    // Similar names on different platforms; only names starting alike are compared
+    const byInitial = new Map();
+    contacts.forEach(summary => {
+      const name = normalizeName(summary.name);
+      if (!/\p{L}/u.test(name)) return;
+      if (!byInitial.has(name[0])) byInitial.set(name[0], []);
+      byInitial.get(name[0]).push(summary);
+    });
+    byInitial.forEach(group => {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) {
+          const a = group[i];
+          const b = group[j];
+          if (a.platforms.some(platform => b.platforms.includes(platform))) continue;
+          const score = nameSimilarity(a.name, b.name);
+          if (score >= NAME_SIMILARITY_THRESHOLD) {
+            add(a, b, score, score === 1 ? 'Same name' : 'Similar names');
+          }
+        }
+      }
+    });
+
+    return Array.from(suggestions.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_SUGGESTIONS);
+  }
+
+  /**
+   * Remember that two contacts are different people.
+   */
+  dismiss(firstId, secondId) {
+    const first = this.requireContact(firstId);
+    const second = this.requireContact(secondId);
+    this.dataStore.upsertContact({ id: first.id, distinct: Array.from(new Set([...(first.distinct || []), second.id])) });
+    this.dataStore.upsertContact({ id: second.id, distinct: Array.from(new Set([...(second.distinct || []), first.id])) });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Editing
+  // ---------------------------------------------------------------------------
+
+  requireContact(id) {
+    const contact = this.dataStore.getContact(id);
+    if (!contact) {
+      throw new Error(`Unknown contact: ${id}`);
+    }
+    return contact;
+  }
+
+  /**
+   * Change a contact's name, phone numbers, reply profile or privacy choices.
+   * @param {string} id
+   * @param {object} patch
+   * @param {string} [patch.name]
+   * @param {string[]} [patch.phones]
+   * @param {string|null} [patch.profileId] - Reply profile for all the contact's conversations
+   * @param {{ai: 'cloud'|'local'}} [patch.privacy] - local keeps the contact's messages on this device
+   */
+  update(id, patch) {
+    const contact = this.requireContact(id);
+    const changes = { id };
+
+    if (patch.name !== undefined) {
+      const name = String(patch.name).trim();
+      if (!name) {
+        throw new Error('A contact needs a name');
+      }
+      changes.name = name;
+    }
+    if (patch.phones !== undefined) {
+      const phones = patch.phones.map(phone => String(phone).trim()).filter(Boolean);
+      const invalid = phones.find(phone => !phoneDigits(phone));
+      if (invalid) {
+        throw new Error(`Not a phone number: ${invalid}`);
+      }
+      changes.phones = Array.from(new Set(phones.map(phoneDigits)));
+    }
+    if (patch.profileId !== undefined) {
+      changes.profileId = patch.profileId || null;
+    }
+    if (patch.privacy !== undefined) {
+      const ai = AI_MODES.includes(patch.privacy.ai) ? patch.privacy.ai : DEFAULT_PRIVACY.ai;
+      changes.privacy = { ...DEFAULT_PRIVACY, ...contact.privacy, ai };
+    }
+
+    return this.dataStore.upsertContact(changes);
+  }
+
+  /**
+   * Move every conversation of `sourceId` to `targetId` and drop the source.
+   * The target keeps its own name and settings, taking the source's where it
+   * has none; the stricter privacy choice of the two is kept.
+   */
+  merge(targetId, sourceId) {
+    if (targetId === sourceId) {
+      throw new Error('A contact cannot be merged with itself');
+    }
+    const target = this.requireContact(targetId);
+    const source = this.requireContact(sourceId);
+    const sourceName = source.name;
+
+    this.dataStore.upsertContact({
+      id: target.id,
+      phones: Array.from(new Set([...(target.phones || []), ...(source.phones || [])])),
+      distinct: Array.from(new Set([...(target.distinct || []), ...(source.distinct || [])])).filter(id => id !== source.id),
+      profileId: target.profileId || source.profileId || null,
+      privacy: stricterPrivacy(target.privacy, source.privacy)
+    });
+    // Linking the last conversation away removes the source contact
+    this.dataStore.contactConversations(source.id).forEach(conversation => {
+      this.dataStore.setConversationContact(conversation.id, target.id);
+    });
+    this.dataStore.addEvent('contacts-merged', { contactId: target.id, name: target.name, merged: sourceName });
+    log.info(`Merged contact ${sourceId} into ${target.id}`);
+    return this.get(target.id);
+  }
+
+  /**
+   * Give one of a contact's conversations its own contact again, with the
+   * reply profile and privacy choices it had until now.
+   */
+  split(conversationId) {
+    const conversation = this.dataStore.getConversation(conversationId);
+    if (!conversation) {
+      throw new Error(`Unknown conversation: ${conversationId}`);
+    }
+    const previous = this.requireContact(conversation.contactId);
+    if (this.dataStore.contactConversations(previous.id).length < 2) {
+      throw new Error('This is the contact\'s only conversation');
+    }
+
+    const contact = this.dataStore.upsertContact({
+      name: conversation.name,
+      phones: conversationPhones(conversation),
+      distinct: [previous.id],
+      profileId: previous.profileId || null,
+      privacy: { ...DEFAULT_PRIVACY, ...previous.privacy }
+    });
+    this.dataStore.setConversationContact(conversation.id, contact.id);
+    this.dataStore.upsertContact({ id: previous.id, distinct: Array.from(new Set([...(previous.distinct || []), contact.id])) });
+    this.dataStore.addEvent('contact-split', { contactId: contact.id, name: contact.name, from: previous.name });
+    return this.get(contact.id);
+  }
+}
+
+module.exports = { ContactDirectory, nameSimilarity, phoneDigits, normalizeName };
@@ -0,0 +1,75 @@
+// Conversation Views
+// The filter and sort applied to the conversation list, and named views
+// that save a combination of them for the sidebar. The current filter and
+// the saved views are kept in the settings store so they survive restarts.
+
+const crypto = require('crypto');
+const { PLATFORMS } = require('./platforms');
+
+const SORTS = ['recent', 'unread', 'volume'];
+// hide: leave archived conversations out, only: show nothing else, all: both
+const ARCHIVED_MODES = ['hide', 'only', 'all'];
+const MAX_VIEW_NAME_LENGTH = 40;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_FILTER = {
+  platform: 'all',
+  unread: false,
+  needsReply: false,
+  pinned: false,
+  archived: 'hide',
+  tag: '',
+  // Local calendar days (YYYY-MM-DD) of the last message
+  from: '',
+  to: '',
+  sort: 'recent'
+};
+
+function defaultViewSettings() {
+  return { current: { ...DEFAULT_FILTER }, saved: [] };
+}
+
+/**
+ * Clean up a filter coming from the conversation list; unknown values fall
+ * back to the defaults.
+ */
+function normalizeFilter(input = {}) {
+  const date = value => (DATE_PATTERN.test(value) ? value : '');
+  return {
+    platform: PLATFORMS.includes(input.platform) ? input.platform : 'all',
+    unread: !!input.unread,
+    needsReply: !!input.needsReply,
+    pinned: !!input.pinned,
+    archived: ARCHIVED_MODES.includes(input.archived) ? input.archived : DEFAULT_FILTER.archived,
+    tag: String(input.tag || '').trim().toLowerCase(),
+    from: date(input.from),
+    to: date(input.to),
+    sort: SORTS.includes(input.sort) ? input.sort : DEFAULT_FILTER.sort
+  };
+}
+
+/**
+ * Clean up a saved view.
+ * @throws {Error} When the view has no name
+ */
+function normalizeView(input, existing) {
+  const name = String(input.name || '').trim().slice(0, MAX_VIEW_NAME_LENGTH);
+  if (!name) {
+    throw new Error('A view needs a name');
+  }
+
+  return {
+    id: (existing && existing.id) || input.id || crypto.randomUUID(),
+    name,
+    filter: normalizeFilter(input.filter)
+  };
+}
+
+module.exports = {
+  SORTS,
+  ARCHIVED_MODES,
+  DEFAULT_FILTER,
+  defaultViewSettings,
+  normalizeFilter,
+  normalizeView
+};
@@ -0,0 +1,1189 @@
+// Local Data Store
+// Owns contacts, conversations, messages, suggestions and activity events on disk.
+// Everything is held in memory with secondary indexes and flushed to a single
+// JSON file in the user data directory after a short debounce. With
+// encryption on, each conversation is written as its own envelope under that
+// contact's data key; contacts, which link the conversations of one person
+// across platforms, go in the global envelope.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const log = require('electron-log');
+const { GLOBAL_CONTACT } = require('./encryption');
+
+const STORE_VERSION = 1;
+const SAVE_DEBOUNCE_MS = 1000;
+const MAX_EVENTS = 1000;
+// What clear() can remove: everything, one platform or one conversation
+const CLEAR_SCOPES = ['all', 'platform', 'conversation'];
+
+// Conversation fields the store keeps up to date itself; callers cannot set them
+const STORE_OWNED_FIELDS = ['lastMessage', 'lastMessageAt', 'lastDirection', 'lastAnalysis', 'unreadCount', 'messageCount', 'contactId', 'createdAt', 'updatedAt'];
+
+function toTime(value) {
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isNaN(time) ? Date.now() : time;
+}
+
+// Local calendar day (YYYY-MM-DD) used to bucket daily metrics
+function dayKey(value) {
+  const date = new Date(toTime(value));
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Tags of a conversation's latest tagged message: its intents, topics and
+ * a non-neutral sentiment.
+ */
+function conversationTags(conversation) {
+  const analysis = conversation.lastAnalysis;
+  if (!analysis) return [];
+
+  const tags = [...(analysis.intents || (analysis.intent ? [analysis.intent] : [])), ...(analysis.topics || [])];
+  if (analysis.sentiment && analysis.sentiment.label !== 'neutral') tags.push(analysis.sentiment.label);
+  return tags;
+}
+
+function toIso(value) {
+  return new Date(toTime(value === undefined ? Date.now() : value)).toISOString();
+}
+
+/**
+ * When a message was sent. A message read off a page without a timestamp
+ * keeps `timestamp: null` and is placed by when it was stored instead.
+ */
+function messageTime(message) {
+  return toTime(message.timestamp || message.createdAt);
+}
+
+// `data` without the store-owned fields, apart from those in `keep`
+function withoutStoreFields(data, keep = []) {
+  const fields = { ...data };
+  STORE_OWNED_FIELDS.filter(field => !keep.includes(field)).forEach(field => {
+    delete fields[field];
+  });
+  return fields;
+}
+
+/**
+ * Overwrite a file with random bytes before unlinking it. Best effort: SSDs
+ * and copy-on-write filesystems may keep older blocks, which is why encrypted
+ * stores also destroy the contact key.
+ */
+function shredFile(filePath) {
+  const { size } = fs.statSync(filePath);
+  const fd = fs.openSync(filePath, 'r+');
+  try {
+    const chunk = Buffer.alloc(64 * 1024);
+    for (let offset = 0; offset < size; offset += chunk.length) {
+      crypto.randomFillSync(chunk);
+      fs.writeSync(fd, chunk, 0, Math.min(chunk.length, size - offset), offset);
+    }
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.unlinkSync(filePath);
+}
+
+// Blank a removed record in place so stray references stop holding its content
+function wipeRecord(record) {
+  Object.keys(record).forEach(key => {
+    record[key] = null;
+  });
+}
+
+// Index of the first element whose timestamp is greater than `time`
+function upperBound(list, time) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (messageTime(list[mid]) <= time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+// Index of the first element whose timestamp is greater than or equal to `time`
+function lowerBound(list, time) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (messageTime(list[mid]) < time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+class DataStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath;
+    this.keyManager = options.keyManager || null;
+    this.encrypted = !!options.encrypted && !!this.keyManager;
+    this.locked = false;
+    this.saveDebounceMs = options.saveDebounceMs !== undefined ? options.saveDebounceMs : SAVE_DEBOUNCE_MS;
+    this.saveTimer = null;
+    this.shredPending = false;
+    this.reset();
+  }
+
+  reset() {
+    this.contacts = new Map();
+    this.conversations = new Map();
+    this.conversationKeys = new Map();
+    this.messages = new Map();
+    this.messagesByConversation = new Map();
+    this.messageKeys = new Map();
+    this.suggestions = new Map();
+    this.suggestionsByConversation = new Map();
+    this.events = [];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Persistence
+  // ---------------------------------------------------------------------------
+
+  load() {
+    this.reset();
+    this.locked = false;
+
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (raw.encrypted && this.keyManager && this.keyManager.isLocked()) {
+        // Wait for unlock() instead of treating the store as empty, so the
+        // next save cannot overwrite the encrypted data
+        this.locked = true;
+        log.info('Data store is encrypted and locked');
+        return this;
+      }
+      this.hydrate(raw.encrypted ? this.decryptSnapshot(raw) : raw);
+      log.info(`Data store loaded: ${this.conversations.size} conversations, ${this.messages.size} messages`);
+    } catch (error) {
+      // Keep the unreadable file around instead of overwriting it on next save
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      log.error('Failed to load data store, moving it aside:', error);
+      try {
+        fs.renameSync(this.filePath, backupPath);
+      } catch (renameError) {
+        log.error('Failed to move corrupt data store:', renameError);
+      }
+    }
+
+    return this;
+  }
+
+  hydrate(raw) {
+    (raw.contacts || []).forEach(contact => this.contacts.set(contact.id, contact));
+    (raw.conversations || []).forEach(conversation => this.indexConversation(conversation));
+    (raw.messages || []).forEach(message => this.indexMessage(message));
+    (raw.suggestions || []).forEach(suggestion => this.indexSuggestion(suggestion));
+    this.events = (raw.events || []).slice(-MAX_EVENTS);
+  }
+
+  /**
+   * Plain copy of everything in the store.
+   */
+  snapshot() {
+    return {
+      version: STORE_VERSION,
+      savedAt: new Date().toISOString(),
+      contacts: Array.from(this.contacts.values()),
+      conversations: Array.from(this.conversations.values()),
+      messages: Array.from(this.messages.values()),
+      suggestions: Array.from(this.suggestions.values()),
+      events: this.events
+    };
+  }
+
+  serialize(keyManager = this.keyManager) {
+    const snapshot = this.snapshot();
+    return this.encrypted ? this.encryptSnapshot(snapshot, keyManager) : snapshot;
+  }
+
+  /**
+   * Swap the whole store for another snapshot (used by "replace" imports).
+   */
+  replaceAll(snapshot) {
+    const previousIds = Array.from(this.conversations.keys());
+
+    this.reset();
+    this.hydrate(snapshot);
+
+    if (this.keyManager && !this.keyManager.isLocked()) {
+      previousIds.filter(id => !this.conversations.has(id)).forEach(id => this.keyManager.deleteContactKey(id));
+    }
+    this.shredPending = true;
+    this.changed('data-replaced', {});
+  }
+
+  /**
+   * Add whole records from an export, every field kept (message analysis,
+   * suggestion outcomes and so on). Records whose id is already stored, and
+   * messages already stored under the same chat message id, are skipped.
+   * @param {object} records
+   * @param {object[]} [records.messages] - Their conversationId must be stored
+   * @param {object[]} [records.suggestions]
+   * @param {object[]} [records.events]
+   * @returns {{messages: number, suggestions: number, events: number}} How many were added
+   */
+  restoreRecords(records) {
+    const counts = { messages: 0, suggestions: 0, events: 0 };
+    const touched = new Set();
+    const messageIds = [];
+
+    (records.messages || []).forEach(record => {
+      const conversation = this.conversations.get(record.conversationId);
+      if (!conversation || this.messages.has(record.id)) return;
+      if (record.externalId && this.messageKeys.has(`${conversation.id}:${record.externalId}`)) return;
+
+      const message = { createdAt: new Date().toISOString(), ...record, platform: conversation.platform };
+      this.indexMessage(message);
+      if (message.analysis && (!conversation.lastAnalysis || messageTime(message) >= toTime(conversation.lastAnalysis.at))) {
+        conversation.lastAnalysis = { ...message.analysis, at: message.timestamp || message.createdAt };
+      }
+      touched.add(conversation);
+      messageIds.push(message.id);
+    });
+    touched.forEach(conversation => this.refreshConversation(conversation));
+    counts.messages = messageIds.length;
+    if (messageIds.length > 0) {
+      this.changed('messages-added', { count: messageIds.length, messageIds });
+    }
+
+    (records.suggestions || []).forEach(record => {
+      if (this.suggestions.has(record.id)) return;
+      const conversationId = this.conversations.has(record.conversationId) ? record.conversationId : null;
+      const suggestion = { ...record, conversationId };
+      this.indexSuggestion(suggestion);
+      counts.suggestions++;
+      this.changed('suggestion-added', { suggestionId: suggestion.id, conversationId });
+    });
+
+    const eventIds = new Set(this.events.map(event => event.id));
+    const events = (records.events || []).filter(event => event && event.id && !eventIds.has(event.id));
+    if (events.length > 0) {
+      this.events = this.events.concat(events)
+        .sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp))
+        .slice(-MAX_EVENTS);
+      counts.events = events.length;
+      this.changed('events-added', { count: events.length });
+    }
+
+    return counts;
+  }
+
+  encryptSnapshot(snapshot, keyManager = this.keyManager) {
+    const contacts = snapshot.conversations.map(conversation => ({
+      id: conversation.id,
+      payload: keyManager.encrypt({
+        conversation,
+        messages: this.messagesByConversation.get(conversation.id) || [],
+        suggestions: (this.suggestionsByConversation.get(conversation.id) || []).map(id => this.suggestions.get(id))
+      }, conversation.id)
+    }));
+
+    return {
+      version: STORE_VERSION,
+      encrypted: true,
+      savedAt: snapshot.savedAt,
+      contacts,
+      global: keyManager.encrypt({
+        contacts: snapshot.contacts,
+        suggestions: snapshot.suggestions.filter(suggestion => !suggestion.conversationId),
+        events: snapshot.events
+      }, GLOBAL_CONTACT)
+    };
+  }
+
+  decryptSnapshot(raw) {
+    const snapshot = { contacts: [], conversations: [], messages: [], suggestions: [], events: [] };
+
+    (raw.contacts || []).forEach(contact => {
+      try {
+        const payload = this.keyManager.decrypt(contact.payload);
+        snapshot.conversations.push(payload.conversation);
+        snapshot.messages.push(...payload.messages);
+        snapshot.suggestions.push(...payload.suggestions);
+      } catch (error) {
+        // A missing key means the contact was deleted; skip what it protected
+        log.warn(`Skipping unreadable conversation ${contact.id}: ${error.message}`);
+      }
+    });
+
+    if (raw.global) {
+      const global = this.keyManager.decrypt(raw.global);
+      snapshot.contacts = global.contacts || [];
+      snapshot.suggestions.push(...global.suggestions);
+      snapshot.events = global.events;
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Switch between encrypted and plaintext storage. The in-memory data is
+   * rewritten in the new format immediately.
+   */
+  setEncryption(enabled) {
+    if (enabled && !this.keyManager) {
+      throw new Error('Encryption requires a key manager');
+    }
+    if (this.locked) {
+      throw new Error('Unlock the data store before changing encryption');
+    }
+    if (this.encrypted === !!enabled) return;
+
+    this.encrypted = !!enabled;
+    this.flush();
+    log.info(`Data store encryption ${this.encrypted ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Load the store after the key manager has been unlocked.
+   */
+  unlock() {
+    this.load();
+    this.emit('change', { type: 'store-unlocked' });
+    return this;
+  }
+
+  scheduleSave() {
+    if (!this.filePath) return;
+
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDebounceMs);
+  }
+
+  save() {
+    if (!this.filePath || this.locked) return;
+
+    try {
+      // Write to a temp file first so a crash never leaves a half-written store
+      const tempPath = `${this.filePath}.tmp`;
+      this.writeFile(tempPath);
+      this.replaceFile(tempPath);
+    } catch (error) {
+      log.error('Failed to save data store:', error);
+    }
+  }
+
+  writeFile(filePath, keyManager = this.keyManager) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(this.serialize(keyManager)));
+  }
+
+  replaceFile(tempPath) {
+    if (this.shredPending && fs.existsSync(this.filePath)) {
+      // The previous file still holds deleted records: swap it out, then
+      // overwrite it once the new store is in place
+      const oldPath = `${this.filePath}.shred`;
+      fs.renameSync(this.filePath, oldPath);
+      fs.renameSync(tempPath, this.filePath);
+      shredFile(oldPath);
+    } else {
+      fs.renameSync(tempPath, this.filePath);
+    }
+    this.shredPending = false;
+  }
+
+  /**
+   * Write the store under another key manager's keys (key rotation) next to
+   * the current file. Errors are thrown instead of logged; nothing replaces
+   * the current file until commit() is called.
+   */
+  stageRewrite(keyManager) {
+    if (this.locked) {
+      throw new Error('Unlock the data store before rotating keys');
+    }
+    if (!this.filePath || !this.encrypted) {
+      return { commit: () => {}, discard: () => {} };
+    }
+
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    const tempPath = `${this.filePath}.rotate`;
+    try {
+      this.writeFile(tempPath, keyManager);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+
+    return {
+      commit: () => this.replaceFile(tempPath),
+      discard: () => {
+        fs.rmSync(tempPath, { force: true });
+        this.scheduleSave();
+      }
+    };
+  }
+
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.save();
+  }
+
+  changed(type, payload) {
+    this.scheduleSave();
+    this.emit('change', { type, ...payload });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Indexing
+  // ---------------------------------------------------------------------------
+
+  static conversationKey(platform, externalId) {
+    return `${platform}:${externalId}`;
+  }
+
+  indexConversation(conversation) {
+    this.conversations.set(conversation.id, conversation);
+    if (conversation.externalId) {
+      this.conversationKeys.set(DataStore.conversationKey(conversation.platform, conversation.externalId), conversation.id);
+    }
+    if (!this.messagesByConversation.has(conversation.id)) {
+      this.messagesByConversation.set(conversation.id, []);
+    }
+  }
+
+  indexMessage(message) {
+    if (!this.conversations.has(message.conversationId)) {
+      return false;
+    }
+
+    const thread = this.messagesByConversation.get(message.conversationId);
+    thread.splice(upperBound(thread, messageTime(message)), 0, message);
+    this.messages.set(message.id, message);
+    if (message.externalId) {
+      this.messageKeys.set(`${message.conversationId}:${message.externalId}`, message.id);
+    }
+    return true;
+  }
+
+  indexSuggestion(suggestion) {
+    this.suggestions.set(suggestion.id, suggestion);
+    if (suggestion.conversationId) {
+      if (!this.suggestionsByConversation.has(suggestion.conversationId)) {
+        this.suggestionsByConversation.set(suggestion.conversationId, []);
+      }
+      this.suggestionsByConversation.get(suggestion.conversationId).push(suggestion.id);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Contacts
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create a contact, or update the one with the same id.
+   */
+  upsertContact(data) {
+    const now = new Date().toISOString();
+    const existing = data.id && this.contacts.get(data.id);
+
+    if (existing) {
+      Object.assign(existing, data, { id: existing.id, createdAt: existing.createdAt, updatedAt: now });
+      this.changed('contact-updated', { contactId: existing.id });
+      return existing;
+    }
+
+    const contact = {
+      id: data.id || crypto.randomUUID(),
+      name: data.name || 'Unknown',
+      phones: [],
+      // Contacts the user said are someone else, so they are not suggested again
+      distinct: [],
+      createdAt: now,
+      updatedAt: now,
+      ...data
+    };
+    this.contacts.set(contact.id, contact);
+    this.changed('contact-created', { contactId: contact.id });
+    return contact;
+  }
+
+  getContact(id) {
+    return this.contacts.get(id) || null;
+  }
+
+  listContacts() {
+    return Array.from(this.contacts.values());
+  }
+
+  /**
+   * Conversations linked to a contact, most recent first.
+   */
+  contactConversations(contactId) {
+    return this.listConversations().filter(conversation => conversation.contactId === contactId);
+  }
+
+  /**
+   * Link a conversation to a contact. A contact left without conversations is removed.
+   */
+  setConversationContact(conversationId, contactId) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) {
+      throw new Error(`Unknown conversation: ${conversationId}`);
+    }
+    if (!this.contacts.has(contactId)) {
+      throw new Error(`Unknown contact: ${contactId}`);
+    }
+
+    const previous = conversation.contactId;
+    conversation.contactId = contactId;
+    if (previous && previous !== contactId) {
+      this.removeContactIfEmpty(previous);
+    }
+    this.changed('conversation-updated', { conversationId });
+    return conversation;
+  }
+
+  deleteContact(id) {
+    const contact = this.contacts.get(id);
+    if (!contact) return false;
+
+    this.contacts.delete(id);
+    this.contacts.forEach(other => {
+      if (other.distinct) other.distinct = other.distinct.filter(otherId => otherId !== id);
+    });
+    wipeRecord(contact);
+    this.changed('contact-deleted', { contactId: id });
+    return true;
+  }
+
+  removeContactIfEmpty(id) {
+    const linked = Array.from(this.conversations.values()).some(conversation => conversation.contactId === id);
+    if (!linked) this.deleteContact(id);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Conversations
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create a conversation, or update the existing one with the same
+   * platform + externalId (the chat identifier used by the messaging app).
+   * Counters, previews and the contact link are left to the store.
+   */
+  upsertConversation(data) {
+    const now = new Date().toISOString();
+    const existingId = data.id || (data.externalId && this.conversationKeys.get(DataStore.conversationKey(data.platform, data.externalId)));
+    const existing = existingId && this.conversations.get(existingId);
+
+    if (existing) {
+      const changes = withoutStoreFields(data);
+      const previousKey = existing.externalId ? DataStore.conversationKey(existing.platform, existing.externalId) : null;
+      const next = { ...existing, ...changes };
+      const nextKey = next.externalId ? DataStore.conversationKey(next.platform, next.externalId) : null;
+      if (nextKey !== previousKey) {
+        const otherId = nextKey && this.conversationKeys.get(nextKey);
+        if (otherId && otherId !== existing.id) {
+          throw new Error(`Another conversation already has the chat id ${next.externalId}`);
+        }
+        if (previousKey) this.conversationKeys.delete(previousKey);
+      }
+
+      Object.assign(existing, changes, { id: existing.id, updatedAt: now });
+      this.indexConversation(existing);
+      this.changed('conversation-updated', { conversationId: existing.id });
+      return existing;
+    }
+
+    // Counters and timestamps belong to the store; callers cannot preset them.
+    // A contact can be given, as when an export brings its own along.
+    const conversation = {
+      ...withoutStoreFields(data, ['contactId']),
+      id: data.id || crypto.randomUUID(),
+      externalId: data.externalId || null,
+      platform: data.platform || 'unknown',
+      name: data.name || 'Unknown',
+      lastMessage: '',
+      lastMessageAt: null,
+      unreadCount: 0,
+      messageCount: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.indexConversation(conversation);
+    this.addEvent('conversation-created', { conversationId: conversation.id, name: conversation.name, platform: conversation.platform });
+    this.changed('conversation-created', { conversationId: conversation.id });
+    return conversation;
+  }
+
+  getConversation(id) {
+    return this.conversations.get(id) || null;
+  }
+
+  findConversation(platform, externalId) {
+    const id = this.conversationKeys.get(DataStore.conversationKey(platform, externalId));
+    return id ? this.getConversation(id) : null;
+  }
+
+  /**
+   * Conversations, most recent first unless another sort is asked for.
+   * @param {object} [options]
+   * @param {string} [options.platform]
+   * @param {boolean} [options.unread] - Only ones with unread messages
+   * @param {boolean} [options.needsReply] - Only ones whose last message is incoming
+   * @param {boolean} [options.pinned] - Only pinned ones
+   * @param {boolean} [options.archived] - true for only archived ones, false to leave them out
+   * @param {string} [options.tag] - Intent, topic or sentiment of the latest tagged message
+   * @param {string} [options.since] - Last message at or after (ISO timestamp)
+   * @param {string} [options.until] - Last message at or before (ISO timestamp)
+   * @param {'recent'|'unread'|'volume'} [options.sort]
+   * @param {boolean} [options.pinnedFirst]
+   * @param {number} [options.limit]
+   * @param {number} [options.offset]
+   */
+  listConversations(options = {}) {
+    const { platform, tag, limit, offset = 0 } = options;
+    const sinceTime = options.since ? toTime(options.since) : -Infinity;
+    const untilTime = options.until ? toTime(options.until) : Infinity;
+    const lastActive = conversation => toTime(conversation.lastMessageAt || conversation.createdAt);
+
+    const list = Array.from(this.conversations.values()).filter(conversation => {
+      if (platform && platform !== 'all' && conversation.platform !== platform) return false;
+      if (options.unread && !(conversation.unreadCount > 0)) return false;
+      if (options.needsReply && conversation.lastDirection !== 'incoming') return false;
+      if (options.pinned && !conversation.pinned) return false;
+      if (options.archived !== undefined && !!conversation.archived !== options.archived) return false;
+      if (tag && !conversationTags(conversation).includes(tag)) return false;
+      const time = lastActive(conversation);
+      return time >= sinceTime && time <= untilTime;
+    });
+
+    const byRecency = (a, b) => lastActive(b) - lastActive(a);
+    const sorts = {
+      recent: byRecency,
+      unread: (a, b) => (b.unreadCount || 0) - (a.unreadCount || 0) || byRecency(a, b),
+      volume: (a, b) => (b.messageCount || 0) - (a.messageCount || 0) || byRecency(a, b)
+    };
+    const compare = sorts[options.sort] || byRecency;
+    list.sort(options.pinnedFirst
+      ? (a, b) => Number(!!b.pinned) - Number(!!a.pinned) || compare(a, b)
+      : compare);
+
+    return limit ? list.slice(offset, offset + limit) : list.slice(offset);
+  }
+
+  markConversationRead(id) {
+    const conversation = this.conversations.get(id);
+    if (!conversation || conversation.unreadCount === 0) return conversation || null;
+
+    conversation.unreadCount = 0;
+    this.changed('conversation-updated', { conversationId: id });
+    return conversation;
+  }
+
+  /**
+   * Assign a tone profile to a conversation's contact; null clears it.
+   */
+  setConversationProfile(id, profileId) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) {
+      throw new Error(`Unknown conversation: ${id}`);
+    }
+
+    if (profileId) {
+      conversation.profileId = profileId;
+    } else {
+      delete conversation.profileId;
+    }
+    this.changed('conversation-updated', { conversationId: id });
+    return conversation;
+  }
+
+  /**
+   * Pin or archive a conversation for the conversation list.
+   * @param {string} id
+   * @param {{pinned?: boolean, archived?: boolean}} flags
+   */
+  setConversationFlags(id, flags) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) {
+      throw new Error(`Unknown conversation: ${id}`);
+    }
+
+    ['pinned', 'archived'].forEach(flag => {
+      if (flags[flag] === undefined) return;
+      if (flags[flag]) {
+        conversation[flag] = true;
+      } else {
+        delete conversation[flag];
+      }
+    });
+    this.changed('conversation-updated', { conversationId: id });
+    return conversation;
+  }
+
+  deleteConversation(id) {
+    if (!this.conversations.has(id)) return false;
+
+    this.removeConversation(id);
+    this.shredPending = true;
+    this.changed('conversation-deleted', { conversationId: id });
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Messages
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add a message to an existing conversation. Messages carrying an
+   * externalId are de-duplicated, so re-importing or re-scanning a chat
+   * does not create copies.
+   */
+  addMessage(data, options = {}) {
+    const conversation = this.conversations.get(data.conversationId);
+    if (!conversation) {
+      throw new Error(`Unknown conversation: ${data.conversationId}`);
+    }
+
+    if (data.externalId) {
+      const existingId = this.messageKeys.get(`${conversation.id}:${data.externalId}`);
+      if (existingId) {
+        return this.messages.get(existingId);
+      }
+    }
+
+    const message = {
+      id: data.id || crypto.randomUUID(),
+      externalId: data.externalId || null,
+      conversationId: conversation.id,
+      platform: conversation.platform,
+      direction: data.direction === 'outgoing' ? 'outgoing' : 'incoming',
+      sender: data.sender || (data.direction === 'outgoing' ? 'me' : conversation.name),
+      text: data.text || '',
+      // null means unknown; leaving it out means now
+      timestamp: data.timestamp === null ? null : toIso(data.timestamp),
+      createdAt: new Date().toISOString()
+    };
+
+    this.indexMessage(message);
+
+    conversation.messageCount = this.messagesByConversation.get(conversation.id).length;
+    if (!conversation.lastMessageAt || messageTime(message) >= toTime(conversation.lastMessageAt)) {
+      conversation.lastMessage = message.text;
+      conversation.lastMessageAt = message.timestamp || message.createdAt;
+      conversation.lastDirection = message.direction;
+    }
+    if (message.direction === 'incoming' && !options.read) {
+      conversation.unreadCount = (conversation.unreadCount || 0) + 1;
+    }
+    conversation.updatedAt = new Date().toISOString();
+
+    if (!options.silent) {
+      this.changed('message-added', { conversationId: conversation.id, messageId: message.id });
+    }
+    return message;
+  }
+
+  /**
+   * Bulk insert used by importers; emits a single change event listing the
+   * ids of the messages passed in.
+   */
+  addMessages(messages, options = {}) {
+    const added = messages.map(message => this.addMessage(message, { ...options, silent: true }));
+    this.changed('messages-added', { count: added.length, messageIds: added.map(message => message.id) });
+    return added;
+  }
+
+  getMessage(id) {
+    return this.messages.get(id) || null;
+  }
+
+  /**
+   * Store the message analyzer's tags. The conversation keeps the tags of
+   * its latest tagged message for the conversation list.
+   * @param {{id: string, analysis: object}[]} entries
+   */
+  setMessageAnalysis(entries) {
+    const updated = entries.filter(({ id, analysis }) => {
+      const message = this.messages.get(id);
+      if (!message) return false;
+
+      message.analysis = analysis;
+      const conversation = this.conversations.get(message.conversationId);
+      if (conversation && (!conversation.lastAnalysis || messageTime(message) >= toTime(conversation.lastAnalysis.at))) {
+        conversation.lastAnalysis = { ...analysis, at: message.timestamp || message.createdAt };
+      }
+      return true;
+    });
+
+    if (updated.length === 1) {
+      const message = this.messages.get(updated[0].id);
+      this.changed('message-analyzed', { conversationId: message.conversationId, messageId: message.id });
+    } else if (updated.length > 1) {
+      this.changed('messages-analyzed', { count: updated.length, messageIds: updated.map(({ id }) => id) });
+    }
+    return updated.length;
+  }
+
+  /**
+   * Page through a conversation, newest first. Pass `before` (ISO timestamp)
+   * to load the page preceding an already-loaded message, or `beforeId` to
+   * load the page preceding that exact message even when several messages
+   * share its timestamp (chat exports only have minutes). `afterId` loads
+   * the page following a message and `aroundId` the page centred on one,
+   * for opening a thread at a search result; `hasNewer` tells whether
+   * messages follow the page.
+   */
+  getMessages(conversationId, options = {}) {
+    const { before, beforeId, afterId, aroundId, limit = 50 } = options;
+    const thread = this.messagesByConversation.get(conversationId) || [];
+    let end = before ? lowerBound(thread, toTime(before)) : thread.length;
+    let start;
+
+    const beforeIndex = beforeId ? this.threadIndex(thread, beforeId) : -1;
+    const afterIndex = afterId ? this.threadIndex(thread, afterId) : -1;
+    const aroundIndex = aroundId ? this.threadIndex(thread, aroundId) : -1;
+    if (beforeIndex !== -1) {
+      end = beforeIndex;
+    } else if (afterIndex !== -1) {
+      start = afterIndex + 1;
+      end = Math.min(thread.length, start + limit);
+    } else if (aroundIndex !== -1) {
+      // Fill the page from the other side near either end of the thread
+      end = Math.min(thread.length, Math.max(0, aroundIndex - Math.floor(limit / 2)) + limit);
+    }
+    if (start === undefined) {
+      start = Math.max(0, end - limit);
+    }
+
+    return {
+      messages: thread.slice(start, end),
+      hasMore: start > 0,
+      hasNewer: end < thread.length,
+      total: thread.length
+    };
+  }
+
+  // Position of a message in its conversation's thread, or -1
+  threadIndex(thread, messageId) {
+    const message = this.messages.get(messageId);
+    if (!message) return -1;
+    let index = lowerBound(thread, messageTime(message));
+    while (index < thread.length && thread[index].id !== messageId) index++;
+    return index < thread.length ? index : -1;
+  }
+
+  /**
+   * Scan messages across conversations within an optional time window.
+   */
+  queryMessages(options = {}) {
+    const { conversationId, platform, direction, since, until } = options;
+    const sinceTime = since ? toTime(since) : -Infinity;
+    const untilTime = until ? toTime(until) : Infinity;
+    const threads = conversationId
+      ? [this.messagesByConversation.get(conversationId) || []]
+      : Array.from(this.messagesByConversation.values());
+
+    const results = [];
+    threads.forEach(thread => {
+      const start = sinceTime === -Infinity ? 0 : lowerBound(thread, sinceTime);
+      const end = untilTime === Infinity ? thread.length : upperBound(thread, untilTime);
+      for (let i = start; i < end; i++) {
+        const message = thread[i];
+        if (platform && message.platform !== platform) continue;
+        if (direction && message.direction !== direction) continue;
+        results.push(message);
+      }
+    });
+
+    return results;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Suggestions
+  // ---------------------------------------------------------------------------
+
+  addSuggestion(data) {
+    const suggestion = {
+      id: data.id || crypto.randomUUID(),
+      conversationId: data.conversationId || null,
+      messageId: data.messageId || null,
+      provider: data.provider || null,
+      model: data.model || null,
+      candidates: data.candidates || [],
+      latencyMs: data.latencyMs || null,
+      redactions: data.redactions || [],
+      status: data.status || 'shown',
+      createdAt: toIso(data.createdAt)
+    };
+
+    this.indexSuggestion(suggestion);
+    this.changed('suggestion-added', { suggestionId: suggestion.id, conversationId: suggestion.conversationId });
+    return suggestion;
+  }
+
+  updateSuggestion(id, patch) {
+    const suggestion = this.suggestions.get(id);
+    if (!suggestion) return null;
+
+    Object.assign(suggestion, patch, { id });
+    this.changed('suggestion-updated', { suggestionId: id, conversationId: suggestion.conversationId });
+    return suggestion;
+  }
+
+  getSuggestion(id) {
+    return this.suggestions.get(id) || null;
+  }
+
+  listSuggestions(options = {}) {
+    const { conversationId, since, until } = options;
+    const sinceTime = since ? toTime(since) : -Infinity;
+    const untilTime = until ? toTime(until) : Infinity;
+    const source = conversationId
+      ? (this.suggestionsByConversation.get(conversationId) || []).map(id => this.suggestions.get(id)).filter(Boolean)
+      : Array.from(this.suggestions.values());
+
+    return source.filter(suggestion => {
+      const time = toTime(suggestion.createdAt);
+      return time >= sinceTime && time <= untilTime;
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Deletion
+  // ---------------------------------------------------------------------------
+
+  removeMessages(conversationId, removed) {
+    removed.forEach(message => {
+      this.messages.delete(message.id);
+      if (message.externalId) {
+        this.messageKeys.delete(`${conversationId}:${message.externalId}`);
+      }
+      wipeRecord(message);
+    });
+  }
+
+  removeSuggestion(id) {
+    const suggestion = this.suggestions.get(id);
+    if (!suggestion) return;
+
+    this.suggestions.delete(id);
+    const ids = suggestion.conversationId && this.suggestionsByConversation.get(suggestion.conversationId);
+    if (ids) {
+      const index = ids.indexOf(id);
+      if (index !== -1) ids.splice(index, 1);
+    }
+    wipeRecord(suggestion);
+  }
+
+  // Drop a conversation with everything that belongs to it
+  removeConversation(id) {
+    const conversation = this.conversations.get(id);
+    const thread = this.messagesByConversation.get(id) || [];
+    const suggestionIds = (this.suggestionsByConversation.get(id) || []).slice();
+    const counts = { messages: thread.length, suggestions: suggestionIds.length };
+
+    this.removeMessages(id, thread);
+    suggestionIds.forEach(suggestionId => this.removeSuggestion(suggestionId));
+    this.messagesByConversation.delete(id);
+    this.suggestionsByConversation.delete(id);
+    if (conversation.externalId) {
+      this.conversationKeys.delete(DataStore.conversationKey(conversation.platform, conversation.externalId));
+    }
+    this.conversations.delete(id);
+    const contactId = conversation.contactId;
+    wipeRecord(conversation);
+    if (contactId) {
+      this.removeContactIfEmpty(contactId);
+    }
+
+    if (this.keyManager && !this.keyManager.isLocked()) {
+      this.keyManager.deleteContactKey(id);
+    }
+    return counts;
+  }
+
+  // Bring the cached preview and counters back in line with the thread
+  refreshConversation(conversation) {
+    const thread = this.messagesByConversation.get(conversation.id) || [];
+    const last = thread[thread.length - 1];
+
+    conversation.messageCount = thread.length;
+    conversation.lastMessage = last ? last.text : '';
+    conversation.lastMessageAt = last ? last.timestamp || last.createdAt : null;
+    conversation.lastDirection = last ? last.direction : null;
+    conversation.unreadCount = Math.min(conversation.unreadCount || 0, thread.filter(message => message.direction === 'incoming').length);
+  }
+
+  /**
+   * Delete messages, suggestions and events older than `cutoff`.
+   * Conversations left without messages are removed as well. The old store
+   * file is overwritten on the next save.
+   * @param {Date|string} cutoff
+   * @param {object} [options]
+   * @param {boolean} [options.keepImported] - Leave conversations loaded from chat exports alone
+   */
+  purgeBefore(cutoff, options = {}) {
+    const cutoffTime = toTime(cutoff);
+    const counts = { conversations: 0, messages: 0, suggestions: 0, events: 0 };
+    const kept = conversation => options.keepImported && conversation.source === 'import';
+
+    Array.from(this.conversations.values()).forEach(conversation => {
+      if (kept(conversation)) return;
+
+      const thread = this.messagesByConversation.get(conversation.id);
+      const end = lowerBound(thread, cutoffTime);
+      if (end === 0) return;
+
+      this.removeMessages(conversation.id, thread.splice(0, end));
+      counts.messages += end;
+
+      if (thread.length === 0) {
+        counts.suggestions += this.removeConversation(conversation.id).suggestions;
+        counts.conversations++;
+      } else {
+        this.refreshConversation(conversation);
+      }
+    });
+
+    Array.from(this.suggestions.values()).forEach(suggestion => {
+      const conversation = suggestion.conversationId && this.conversations.get(suggestion.conversationId);
+      if (conversation && kept(conversation)) return;
+      if (toTime(suggestion.createdAt) < cutoffTime) {
+        this.removeSuggestion(suggestion.id);
+        counts.suggestions++;
+      }
+    });
+
+    const keptEvents = this.events.filter(event => toTime(event.timestamp) >= cutoffTime);
+    counts.events = this.events.length - keptEvents.length;
+    this.events = keptEvents;
+
+    if (counts.messages + counts.suggestions + counts.events > 0) {
+      this.shredPending = true;
+      this.changed('data-purged', counts);
+    }
+    return counts;
+  }
+
+  /**
+   * Wipe one category of data: everything, one platform or one conversation.
+   * @param {object} options
+   * @param {'all'|'platform'|'conversation'} options.scope
+   * @param {string} [options.platform]
+   * @param {string} [options.conversationId]
+   */
+  clear(options = {}) {
+    const { scope = 'all', platform, conversationId } = options;
+    let targets;
+
+    if (scope === 'all') {
+      targets = Array.from(this.conversations.keys());
+    } else if (scope === 'platform') {
+      targets = Array.from(this.conversations.values())
+        .filter(conversation => conversation.platform === platform)
+        .map(conversation => conversation.id);
+    } else if (scope === 'conversation') {
+      targets = this.conversations.has(conversationId) ? [conversationId] : [];
+    } else {
+      throw new Error(`Unknown clear scope: ${scope}`);
+    }
+
+    const counts = { conversations: targets.length, messages: 0, suggestions: 0, events: 0 };
+    const removed = new Set(targets);
+    targets.forEach(id => {
+      const result = this.removeConversation(id);
+      counts.messages += result.messages;
+      counts.suggestions += result.suggestions;
+    });
+
+    if (scope === 'all') {
+      Array.from(this.contacts.keys()).forEach(id => this.deleteContact(id));
+      counts.suggestions += this.suggestions.size;
+      Array.from(this.suggestions.keys()).forEach(id => this.removeSuggestion(id));
+      counts.events = this.events.length;
+      this.events = [];
+    } else {
+      // Events can quote the removed contacts (e.g. redaction logs)
+      const keptEvents = this.events.filter(event => !(event.data && removed.has(event.data.conversationId)));
+      counts.events = this.events.length - keptEvents.length;
+      this.events = keptEvents;
+    }
+
+    this.shredPending = true;
+    this.changed('data-cleared', { scope, ...counts });
+    return counts;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Activity events
+  // ---------------------------------------------------------------------------
+
+  addEvent(type, data = {}) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    this.events.push(event);
+    if (this.events.length > MAX_EVENTS) {
+      this.events.splice(0, this.events.length - MAX_EVENTS);
+    }
+    this.changed('event-added', { eventId: event.id });
+    return event;
+  }
+
+  listEvents(options = {}) {
+    const { limit = 10, type } = options;
+    const events = type ? this.events.filter(event => event.type === type) : this.events;
+    return events.slice(-limit).reverse();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Aggregates
+  // ---------------------------------------------------------------------------
+
+  getStats() {
+    const platforms = {};
+    this.conversations.forEach(conversation => {
+      platforms[conversation.platform] = (platforms[conversation.platform] || 0) + 1;
+    });
+
+    return {
+      contacts: this.contacts.size,
+      conversations: this.conversations.size,
+      messages: this.messages.size,
+      suggestions: this.suggestions.size,
+      unread: Array.from(this.conversations.values()).reduce((sum, conversation) => sum + (conversation.unreadCount || 0), 0),
+      platforms
+    };
+  }
+}
+
+module.exports = { DataStore, dayKey, messageTime, conversationTags, CLEAR_SCOPES };
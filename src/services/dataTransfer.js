@@ -0,0 +1,420 @@
+// Data Export & Import
+// Writes the data store, suggestion history, analytics and settings (never API
+// keys) as JSON, per-conversation CSV or a passphrase-encrypted .chatsy
+// archive, and reads JSON / .chatsy exports back in.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const log = require('electron-log');
+const { seal, open } = require('./encryption');
+
+const EXPORT_FORMAT = 'chatsy-export';
+const ARCHIVE_FORMAT = 'chatsy-archive';
+const EXPORT_VERSION = 1;
+const ARCHIVE_KDF = { name: 'scrypt', N: 32768, r: 8, p: 1 };
+const ANALYTICS_DAYS = 90;
+const DIRECTIONS = ['incoming', 'outgoing'];
+
+class ImportError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ImportError';
+    this.details = details;
+  }
+}
+
+function deriveArchiveKey(passphrase, salt, kdf = ARCHIVE_KDF) {
+  return crypto.scryptSync(passphrase, salt, 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 64 * 1024 * 1024
+  });
+}
+
+// Quote a CSV cell, and neutralise values a spreadsheet would run as a formula
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function safeFileName(text) {
+  return String(text || 'conversation')
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 60) || 'conversation';
+}
+
+/**
+ * Check an export payload and list every problem found.
+ */
+function validateExport(payload) {
+  const errors = [];
+
+  if (!payload || typeof payload !== 'object') {
+    return ['File is not a Chatsy export'];
+  }
+  if (payload.format !== EXPORT_FORMAT) {
+    errors.push('File is not a Chatsy export');
+    return errors;
+  }
+  if (typeof payload.version !== 'number' || payload.version > EXPORT_VERSION) {
+    errors.push(`Unsupported export version: ${payload.version}`);
+    return errors;
+  }
+
+  const data = payload.data;
+  if (!data || !Array.isArray(data.conversations) || !Array.isArray(data.messages)) {
+    errors.push('Export is missing conversations or messages');
+    return errors;
+  }
+
+  const conversationIds = new Set();
+  data.conversations.forEach((conversation, index) => {
+    if (!conversation || typeof conversation.id !== 'string') {
+      errors.push(`Conversation ${index} has no id`);
+      return;
+    }
+    if (typeof conversation.platform !== 'string' || typeof conversation.name !== 'string') {
+      errors.push(`Conversation ${conversation.id} is missing its platform or name`);
+    }
+    conversationIds.add(conversation.id);
+  });
+
+  data.messages.forEach((message, index) => {
+    if (!message || typeof message.id !== 'string') {
+      errors.push(`Message ${index} has no id`);
+      return;
+    }
+    if (!conversationIds.has(message.conversationId)) {
+      errors.push(`Message ${message.id} belongs to an unknown conversation`);
+    }
+    // A null timestamp is one the chat page did not show
+    const timestampValid = message.timestamp === null || !Number.isNaN(Date.parse(message.timestamp));
+    if (typeof message.text !== 'string' || !timestampValid) {
+      errors.push(`Message ${message.id} has an invalid text or timestamp`);
+    }
+    if (!DIRECTIONS.includes(message.direction)) {
+      errors.push(`Message ${message.id} has an invalid direction`);
+    }
+  });
+
+  if (data.suggestions !== undefined && !Array.isArray(data.suggestions)) {
+    errors.push('Suggestions must be a list');
+  } else {
+    (data.suggestions || []).forEach((suggestion, index) => {
+      if (!suggestion || typeof suggestion.id !== 'string' || Number.isNaN(Date.parse(suggestion.createdAt))) {
+        errors.push(`Suggestion ${index} has no id or an invalid date`);
+      }
+    });
+  }
+  if (data.events !== undefined && !Array.isArray(data.events)) {
+    errors.push('Events must be a list');
+  } else {
+    (data.events || []).forEach((event, index) => {
+      if (!event || typeof event.id !== 'string' || typeof event.type !== 'string' || Number.isNaN(Date.parse(event.timestamp))) {
+        errors.push(`Event ${index} has no id, type or valid date`);
+      }
+    });
+  }
+  if (data.contacts !== undefined && !Array.isArray(data.contacts)) {
+    errors.push('Contacts must be a list');
+  }
+
+  return errors;
+}
+
+class DataTransfer {
+  /**
+   * @param {object} options
+   * @param {import('./dataStore').DataStore} options.dataStore
+   * @param {(days: number) => object} options.getAnalytics
+   * @param {() => object} options.getSettings - Exportable settings (no API keys)
+   * @param {(settings: object) => void} options.applySettings
+   * @param {string} [options.appVersion]
+   */
+  constructor(options) {
+    this.dataStore = options.dataStore;
+    this.getAnalytics = options.getAnalytics;
+    this.getSettings = options.getSettings;
+    this.applySettings = options.applySettings;
+    this.appVersion = options.appVersion || null;
+  }
+
+  buildExport() {
+    const snapshot = this.dataStore.snapshot();
+
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      appVersion: this.appVersion,
+      data: {
+        contacts: snapshot.contacts,
+        conversations: snapshot.conversations,
+        messages: snapshot.messages,
+        suggestions: snapshot.suggestions,
+        events: snapshot.events
+      },
+      analytics: this.getAnalytics(ANALYTICS_DAYS),
+      settings: this.getSettings()
+    };
+  }
+
+  summarize(payload) {
+    return {
+      conversations: payload.data.conversations.length,
+      messages: payload.data.messages.length,
+      suggestions: (payload.data.suggestions || []).length
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Export
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {'json'|'csv'|'chatsy'} format
+   * @param {string} target - File path, or a directory for CSV
+   * @param {object} [options] - { passphrase } for .chatsy archives
+   */
+  export(format, target, options = {}) {
+    const payload = this.buildExport();
+
+    switch (format) {
+      case 'json':
+        fs.writeFileSync(target, JSON.stringify(payload, null, 2));
+        break;
+      case 'csv':
+        return { path: this.exportCsv(payload, target), ...this.summarize(payload) };
+      case 'chatsy':
+        if (!options.passphrase) {
+          throw new Error('A passphrase is required for encrypted archives');
+        }
+        fs.writeFileSync(target, JSON.stringify(this.encryptArchive(payload, options.passphrase)));
+        break;
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    log.info(`Exported data as ${format} to ${target}`);
+    return { path: target, ...this.summarize(payload) };
+  }
+
+  exportCsv(payload, directory) {
+    const folder = path.join(directory, `chatsy-export-${payload.exportedAt.split('T')[0]}`);
+    fs.mkdirSync(folder, { recursive: true });
+
+    const byConversation = new Map();
+    payload.data.messages.forEach(message => {
+      if (!byConversation.has(message.conversationId)) {
+        byConversation.set(message.conversationId, []);
+      }
+      byConversation.get(message.conversationId).push(message);
+    });
+
+    const header = ['timestamp', 'direction', 'sender', 'text'].map(csvCell).join(',');
+    payload.data.conversations.forEach(conversation => {
+      const rows = (byConversation.get(conversation.id) || []).map(message =>
+        [message.timestamp, message.direction, message.sender, message.text].map(csvCell).join(',')
+      );
+      const fileName = `${conversation.platform}-${safeFileName(conversation.name)}-${conversation.id.slice(0, 8)}.csv`;
+      // BOM so Excel opens the file as UTF-8
+      fs.writeFileSync(path.join(folder, fileName), '\ufeff' + [header, ...rows].join('\r\n'));
+    });
+
+    log.info(`Exported ${payload.data.conversations.length} conversations as CSV to ${folder}`);
+    return folder;
+  }
+
+  encryptArchive(payload, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const compressed = zlib.gzipSync(Buffer.from(JSON.stringify(payload), 'utf8'));
+
+    return {
+      format: ARCHIVE_FORMAT,
+      version: EXPORT_VERSION,
+      kdf: { ...ARCHIVE_KDF, salt: salt.toString('base64') },
+      cipher: 'aes-256-gcm',
+      compression: 'gzip',
+      ...seal(deriveArchiveKey(passphrase, salt), compressed, ARCHIVE_FORMAT)
+    };
+  }
+
+  decryptArchive(archive, passphrase) {
+    if (!passphrase) {
+      throw new ImportError('This archive is encrypted; a passphrase is required');
+    }
+
+    const key = deriveArchiveKey(passphrase, Buffer.from(archive.kdf.salt, 'base64'), archive.kdf);
+    let compressed;
+    try {
+      compressed = open(key, archive, ARCHIVE_FORMAT);
+    } catch (error) {
+      throw new ImportError('Incorrect passphrase or damaged archive');
+    }
+    return JSON.parse(zlib.gunzipSync(compressed).toString('utf8'));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Import
+  // ---------------------------------------------------------------------------
+
+  readImport(filePath, passphrase) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new ImportError('File is not valid JSON or a Chatsy archive');
+    }
+
+    const payload = parsed && parsed.format === ARCHIVE_FORMAT ? this.decryptArchive(parsed, passphrase) : parsed;
+    const errors = validateExport(payload);
+    if (errors.length > 0) {
+      throw new ImportError(`Invalid export file: ${errors[0]}`, errors);
+    }
+    return payload;
+  }
+
+  /**
+   * @param {string} filePath
+   * @param {object} options
+   * @param {'merge'|'replace'} options.mode
+   * @param {string} [options.passphrase]
+   * @param {boolean} [options.includeSettings]
+   */
+  import(filePath, options = {}) {
+    const mode = options.mode === 'replace' ? 'replace' : 'merge';
+    const payload = this.readImport(filePath, options.passphrase);
+
+    const report = mode === 'replace' ? this.replace(payload) : this.merge(payload);
+
+    if (options.includeSettings && payload.settings) {
+      this.applySettings(payload.settings);
+      report.settingsApplied = true;
+    }
+
+    this.dataStore.addEvent('data-imported', {
+      mode,
+      conversations: report.conversations.added,
+      messages: report.messages.added
+    });
+    log.info(`Imported ${filePath} (${mode}): ${report.messages.added} messages, ${report.conflicts.length} conflicts`);
+    return report;
+  }
+
+  createReport(mode) {
+    return {
+      mode,
+      conversations: { added: 0, updated: 0 },
+      messages: { added: 0, duplicates: 0 },
+      suggestions: { added: 0, duplicates: 0 },
+      events: { added: 0, duplicates: 0 },
+      conflicts: [],
+      settingsApplied: false
+    };
+  }
+
+  replace(payload) {
+    const report = this.createReport('replace');
+    const data = payload.data;
+
+    this.dataStore.replaceAll({
+      contacts: data.contacts || [],
+      conversations: data.conversations,
+      messages: data.messages,
+      suggestions: data.suggestions || [],
+      events: data.events || []
+    });
+
+    report.conversations.added = data.conversations.length;
+    report.messages.added = data.messages.length;
+    report.suggestions.added = (data.suggestions || []).length;
+    report.events.added = (data.events || []).length;
+    return report;
+  }
+
+  /**
+   * Merge into the existing data. Records are matched by id (conversations
+   * also by platform + chat id); when both sides differ the local copy is
+   * kept and the difference is reported as a conflict. New messages,
+   * suggestions and events are added whole, with their analysis and outcomes.
+   */
+  merge(payload) {
+    const report = this.createReport('merge');
+    const data = payload.data;
+    const conversationIds = new Map();
+    const contacts = new Map((data.contacts || []).filter(contact => contact && contact.id).map(contact => [contact.id, contact]));
+
+    data.conversations.forEach(incoming => {
+      const existing = this.dataStore.getConversation(incoming.id) ||
+        (incoming.externalId && this.dataStore.findConversation(incoming.platform, incoming.externalId));
+
+      if (!existing) {
+        // Bring the contact along; a conversation without one gets its own
+        const contact = contacts.get(incoming.contactId);
+        if (contact && !this.dataStore.getContact(contact.id)) {
+          this.dataStore.upsertContact({
+            ...contact,
+            distinct: (contact.distinct || []).filter(id => this.dataStore.getContact(id))
+          });
+        }
+        const { lastMessage, lastMessageAt, lastDirection, messageCount, unreadCount, ...fields } = incoming;
+        const created = this.dataStore.upsertConversation(fields);
+        conversationIds.set(incoming.id, created.id);
+        report.conversations.added++;
+        return;
+      }
+
+      conversationIds.set(incoming.id, existing.id);
+      if (existing.platform !== incoming.platform) {
+        report.conflicts.push({ type: 'conversation', id: incoming.id, reason: `Platform differs (${existing.platform} locally, ${incoming.platform} in file); kept local` });
+      } else if (existing.name !== incoming.name) {
+        report.conflicts.push({ type: 'conversation', id: incoming.id, reason: `Name differs ("${existing.name}" locally, "${incoming.name}" in file); kept local` });
+      } else {
+        report.conversations.updated++;
+      }
+    });
+
+    const newMessages = [];
+    data.messages.forEach(incoming => {
+      const existing = this.dataStore.getMessage(incoming.id);
+      if (existing) {
+        if (existing.text !== incoming.text) {
+          report.conflicts.push({ type: 'message', id: incoming.id, reason: 'Text differs; kept local' });
+        } else {
+          report.messages.duplicates++;
+        }
+        return;
+      }
+      newMessages.push({ ...incoming, conversationId: conversationIds.get(incoming.conversationId) });
+    });
+
+    const suggestions = data.suggestions || [];
+    const events = data.events || [];
+    const added = this.dataStore.restoreRecords({
+      messages: newMessages,
+      suggestions: suggestions.map(incoming => ({
+        ...incoming,
+        conversationId: incoming.conversationId ? conversationIds.get(incoming.conversationId) || null : null
+      })),
+      events
+    });
+    report.messages.added = added.messages;
+    report.messages.duplicates += newMessages.length - added.messages;
+    report.suggestions.added = added.suggestions;
+    report.suggestions.duplicates = suggestions.length - added.suggestions;
+    report.events.added = added.events;
+    report.events.duplicates = events.length - added.events;
+
+    return report;
+  }
+}
+
+module.exports = { DataTransfer, ImportError, validateExport };
@@ -0,0 +1,391 @@
+// Encryption Service
+// AES-256-GCM envelopes with a separate data key per contact. Data keys are
+// wrapped by a master key, and the master key is protected either by the
+// OS keychain (Electron safeStorage) or by a key derived from a passphrase.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const log = require('electron-log');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const ENVELOPE_VERSION = 1;
+const KEYRING_VERSION = 1;
+const SCRYPT_OPTIONS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// Key id used for data that does not belong to a single contact
+const GLOBAL_CONTACT = '_global';
+
+class EncryptionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'EncryptionError';
+    this.code = code || 'ENCRYPTION_ERROR';
+  }
+}
+
+function newKeyId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Encrypt a buffer. `aad` binds the ciphertext to its owner so an envelope
+ * copied onto another contact's record fails authentication.
+ */
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function open(key, envelope, aad) {
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    if (aad) decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+  } catch (error) {
+    throw new EncryptionError('Decryption failed: wrong key or tampered data', 'DECRYPT_FAILED');
+  }
+}
+
+function isEnvelope(value) {
+  return !!value && typeof value === 'object' && value.v === ENVELOPE_VERSION && typeof value.kid === 'string' &&
+    typeof value.iv === 'string' && typeof value.tag === 'string' && typeof value.data === 'string';
+}
+
+class KeyManager {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - Keyring file
+   * @param {Electron.SafeStorage} [options.safeStorage]
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.safeStorage = options.safeStorage || null;
+    this.keyring = null;
+    this.masterKey = null;
+    this.dataKeys = new Map();
+  }
+
+  get protection() {
+    return this.keyring ? this.keyring.protection : null;
+  }
+
+  isLocked() {
+    return !this.masterKey;
+  }
+
+  canUseSafeStorage() {
+    try {
+      return !!this.safeStorage && this.safeStorage.isEncryptionAvailable();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Keyring persistence
+  // ---------------------------------------------------------------------------
+
+  load() {
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      this.keyring = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (this.keyring.protection !== 'passphrase') {
+        this.masterKey = this.unprotect(this.keyring.masterKey);
+      }
+      return this;
+    }
+
+    // First run: create the master key and the settings key
+    this.masterKey = crypto.randomBytes(KEY_LENGTH);
+    this.keyring = {
+      version: KEYRING_VERSION,
+      protection: this.canUseSafeStorage() ? 'safeStorage' : 'none',
+      masterKey: null,
+      settingsKey: null,
+      keys: {},
+      contacts: {}
+    };
+    this.keyring.masterKey = this.protect(this.masterKey);
+    this.keyring.settingsKey = this.protect(crypto.randomBytes(KEY_LENGTH));
+
+    if (this.keyring.protection === 'none') {
+      log.warn('OS key storage is unavailable; encryption keys are stored unprotected until a passphrase is set');
+    }
+
+    this.save();
+    return this;
+  }
+
+  save() {
+    if (!this.filePath) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.keyring, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  // Protect a root key with safeStorage, or leave it encoded when that is
+  // unavailable. The settings key always uses this (never the passphrase) so
+  // settings stay readable while conversation data is locked.
+  protect(key) {
+    if (this.canUseSafeStorage()) {
+      return { type: 'safeStorage', data: this.safeStorage.encryptString(key.toString('base64')).toString('base64') };
+    }
+    return { type: 'none', data: key.toString('base64') };
+  }
+
+  unprotect(stored) {
+    if (stored.type === 'safeStorage') {
+      if (!this.canUseSafeStorage()) {
+        throw new EncryptionError('OS key storage is unavailable', 'SAFE_STORAGE_UNAVAILABLE');
+      }
+      return Buffer.from(this.safeStorage.decryptString(Buffer.from(stored.data, 'base64')), 'base64');
+    }
+    return Buffer.from(stored.data, 'base64');
+  }
+
+  static deriveKey(passphrase, salt) {
+    return crypto.scryptSync(passphrase, salt, KEY_LENGTH, SCRYPT_OPTIONS);
+  }
+
+  wrapWithPassphrase(passphrase) {
+    const salt = crypto.randomBytes(16);
+    return {
+      type: 'passphrase',
+      salt: salt.toString('base64'),
+      ...seal(KeyManager.deriveKey(passphrase, salt), this.masterKey, 'master')
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Master key protection
+  // ---------------------------------------------------------------------------
+
+  unwrapWithPassphrase(passphrase) {
+    const stored = this.keyring.masterKey;
+    const key = KeyManager.deriveKey(String(passphrase || ''), Buffer.from(stored.salt, 'base64'));
+    try {
+      return open(key, stored, 'master');
+    } catch (error) {
+      throw new EncryptionError('Incorrect passphrase', 'BAD_PASSPHRASE');
+    }
+  }
+
+  unlock(passphrase) {
+    if (!this.isLocked()) return true;
+
+    this.masterKey = this.unwrapWithPassphrase(passphrase);
+    return true;
+  }
+
+  lock() {
+    if (this.protection !== 'passphrase') return;
+    this.masterKey = null;
+    this.dataKeys.clear();
+  }
+
+  /**
+   * Protect the master key with a passphrase, or pass an empty value to go
+   * back to OS key storage.
+   */
+  setPassphrase(passphrase) {
+    this.requireUnlocked();
+
+    if (passphrase) {
+      this.keyring.protection = 'passphrase';
+      this.keyring.masterKey = this.wrapWithPassphrase(passphrase);
+    } else {
+      this.keyring.protection = this.canUseSafeStorage() ? 'safeStorage' : 'none';
+      this.keyring.masterKey = this.protect(this.masterKey);
+    }
+    this.save();
+    log.info(`Encryption master key protection set to ${this.keyring.protection}`);
+  }
+
+  requireUnlocked() {
+    if (this.isLocked()) {
+      throw new EncryptionError('Encrypted data is locked', 'LOCKED');
+    }
+  }
+
+  getSettingsKey() {
+    return this.unprotect(this.keyring.settingsKey).toString('hex');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Per-contact data keys
+  // ---------------------------------------------------------------------------
+
+  getDataKey(keyId) {
+    this.requireUnlocked();
+
+    if (this.dataKeys.has(keyId)) {
+      return this.dataKeys.get(keyId);
+    }
+
+    const entry = this.keyring.keys[keyId];
+    if (!entry) {
+      throw new EncryptionError(`Unknown data key: ${keyId}`, 'UNKNOWN_KEY');
+    }
+    const key = open(this.masterKey, entry.wrapped, `key:${keyId}`);
+    this.dataKeys.set(keyId, key);
+    return key;
+  }
+
+  createContactKey(contactId) {
+    const keyId = this.addContactKey(contactId);
+    this.save();
+    return keyId;
+  }
+
+  addContactKey(contactId) {
+    this.requireUnlocked();
+
+    const keyId = newKeyId();
+    const key = crypto.randomBytes(KEY_LENGTH);
+    this.keyring.keys[keyId] = {
+      contactId,
+      wrapped: seal(this.masterKey, key, `key:${keyId}`),
+      createdAt: new Date().toISOString()
+    };
+    this.keyring.contacts[contactId] = keyId;
+    this.dataKeys.set(keyId, key);
+    return keyId;
+  }
+
+  getContactKeyId(contactId) {
+    return this.keyring.contacts[contactId] || this.createContactKey(contactId);
+  }
+
+  /**
+   * Destroy a contact's key. Anything still encrypted with it becomes
+   * unreadable, which is how deleted contacts are shredded.
+   */
+  deleteContactKey(contactId) {
+    const keyId = this.keyring.contacts[contactId];
+    if (!keyId) return false;
+
+    delete this.keyring.contacts[contactId];
+    delete this.keyring.keys[keyId];
+    this.dataKeys.delete(keyId);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Replace the master key and every contact key. Each of `stores` rewrites
+   * its data under the new keys through stageRewrite(keyManager), which
+   * writes it aside and returns { commit, discard }. The keyring on disk only
+   * changes once every store has been written, and it keeps the old keys
+   * (wrapped by the new master key) until the rewritten files are in place,
+   * so a failure at any step leaves data that still decrypts. A
+   * passphrase-protected keyring needs the passphrase to wrap the new master
+   * key.
+   */
+  rotate(passphrase, stores = []) {
+    this.requireUnlocked();
+
+    const passphraseProtected = this.protection === 'passphrase';
+    if (passphraseProtected) {
+      this.unwrapWithPassphrase(passphrase);
+    }
+
+    const next = this.successor(passphraseProtected ? passphrase : null);
+    const staged = [];
+    try {
+      stores.forEach(store => staged.push(store.stageRewrite(next)));
+    } catch (error) {
+      staged.forEach(rewrite => rewrite.discard());
+      throw error;
+    }
+
+    const previous = { keyring: this.keyring, masterKey: this.masterKey, dataKeys: this.dataKeys };
+    try {
+      this.keyring = next.keyring;
+      this.masterKey = next.masterKey;
+      this.dataKeys = next.dataKeys;
+      this.save();
+    } catch (error) {
+      Object.assign(this, previous);
+      staged.forEach(rewrite => rewrite.discard());
+      throw error;
+    }
+
+    staged.forEach(rewrite => rewrite.commit());
+    Object.keys(this.keyring.keys)
+      .filter(keyId => this.keyring.keys[keyId].retired)
+      .forEach(keyId => {
+        delete this.keyring.keys[keyId];
+        this.dataKeys.delete(keyId);
+      });
+    this.save();
+
+    log.info(`Rotated encryption keys for ${Object.keys(this.keyring.contacts).length} contact(s)`);
+  }
+
+  // A key manager with a new master key and new contact keys. The current
+  // data keys come along as retired entries so anything not yet rewritten
+  // stays readable.
+  successor(passphrase) {
+    const next = new KeyManager({ safeStorage: this.safeStorage });
+    next.masterKey = crypto.randomBytes(KEY_LENGTH);
+    next.keyring = {
+      ...this.keyring,
+      masterKey: null,
+      keys: {},
+      contacts: {},
+      rotatedAt: new Date().toISOString()
+    };
+    next.keyring.masterKey = passphrase ? next.wrapWithPassphrase(passphrase) : next.protect(next.masterKey);
+
+    Object.keys(this.keyring.keys).forEach(keyId => {
+      next.keyring.keys[keyId] = {
+        ...this.keyring.keys[keyId],
+        wrapped: seal(next.masterKey, this.getDataKey(keyId), `key:${keyId}`),
+        retired: true
+      };
+    });
+    Object.keys(this.keyring.contacts).forEach(contactId => next.addContactKey(contactId));
+    return next;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Envelopes
+  // ---------------------------------------------------------------------------
+
+  encrypt(value, contactId = GLOBAL_CONTACT) {
+    const keyId = this.getContactKeyId(contactId);
+    const plaintext = Buffer.from(JSON.stringify(value), 'utf8');
+    return {
+      v: ENVELOPE_VERSION,
+      kid: keyId,
+      ...seal(this.getDataKey(keyId), plaintext, contactId)
+    };
+  }
+
+  decrypt(envelope) {
+    if (!isEnvelope(envelope)) {
+      throw new EncryptionError('Not an encrypted envelope', 'INVALID_ENVELOPE');
+    }
+    const entry = this.keyring.keys[envelope.kid];
+    if (!entry) {
+      throw new EncryptionError('The key for this data no longer exists', 'UNKNOWN_KEY');
+    }
+    const plaintext = open(this.getDataKey(envelope.kid), envelope, entry.contactId);
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+}
+
+module.exports = { KeyManager, EncryptionError, isEnvelope, seal, open, GLOBAL_CONTACT };
@@ -0,0 +1,69 @@
+// Shared helpers for chat export importers
+
+const crypto = require('crypto');
+
+const MEDIA_LABELS = {
+  photo: 'Photo',
+  video: 'Video',
+  audio: 'Audio',
+  sticker: 'Sticker',
+  gif: 'GIF',
+  document: 'Document',
+  contact: 'Contact',
+  location: 'Location',
+  media: 'Media'
+};
+
+const EXTENSION_KINDS = {
+  jpg: 'photo', jpeg: 'photo', png: 'photo', webp: 'sticker', heic: 'photo',
+  mp4: 'video', mov: 'video', '3gp': 'video',
+  opus: 'audio', ogg: 'audio', mp3: 'audio', m4a: 'audio', aac: 'audio',
+  gif: 'gif',
+  vcf: 'contact'
+};
+
+/**
+ * Text stored in place of an attachment, e.g. "[Photo]".
+ */
+function mediaText(kind, caption) {
+  const label = `[${MEDIA_LABELS[kind] || MEDIA_LABELS.media}]`;
+  return caption ? `${label} ${caption}` : label;
+}
+
+function kindFromFileName(fileName) {
+  const extension = String(fileName).split('.').pop().toLowerCase();
+  return EXTENSION_KINDS[extension] || 'document';
+}
+
+/**
+ * Deterministic id for records that have none in the export, so importing
+ * the same file twice does not duplicate them.
+ */
+function stableId(...parts) {
+  return crypto.createHash('sha1').update(parts.join('\u0000')).digest('hex').slice(0, 20);
+}
+
+/**
+ * ISO time for a date from an export, or null when it is missing or not a
+ * real date. Messages without one are skipped with a warning.
+ */
+function isoTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Give repeated ids (same sender, time and text) a running suffix
+function uniqueIds(messages) {
+  const seen = new Map();
+  messages.forEach(message => {
+    const count = seen.get(message.externalId) || 0;
+    seen.set(message.externalId, count + 1);
+    if (count > 0) {
+      message.externalId = `${message.externalId}-${count}`;
+    }
+  });
+  return messages;
+}
+
+module.exports = { mediaText, kindFromFileName, stableId, uniqueIds, isoTime };
@@ -0,0 +1,231 @@
+// Chat export importer
+// Detects WhatsApp, Telegram and Instagram export files, previews what they
+// contain and loads them into the data store.
+
+const fs = require('fs');
+const path = require('path');
+const log = require('electron-log');
+const { parseWhatsAppChat } = require('./whatsapp');
+const { parseTelegramExport, isTelegramExport } = require('./telegram');
+const { parseInstagramThread, isInstagramThread } = require('./instagram');
+const { ImportError } = require('../dataTransfer');
+
+const MAX_SCAN_DEPTH = 6;
+
+// Files worth looking at when a folder is chosen
+function isCandidate(fileName) {
+  return /\.txt$/i.test(fileName) || /^result\.json$/i.test(fileName) || /^message_\d+\.json$/i.test(fileName);
+}
+
+function sameName(a, b) {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+class ChatImporter {
+  /**
+   * @param {object} options
+   * @param {import('../dataStore').DataStore} options.dataStore
+   */
+  constructor(options) {
+    this.dataStore = options.dataStore;
+  }
+
+  collectFiles(paths, depth = 0) {
+    const files = [];
+    paths.forEach(target => {
+      const stats = fs.statSync(target);
+      if (stats.isDirectory()) {
+        if (depth >= MAX_SCAN_DEPTH) return;
+        const children = fs.readdirSync(target)
+          .map(name => path.join(target, name))
+          .filter(child => fs.statSync(child).isDirectory() || isCandidate(path.basename(child)));
+        files.push(...this.collectFiles(children, depth + 1));
+      } else {
+        files.push(target);
+      }
+    });
+    return files;
+  }
+
+  /**
+   * @returns {{ platform: string, selfHint: object|null, chats: object[], warnings: string[] }}
+   */
+  parseFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    if (/\.txt$/i.test(filePath)) {
+      return parseWhatsAppChat(content, { fileName: path.basename(filePath) });
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new ImportError(`${path.basename(filePath)} is not valid JSON`);
+    }
+    if (isTelegramExport(data)) {
+      return parseTelegramExport(data);
+    }
+    if (isInstagramThread(data)) {
+      return parseInstagramThread(data, { threadId: path.basename(path.dirname(filePath)) });
+    }
+    throw new ImportError(`${path.basename(filePath)} is not a WhatsApp, Telegram or Instagram export`);
+  }
+
+  readSources(paths) {
+    const sources = [];
+    const errors = [];
+    // Messages skipped inside files that were otherwise read
+    const warnings = [];
+
+    this.collectFiles(paths).forEach(filePath => {
+      try {
+        const source = this.parseFile(filePath);
+        source.warnings.forEach(warning => warnings.push({ file: path.basename(filePath), warning }));
+        if (source.chats.some(chat => chat.messages.length > 0)) {
+          sources.push({ filePath, ...source });
+        }
+      } catch (error) {
+        errors.push({ file: path.basename(filePath), error: error.message });
+      }
+    });
+
+    if (sources.length === 0) {
+      throw new ImportError(errors.length > 0 ? errors[0].error : 'No chat exports found', errors);
+    }
+    return { sources, errors, warnings };
+  }
+
+  /**
+   * Best guess at which participant is the user, per platform.
+   */
+  guessSelf(sources) {
+    const guesses = {};
+
+    sources.forEach(source => {
+      if (source.selfHint && !guesses[source.platform]) {
+        guesses[source.platform] = source.selfHint;
+      }
+    });
+
+    // The account owner takes part in every Instagram thread
+    const threads = sources.filter(source => source.platform === 'instagram');
+    const threadIds = new Set(threads.map(source => source.chats[0].externalId));
+    if (!guesses.instagram && threadIds.size > 1) {
+      const counts = new Map();
+      threads.forEach(source => {
+        new Set(source.chats[0].participants).forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+      });
+      const owner = Array.from(counts.entries()).find(([, count]) => count === threads.length);
+      if (owner) guesses.instagram = { name: owner[0] };
+    }
+
+    return guesses;
+  }
+
+  /**
+   * Summarise what the files contain without importing anything, so the
+   * user can confirm which participant they are.
+   */
+  preview(paths) {
+    const { sources, errors, warnings } = this.readSources(paths);
+    const guesses = this.guessSelf(sources);
+    const platforms = {};
+
+    sources.forEach(source => {
+      if (!platforms[source.platform]) {
+        platforms[source.platform] = {
+          platform: source.platform,
+          self: guesses[source.platform] ? guesses[source.platform].name : null,
+          participants: new Set(),
+          chats: []
+        };
+      }
+      const entry = platforms[source.platform];
+      source.chats.forEach(chat => {
+        chat.participants.forEach(name => entry.participants.add(name));
+        entry.chats.push({
+          name: chat.name,
+          isGroup: chat.isGroup,
+          messages: chat.messages.length,
+          from: chat.messages.length ? chat.messages[0].timestamp : null,
+          to: chat.messages.length ? chat.messages[chat.messages.length - 1].timestamp : null
+        });
+      });
+    });
+
+    return {
+      platforms: Object.values(platforms).map(entry => ({ ...entry, participants: Array.from(entry.participants).sort() })),
+      errors,
+      warnings
+    };
+  }
+
+  /**
+   * @param {string[]} paths - Files or folders
+   * @param {object} [options]
+   * @param {object} [options.self] - { [platform]: name } chosen by the user
+   */
+  import(paths, options = {}) {
+    const { sources, errors, warnings } = this.readSources(paths);
+    const guesses = this.guessSelf(sources);
+    const chosen = options.self || {};
+    const report = {
+      conversations: { added: 0, updated: 0 },
+      messages: { added: 0, duplicates: 0 },
+      platforms: {},
+      errors,
+      warnings
+    };
+
+    sources.forEach(source => {
+      const hint = guesses[source.platform] || {};
+      const selfName = chosen[source.platform] || hint.name;
+      // Only trust the exported id while the user kept the suggested name
+      const selfId = sameName(selfName, hint.name) ? hint.id : null;
+
+      source.chats.forEach(chat => {
+        if (chat.messages.length === 0) return;
+
+        const existing = this.dataStore.findConversation(source.platform, chat.externalId);
+        const conversation = this.dataStore.upsertConversation({
+          platform: source.platform,
+          externalId: chat.externalId,
+          name: existing ? existing.name : chat.name,
+          isGroup: chat.isGroup,
+          source: 'import'
+        });
+        report.conversations[existing ? 'updated' : 'added']++;
+
+        const before = this.dataStore.messages.size;
+        this.dataStore.addMessages(chat.messages.map(message => {
+          const outgoing = selfId && message.senderId ? message.senderId === selfId : sameName(message.sender, selfName);
+          return {
+            conversationId: conversation.id,
+            externalId: message.externalId,
+            direction: outgoing ? 'outgoing' : 'incoming',
+            sender: outgoing ? undefined : message.sender,
+            text: message.text,
+            timestamp: message.timestamp
+          };
+        }), { read: true });
+
+        const added = this.dataStore.messages.size - before;
+        report.messages.added += added;
+        report.messages.duplicates += chat.messages.length - added;
+        report.platforms[source.platform] = (report.platforms[source.platform] || 0) + added;
+      });
+    });
+
+    this.dataStore.addEvent('chats-imported', {
+      platforms: Object.keys(report.platforms),
+      conversations: report.conversations.added,
+      messages: report.messages.added
+    });
+    log.info(`Imported ${report.messages.added} messages from ${sources.length} chat export file(s)`);
+    warnings.forEach(({ file, warning }) => log.warn(`${file}: ${warning}`));
+    return report;
+  }
+}
+
+module.exports = { ChatImporter };
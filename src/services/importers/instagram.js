@@ -0,0 +1,84 @@
+// Instagram importer
+// Reads the messages/inbox/<thread>/message_N.json files from Instagram's
+// "Download your information" archive.
+
+const { mediaText, stableId, uniqueIds, isoTime } = require('./common');
+
+/**
+ * Instagram writes UTF-8 text as if each byte were a Latin-1 character
+ * ("Ã©" for "é"); undo that when the string only contains byte values.
+ */
+function fixEncoding(text) {
+  if (typeof text !== 'string' || !/[\u0080-\u00ff]/.test(text) || /[^\u0000-\u00ff]/.test(text)) {
+    return text || '';
+  }
+  const decoded = Buffer.from(text, 'latin1').toString('utf8');
+  return decoded.includes('\ufffd') ? text : decoded;
+}
+
+function attachmentKind(message) {
+  if (message.photos) return 'photo';
+  if (message.videos) return 'video';
+  if (message.audio_files) return 'audio';
+  if (message.gifs) return 'gif';
+  if (message.sticker) return 'sticker';
+  if (message.files) return 'document';
+  return null;
+}
+
+/**
+ * @param {object} data - Parsed message_N.json
+ * @param {object} [options]
+ * @param {string} [options.threadId] - Thread folder name when thread_path is missing
+ */
+function parseInstagramThread(data, options = {}) {
+  const participants = (data.participants || []).map(participant => fixEncoding(participant.name));
+  const threadId = data.thread_path || options.threadId || participants.join(',');
+  const name = fixEncoding(data.title) || participants.join(', ') || 'Instagram chat';
+  const messages = [];
+  const warnings = [];
+
+  (data.messages || []).forEach(message => {
+    const sender = fixEncoding(message.sender_name);
+    let text = fixEncoding(message.content).trim();
+    const kind = attachmentKind(message);
+    if (message.share && message.share.link) {
+      text = text ? `${text} ${message.share.link}` : message.share.link;
+    }
+    if (!text && !kind) return;
+
+    const timestamp = isoTime(message.timestamp_ms);
+    if (!timestamp) {
+      warnings.push(`Skipped a message from ${sender || 'unknown sender'} in ${name}: no valid date`);
+      return;
+    }
+    messages.push({
+      externalId: stableId(timestamp, sender, text, kind || ''),
+      sender,
+      text: kind ? mediaText(kind, text) : text,
+      timestamp
+    });
+  });
+
+  // Files list newest first
+  messages.reverse();
+
+  return {
+    platform: 'instagram',
+    selfHint: null,
+    chats: [{
+      externalId: `export:${threadId}`,
+      name,
+      isGroup: participants.length > 2,
+      participants,
+      messages: uniqueIds(messages)
+    }],
+    warnings
+  };
+}
+
+function isInstagramThread(data) {
+  return !!data && typeof data === 'object' && Array.isArray(data.participants) && Array.isArray(data.messages);
+}
+
+module.exports = { parseInstagramThread, isInstagramThread, fixEncoding };
@@ -0,0 +1,114 @@
+// Telegram Desktop importer
+// Reads result.json from "Export chat history" (one chat) or "Export
+// Telegram data" (every chat, plus the account owner's details).
+
+const { mediaText, kindFromFileName, isoTime } = require('./common');
+
+const MEDIA_TYPES = {
+  sticker: 'sticker',
+  animation: 'gif',
+  video_file: 'video',
+  video_message: 'video',
+  voice_message: 'audio',
+  audio_file: 'audio'
+};
+
+// Message text is either a string or a list of strings and formatted pieces
+function flattenText(text) {
+  if (typeof text === 'string') return text;
+  if (!Array.isArray(text)) return '';
+  return text.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+}
+
+function attachmentKind(message) {
+  if (message.photo) return 'photo';
+  if (message.media_type) return MEDIA_TYPES[message.media_type] || 'media';
+  if (message.file) return kindFromFileName(message.file_name || message.file);
+  if (message.contact_information) return 'contact';
+  if (message.location_information) return 'location';
+  return null;
+}
+
+function toTimestamp(message) {
+  if (message.date_unixtime) {
+    return isoTime(Number(message.date_unixtime) * 1000);
+  }
+  // Older exports only have local time without a zone
+  return isoTime(message.date);
+}
+
+function parseChat(chat, warnings) {
+  const participants = new Set();
+  const messages = [];
+  const name = chat.name || (chat.type === 'saved_messages' ? 'Saved Messages' : 'Telegram chat');
+
+  (chat.messages || []).forEach(message => {
+    if (message.type !== 'message') return; // Joins, pins, calls, ...
+
+    const caption = flattenText(message.text).trim();
+    const kind = attachmentKind(message);
+    if (!caption && !kind) return;
+
+    const timestamp = toTimestamp(message);
+    if (!timestamp) {
+      warnings.push(`Skipped message ${message.id} in ${name}: no valid date`);
+      return;
+    }
+
+    const sender = message.from || 'Unknown';
+    participants.add(sender);
+    messages.push({
+      externalId: String(message.id),
+      sender,
+      senderId: message.from_id || null,
+      text: kind ? mediaText(kind, caption) : caption,
+      timestamp
+    });
+  });
+
+  return {
+    externalId: `export:${chat.id}`,
+    name,
+    isGroup: !['personal_chat', 'bot_chat', 'saved_messages'].includes(chat.type),
+    participants: Array.from(participants),
+    // In one-to-one chats the chat id is the other person's user id
+    peerId: chat.type === 'personal_chat' ? `user${chat.id}` : null,
+    messages
+  };
+}
+
+/**
+ * @param {object} data - Parsed result.json
+ */
+function parseTelegramExport(data) {
+  const list = data.chats ? [...(data.chats.list || []), ...((data.left_chats && data.left_chats.list) || [])] : [data];
+  const warnings = [];
+  const chats = list.filter(chat => Array.isArray(chat.messages)).map(chat => parseChat(chat, warnings));
+
+  let selfHint = null;
+  const owner = data.personal_information;
+  if (owner && owner.user_id) {
+    selfHint = {
+      id: `user${owner.user_id}`,
+      name: [owner.first_name, owner.last_name].filter(Boolean).join(' ')
+    };
+  } else {
+    // Single-chat export: whoever in a private chat is not the peer is us
+    for (const chat of chats) {
+      const ownMessage = chat.peerId && chat.messages.find(message => message.senderId && message.senderId !== chat.peerId);
+      if (ownMessage) {
+        selfHint = { id: ownMessage.senderId, name: ownMessage.sender };
+        break;
+      }
+    }
+  }
+
+  return { platform: 'telegram', selfHint, chats, warnings };
+}
+
+function isTelegramExport(data) {
+  return !!data && typeof data === 'object' &&
+    ((data.chats && Array.isArray(data.chats.list)) || (Array.isArray(data.messages) && 'type' in data && 'id' in data));
+}
+
+module.exports = { parseTelegramExport, isTelegramExport };
@@ -0,0 +1,208 @@
+// WhatsApp "Export chat" importer
+// Parses the .txt transcripts written by the Android and iOS apps in their
+// various locale date formats.
+
+const { mediaText, kindFromFileName, stableId, uniqueIds } = require('./common');
+
+// "12/31/23, 9:41 PM - Name: text" (Android) or "[31.12.23, 21:41:05] Name: text" (iOS)
+const LINE_PATTERN = /^\u200e?\[?(\d{1,4})([./-])(\d{1,2})\2(\d{1,4}),?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([AaPp]\.?\s?[Mm]\.?)?\]?\s*(?:[-–]\s)?(.*)$/;
+
+// "WhatsApp Chat with Anna.txt", "WhatsApp-Chat mit Anna.txt", "WhatsApp Chat - Anna"
+const FILE_NAME_PATTERN = /^WhatsApp[ -]Chat\s*(?:with|mit|con|avec|met|com|-)\s+(.+?)(?:\s*\(\d+\))?(?:\.txt)?$/i;
+
+const OMITTED_WORDS = {
+  image: 'photo', photo: 'photo', bild: 'photo', imagen: 'photo', immagine: 'photo',
+  video: 'video', vidéo: 'video',
+  audio: 'audio', sprachnachricht: 'audio',
+  sticker: 'sticker',
+  gif: 'gif',
+  document: 'document', dokument: 'document', documento: 'document',
+  'contact card': 'contact', kontaktkarte: 'contact'
+};
+
+const MEDIA_OMITTED = /^<(?:media omitted|medien ausgeschlossen|multimedia omitido|médias omis|media weggelaten|mídia oculta|media omessi)>$/i;
+const KIND_OMITTED = /^([\p{L} ]+?)\s+(?:omitted|weggelassen|omitid[oa]|absente|omess[oa])$/iu;
+const ATTACHED = /^<(?:attached|angehängt|adjunto):\s*(.+)>$/i;
+const INLINE_ATTACHED = /<(?:attached|angehängt|adjunto):\s*[^>]+>/i;
+const FILE_ATTACHED = /^(.+\.\w+)\s+\((?:file attached|datei angehängt|archivo adjunto|fichier joint|arquivo anexado)\)$/i;
+
+/**
+ * Recognise WhatsApp's media placeholders in the locales we know about.
+ * @returns {string|null} Media kind
+ */
+function mediaKind(text) {
+  if (MEDIA_OMITTED.test(text)) return 'media';
+
+  let match = text.match(KIND_OMITTED);
+  if (match) return OMITTED_WORDS[match[1].toLowerCase()] || null;
+
+  match = text.match(ATTACHED);
+  if (match) {
+    const name = match[1].toUpperCase();
+    if (name.includes('PHOTO')) return 'photo';
+    if (name.includes('STICKER')) return 'sticker';
+    if (name.includes('VIDEO')) return 'video';
+    if (name.includes('AUDIO')) return 'audio';
+    return kindFromFileName(match[1]);
+  }
+
+  match = text.match(FILE_ATTACHED);
+  if (match) return kindFromFileName(match[1]);
+
+  return null;
+}
+
+/**
+ * Decide between day-first and month-first dates for the whole file, since
+ * a single line like 03/04/23 is ambiguous.
+ */
+function detectDayFirst(headers, dateOrder) {
+  if (dateOrder === 'dmy') return true;
+  if (dateOrder === 'mdy') return false;
+
+  for (const header of headers) {
+    if (header.first.length === 4) continue;
+    if (Number(header.first) > 12) return true;
+    if (Number(header.second) > 12) return false;
+  }
+
+  // Still ambiguous: 12-hour clocks are mostly US exports
+  const sample = headers[0];
+  return !sample || sample.separator === '.' || !sample.meridiem;
+}
+
+function toTimestamp(header, dayFirst) {
+  let year;
+  let month;
+  let day;
+  if (header.first.length === 4) {
+    year = Number(header.first);
+    month = Number(header.second);
+    day = Number(header.third);
+  } else {
+    year = Number(header.third);
+    if (year < 100) year += 2000;
+    month = Number(dayFirst ? header.second : header.first);
+    day = Number(dayFirst ? header.first : header.second);
+  }
+
+  let hours = Number(header.hours);
+  const minutes = Number(header.minutes);
+  if (header.meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    const pm = header.meridiem.toLowerCase().startsWith('p');
+    if (pm && hours < 12) hours += 12;
+    if (!pm && hours === 12) hours = 0;
+  }
+  if (hours > 23 || minutes > 59) return null;
+
+  // Exports are written in the phone's local time
+  const date = new Date(year, month - 1, day, hours, minutes, Number(header.seconds || 0));
+
+  // Date rolls 31/02 or 32/12 over into the next month instead of failing
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date.toISOString();
+}
+
+function chatNameFromFile(fileName) {
+  if (!fileName) return null;
+  const base = fileName.split(/[\\/]/).pop();
+  const match = base.match(FILE_NAME_PATTERN);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * @param {string} content - Transcript text
+ * @param {object} [options]
+ * @param {string} [options.fileName] - Used to recover the chat name
+ * @param {'dmy'|'mdy'} [options.dateOrder] - Override date order detection
+ */
+function parseWhatsAppChat(content, options = {}) {
+  const lines = content.replace(/^\ufeff/, '').split(/\r?\n/);
+  const entries = [];
+
+  lines.forEach(line => {
+    const match = line.match(LINE_PATTERN);
+    if (match) {
+      entries.push({
+        header: {
+          first: match[1],
+          separator: match[2],
+          second: match[3],
+          third: match[4],
+          hours: match[5],
+          minutes: match[6],
+          seconds: match[7],
+          meridiem: match[8]
+        },
+        body: match[9]
+      });
+    } else if (entries.length > 0) {
+      // Continuation of a multi-line message
+      entries[entries.length - 1].body += `\n${line}`;
+    }
+  });
+
+  const dayFirst = detectDayFirst(entries.map(entry => entry.header), options.dateOrder);
+  const chatName = chatNameFromFile(options.fileName);
+  const participants = new Set();
+  const messages = [];
+  const warnings = [];
+
+  entries.forEach(entry => {
+    const separator = entry.body.indexOf(': ');
+    if (separator === -1) return; // System notice ("Messages are end-to-end encrypted", joins, ...)
+
+    const sender = entry.body.slice(0, separator).replace(/\u200e/g, '').trim();
+    const raw = entry.body.slice(separator + 2);
+    const text = raw.replace(/\u200e/g, '').trim();
+    let kind = mediaKind(text);
+    let caption = '';
+    const inline = !kind && text.match(INLINE_ATTACHED);
+    if (inline) {
+      // iOS puts the attachment tag next to the caption
+      kind = mediaKind(inline[0]);
+      caption = text.replace(inline[0], '').trim();
+    }
+
+    // iOS marks notices it writes on a contact's behalf with a leading LRM
+    if (!kind && raw.startsWith('\u200e')) return;
+    if (!text) return;
+
+    const timestamp = toTimestamp(entry.header, dayFirst);
+    if (!timestamp) {
+      const { first, separator, second, third } = entry.header;
+      warnings.push(`Skipped a message from ${sender}: invalid date ${[first, second, third].join(separator)}`);
+      return;
+    }
+    participants.add(sender);
+    messages.push({
+      externalId: stableId(timestamp, sender, text),
+      sender,
+      text: kind ? mediaText(kind, caption) : text,
+      timestamp
+    });
+  });
+
+  const names = Array.from(participants);
+  const name = chatName || names.join(', ') || 'WhatsApp chat';
+  let selfName = null;
+  if (chatName && names.length === 2 && names.includes(chatName)) {
+    selfName = names.find(participant => participant !== chatName);
+  }
+
+  return {
+    platform: 'whatsapp',
+    selfHint: selfName ? { name: selfName } : null,
+    chats: [{
+      externalId: `export:${name.toLowerCase()}`,
+      name,
+      isGroup: names.length > 2,
+      participants: names,
+      messages: uniqueIds(messages)
+    }],
+    warnings
+  };
+}
+
+module.exports = { parseWhatsAppChat, mediaKind, chatNameFromFile };
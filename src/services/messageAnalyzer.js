@@ -0,0 +1,212 @@
+// Message Analyzer
+// Tags incoming messages on the device with a sentiment, the intents they
+// express and a few topic keywords. Word lists and patterns only, so no
+// text is sent anywhere. The tags are stored on each message and used to
+// steer the suggestion prompt, for badges and for analytics.
+
+const log = require('electron-log');
+const { tokenize } = require('./ai/retrievalEngine');
+
+const INTENTS = ['complaint', 'invitation', 'scheduling', 'request', 'question', 'greeting'];
+
+const POSITIVE_WORDS = new Set([
+  'good', 'great', 'awesome', 'amazing', 'nice', 'love', 'loved', 'lovely', 'liked', 'happy', 'glad',
+  'thanks', 'thank', 'thx', 'perfect', 'cool', 'fantastic', 'wonderful', 'excellent', 'fun', 'excited',
+  'best', 'brilliant', 'beautiful', 'sweet', 'yay', 'congrats', 'congratulations', 'enjoy', 'enjoyed',
+  'appreciate', 'appreciated', 'haha', 'hahaha', 'lol', 'welcome'
+]);
+
+const NEGATIVE_WORDS = new Set([
+  'bad', 'terrible', 'awful', 'horrible', 'hate', 'hated', 'sad', 'angry', 'mad', 'upset', 'annoyed',
+  'annoying', 'disappointed', 'disappointing', 'sorry', 'worst', 'sucks', 'ugh', 'tired', 'sick', 'worried',
+  'stressed', 'problem', 'issue', 'wrong', 'broken', 'late', 'unfortunately', 'fail', 'failed',
+  'cancel', 'cancelled', 'canceled', 'hurt', 'missed', 'cry', 'crying', 'frustrated', 'boring'
+]);
+
+const INTENSIFIERS = new Set(['very', 'really', 'so', 'super', 'extremely', 'totally', 'absolutely', 'too']);
+const NEGATIONS = new Set(['not', 'no', 'never', 'dont', 'don', 'doesnt', 'didnt', 'isnt', 'wasnt', 'cant', 'cannot', 'wont', 'aint', 'nothing']);
+// How many words after a negation it flips
+const NEGATION_SCOPE = 3;
+
+const POSITIVE_EMOJI = /[😀😃😄😁😆😊🙂😍🥰😘😎👍👌🎉❤💕💖😂🤣🥳🙏✨]/gu;
+const NEGATIVE_EMOJI = /[😞😔😟😢😭😠😡🤬👎💔😩😫😤😒🙄]/gu;
+
+const INTENT_PATTERNS = {
+  greeting: /^\s*(hi|hey|hello|hiya|yo|heya|howdy|hallo|morning|good (morning|afternoon|evening))\b/i,
+  question: /\?\s*$|^\s*(what|when|where|who|whom|whose|why|how|which|is|are|am|was|were|do|does|did|can|could|will|would|should|shall|have|has|may)\b[^.!]*$/i,
+  request: /\b(can|could|would|will) you\b|\b(please|pls|plz)\b|\bi need you to\b|\bdo me a favou?r\b|\blet me know\b|\b(send|give|tell|show|call|text|remind) me\b/i,
+  invitation: /\b(wanna|want to (come|join|grab|go|meet)|would you like to|do you want to|join (me|us)|come (over|along|with)|let'?s|are you (free|up for|coming|around)|fancy a|up for (a|some)|(party|dinner|lunch|drinks?|coffee|movie|game) (tonight|tomorrow|later|on|this))\b/i,
+  complaint: /\b(annoy\w*|disappoint\w*|unacceptable|not (happy|ok|okay|fair)|sick of|tired of|fed up|still (not|hasn'?t|haven'?t|no)|why (did|didn'?t|haven'?t|would) you|you never|you always|(doesn'?t|does not|isn'?t|not) work(ing)?|terrible|worst|ridiculous|waste of)\b/i,
+  scheduling: /\b(today|tonight|tomorrow|tmrw|monday|tuesday|wednesday|thursday|friday|saturday|sunday|weekend|next (week|month)|this (week|evening|afternoon|morning)|at \d{1,2}(?::\d{2})?|\d{1,2}:\d{2}|\d{1,2}\s?(am|pm)|o'?clock|schedule|reschedule|meeting|appointment|calendar|what time|free (on|at)|available)\b/i
+};
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'yours', 'all', 'any', 'can', 'had', 'her', 'was',
+  'one', 'our', 'out', 'has', 'have', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'two',
+  'who', 'did', 'get', 'got', 'let', 'say', 'she', 'too', 'use', 'that', 'this', 'with', 'from', 'they',
+  'them', 'then', 'than', 'there', 'their', 'what', 'when', 'where', 'which', 'while', 'will', 'would',
+  'could', 'should', 'about', 'into', 'just', 'like', 'some', 'also', 'been', 'were', 'very', 'much', 'more',
+  'here', 'yes', 'yeah', 'yep', 'nope', 'okay', 'really', 'going', 'gonna', 'wanna', 'know', 'think',
+  'want', 'need', 'make', 'made', 'come', 'back', 'still', 'well', 'good', 'time', 'today', 'tomorrow',
+  'tonight', 'please', 'thanks', 'thank', 'sure', 'haha', 'hahaha', 'lol', 'hey', 'hello', 'does', 'doing',
+  'done', 'dont', 'didnt', 'cant', 'wont', 'im', 'ive', 'ill', 'its', 'thats', 'whats', 'lets', 'because',
+  'after', 'before', 'again', 'only', 'over', 'such', 'other', 'every', 'maybe', 'though', 'why', 'been'
+]);
+const MAX_TOPICS = 3;
+
+// "don't" → "dont", so contractions stay one word
+function withoutApostrophes(text) {
+  return String(text || '').replace(/['’]/g, '');
+}
+
+/**
+ * @returns {{label: 'positive'|'negative'|'neutral', score: number}}
+ */
+function analyzeSentiment(text) {
+  const words = tokenize(withoutApostrophes(text));
+  let total = 0;
+  let negateUntil = -1;
+
+  words.forEach((word, index) => {
+    if (NEGATIONS.has(word)) {
+      negateUntil = index + NEGATION_SCOPE;
+      return;
+    }
+    let value = POSITIVE_WORDS.has(word) ? 1 : NEGATIVE_WORDS.has(word) ? -1 : 0;
+    if (value === 0) return;
+
+    if (index > 0 && INTENSIFIERS.has(words[index - 1])) value *= 1.5;
+    if (index <= negateUntil) value *= -0.75;
+    total += value;
+  });
+
+  const value = String(text || '');
+  total += (value.match(POSITIVE_EMOJI) || []).length - (value.match(NEGATIVE_EMOJI) || []).length;
+  total += (value.match(/!/g) || []).length > 1 ? Math.sign(total) * 0.5 : 0;
+
+  // Squash into -1..1 so long messages do not run away
+  const score = Math.round((total / Math.sqrt(total * total + 15)) * 100) / 100;
+  return { label: score >= 0.2 ? 'positive' : score <= -0.2 ? 'negative' : 'neutral', score };
+}
+
+/**
+ * Every intent the message expresses, most specific first.
+ */
+function detectIntents(text, sentiment) {
+  const value = String(text || '').replace(/’/g, "'");
+  return INTENTS.filter(intent => {
+    if (!INTENT_PATTERNS[intent].test(value)) return false;
+    // Complaint words in a cheerful message are usually banter
+    return intent !== 'complaint' || !sentiment || sentiment.label !== 'positive';
+  });
+}
+
+class MessageAnalyzer {
+  /**
+   * @param {object} options
+   * @param {import('./dataStore').DataStore} options.dataStore
+   * @param {boolean} [options.sentiment] - SENTIMENT_ANALYSIS_ENABLED
+   * @param {boolean} [options.intent] - INTENT_DETECTION_ENABLED
+   * @param {boolean} [options.topics] - TOPIC_EXTRACTION_ENABLED
+   */
+  constructor(options) {
+    this.dataStore = options.dataStore;
+    this.sentimentEnabled = options.sentiment !== false;
+    this.intentEnabled = options.intent !== false;
+    this.topicsEnabled = options.topics !== false;
+
+    // How many analyzed messages contain each word, to favour rare ones as topics
+    this.documentFrequency = new Map();
+    this.documents = 0;
+    this.backfillTimer = null;
+
+    this.onChange = (change) => this.handleChange(change);
+    this.dataStore.on('change', this.onChange);
+  }
+
+  get enabled() {
+    return this.sentimentEnabled || this.intentEnabled || this.topicsEnabled;
+  }
+
+  dispose() {
+    clearTimeout(this.backfillTimer);
+    this.dataStore.removeListener('change', this.onChange);
+  }
+
+  handleChange(change) {
+    if (!this.enabled) return;
+
+    if (change.type === 'message-added') {
+      const message = this.dataStore.getMessage(change.messageId);
+      if (message && message.direction === 'incoming' && !message.analysis) {
+        this.annotate(message);
+      }
+    } else if (['messages-added', 'data-replaced', 'store-unlocked'].includes(change.type)) {
+      // Imports and chat history arrive in bulk; tag them once things settle
+      clearTimeout(this.backfillTimer);
+      this.backfillTimer = setTimeout(() => this.backfill(), 0);
+    }
+  }
+
+  /**
+   * Tag every incoming message that has no tags yet.
+   * @returns {number} Messages tagged
+   */
+  backfill() {
+    if (!this.enabled || this.dataStore.locked) return 0;
+
+    const pending = this.dataStore.queryMessages({ direction: 'incoming' }).filter(message => !message.analysis);
+    if (pending.length === 0) return 0;
+
+    this.dataStore.setMessageAnalysis(pending.map(message => ({ id: message.id, analysis: this.analyze(message.text) })));
+    log.info(`Analyzed ${pending.length} incoming message(s)`);
+    return pending.length;
+  }
+
+  annotate(message) {
+    this.dataStore.setMessageAnalysis([{ id: message.id, analysis: this.analyze(message.text) }]);
+  }
+
+  /**
+   * @param {string} text
+   * @returns {{sentiment?: object, intent?: string|null, intents?: string[], topics?: string[]}}
+   */
+  analyze(text) {
+    const analysis = {};
+    const sentiment = this.sentimentEnabled ? analyzeSentiment(text) : null;
+    if (sentiment) {
+      analysis.sentiment = sentiment;
+    }
+    if (this.intentEnabled) {
+      analysis.intents = detectIntents(text, sentiment);
+      analysis.intent = analysis.intents[0] || null;
+    }
+    if (this.topicsEnabled) {
+      analysis.topics = this.extractTopics(text);
+    }
+    return analysis;
+  }
+
+  extractTopics(text) {
+    const words = tokenize(withoutApostrophes(text))
+      // Mood words say how, not what about
+      .filter(word => word.length >= 3 && !STOPWORDS.has(word) && !POSITIVE_WORDS.has(word) && !NEGATIVE_WORDS.has(word))
+      .filter(word => !/^\d+$/.test(word));
+    const unique = Array.from(new Set(words));
+
+    this.documents++;
+    unique.forEach(word => this.documentFrequency.set(word, (this.documentFrequency.get(word) || 0) + 1));
+
+    return unique
+      .map((word, index) => ({
+        word,
+        index,
+        weight: words.filter(other => other === word).length * Math.log((this.documents + 1) / this.documentFrequency.get(word))
+      }))
+      .sort((a, b) => b.weight - a.weight || b.word.length - a.word.length || a.index - b.index)
+      .slice(0, MAX_TOPICS)
+      .map(item => item.word);
+  }
+}
+
+module.exports = { MessageAnalyzer, analyzeSentiment, detectIntents, INTENTS };
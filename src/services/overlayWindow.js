@@ -0,0 +1,422 @@
+// Suggestion Overlay
+// Frameless, transparent, always-on-top window that shows reply suggestions
+// next to the active chat input or on a chosen screen edge. Suggestions are
+// pushed to it over IPC; the overlay page never calls the providers itself.
+// Its search box looks up snippets for the same conversation.
+
+const { BrowserWindow, screen } = require('electron');
+const log = require('electron-log');
+
+const POSITIONS = ['auto', 'top', 'bottom', 'left', 'right'];
+
+const SIZES = {
+  horizontal: { width: 640, height: 150 },
+  vertical: { width: 320, height: 360 }
+};
+
+// Distance from the screen edge, and from the chat input when anchored
+const EDGE_MARGIN = 24;
+const ANCHOR_GAP = 8;
+
+const DEFAULT_AUTO_HIDE_MS = 10000;
+const DEFAULT_MESSAGE_DELAY_MS = 1000;
+const MAX_SNIPPET_RESULTS = 8;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(value, max));
+}
+
+class OverlayWindow {
+  /**
+   * @param {object} options
+   * @param {string} options.page - Path of overlay.html
+   * @param {string} options.preload - Path of the overlay preload script
+   * @param {import('./dataStore').DataStore} options.dataStore
+   * @param {import('./ai/suggestionService').SuggestionService} options.suggestionService
+   * @param {import('./ai/suggestionFeedback').SuggestionFeedback} options.feedback
+   * @param {import('./suggestionInserter').SuggestionInserter} options.inserter
+   * @param {import('./snippets').SnippetLibrary} [options.snippets] - Searched from the overlay
+   * @param {() => string|null} [options.getActiveConversationId] - Chat open in the embedded view
+   * @param {string} [options.positioning] - auto, top, bottom, left or right
+   * @param {number} [options.autoHideMs] - 0 keeps the overlay open until used
+   * @param {number} [options.messageDelayMs] - Wait for a burst of messages to settle
+   */
+  constructor(options) {
+    this.page = options.page;
+    this.preload = options.preload;
+    this.dataStore = options.dataStore;
+    this.suggestionService = options.suggestionService;
+    this.feedback = options.feedback;
+    this.inserter = options.inserter;
+    this.snippets = options.snippets || null;
+    this.getActiveConversationId = options.getActiveConversationId || (() => null);
+    this.positioning = POSITIONS.includes(options.positioning) ? options.positioning : 'auto';
+    this.autoHideMs = options.autoHideMs === undefined ? DEFAULT_AUTO_HIDE_MS : options.autoHideMs;
+    this.messageDelayMs = options.messageDelayMs === undefined ? DEFAULT_MESSAGE_DELAY_MS : options.messageDelayMs;
+
+    this.window = null;
+    this.ready = null;
+    this.enabled = false;
+    this.anchor = null;
+    this.current = null;
+    this.conversationId = null;
+    this.target = null;
+    this.sequence = 0;
+    this.interactive = false;
+    this.hideTimer = null;
+    this.messageTimer = null;
+
+    this.onChange = (change) => this.handleChange(change);
+    this.dataStore.on('change', this.onChange);
+  }
+
+  /**
+   * New incoming messages only summon the overlay while the service runs.
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    if (!this.enabled) {
+      clearTimeout(this.messageTimer);
+    }
+  }
+
+  /**
+   * Screen rectangle of the focused chat input, or null when unknown.
+   * `auto` positioning places the overlay right above it.
+   */
+  setAnchor(rect) {
+    this.anchor = rect && rect.width > 0 ? rect : null;
+  }
+
+  handleChange(change) {
+    if (change.type !== 'message-added' || !this.enabled) return;
+
+    const message = this.dataStore.getMessage(change.messageId);
+    if (!message || message.direction !== 'incoming') return;
+
+    clearTimeout(this.messageTimer);
+    this.messageTimer = setTimeout(() => {
+      this.summon({ conversationId: message.conversationId }).catch(error => {
+        log.error('Failed to show suggestion overlay:', error);
+      });
+    }, this.messageDelayMs);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Window
+  // ---------------------------------------------------------------------------
+
+  createWindow() {
+    this.window = new BrowserWindow({
+      ...SIZES.horizontal,
+      show: false,
+      frame: false,
+      transparent: true,
+      hasShadow: false,
+      resizable: false,
+      movable: false,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      skipTaskbar: true,
+      alwaysOnTop: true,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+        preload: this.preload
+      }
+    });
+
+    // Stay above full-screen chat apps as well
+    this.window.setAlwaysOnTop(true, 'screen-saver');
+    this.window.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
+    // Transparent areas pass clicks to the window underneath; the page turns
+    // this off while the pointer is over the suggestions
+    this.window.setIgnoreMouseEvents(true, { forward: true });
+
+    this.ready = new Promise(resolve => this.window.webContents.once('did-finish-load', resolve));
+    this.window.loadFile(this.page);
+
+    this.window.on('closed', () => {
+      this.window = null;
+      this.ready = null;
+    });
+  }
+
+  async ensureWindow() {
+    if (!this.window) {
+      this.createWindow();
+    }
+    await this.ready;
+  }
+
+  /**
+   * Bounds for the overlay and which side of it faces the chat input or
+   * screen edge, so the page can align its panel accordingly.
+   */
+  layout() {
+    const anchored = this.positioning === 'auto' && this.anchor;
+    const display = anchored
+      ? screen.getDisplayMatching(this.anchor)
+      : screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+    const area = display.workArea;
+
+    const edge = this.positioning === 'auto' ? 'bottom' : this.positioning;
+    const orientation = edge === 'left' || edge === 'right' ? 'vertical' : 'horizontal';
+    const { width, height } = SIZES[orientation];
+
+    if (anchored) {
+      let y = this.anchor.y - height - ANCHOR_GAP;
+      let side = 'above-input';
+      if (y < area.y) {
+        y = this.anchor.y + this.anchor.height + ANCHOR_GAP;
+        side = 'below-input';
+      }
+      return {
+        bounds: {
+          x: clamp(Math.round(this.anchor.x), area.x, area.x + area.width - width),
+          y: clamp(Math.round(y), area.y, area.y + area.height - height),
+          width,
+          height
+        },
+        orientation: 'horizontal',
+        edge: side
+      };
+    }
+
+    const centerX = Math.round(area.x + (area.width - width) / 2);
+    const centerY = Math.round(area.y + (area.height - height) / 2);
+    const positions = {
+      top: { x: centerX, y: area.y + EDGE_MARGIN },
+      bottom: { x: centerX, y: area.y + area.height - height - EDGE_MARGIN },
+      left: { x: area.x + EDGE_MARGIN, y: centerY },
+      right: { x: area.x + area.width - width - EDGE_MARGIN, y: centerY }
+    };
+
+    return { bounds: { ...positions[edge], width, height }, orientation, edge };
+  }
+
+  send(channel, payload) {
+    if (this.window) {
+      this.window.webContents.send(channel, payload);
+    }
+  }
+
+  isVisible() {
+    return Boolean(this.window && this.window.isVisible());
+  }
+
+  // ---------------------------------------------------------------------------
+  // Suggestions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Show the overlay and fill it with fresh suggestions for a conversation
+   * (the chat open in the app, else the most recently active one).
+   * @param {object} [options]
+   * @param {string} [options.conversationId]
+   * @param {boolean} [options.focus] - Take keyboard focus (used by the shortcut)
+   */
+  async summon(options = {}) {
+    this.expire();
+    const sequence = ++this.sequence;
+
+    const conversationId = options.conversationId || this.getActiveConversationId();
+    const conversation = conversationId
+      ? this.dataStore.getConversation(conversationId)
+      : this.dataStore.listConversations({ limit: 1 })[0];
+
+    // Remember the chat page the user was in before the overlay can take focus
+    if (!this.isVisible()) {
+      this.target = this.inserter.captureTarget();
+    }
+
+    await this.ensureWindow();
+    if (sequence !== this.sequence) return;
+
+    this.conversationId = conversation ? conversation.id : null;
+    const { bounds, orientation, edge } = this.layout();
+    this.window.setBounds(bounds);
+    this.send('overlay-loading', {
+      orientation,
+      edge,
+      contact: conversation ? conversation.name : null,
+      platform: conversation ? conversation.platform : null
+    });
+    if (options.focus) {
+      this.window.show();
+      this.window.focus();
+    } else {
+      this.window.showInactive();
+    }
+
+    if (!conversation) {
+      this.send('overlay-error', { message: 'No conversations yet' });
+      this.scheduleHide();
+      return;
+    }
+
+    try {
+      const result = await this.suggestionService.generateSuggestions({ conversationId: conversation.id });
+      if (sequence !== this.sequence) {
+        // Superseded while the providers were answering
+        this.recordOutcome(result.suggestionId, { outcome: 'timed-out' });
+        return;
+      }
+
+      this.current = { suggestionId: result.suggestionId, conversationId: conversation.id, suggestions: result.suggestions };
+      this.send('overlay-suggestions', { suggestions: result.suggestions, provider: result.provider });
+    } catch (error) {
+      if (sequence !== this.sequence) return;
+      log.warn('Failed to generate overlay suggestions:', error.message);
+      this.send('overlay-error', { message: error.message });
+    }
+    this.scheduleHide();
+  }
+
+  /**
+   * Shortcut behaviour: open the overlay, or dismiss it when already open.
+   */
+  toggle() {
+    if (this.isVisible()) {
+      this.close('dismissed');
+      return Promise.resolve();
+    }
+    return this.summon({ focus: true });
+  }
+
+  /**
+   * The page reports whether the pointer is over its panel. Clicks are only
+   * captured, and the auto-hide timer only paused, while it is.
+   */
+  setInteractive(interactive) {
+    this.interactive = Boolean(interactive);
+    if (!this.window) return;
+
+    this.window.setIgnoreMouseEvents(!this.interactive, { forward: true });
+    if (this.interactive) {
+      clearTimeout(this.hideTimer);
+    } else if (this.isVisible()) {
+      this.scheduleHide();
+    }
+  }
+
+  scheduleHide() {
+    clearTimeout(this.hideTimer);
+    if (this.autoHideMs > 0 && !this.interactive) {
+      this.hideTimer = setTimeout(() => this.close('timed-out'), this.autoHideMs);
+    }
+  }
+
+  /**
+   * Hide the overlay and put the chosen suggestion into the chat.
+   * @param {number} rank - 1-based position of the chosen suggestion
+   * @param {object} [options]
+   * @param {boolean} [options.send] - Send it right away instead of leaving it in the compose box
+   */
+  async choose(rank, options = {}) {
+    const text = this.current ? this.current.suggestions[rank - 1] : null;
+    if (text === undefined || text === null) return null;
+
+    const target = this.target;
+    this.close('accepted', rank);
+    const result = await this.inserter.insert(text, { target, send: options.send });
+    return { text, ...result };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Snippets
+  // ---------------------------------------------------------------------------
+
+  conversation() {
+    return this.conversationId ? this.dataStore.getConversation(this.conversationId) : null;
+  }
+
+  /**
+   * Snippets for the overlay's search box, previewed for the conversation
+   * the overlay is showing.
+   */
+  searchSnippets(query) {
+    if (!this.snippets) return [];
+
+    const conversation = this.conversation();
+    const platform = conversation ? conversation.platform : null;
+    return this.snippets.search(query, { platform, limit: MAX_SNIPPET_RESULTS }).map(snippet => ({
+      id: snippet.id,
+      name: snippet.name,
+      folder: snippet.folder,
+      abbreviation: snippet.abbreviation,
+      preview: this.snippets.expand(snippet, conversation).text
+    }));
+  }
+
+  /**
+   * Hide the overlay and put a snippet into the chat instead of a suggestion.
+   * @param {string} id
+   * @param {object} [options]
+   * @param {boolean} [options.send]
+   */
+  async chooseSnippet(id, options = {}) {
+    const snippet = this.snippets && this.snippets.get(id);
+    if (!snippet) return null;
+
+    const { text, cursor } = this.snippets.expand(snippet, this.conversation());
+    const target = this.target;
+    this.close('dismissed');
+    this.snippets.recordUse(snippet.id);
+    const result = await this.inserter.insert(text, { target, send: options.send, cursor });
+    return { text, ...result };
+  }
+
+  /**
+   * Hide the overlay and record what happened to the suggestions it showed.
+   */
+  close(outcome, rank) {
+    this.sequence++;
+    clearTimeout(this.hideTimer);
+    this.interactive = false;
+
+    if (this.window) {
+      this.window.setIgnoreMouseEvents(true, { forward: true });
+      this.window.hide();
+      this.send('overlay-clear');
+    }
+
+    if (this.current) {
+      const { suggestionId } = this.current;
+      this.current = null;
+      this.recordOutcome(suggestionId, { outcome, rank });
+    }
+  }
+
+  /**
+   * Suggestions still on screen when new ones are requested went unused.
+   */
+  expire() {
+    if (this.current) {
+      const { suggestionId } = this.current;
+      this.current = null;
+      this.recordOutcome(suggestionId, { outcome: 'timed-out' });
+    }
+  }
+
+  recordOutcome(suggestionId, feedback) {
+    try {
+      this.feedback.record(suggestionId, feedback);
+    } catch (error) {
+      log.warn('Failed to record overlay feedback:', error.message);
+    }
+  }
+
+  destroy() {
+    clearTimeout(this.hideTimer);
+    clearTimeout(this.messageTimer);
+    this.dataStore.removeListener('change', this.onChange);
+    if (this.window) {
+      this.window.destroy();
+    }
+  }
+}
+
+module.exports = { OverlayWindow, POSITIONS };
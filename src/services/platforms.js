@@ -0,0 +1,69 @@
+// Messaging Platforms
+// Web addresses of the supported chat web apps. How their pages are read
+// comes from selector packs (see selectorPacks.js); config.env can still
+// override the message and compose box selectors
+// (WHATSAPP_MESSAGE_SELECTORS, WHATSAPP_INPUT_SELECTORS, ...).
+
+const PLATFORMS = ['whatsapp', 'instagram', 'telegram'];
+
+// Start pages; Instagram opens straight into the inbox
+const START_PATHS = {
+  whatsapp: '/',
+  instagram: '/direct/inbox/',
+  telegram: '/k/'
+};
+
+/**
+ * @param {import('./config').Config} config
+ */
+function platformSettings(config) {
+  const settings = {};
+  PLATFORMS.forEach(name => {
+    const prefix = name.toUpperCase();
+    const domain = config.get(`${prefix}_DOMAIN`);
+    settings[name] = {
+      enabled: config.boolean(`${prefix}_ENABLED`, true),
+      domain,
+      url: `https://${domain}${START_PATHS[name]}`
+    };
+  });
+  return settings;
+}
+
+/**
+ * Selector lists set in config.env, which take precedence over the packs.
+ * @param {import('./config').Config} config
+ */
+function selectorOverrides(config) {
+  const overrides = {};
+  PLATFORMS.forEach(name => {
+    const prefix = name.toUpperCase();
+    const messages = config.json(`${prefix}_MESSAGE_SELECTORS`);
+    const input = config.json(`${prefix}_INPUT_SELECTORS`);
+    overrides[name] = {
+      ...(Array.isArray(messages) && messages.length > 0 ? { messages } : {}),
+      ...(Array.isArray(input) && input.length > 0 ? { input } : {})
+    };
+  });
+  return overrides;
+}
+
+/**
+ * Which platform a page belongs to, judged by its host name.
+ * @returns {string|null}
+ */
+function platformForUrl(settings, url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+
+  return PLATFORMS.find(name => {
+    const domain = settings[name] && settings[name].domain;
+    return domain && (host === domain || host.endsWith(`.${domain}`));
+  }) || null;
+}
+
+module.exports = { PLATFORMS, platformSettings, selectorOverrides, platformForUrl };
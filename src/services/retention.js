@@ -0,0 +1,77 @@
+// Data Retention
+// Purges stored data older than the `dataRetentionDays` privacy setting on
+// startup and then on a fixed interval, along with cached AI replies.
+// Imported chat history is old by nature, so it is kept until the user
+// deletes it.
+
+const log = require('electron-log');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+class RetentionJob {
+  /**
+   * @param {object} options
+   * @param {import('./dataStore').DataStore} options.dataStore
+   * @param {() => number} options.getRetentionDays
+   * @param {import('./ai/responseCache').ResponseCache} [options.responseCache]
+   * @param {number} [options.intervalMs]
+   */
+  constructor(options) {
+    this.dataStore = options.dataStore;
+    this.getRetentionDays = options.getRetentionDays;
+    this.responseCache = options.responseCache || null;
+    this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+    this.timer = null;
+    this.lastRun = null;
+  }
+
+  start() {
+    this.stop();
+    this.run();
+    this.timer = setInterval(() => this.run(), this.intervalMs);
+    // Never keep the app alive just for the purge timer
+    if (this.timer.unref) this.timer.unref();
+    return this;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Purge everything older than the retention window. Skipped while the
+   * encrypted store is locked; call again after unlocking.
+   */
+  run() {
+    const days = Number(this.getRetentionDays());
+    if (!days || days < 1) return null;
+
+    if (this.dataStore.locked) {
+      log.info('Retention purge postponed until the data store is unlocked');
+      return null;
+    }
+
+    const cutoff = new Date(Date.now() - days * DAY_MS);
+    try {
+      const counts = this.dataStore.purgeBefore(cutoff, { keepImported: true });
+      counts.cacheEntries = this.responseCache ? this.responseCache.purgeBefore(cutoff) : 0;
+      this.lastRun = { at: new Date().toISOString(), cutoff: cutoff.toISOString(), days, ...counts };
+
+      if (counts.messages + counts.suggestions + counts.events + counts.cacheEntries > 0) {
+        this.dataStore.addEvent('data-purged', { days, ...counts });
+        log.info(`Retention purge (${days} days): removed ${counts.messages} messages, ${counts.suggestions} suggestions, ` +
+          `${counts.events} events, ${counts.cacheEntries} cached replies and ${counts.conversations} empty conversations`);
+      }
+      return this.lastRun;
+    } catch (error) {
+      log.error('Retention purge failed:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = { RetentionJob };
@@ -0,0 +1,375 @@
+// Search Index
+// Full-text search over every stored message. Message text is split into
+// words folded to lowercase without diacritics ("Café" and "cafe" are the
+// same word), and an inverted index maps each word to the messages that
+// contain it. New messages are added as they arrive; deletions (retention,
+// clearing data, deleting a conversation) rebuild the index so removed text
+// does not linger in memory. The index is never written to disk, so with
+// encryption on it only exists while the store is unlocked.
+
+const log = require('electron-log');
+const { messageTime } = require('./dataStore');
+
+const DEFAULT_LIMIT = 50;
+const MAX_CONVERSATION_RESULTS = 10;
+// Queries are capped so the per-message match counters fit in a byte
+const MAX_QUERY_TERMS = 16;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+// Above this many new words, sorting the vocabulary beats inserting them one by one
+const BULK_TERMS = 1000;
+// Rebuild in the background shortly after the store loads or loses data
+const REBUILD_DELAY_MS = 2000;
+
+// Changes that remove messages, or replace them all
+const REBUILD_CHANGES = ['data-replaced', 'data-purged', 'data-cleared', 'conversation-deleted', 'store-unlocked'];
+
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+
+/**
+ * Lowercase a word and strip its diacritics.
+ */
+function foldTerm(word) {
+  return word.normalize('NFKD').replace(/[^\p{L}\p{N}]/gu, '').toLowerCase();
+}
+
+/**
+ * Words of `text` with where they are in it, for phrase checks and highlighting.
+ * @returns {{term: string, start: number, end: number}[]}
+ */
+function tokenizeWithOffsets(text) {
+  const tokens = [];
+  const source = String(text || '');
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    const term = foldTerm(match[0]);
+    if (term) {
+      tokens.push({ term, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Split a query into "quoted phrases", matched as consecutive whole words,
+ * and loose words, matched as the start of any word.
+ * @returns {{phrases: string[][], words: string[]}}
+ */
+function parseQuery(query) {
+  const phrases = [];
+  const loose = String(query || '').replace(/"([^"]*)"?/g, (match, phrase) => {
+    const terms = tokenizeWithOffsets(phrase).map(token => token.term);
+    if (terms.length > 0) phrases.push(terms);
+    return ' ';
+  });
+  const words = Array.from(new Set(tokenizeWithOffsets(loose).map(token => token.term)));
+  return { phrases, words };
+}
+
+function containsPhrase(terms, phrase) {
+  for (let i = 0; i + phrase.length <= terms.length; i++) {
+    if (phrase.every((term, offset) => terms[i + offset] === term)) return true;
+  }
+  return false;
+}
+
+// Index of the first term in the sorted `terms` that is not less than `prefix`
+function firstAtLeast(terms, prefix) {
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (terms[mid] < prefix) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * A stretch of `text` around its first match, with the matched words'
+ * positions in that stretch.
+ * @param {string} text
+ * @param {{start: number, end: number}[]} matches - In text order
+ * @returns {{snippet: string, highlights: number[][]}}
+ */
+function buildSnippet(text, matches) {
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    const first = matches.length > 0 ? matches[0].start : 0;
+    start = Math.max(0, first - SNIPPET_LEAD);
+    // Start and end on whole words
+    if (start > 0) {
+      const space = text.lastIndexOf(' ', start);
+      start = space > first - SNIPPET_LEAD * 2 ? space + 1 : start;
+    }
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      end = space > start + SNIPPET_LENGTH / 2 ? space : end;
+    }
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const highlights = matches
+    .filter(match => match.start >= start && match.end <= end)
+    .map(match => [match.start - start + prefix.length, match.end - start + prefix.length]);
+  return { snippet: `${prefix}${text.slice(start, end)}${suffix}`, highlights };
+}
+
+class SearchIndex {
+  /**
+   * @param {object} options
+   * @param {import('./dataStore').DataStore} options.dataStore
+   * @param {number} [options.rebuildDelayMs]
+   */
+  constructor(options) {
+    this.dataStore = options.dataStore;
+    this.rebuildDelayMs = options.rebuildDelayMs !== undefined ? options.rebuildDelayMs : REBUILD_DELAY_MS;
+    this.reset();
+    this.stale = true;
+    this.rebuildTimer = null;
+
+    this.onChange = (change) => this.handleChange(change);
+    this.dataStore.on('change', this.onChange);
+    this.scheduleRebuild();
+  }
+
+  reset() {
+    // Message ids by document number; postings hold document numbers
+    this.docs = [];
+    this.docIds = new Map();
+    this.postings = new Map();
+    this.terms = [];
+    this.newTerms = [];
+  }
+
+  dispose() {
+    clearTimeout(this.rebuildTimer);
+    this.dataStore.removeListener('change', this.onChange);
+  }
+
+  handleChange(change) {
+    if (change.type === 'message-added') {
+      if (!this.stale) {
+        const message = this.dataStore.getMessage(change.messageId);
+        if (message) this.indexMessage(message);
+      }
+    } else if (change.type === 'messages-added') {
+      if (!this.stale) this.catchUp();
+    } else if (REBUILD_CHANGES.includes(change.type)) {
+      // Drop the removed text now rather than at the next search
+      this.reset();
+      this.stale = true;
+      this.scheduleRebuild();
+    }
+  }
+
+  scheduleRebuild() {
+    if (this.rebuildTimer) return;
+    this.rebuildTimer = setTimeout(() => {
+      this.rebuildTimer = null;
+      if (this.stale) this.rebuild();
+    }, this.rebuildDelayMs);
+    if (this.rebuildTimer.unref) this.rebuildTimer.unref();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Index
+  // ---------------------------------------------------------------------------
+
+  rebuild() {
+    const started = Date.now();
+    this.reset();
+    this.stale = false;
+    this.dataStore.queryMessages().forEach(message => this.indexMessage(message));
+    log.info(`Search index built: ${this.docs.length} messages, ${this.postings.size} words in ${Date.now() - started}ms`);
+  }
+
+  /**
+   * Index messages stored in bulk (imports), which arrive without their ids.
+   */
+  catchUp() {
+    this.dataStore.queryMessages().forEach(message => {
+      if (!this.docIds.has(message.id)) this.indexMessage(message);
+    });
+  }
+
+  indexMessage(message) {
+    if (this.docIds.has(message.id)) return;
+
+    const doc = this.docs.length;
+    this.docs.push(message.id);
+    this.docIds.set(message.id, doc);
+    new Set(tokenizeWithOffsets(message.text).map(token => token.term)).forEach(term => {
+      let postings = this.postings.get(term);
+      if (!postings) {
+        postings = [];
+        this.postings.set(term, postings);
+        this.newTerms.push(term);
+      }
+      postings.push(doc);
+    });
+  }
+
+  /**
+   * Every indexed word, sorted, for prefix lookups.
+   */
+  sortedTerms() {
+    if (this.newTerms.length > BULK_TERMS) {
+      this.terms = Array.from(this.postings.keys()).sort();
+    } else {
+      this.newTerms.forEach(term => {
+        this.terms.splice(firstAtLeast(this.terms, term), 0, term);
+      });
+    }
+    this.newTerms = [];
+    return this.terms;
+  }
+
+  /**
+   * Posting lists of every word starting with `prefix`.
+   */
+  prefixPostings(prefix) {
+    const terms = this.sortedTerms();
+    const lists = [];
+    for (let i = firstAtLeast(terms, prefix); i < terms.length && terms[i].startsWith(prefix); i++) {
+      lists.push(this.postings.get(terms[i]));
+    }
+    return lists;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Search
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Messages containing every word and phrase of `query`, newest first,
+   * plus the conversations whose name matches. A query with more than
+   * MAX_QUERY_TERMS different words finds nothing and says why in `error`.
+   * @param {string} query
+   * @param {object} [options]
+   * @param {string} [options.platform]
+   * @param {string} [options.conversationId]
+   * @param {'incoming'|'outgoing'} [options.direction]
+   * @param {string} [options.since] - ISO timestamp
+   * @param {string} [options.until] - ISO timestamp
+   * @param {number} [options.limit]
+   * @param {number} [options.offset]
+   * @returns {{messages: object[], conversations: object[], total: number, tookMs: number, error?: string}}
+   */
+  search(query, options = {}) {
+    const started = Date.now();
+    const { limit = DEFAULT_LIMIT, offset = 0 } = options;
+    const { phrases, words } = parseQuery(query);
+    if (phrases.length === 0 && words.length === 0) {
+      return { messages: [], conversations: [], total: 0, tookMs: 0 };
+    }
+
+    // Every phrase word must match exactly and every loose word as a prefix
+    const exact = Array.from(new Set(phrases.flat()));
+    if (exact.length + words.length > MAX_QUERY_TERMS) {
+      return {
+        messages: [],
+        conversations: [],
+        total: 0,
+        tookMs: 0,
+        error: `Search for at most ${MAX_QUERY_TERMS} different words at a time`
+      };
+    }
+    if (this.stale) this.rebuild();
+
+    const units = [
+      ...exact.map(term => [this.postings.get(term) || []]),
+      ...words.map(word => this.prefixPostings(word))
+    ];
+
+    // counts[doc] is how many units the document has matched so far
+    const counts = new Uint8Array(this.docs.length);
+    units.forEach((lists, unit) => {
+      lists.forEach(postings => {
+        postings.forEach(doc => {
+          if (counts[doc] === unit) counts[doc] = unit + 1;
+        });
+      });
+    });
+
+    const sinceTime = options.since ? Date.parse(options.since) : -Infinity;
+    const untilTime = options.until ? Date.parse(options.until) : Infinity;
+    const matches = [];
+    for (let doc = 0; doc < counts.length; doc++) {
+      if (counts[doc] !== units.length) continue;
+
+      const message = this.dataStore.getMessage(this.docs[doc]);
+      if (!message) continue;
+      if (options.platform && message.platform !== options.platform) continue;
+      if (options.conversationId && message.conversationId !== options.conversationId) continue;
+      if (options.direction && message.direction !== options.direction) continue;
+      const time = messageTime(message);
+      if (time < sinceTime || time > untilTime) continue;
+      if (phrases.length > 0) {
+        const terms = tokenizeWithOffsets(message.text).map(token => token.term);
+        if (!phrases.every(phrase => containsPhrase(terms, phrase))) continue;
+      }
+      matches.push({ message, time });
+    }
+    matches.sort((a, b) => b.time - a.time);
+
+    return {
+      messages: matches.slice(offset, offset + limit).map(({ message }) => this.result(message, exact, words)),
+      conversations: offset === 0 ? this.matchConversations(exact, words, options) : [],
+      total: matches.length,
+      tookMs: Date.now() - started
+    };
+  }
+
+  result(message, exact, words) {
+    const matched = tokenizeWithOffsets(message.text)
+      .filter(token => exact.includes(token.term) || words.some(word => token.term.startsWith(word)));
+    const conversation = this.dataStore.getConversation(message.conversationId);
+    return {
+      id: message.id,
+      conversationId: message.conversationId,
+      conversationName: conversation ? conversation.name : '',
+      platform: message.platform,
+      direction: message.direction,
+      sender: message.sender,
+      timestamp: message.timestamp || message.createdAt,
+      ...buildSnippet(message.text, matched)
+    };
+  }
+
+  /**
+   * Conversations whose name contains every query word.
+   */
+  matchConversations(exact, words, options) {
+    return this.dataStore.listConversations({ platform: options.platform })
+      .filter(conversation => {
+        if (options.conversationId && conversation.id !== options.conversationId) return false;
+        const terms = tokenizeWithOffsets(conversation.name).map(token => token.term);
+        return exact.every(term => terms.includes(term)) &&
+          words.every(word => terms.some(term => term.startsWith(word)));
+      })
+      .slice(0, MAX_CONVERSATION_RESULTS)
+      .map(conversation => ({
+        id: conversation.id,
+        name: conversation.name,
+        platform: conversation.platform,
+        messageCount: conversation.messageCount,
+        lastMessageAt: conversation.lastMessageAt
+      }));
+  }
+
+  getStats() {
+    return {
+      messages: this.docs.length,
+      words: this.postings.size,
+      stale: this.stale
+    };
+  }
+}
+
+module.exports = { SearchIndex, foldTerm, tokenizeWithOffsets, parseQuery, buildSnippet, MAX_QUERY_TERMS };
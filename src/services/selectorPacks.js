@@ -0,0 +1,180 @@
+// Selector Packs
+// Versioned JSON files that tell the chat preload how to read each app's
+// page. Built-in packs ship with the app; packs dropped into the user's
+// selector-packs folder are picked up while the app runs, and the highest
+// version per platform wins, so a broken app update can be fixed without a
+// new build.
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const log = require('electron-log');
+const { PLATFORMS } = require('./platforms');
+
+// Pack files are named <platform>-<version>.json
+const FILE_PATTERN = /^([a-z]+)-(\d+(?:\.\d+)*)\.json$/;
+
+// Selector lists every pack has to provide
+const REQUIRED_LISTS = ['messages', 'chatTitle', 'input'];
+const OPTIONAL_LISTS = ['outgoing', 'text', 'sender', 'exclude', 'chatId', 'chatList', 'signIn'];
+
+const RELOAD_DELAY_MS = 500;
+
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * @returns {string|null} What is wrong with the pack, if anything
+ */
+function validatePack(pack) {
+  if (!pack || typeof pack !== 'object') return 'not a JSON object';
+  if (!PLATFORMS.includes(pack.platform)) return `unknown platform "${pack.platform}"`;
+  if (!/^\d+(\.\d+)*$/.test(String(pack.version || ''))) return 'missing or invalid version';
+
+  const selectors = pack.selectors;
+  if (!selectors || typeof selectors !== 'object') return 'missing selectors';
+
+  const missing = REQUIRED_LISTS.find(key => !Array.isArray(selectors[key]) || selectors[key].length === 0);
+  if (missing) return `selectors.${missing} must be a non-empty list`;
+
+  const invalid = [...REQUIRED_LISTS, ...OPTIONAL_LISTS]
+    .find(key => selectors[key] !== undefined && (!Array.isArray(selectors[key]) || selectors[key].some(value => typeof value !== 'string')));
+  if (invalid) return `selectors.${invalid} must be a list of strings`;
+
+  return null;
+}
+
+class SelectorPacks extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.builtinDir - Packs shipped with the app
+   * @param {string} options.userDir - Packs added by the user; created if missing
+   * @param {object} [options.overrides] - Per platform selector lists from config.env
+   */
+  constructor(options) {
+    super();
+    this.builtinDir = options.builtinDir;
+    this.userDir = options.userDir;
+    this.overrides = options.overrides || {};
+    this.packs = [];
+    this.active = new Map();
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  load() {
+    this.packs = [
+      ...this.readDir(this.builtinDir, 'builtin'),
+      ...this.readDir(this.userDir, 'user')
+    ];
+
+    const changed = [];
+    PLATFORMS.forEach(platform => {
+      const best = this.packs
+        .filter(pack => pack.platform === platform)
+        // User packs win over built-in ones of the same version
+        .sort((a, b) => compareVersions(b.version, a.version) || (a.source === 'user' ? -1 : 1))[0] || null;
+
+      const previous = this.active.get(platform);
+      if (best && (!previous || previous.file !== best.file || previous.loadedAt !== best.loadedAt)) {
+        changed.push(platform);
+      }
+      this.active.set(platform, best);
+    });
+
+    if (changed.length > 0) {
+      changed.forEach(platform => {
+        const pack = this.active.get(platform);
+        log.info(`Using ${platform} selector pack ${pack.version} (${pack.source})`);
+      });
+      this.emit('change', changed);
+    }
+    return this;
+  }
+
+  readDir(dir, source) {
+    if (!dir || !fs.existsSync(dir)) return [];
+
+    const packs = [];
+    fs.readdirSync(dir).forEach(name => {
+      const match = FILE_PATTERN.exec(name);
+      if (!match) return;
+
+      const file = path.join(dir, name);
+      try {
+        const stat = fs.statSync(file);
+        const pack = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const problem = validatePack(pack);
+        if (problem) {
+          log.warn(`Ignoring selector pack ${name}: ${problem}`);
+          return;
+        }
+        if (pack.platform !== match[1] || compareVersions(pack.version, match[2]) !== 0) {
+          log.warn(`Ignoring selector pack ${name}: file name does not match its platform and version`);
+          return;
+        }
+        packs.push({ ...pack, source, file, loadedAt: stat.mtimeMs });
+      } catch (error) {
+        log.warn(`Ignoring selector pack ${name}: ${error.message}`);
+      }
+    });
+    return packs;
+  }
+
+  /**
+   * Reload whenever a file in the user folder changes.
+   */
+  watch() {
+    if (!this.userDir || this.watcher) return this;
+    try {
+      fs.mkdirSync(this.userDir, { recursive: true });
+      this.watcher = fs.watch(this.userDir, () => {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.load(), RELOAD_DELAY_MS);
+      });
+    } catch (error) {
+      log.warn('Cannot watch the selector pack folder:', error.message);
+    }
+    return this;
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  get(platform) {
+    return this.active.get(platform) || null;
+  }
+
+  /**
+   * The active pack's selectors with any config.env overrides applied.
+   */
+  selectors(platform) {
+    const pack = this.get(platform);
+    return pack ? { ...pack.selectors, ...(this.overrides[platform] || {}) } : null;
+  }
+
+  list() {
+    return this.packs.map(pack => ({
+      platform: pack.platform,
+      version: pack.version,
+      updated: pack.updated || null,
+      source: pack.source,
+      file: pack.file,
+      active: this.get(pack.platform) === pack
+    }));
+  }
+}
+
+module.exports = { SelectorPacks, validatePack, compareVersions };
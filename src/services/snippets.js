@@ -0,0 +1,316 @@
+// Snippet Library
+// Canned replies typed by hand often enough to keep. A snippet belongs to a
+// folder, can be limited to one platform, and can have an abbreviation such
+// as `;addr` that expands it while typing in an embedded chat. Its text may
+// hold variables ({contact.firstName}, {today}, {myName}, ...) and a
+// {cursor} placeholder where the caret ends up. Snippets are kept in the
+// encrypted settings store and exported with the settings.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { PLATFORMS } = require('./platforms');
+
+// A leading symbol keeps abbreviations from firing on ordinary words
+const ABBREVIATION_PATTERN = /^[^\p{L}\p{N}\s][\p{L}\p{N}_-]{1,24}$/u;
+const VARIABLE_PATTERN = /\{([a-zA-Z]+(?:\.[a-zA-Z]+)?)\}/g;
+const CURSOR = 'cursor';
+const MAX_NAME_LENGTH = 80;
+const MAX_TEXT_LENGTH = 4000;
+const DEFAULT_FOLDER = 'General';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const VARIABLES = [
+  'contact.name', 'contact.firstName', 'contact.lastName', 'platform', 'myName',
+  'today', 'tomorrow', 'weekday', 'time', CURSOR
+];
+
+/**
+ * Values for a snippet's variables. Values that are unknown (no chat open,
+ * no name set) are left out, so their placeholders stay visible.
+ * @param {object} [context]
+ * @param {object} [context.conversation] - { name, platform }
+ * @param {string} [context.myName]
+ * @param {string} [context.locale]
+ * @param {Date} [context.now]
+ */
+function snippetVariables(context = {}) {
+  const now = context.now || new Date();
+  const tomorrow = new Date(now.getTime() + DAY_MS);
+  const longDate = { year: 'numeric', month: 'long', day: 'numeric' };
+  const values = {
+    today: now.toLocaleDateString(context.locale, longDate),
+    tomorrow: tomorrow.toLocaleDateString(context.locale, longDate),
+    weekday: now.toLocaleDateString(context.locale, { weekday: 'long' }),
+    time: now.toLocaleTimeString(context.locale, { hour: 'numeric', minute: '2-digit' })
+  };
+
+  const name = context.conversation && String(context.conversation.name || '').trim();
+  if (name) {
+    const [first, ...rest] = name.split(/\s+/);
+    values['contact.name'] = name;
+    values['contact.firstName'] = first;
+    if (rest.length > 0) values['contact.lastName'] = rest.join(' ');
+  }
+  if (context.conversation && context.conversation.platform) {
+    const platform = context.conversation.platform;
+    values.platform = platform.charAt(0).toUpperCase() + platform.slice(1);
+  }
+  if (context.myName && context.myName.trim()) {
+    values.myName = context.myName.trim();
+  }
+  return values;
+}
+
+/**
+ * Fill in a snippet's variables.
+ * @returns {{text: string, cursor: number|null}} cursor is where the first
+ * {cursor} was, as an offset into the expanded text
+ */
+function expandTemplate(template, values) {
+  const source = String(template);
+  let text = '';
+  let cursor = null;
+  let last = 0;
+
+  source.replace(VARIABLE_PATTERN, (match, name, offset) => {
+    text += source.slice(last, offset);
+    last = offset + match.length;
+    if (name === CURSOR) {
+      if (cursor === null) cursor = text.length;
+    } else {
+      text += values[name] !== undefined ? values[name] : match;
+    }
+    return match;
+  });
+  text += source.slice(last);
+
+  return { text, cursor };
+}
+
+function normalizeAbbreviation(value) {
+  const abbreviation = String(value || '').trim();
+  if (abbreviation && !ABBREVIATION_PATTERN.test(abbreviation)) {
+    throw new Error('An abbreviation is a symbol followed by letters or digits, such as ;addr');
+  }
+  return abbreviation;
+}
+
+/**
+ * Clean up a snippet coming from the settings UI or an import.
+ * @throws {Error} When the snippet has no name or text, or a bad abbreviation
+ */
+function normalizeSnippet(input, existing) {
+  const name = String(input.name || '').trim().slice(0, MAX_NAME_LENGTH);
+  const text = String(input.text || '').replace(/\r\n/g, '\n').slice(0, MAX_TEXT_LENGTH);
+  if (!name) {
+    throw new Error('A snippet needs a name');
+  }
+  if (!text.trim()) {
+    throw new Error('A snippet needs some text');
+  }
+
+  return {
+    id: (existing && existing.id) || input.id || crypto.randomUUID(),
+    name,
+    text,
+    abbreviation: normalizeAbbreviation(input.abbreviation),
+    folder: String(input.folder || '').trim() || DEFAULT_FOLDER,
+    // null means every platform
+    platform: PLATFORMS.includes(input.platform) ? input.platform : null,
+    uses: existing ? existing.uses || 0 : input.uses || 0,
+    lastUsedAt: existing ? existing.lastUsedAt || null : input.lastUsedAt || null
+  };
+}
+
+function matchesPlatform(snippet, platform) {
+  return !platform || !snippet.platform || snippet.platform === platform;
+}
+
+/**
+ * How well a snippet matches every word of a search; 0 when one is missing.
+ */
+function searchScore(snippet, words) {
+  const name = snippet.name.toLowerCase();
+  const abbreviation = snippet.abbreviation.toLowerCase();
+  const folder = snippet.folder.toLowerCase();
+  const text = snippet.text.toLowerCase();
+
+  let total = 0;
+  for (const word of words) {
+    let score = 0;
+    if (abbreviation && abbreviation === word) score = 100;
+    else if (abbreviation.startsWith(word) || abbreviation.slice(1).startsWith(word)) score = 50;
+    else if (name.startsWith(word)) score = 30;
+    else if (name.includes(word)) score = 20;
+    else if (folder.includes(word)) score = 10;
+    else if (text.includes(word)) score = 5;
+    if (score === 0) return 0;
+    total += score;
+  }
+  return total;
+}
+
+class SnippetLibrary extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {() => object[]} options.getSnippets - Stored snippets
+   * @param {(snippets: object[]) => void} options.setSnippets
+   * @param {() => string} [options.getMyName] - Fills {myName}
+   * @param {string} [options.locale] - For {today}, {weekday} and {time}
+   */
+  constructor(options) {
+    super();
+    this.getSnippets = options.getSnippets;
+    this.setSnippets = options.setSnippets;
+    this.getMyName = options.getMyName || (() => '');
+    this.locale = options.locale;
+  }
+
+  /**
+   * Every snippet, by folder and then name.
+   */
+  list() {
+    return (this.getSnippets() || []).slice().sort((a, b) =>
+      a.folder.localeCompare(b.folder) || a.name.localeCompare(b.name)
+    );
+  }
+
+  get(id) {
+    return (this.getSnippets() || []).find(snippet => snippet.id === id) || null;
+  }
+
+  /**
+   * Snippets matching every word of `query`, best first. An empty query
+   * lists the most used ones.
+   * @param {string} query
+   * @param {object} [options]
+   * @param {string} [options.platform] - Skip snippets limited to other platforms
+   * @param {number} [options.limit]
+   */
+  search(query, options = {}) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const candidates = (this.getSnippets() || []).filter(snippet => matchesPlatform(snippet, options.platform));
+
+    const results = candidates
+      .map(snippet => ({ snippet, score: words.length > 0 ? searchScore(snippet, words) : 1 }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || (b.snippet.uses || 0) - (a.snippet.uses || 0) ||
+        a.snippet.name.localeCompare(b.snippet.name))
+      .map(result => result.snippet);
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+
+  /**
+   * Abbreviations usable on a platform, for the chat pages to watch for.
+   */
+  abbreviations(platform) {
+    return (this.getSnippets() || [])
+      .filter(snippet => snippet.abbreviation && matchesPlatform(snippet, platform))
+      .map(snippet => snippet.abbreviation);
+  }
+
+  findByAbbreviation(abbreviation, platform) {
+    const wanted = String(abbreviation || '').toLowerCase();
+    if (!wanted) return null;
+    // A platform's own snippet wins over one for every platform
+    return (this.getSnippets() || [])
+      .filter(snippet => snippet.abbreviation.toLowerCase() === wanted && matchesPlatform(snippet, platform))
+      .sort((a, b) => Number(Boolean(b.platform)) - Number(Boolean(a.platform)))[0] || null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Editing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add or update a snippet.
+   * @throws {Error} When another snippet on an overlapping platform has the same abbreviation
+   */
+  save(input) {
+    const snippets = this.getSnippets() || [];
+    const existing = input.id ? snippets.find(snippet => snippet.id === input.id) : null;
+    const snippet = normalizeSnippet(input, existing);
+
+    if (snippet.abbreviation) {
+      const clash = snippets.find(other => other.id !== snippet.id &&
+        other.abbreviation.toLowerCase() === snippet.abbreviation.toLowerCase() &&
+        (!other.platform || !snippet.platform || other.platform === snippet.platform));
+      if (clash) {
+        throw new Error(`${snippet.abbreviation} already expands "${clash.name}"`);
+      }
+    }
+
+    this.setSnippets(existing
+      ? snippets.map(item => (item.id === snippet.id ? snippet : item))
+      : [...snippets, snippet]);
+    this.emit('change');
+    return snippet;
+  }
+
+  remove(id) {
+    const snippets = this.getSnippets() || [];
+    const remaining = snippets.filter(snippet => snippet.id !== id);
+    if (remaining.length === snippets.length) return false;
+
+    this.setSnippets(remaining);
+    this.emit('change');
+    return true;
+  }
+
+  /**
+   * Add snippets from a settings import. Snippets with a known id replace
+   * the stored ones; invalid ones are skipped and clashing abbreviations
+   * dropped.
+   * @returns {number} Snippets imported
+   */
+  merge(imported) {
+    let count = 0;
+    imported.forEach(input => {
+      try {
+        this.save(input);
+        count++;
+      } catch (error) {
+        try {
+          this.save({ ...input, abbreviation: '' });
+          count++;
+        } catch (invalid) {
+          // Not a usable snippet
+        }
+      }
+    });
+    return count;
+  }
+
+  recordUse(id) {
+    const snippets = this.getSnippets() || [];
+    this.setSnippets(snippets.map(snippet => (snippet.id === id
+      ? { ...snippet, uses: (snippet.uses || 0) + 1, lastUsedAt: new Date().toISOString() }
+      : snippet)));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Expansion
+  // ---------------------------------------------------------------------------
+
+  /**
+   * A snippet's text with its variables filled in for a conversation.
+   * @param {object} snippet
+   * @param {object} [conversation] - { name, platform }
+   * @returns {{text: string, cursor: number|null}}
+   */
+  expand(snippet, conversation) {
+    return expandTemplate(snippet.text, snippetVariables({
+      conversation,
+      myName: this.getMyName(),
+      locale: this.locale
+    }));
+  }
+}
+
+module.exports = {
+  SnippetLibrary,
+  VARIABLES,
+  normalizeSnippet,
+  snippetVariables,
+  expandTemplate
+};
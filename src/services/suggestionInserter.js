@@ -0,0 +1,217 @@
+// Suggestion Inserter
+// Puts a chosen suggestion into the chat: typed straight into an embedded
+// chat page's compose box, pasted into whichever app has focus, or just
+// copied. Pasting borrows the clipboard and puts the old contents back.
+
+const { clipboard, webContents } = require('electron');
+const { execFile } = require('child_process');
+const log = require('electron-log');
+const { platformForUrl } = require('./platforms');
+
+const MODES = ['auto', 'paste', 'copy'];
+
+// Give the previous app time to get focus back once the overlay hides
+const FOCUS_RETURN_DELAY_MS = 150;
+// Target apps read the clipboard asynchronously after the paste keystroke
+const CLIPBOARD_RESTORE_DELAY_MS = 600;
+const KEYSTROKE_TIMEOUT_MS = 5000;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs inside the chat page. Replaces the compose box contents the way
+ * typing would, so the page's own listeners pick the change up, and puts
+ * the caret at `cursor` when given.
+ */
+function fillInput(selectors, text, cursor) {
+  const input = selectors
+    .map(selector => {
+      try {
+        return document.querySelector(selector);
+      } catch (error) {
+        return null;
+      }
+    })
+    .find(Boolean);
+  if (!input) return false;
+
+  input.focus();
+  if (input.isContentEditable) {
+    document.execCommand('selectAll', false, null);
+    document.execCommand('insertText', false, text);
+    if (cursor !== null) {
+      const selection = window.getSelection();
+      for (let steps = Array.from(text.slice(cursor)).length; steps > 0; steps--) {
+        selection.modify('move', 'backward', 'character');
+      }
+    }
+  } else {
+    const { set } = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(input), 'value');
+    set.call(input, text);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    if (cursor !== null) {
+      input.setSelectionRange(cursor, cursor);
+    }
+  }
+  return true;
+}
+
+/**
+ * OS command that presses paste (and Enter) in the focused app.
+ * @returns {[string, string[]]}
+ */
+function keystrokeCommand(send) {
+  if (process.platform === 'win32') {
+    const script = ['Add-Type -AssemblyName System.Windows.Forms', "[System.Windows.Forms.SendKeys]::SendWait('^v')"];
+    if (send) {
+      script.push('Start-Sleep -Milliseconds 100', "[System.Windows.Forms.SendKeys]::SendWait('{ENTER}')");
+    }
+    return ['powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', script.join('; ')]];
+  }
+
+  if (process.platform === 'darwin') {
+    const args = ['-e', 'tell application "System Events" to keystroke "v" using command down'];
+    if (send) {
+      args.push('-e', 'delay 0.1', '-e', 'tell application "System Events" to key code 36');
+    }
+    return ['osascript', args];
+  }
+
+  return ['xdotool', ['key', '--clearmodifiers', 'ctrl+v', ...(send ? ['Return'] : [])]];
+}
+
+function pressKeys(send) {
+  const [command, args] = keystrokeCommand(send);
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: KEYSTROKE_TIMEOUT_MS, windowsHide: true }, (error) => {
+      if (error) {
+        reject(new Error(`Could not simulate paste with ${command}: ${error.message}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+function saveClipboard() {
+  const image = clipboard.readImage();
+  return {
+    text: clipboard.readText(),
+    html: clipboard.readHTML(),
+    rtf: clipboard.readRTF(),
+    image: image.isEmpty() ? null : image
+  };
+}
+
+function restoreClipboard(saved) {
+  const data = {};
+  Object.keys(saved).forEach(format => {
+    if (saved[format]) data[format] = saved[format];
+  });
+
+  if (Object.keys(data).length === 0) {
+    clipboard.clear();
+  } else {
+    clipboard.write(data);
+  }
+}
+
+class SuggestionInserter {
+  /**
+   * @param {object} options
+   * @param {object} options.platforms - From platformSettings(config)
+   * @param {import('./selectorPacks').SelectorPacks} options.selectorPacks
+   * @param {() => string} options.getMode - auto, paste or copy
+   */
+  constructor(options) {
+    this.platforms = options.platforms;
+    this.selectorPacks = options.selectorPacks;
+    this.getMode = options.getMode;
+  }
+
+  /**
+   * The embedded chat page that has focus right now, if any. Call this
+   * before the overlay takes focus.
+   */
+  captureTarget() {
+    const focused = webContents.getFocusedWebContents();
+    if (!focused || focused.isDestroyed()) return null;
+    return platformForUrl(this.platforms, focused.getURL()) ? focused : null;
+  }
+
+  /**
+   * @param {string} text
+   * @param {object} [options]
+   * @param {Electron.WebContents} [options.target] - From captureTarget()
+   * @param {boolean} [options.send] - Press Enter after inserting
+   * @param {number|null} [options.cursor] - Where to leave the caret; only honoured when typing into a chat page
+   * @returns {Promise<{method: 'inject'|'paste'|'copy', sent: boolean, fallback?: boolean}>}
+   */
+  async insert(text, options = {}) {
+    const mode = MODES.includes(this.getMode()) ? this.getMode() : 'auto';
+    const send = Boolean(options.send);
+
+    if (mode === 'copy') {
+      clipboard.writeText(text);
+      return { method: 'copy', sent: false };
+    }
+
+    if (mode === 'auto' && options.target && !options.target.isDestroyed()) {
+      try {
+        if (await this.inject(options.target, text, send, options.cursor)) {
+          return { method: 'inject', sent: send };
+        }
+        log.warn('No compose box matched the input selectors; pasting instead');
+      } catch (error) {
+        log.warn('Failed to type suggestion into chat page:', error.message);
+      }
+    }
+
+    try {
+      await this.paste(text, send);
+      return { method: 'paste', sent: send };
+    } catch (error) {
+      log.warn(error.message);
+      clipboard.writeText(text);
+      return { method: 'copy', sent: false, fallback: true };
+    }
+  }
+
+  async inject(target, text, send, cursor = null) {
+    const platform = platformForUrl(this.platforms, target.getURL());
+    const selectors = platform && this.selectorPacks.selectors(platform);
+    if (!selectors || !selectors.input || selectors.input.length === 0) return false;
+
+    const args = [selectors.input, text, send ? null : cursor].map(value => JSON.stringify(value));
+    const filled = await target.executeJavaScript(`(${fillInput})(${args.join(', ')})`, true);
+    if (!filled) return false;
+
+    if (send) {
+      target.focus();
+      // Let the page's framework register the new text before sending
+      await delay(50);
+      target.sendInputEvent({ type: 'keyDown', keyCode: 'Enter' });
+      target.sendInputEvent({ type: 'char', keyCode: 'Enter' });
+      target.sendInputEvent({ type: 'keyUp', keyCode: 'Enter' });
+    }
+    return true;
+  }
+
+  async paste(text, send) {
+    const saved = saveClipboard();
+    clipboard.writeText(text);
+
+    await delay(FOCUS_RETURN_DELAY_MS);
+    await pressKeys(send);
+    await delay(CLIPBOARD_RESTORE_DELAY_MS);
+
+    // Leave the clipboard alone if something else was copied meanwhile
+    if (clipboard.readText() === text) {
+      restoreClipboard(saved);
+    }
+  }
+}
+
+module.exports = { SuggestionInserter, MODES };
@@ -0,0 +1,157 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractSnapshot, extractMessages, parseMeta, localeDayFirst } = require('../src/chatExtractor');
+
+// Saved chat pages, read with the selector packs that ship with the app
+function loadPage(platform) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'chatPages', `${platform}.html`), 'utf8');
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+function packSelectors(platform) {
+  return require(`../src/selectorPacks/${platform}-1.0.0.json`).selectors;
+}
+
+describe('WhatsApp page', () => {
+  const selectors = packSelectors('whatsapp');
+
+  test('reads the chat and every message once, oldest first', () => {
+    const snapshot = extractSnapshot(loadPage('whatsapp'), selectors, { dayFirst: true });
+
+    expect(snapshot.chat).toEqual({ id: 'Ann Lee', name: 'Ann Lee' });
+    expect(snapshot.messages.map(message => message.text)).toEqual([
+      'Happy new year!', 'You too! See you tonight?', 'ok', 'ok', 'Sent from a linked device'
+    ]);
+    expect(snapshot.matched.input).toBe("[contenteditable='true'][data-testid='conversation-compose-box-input']");
+    expect(snapshot.matched.signIn).toBeNull();
+  });
+
+  test('takes sender, direction and local time from the message metadata', () => {
+    const [first, second] = extractSnapshot(loadPage('whatsapp'), selectors, { dayFirst: true }).messages;
+
+    expect(first).toEqual({
+      id: 'false_447700900123@c.us_3EB0A1B2C3',
+      direction: 'incoming',
+      sender: 'Ann Lee',
+      text: 'Happy new year!',
+      timestamp: new Date(2023, 11, 31, 10, 15).toISOString()
+    });
+    expect(second).toMatchObject({ direction: 'outgoing', sender: 'Me', timestamp: new Date(2023, 11, 31, 10, 17).toISOString() });
+  });
+
+  test('keeps identical messages sent in the same minute apart', () => {
+    const messages = extractSnapshot(loadPage('whatsapp'), selectors, { dayFirst: true }).messages;
+    const [third, fourth] = messages.slice(2, 4);
+
+    expect(third.timestamp).toBe(fourth.timestamp);
+    expect(third.id).not.toBe(fourth.id);
+    expect(fourth.id).toBe(`${third.id}-2`);
+  });
+
+  test('leaves the timestamp null when the page shows none', () => {
+    const last = extractSnapshot(loadPage('whatsapp'), selectors, { dayFirst: true }).messages.pop();
+
+    expect(last).toMatchObject({ text: 'Sent from a linked device', timestamp: null });
+    expect(last.id).toMatch(/^h/);
+  });
+});
+
+describe('Telegram page', () => {
+  const selectors = packSelectors('telegram');
+
+  test('reads each bubble once although several selectors match inside it', () => {
+    const snapshot = extractSnapshot(loadPage('telegram'), selectors);
+
+    expect(snapshot.chat).toEqual({ id: '-100777', name: 'Hiking club' });
+    expect(snapshot.messages.map(message => message.id)).toEqual(['4101', '4102', '4103', '4104']);
+  });
+
+  test('takes the time from the bubble attribute and drops time and reactions from the text', () => {
+    const [first, second] = extractSnapshot(loadPage('telegram'), selectors).messages;
+
+    expect(first).toEqual({
+      id: '4101',
+      direction: 'incoming',
+      sender: 'Ben',
+      text: 'Trail opens at 9, who is in?',
+      timestamp: '2024-01-01T10:00:00.000Z'
+    });
+    expect(second).toMatchObject({ direction: 'outgoing', sender: null, text: 'Count me in', timestamp: '2024-01-01T10:05:00.000Z' });
+  });
+
+  test('keeps identical messages that have their own ids', () => {
+    const messages = extractSnapshot(loadPage('telegram'), selectors).messages;
+
+    expect(messages.filter(message => message.text === 'ok').map(message => message.id)).toEqual(['4103', '4104']);
+  });
+});
+
+describe('Instagram page', () => {
+  const selectors = packSelectors('instagram');
+  const location = { href: 'https://www.instagram.com/direct/t/340282366841710300/' };
+
+  test('takes the chat id from the address and skips empty bubbles', () => {
+    const snapshot = extractSnapshot(loadPage('instagram'), selectors, { location });
+
+    expect(snapshot.chat).toEqual({ id: '340282366841710300', name: 'cara.k' });
+    expect(snapshot.messages.map(message => message.text)).toEqual(['did you see the photos?', 'haha yes', 'haha yes']);
+  });
+
+  test('reads a <time> element and leaves messages without one undated', () => {
+    const messages = extractSnapshot(loadPage('instagram'), selectors, { location }).messages;
+
+    expect(messages[0].timestamp).toBe('2024-02-03T18:30:00.000Z');
+    expect(messages[1]).toMatchObject({ direction: 'outgoing', timestamp: null });
+    expect(messages[1].id).not.toBe(messages[2].id);
+  });
+
+  test('rows keep their ids when older messages load above them', () => {
+    const doc = loadPage('instagram');
+    const rowIds = new WeakMap();
+    const before = extractMessages(doc, selectors, { rowIds }).messages.map(message => message.id);
+
+    doc.getElementById('messages').insertAdjacentHTML('afterbegin',
+      '<div data-testid="direct-message" class="outgoing"><div dir="auto">haha yes</div></div>');
+    const after = extractMessages(doc, selectors, { rowIds }).messages;
+
+    expect(after.slice(1).map(message => message.id)).toEqual(before);
+    expect(before).not.toContain(after[0].id);
+  });
+});
+
+describe('parseMeta', () => {
+  test('reads 24-hour day-first metadata', () => {
+    expect(parseMeta('[10:15, 31/12/2023] Ann: ')).toEqual({
+      sender: 'Ann',
+      timestamp: new Date(2023, 11, 31, 10, 15).toISOString()
+    });
+  });
+
+  test('reads 12-hour month-first metadata', () => {
+    expect(parseMeta('[9:05 PM, 12/31/23] Ann: ', true).timestamp).toBe(new Date(2023, 11, 31, 21, 5).toISOString());
+    expect(parseMeta('[12:30 a.m., 1/2/2024] Ann: ', false).timestamp).toBe(new Date(2024, 0, 2, 0, 30).toISOString());
+  });
+
+  test('settles an ambiguous date with the locale order', () => {
+    expect(parseMeta('[08:00, 03/04/2024] Ann: ', true).timestamp).toBe(new Date(2024, 3, 3, 8, 0).toISOString());
+    expect(parseMeta('[08:00, 03/04/2024] Ann: ', false).timestamp).toBe(new Date(2024, 2, 4, 8, 0).toISOString());
+  });
+
+  test('reads year-first dates', () => {
+    expect(parseMeta('[14:00, 2024-02-29] Ann: ').timestamp).toBe(new Date(2024, 1, 29, 14, 0).toISOString());
+  });
+
+  test('returns null for other text', () => {
+    expect(parseMeta('Ann: hello')).toBeNull();
+    expect(parseMeta(null)).toBeNull();
+  });
+
+  test('judges the date order from the locale', () => {
+    expect(localeDayFirst('en-GB')).toBe(true);
+    expect(localeDayFirst('en-US')).toBe(false);
+  });
+});
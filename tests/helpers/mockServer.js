@@ -0,0 +1,66 @@
+// A local HTTP server standing in for the AI vendors. Each test queues the
+// responses it wants; requests are recorded so tests can check what was sent.
+
+const http = require('http');
+
+class MockServer {
+  constructor() {
+    this.requests = [];
+    this.responses = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  start() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this));
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  get url() {
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  reset() {
+    this.requests = [];
+    this.responses = [];
+  }
+
+  /**
+   * Answer the next request to `path` (a prefix) with `status` and `body`.
+   */
+  respond(path, status, body, headers = {}) {
+    this.responses.push({ path, status, body, headers });
+    return this;
+  }
+
+  requestsTo(path) {
+    return this.requests.filter(request => request.url.startsWith(path));
+  }
+
+  handle(req, res) {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      this.requests.push({ url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null });
+
+      const index = this.responses.findIndex(response => req.url.startsWith(response.path));
+      if (index === -1) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: `No response queued for ${req.url}` } }));
+        return;
+      }
+
+      const [response] = this.responses.splice(index, 1);
+      res.writeHead(response.status, { 'Content-Type': 'application/json', ...response.headers });
+      res.end(typeof response.body === 'string' ? response.body : JSON.stringify(response.body));
+    });
+  }
+}
+
+module.exports = { MockServer };
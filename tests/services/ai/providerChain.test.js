@@ -0,0 +1,131 @@
+jest.mock('electron-log');
+
+const { MockServer } = require('../../helpers/mockServer');
+const { ProviderChain } = require('../../../src/services/ai/providerChain');
+const { RequestScheduler } = require('../../../src/services/ai/requestScheduler');
+
+const PROMPT = {
+  system: 'Suggest short replies.',
+  messages: [{ role: 'user', content: 'Lunch tomorrow?' }],
+  text: 'Suggest short replies to: Lunch tomorrow?'
+};
+
+const OPENAI_REPLY = { choices: [{ message: { content: 'Sure!\nCan we do Friday?' } }] };
+const GEMINI_REPLY = { candidates: [{ content: { parts: [{ text: 'Sounds good\nWhere?' }] } }] };
+
+describe('ProviderChain', () => {
+  const server = new MockServer();
+  let scheduler;
+
+  beforeAll(() => server.start());
+  afterAll(() => server.stop());
+
+  beforeEach(() => {
+    server.reset();
+    scheduler = new RequestScheduler({ retryAttempts: 3, retryDelayMs: 10 });
+  });
+
+  afterEach(() => {
+    scheduler.destroy();
+  });
+
+  function createChain(options = {}) {
+    return ProviderChain.fromSettings({
+      defaultProvider: 'openai',
+      fallbackEnabled: options.fallbackEnabled !== false,
+      providers: {
+        openai: { apiUrl: `${server.url}/openai/chat`, model: 'gpt-test', temperature: 0.7, maxTokens: 50 },
+        gemini: { apiUrl: `${server.url}/gemini/models`, model: 'gemini-test', temperature: 0.7, maxTokens: 50 },
+        huggingface: { apiUrl: `${server.url}/huggingface/models`, model: 'hf-test', temperature: 0.7, maxTokens: 50 }
+      }
+    }, { openai: 'openai-key', gemini: 'gemini-key' }, { timeoutMs: 2000, scheduler });
+  }
+
+  test('tries the default provider first and leaves out providers without a key', async () => {
+    server.respond('/openai', 200, OPENAI_REPLY);
+
+    const chain = createChain();
+    expect(chain.names).toEqual(['openai', 'gemini']);
+
+    const result = await chain.generate(PROMPT, { count: 3 });
+    expect(result).toMatchObject({ provider: 'openai', model: 'gpt-test', suggestions: ['Sure!', 'Can we do Friday?'], attempts: [] });
+    expect(server.requestsTo('/gemini')).toHaveLength(0);
+  });
+
+  test('retries a server error on the same provider', async () => {
+    server
+      .respond('/openai', 503, { error: { message: 'Overloaded' } })
+      .respond('/openai', 200, OPENAI_REPLY);
+
+    const result = await createChain().generate(PROMPT, { count: 3 });
+    expect(result.provider).toBe('openai');
+    expect(server.requestsTo('/openai')).toHaveLength(2);
+    expect(scheduler.status().totals.retried).toBe(1);
+  });
+
+  test('waits out a short Retry-After before trying again', async () => {
+    server
+      .respond('/openai', 429, { error: { message: 'Slow down' } }, { 'Retry-After': '1' })
+      .respond('/openai', 200, OPENAI_REPLY);
+
+    const started = Date.now();
+    const result = await createChain().generate(PROMPT, { count: 3 });
+    expect(result.provider).toBe('openai');
+    expect(Date.now() - started).toBeGreaterThanOrEqual(900);
+    expect(server.requestsTo('/gemini')).toHaveLength(0);
+  });
+
+  test('falls back when a provider asks for a long break', async () => {
+    server
+      .respond('/openai', 429, { error: { message: 'Quota exceeded' } }, { 'Retry-After': '3600' })
+      .respond('/gemini', 200, GEMINI_REPLY);
+
+    const result = await createChain().generate(PROMPT, { count: 3 });
+    expect(result.provider).toBe('gemini');
+    expect(result.suggestions).toEqual(['Sounds good', 'Where?']);
+    expect(result.attempts).toHaveLength(1);
+    expect(result.attempts[0].provider).toBe('openai');
+    expect(server.requestsTo('/openai')).toHaveLength(1);
+  });
+
+  test('falls back without retrying after an authentication failure', async () => {
+    server
+      .respond('/openai', 401, { error: { message: 'Invalid API key' } })
+      .respond('/gemini', 200, GEMINI_REPLY);
+
+    const result = await createChain().generate(PROMPT, { count: 3 });
+    expect(result.provider).toBe('gemini');
+    expect(result.attempts[0].error).toContain('Invalid API key');
+    expect(server.requestsTo('/openai')).toHaveLength(1);
+  });
+
+  test('stops at the default provider when fallback is off', async () => {
+    server.respond('/openai', 401, { error: { message: 'Invalid API key' } });
+
+    await expect(createChain({ fallbackEnabled: false }).generate(PROMPT, { count: 3 }))
+      .rejects.toThrow('All AI providers failed');
+    expect(server.requestsTo('/gemini')).toHaveLength(0);
+  });
+
+  test('reports every attempt when all providers fail', async () => {
+    server
+      .respond('/openai', 401, { error: { message: 'Invalid API key' } })
+      .respond('/gemini', 403, { error: { message: 'Permission denied' } });
+
+    const error = await createChain().generate(PROMPT, { count: 3 }).catch(caught => caught);
+    expect(error.message).toContain('Invalid API key');
+    expect(error.message).toContain('Permission denied');
+    expect(error.attempts.map(attempt => attempt.provider)).toEqual(['openai', 'gemini']);
+  });
+
+  test('builds the prompt for each provider tried', async () => {
+    server
+      .respond('/openai', 401, { error: { message: 'Invalid API key' } })
+      .respond('/gemini', 200, GEMINI_REPLY);
+
+    const build = jest.fn(provider => ({ ...PROMPT, text: `for ${provider.name}` }));
+    await createChain().generate(build, { count: 3 });
+    expect(build.mock.calls.map(([provider]) => provider.name)).toEqual(['openai', 'gemini']);
+    expect(server.requestsTo('/gemini')[0].body.contents[0].parts[0].text).toBe('for gemini');
+  });
+});
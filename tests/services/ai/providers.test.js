@@ -0,0 +1,108 @@
+const { MockServer } = require('../../helpers/mockServer');
+const { createProvider } = require('../../../src/services/ai/providers');
+const { ProviderError } = require('../../../src/services/ai/providers/baseProvider');
+
+const PROMPT = {
+  system: 'Suggest short replies.',
+  messages: [{ role: 'user', content: 'Are we still on for tonight?' }],
+  text: 'Suggest short replies to: Are we still on for tonight?'
+};
+
+// How each vendor is called and how it answers
+const ADAPTERS = [
+  {
+    name: 'openai',
+    path: '/openai',
+    apiUrl: server => `${server.url}/openai/v1/chat/completions`,
+    model: 'gpt-test',
+    reply: { choices: [{ message: { content: '1. Yes, see you at 8\n2. "Running late!"' } }] },
+    checkRequest: request => {
+      expect(request.headers.authorization).toBe('Bearer test-key');
+      expect(request.body.model).toBe('gpt-test');
+      expect(request.body.messages[0]).toEqual({ role: 'system', content: PROMPT.system });
+      expect(request.body.messages[1]).toEqual(PROMPT.messages[0]);
+    }
+  },
+  {
+    name: 'gemini',
+    path: '/gemini',
+    apiUrl: server => `${server.url}/gemini/v1beta/models`,
+    model: 'gemini-test',
+    reply: { candidates: [{ content: { parts: [{ text: '- Yes, see you at 8\n- Running late!' }] } }] },
+    checkRequest: request => {
+      expect(request.url).toBe('/gemini/v1beta/models/gemini-test:generateContent');
+      expect(request.headers['x-goog-api-key']).toBe('test-key');
+      expect(request.body.contents[0].parts[0].text).toBe(PROMPT.text);
+    }
+  },
+  {
+    name: 'huggingface',
+    path: '/huggingface',
+    apiUrl: server => `${server.url}/huggingface/models`,
+    model: 'org/model-test',
+    reply: [{ generated_text: 'Yes, see you at 8' }, { generated_text: 'Running late!' }],
+    checkRequest: request => {
+      expect(request.url).toBe('/huggingface/models/org/model-test');
+      expect(request.headers.authorization).toBe('Bearer test-key');
+      expect(request.body.inputs).toBe(PROMPT.text);
+    }
+  }
+];
+
+describe.each(ADAPTERS)('$name adapter', adapter => {
+  const server = new MockServer();
+  let provider;
+
+  beforeAll(() => server.start());
+  afterAll(() => server.stop());
+
+  beforeEach(() => {
+    server.reset();
+    provider = createProvider(adapter.name, {
+      apiKey: 'test-key',
+      apiUrl: adapter.apiUrl(server),
+      model: adapter.model,
+      temperature: 0.7,
+      maxTokens: 50,
+      timeoutMs: 2000
+    });
+  });
+
+  test('returns the suggestions from a successful response', async () => {
+    server.respond(adapter.path, 200, adapter.reply);
+
+    await expect(provider.generate(PROMPT, { count: 3 })).resolves.toEqual(['Yes, see you at 8', 'Running late!']);
+    expect(server.requests).toHaveLength(1);
+    adapter.checkRequest(server.requests[0]);
+  });
+
+  test('reports a rate limit with the Retry-After delay', async () => {
+    server.respond(adapter.path, 429, { error: { message: 'Too many requests' } }, { 'Retry-After': '7' });
+
+    const error = await provider.generate(PROMPT, { count: 3 }).catch(caught => caught);
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error).toMatchObject({ provider: adapter.name, status: 429, retryAfterMs: 7000, retryable: true });
+  });
+
+  test('marks server errors as retryable', async () => {
+    server.respond(adapter.path, 503, { error: { message: 'Overloaded' } });
+
+    const error = await provider.generate(PROMPT, { count: 3 }).catch(caught => caught);
+    expect(error).toMatchObject({ status: 503, retryable: true });
+    expect(error.message).toContain('Overloaded');
+  });
+
+  test('does not retry an authentication failure', async () => {
+    server.respond(adapter.path, 401, { error: { message: 'Invalid API key' } });
+
+    const error = await provider.generate(PROMPT, { count: 3 }).catch(caught => caught);
+    expect(error).toMatchObject({ status: 401, retryable: false });
+    expect(error.message).toContain('Invalid API key');
+  });
+
+  test('fails on an empty response', async () => {
+    server.respond(adapter.path, 200, adapter.name === 'huggingface' ? [] : {});
+
+    await expect(provider.generate(PROMPT, { count: 3 })).rejects.toThrow('empty response');
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('electron-log');
+
+const { RequestScheduler } = require('../../../src/services/ai/requestScheduler');
+
+// A task that finishes when the test says so
+function deferredTask() {
+  const task = jest.fn(signal => new Promise((resolve, reject) => {
+    task.resolve = resolve;
+    task.reject = reject;
+    task.signal = signal;
+  }));
+  return task;
+}
+
+describe('RequestScheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new RequestScheduler({ retryAttempts: 2, retryDelayMs: 1 });
+  });
+
+  afterEach(() => {
+    scheduler.destroy();
+  });
+
+  test('rejects a request whose signal is already aborted without queueing it', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const task = jest.fn();
+
+    await expect(scheduler.schedule('openai', task, { request: 'same', signal: controller.signal }))
+      .rejects.toMatchObject({ cancelled: true });
+    expect(task).not.toHaveBeenCalled();
+    expect(scheduler.inFlight.size).toBe(0);
+
+    // The same request afterwards gets a call of its own
+    const later = scheduler.schedule('openai', () => Promise.resolve(['hi']), { request: 'same' });
+    await expect(later).resolves.toEqual(['hi']);
+  });
+
+  test('shares one call between identical requests', async () => {
+    const task = deferredTask();
+    const first = scheduler.schedule('openai', task, { request: 'same' });
+    const second = scheduler.schedule('openai', task, { request: 'same' });
+
+    task.resolve(['hello']);
+    await expect(first).resolves.toEqual(['hello']);
+    await expect(second).resolves.toEqual(['hello']);
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(scheduler.status().totals.coalesced).toBe(1);
+  });
+
+  test('cancelling one caller of a shared call leaves the other waiting', async () => {
+    const task = deferredTask();
+    const controller = new AbortController();
+    const first = scheduler.schedule('openai', task, { request: 'same', group: 'a', signal: controller.signal });
+    const second = scheduler.schedule('openai', task, { request: 'same', group: 'b' });
+
+    controller.abort();
+    await expect(first).rejects.toMatchObject({ cancelled: true });
+    expect(task.signal.aborted).toBe(false);
+
+    task.resolve(['still here']);
+    await expect(second).resolves.toEqual(['still here']);
+  });
+
+  test('a newer request in a group cancels only that group', async () => {
+    const task = deferredTask();
+    const first = scheduler.schedule('openai', task, { request: 'same', group: 'a' });
+    const other = scheduler.schedule('openai', task, { request: 'same', group: 'b' });
+    const newer = scheduler.schedule('openai', () => Promise.resolve(['newer']), { request: 'other', group: 'a' });
+
+    await expect(first).rejects.toMatchObject({ cancelled: true });
+    await expect(newer).resolves.toEqual(['newer']);
+    task.resolve(['shared']);
+    await expect(other).resolves.toEqual(['shared']);
+  });
+
+  test('aborts the call once every caller has cancelled', async () => {
+    const task = deferredTask();
+    const request = scheduler.schedule('openai', task, { group: 'a' });
+
+    scheduler.cancelGroup('a');
+    await expect(request).rejects.toMatchObject({ cancelled: true });
+    expect(task.signal.aborted).toBe(true);
+    expect(scheduler.waiters()).toHaveLength(0);
+  });
+});
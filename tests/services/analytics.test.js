@@ -0,0 +1,77 @@
+jest.mock('electron-log');
+
+const { DataStore } = require('../../src/services/dataStore');
+const { AnalyticsEngine } = require('../../src/services/analytics');
+
+describe('AnalyticsEngine', () => {
+  let dataStore;
+  let analytics;
+  let conversation;
+
+  beforeEach(() => {
+    dataStore = new DataStore();
+    analytics = new AnalyticsEngine({ dataStore });
+    conversation = dataStore.upsertConversation({ platform: 'telegram', externalId: 'ana', name: 'Ana' });
+  });
+
+  afterEach(() => {
+    analytics.dispose();
+  });
+
+  function daysAgo(days) {
+    const date = new Date();
+    date.setHours(12, 0, 0, 0);
+    date.setDate(date.getDate() - days);
+    return date.toISOString();
+  }
+
+  function volume(days) {
+    return analytics.getAnalytics(days).messageVolume.map(day => day.messages);
+  }
+
+  test('patches only the days a bulk insert touched', () => {
+    dataStore.addMessage({ conversationId: conversation.id, text: 'hi', timestamp: daysAgo(2) });
+    expect(volume(3)).toEqual([1, 0, 0]);
+
+    const rebuild = jest.spyOn(analytics, 'rebuild');
+    const rebuildDay = jest.spyOn(analytics, 'rebuildDay');
+    dataStore.addMessages([
+      { conversationId: conversation.id, text: 'yesterday', timestamp: daysAgo(1) },
+      { conversationId: conversation.id, text: 'today', direction: 'outgoing', timestamp: daysAgo(0) }
+    ]);
+
+    expect(volume(3)).toEqual([1, 1, 1]);
+    expect(rebuild).not.toHaveBeenCalled();
+    expect(rebuildDay).toHaveBeenCalledTimes(2);
+  });
+
+  test('picks up analyzer tags written in bulk', () => {
+    const [first, second] = dataStore.addMessages([
+      { conversationId: conversation.id, text: 'great news', timestamp: daysAgo(1) },
+      { conversationId: conversation.id, text: 'so sad', timestamp: daysAgo(0) }
+    ]);
+    analytics.getAnalytics(7);
+
+    const rebuild = jest.spyOn(analytics, 'rebuild');
+    dataStore.setMessageAnalysis([
+      { id: first.id, analysis: { sentiment: { label: 'positive' } } },
+      { id: second.id, analysis: { sentiment: { label: 'negative' } } }
+    ]);
+
+    expect(analytics.getAnalytics(7).messageAnalysis.sentiments).toEqual([
+      { label: 'positive', messages: 1 },
+      { label: 'neutral', messages: 0 },
+      { label: 'negative', messages: 1 }
+    ]);
+    expect(rebuild).not.toHaveBeenCalled();
+  });
+
+  test('rebuilds everything after a purge', () => {
+    dataStore.addMessage({ conversationId: conversation.id, text: 'old', timestamp: daysAgo(2) });
+    expect(volume(3)).toEqual([1, 0, 0]);
+
+    dataStore.purgeBefore(daysAgo(1));
+
+    expect(volume(3)).toEqual([0, 0, 0]);
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('electron-log');
+
+const { Anonymizer, defaultRedactionSettings, RULE_KEYS } = require('../../src/services/anonymizer');
+const { Config } = require('../../src/services/config');
+
+const CONTEXT = {
+  contact: 'Anna Schmidt',
+  messages: [
+    { sender: 'Anna Schmidt', direction: 'incoming', text: 'Write to anna@example.com or call +49 151 23456789' },
+    { sender: 'me', direction: 'outgoing', text: 'Sure Anna, I will copy bob@example.com and anna@example.com' }
+  ]
+};
+
+describe('Anonymizer.anonymize', () => {
+  test('numbers placeholders per type and reuses them for the same value', () => {
+    const { context, mapping } = new Anonymizer().anonymize(CONTEXT);
+
+    expect(context.contact).toBe('<PERSON_1>');
+    expect(context.messages.map(message => message.sender)).toEqual(['<PERSON_1>', 'me']);
+    expect(context.messages.map(message => message.text)).toEqual([
+      'Write to <EMAIL_1> or call <PHONE_1>',
+      'Sure <PERSON_2>, I will copy <EMAIL_2> and <EMAIL_1>'
+    ]);
+    expect(mapping).toEqual({
+      '<PERSON_1>': 'Anna Schmidt',
+      '<EMAIL_1>': 'anna@example.com',
+      '<PHONE_1>': '+49 151 23456789',
+      '<PERSON_2>': 'Anna',
+      '<EMAIL_2>': 'bob@example.com'
+    });
+  });
+
+  test('lists every redaction once with the rule behind it', () => {
+    const { redactions } = new Anonymizer().anonymize(CONTEXT);
+
+    expect(redactions.map(redaction => [redaction.placeholder, redaction.rule])).toEqual([
+      ['<PERSON_1>', 'name'],
+      ['<EMAIL_1>', 'email'],
+      ['<PHONE_1>', 'phone'],
+      ['<EMAIL_2>', 'email'],
+      ['<PERSON_2>', 'name']
+    ]);
+    expect(Anonymizer.summarize(redactions)).toEqual({ PERSON: 2, EMAIL: 2, PHONE: 1 });
+  });
+
+  test('hides names people introduce in the text', () => {
+    const { context } = new Anonymizer().anonymize({
+      messages: [{ sender: 'me', direction: 'outgoing', text: 'Please ask Carla Diaz, Carla knows the way' }]
+    });
+
+    expect(context.messages[0].text).toBe('Please ask <PERSON_1>, <PERSON_2> knows the way');
+  });
+
+  test('leaves the input alone when the original is needed back', () => {
+    const copy = JSON.parse(JSON.stringify(CONTEXT));
+    new Anonymizer().anonymize(CONTEXT);
+
+    expect(CONTEXT).toEqual(copy);
+  });
+
+  test('hides valid card numbers and IBANs only', () => {
+    const { context } = new Anonymizer().anonymize({
+      messages: [{
+        direction: 'incoming',
+        text: 'Card 4111 1111 1111 1111, not 4111 1111 1111 1112; IBAN DE89 3704 0044 0532 0130 00, not DE00 3704 0044 0532 0130 00'
+      }]
+    });
+
+    expect(context.messages[0].text).toBe('Card <CARD_1>, not 4111 1111 1111 1112; IBAN <IBAN_1>, not DE00 3704 0044 0532 0130 00');
+  });
+
+  test('does not take dates for phone numbers', () => {
+    const { context } = new Anonymizer().anonymize({ messages: [{ direction: 'incoming', text: 'Due 2024-03-05, call 030 1234567' }] });
+
+    expect(context.messages[0].text).toBe('Due 2024-03-05, call <PHONE_1>');
+  });
+
+  test('hides street addresses and links', () => {
+    const { context } = new Anonymizer().anonymize({
+      messages: [{ direction: 'incoming', text: 'Come to 42 Baker Street or Hauptstraße 5, map at https://maps.example.com/x?q=1.' }]
+    });
+
+    expect(context.messages[0].text).toBe('Come to <ADDRESS_1> or <ADDRESS_2>, map at <URL_1>.');
+  });
+});
+
+describe('redaction settings', () => {
+  test('pass everything through when turned off', () => {
+    const result = new Anonymizer({ enabled: false }).anonymize(CONTEXT);
+
+    expect(result.context).toBe(CONTEXT);
+    expect(result.redactions).toEqual([]);
+  });
+
+  test('skip the rules that are switched off', () => {
+    const { context, redactions } = new Anonymizer({ rules: { email: false, name: false } }).anonymize(CONTEXT);
+
+    expect(context.contact).toBe('Anna Schmidt');
+    expect(context.messages[0]).toMatchObject({ sender: 'Anna Schmidt', text: 'Write to anna@example.com or call <PHONE_1>' });
+    expect(redactions.map(redaction => redaction.type)).toEqual(['PHONE']);
+  });
+
+  test('hide custom terms and patterns, ignoring patterns that do not compile', () => {
+    const anonymizer = new Anonymizer({ customTerms: [' Project Falcon ', ''], customPatterns: ['ticket-\\d+', '('] });
+    const { context, mapping } = anonymizer.anonymize({
+      messages: [{ direction: 'incoming', text: 'project falcon slips, see TICKET-42 and ticket-42' }]
+    });
+
+    expect(context.messages[0].text).toBe('<CUSTOM_1> slips, see <CUSTOM_2> and <CUSTOM_2>');
+    expect(mapping).toEqual({ '<CUSTOM_1>': 'project falcon', '<CUSTOM_2>': 'TICKET-42' });
+  });
+
+  test('default to config.env, with contact names behind their own switch', () => {
+    const settings = defaultRedactionSettings(new Config({ ENABLE_CONTACT_ANONYMIZATION: 'false' }));
+
+    expect(settings.enabled).toBe(true);
+    expect(Object.keys(settings.rules)).toEqual(RULE_KEYS);
+    expect(settings.rules).toMatchObject({ email: true, phone: true, name: false });
+    expect(defaultRedactionSettings(new Config({ ENABLE_MESSAGE_SANITIZATION: 'false' })).enabled).toBe(false);
+  });
+});
+
+describe('Anonymizer.restore', () => {
+  const mapping = { '<PERSON_1>': 'Anna', '<PERSON_12>': 'Ben', '<EMAIL_1>': 'anna@example.com' };
+
+  test('puts values back wherever the model moved the placeholders', () => {
+    expect(Anonymizer.restore('Mail <EMAIL_1>, <PERSON_12> and <PERSON_1>!', mapping)).toBe('Mail anna@example.com, Ben and Anna!');
+  });
+
+  test('accepts placeholders without angle brackets', () => {
+    expect(Anonymizer.restore('Thanks PERSON_1, ask PERSON_12', mapping)).toBe('Thanks Anna, ask Ben');
+  });
+
+  test('leaves placeholders it has no value for', () => {
+    expect(Anonymizer.restore('Call <PHONE_1> or PERSON_2', mapping)).toBe('Call <PHONE_1> or PERSON_2');
+  });
+
+  test('round-trips an anonymized context', () => {
+    const { context, mapping: values } = new Anonymizer().anonymize(CONTEXT);
+
+    expect(context.messages.map(message => Anonymizer.restore(message.text, values)))
+      .toEqual(CONTEXT.messages.map(message => message.text));
+  });
+});
@@ -0,0 +1,145 @@
+jest.mock('electron-log');
+
+const { DataStore } = require('../../src/services/dataStore');
+const { ContactDirectory, nameSimilarity, phoneDigits } = require('../../src/services/contacts');
+
+describe('ContactDirectory', () => {
+  let dataStore;
+  let contacts;
+
+  beforeEach(() => {
+    dataStore = new DataStore();
+    contacts = new ContactDirectory({ dataStore });
+  });
+
+  afterEach(() => {
+    contacts.dispose();
+  });
+
+  function addConversation(platform, externalId, name) {
+    return dataStore.upsertConversation({ platform, externalId, name });
+  }
+
+  function contactOf(conversation) {
+    return dataStore.getConversation(conversation.id).contactId;
+  }
+
+  test('gives every new conversation a contact of its own', () => {
+    const whatsapp = addConversation('whatsapp', '4915112345678@c.us', 'Anna');
+    const telegram = addConversation('telegram', 'anna_s', 'Anna Schmidt');
+
+    expect(contactOf(whatsapp)).toEqual(expect.any(String));
+    expect(contactOf(whatsapp)).not.toBe(contactOf(telegram));
+    expect(dataStore.getContact(contactOf(whatsapp)).phones).toEqual(['4915112345678']);
+  });
+
+  describe('merge', () => {
+    test('moves the conversations to the target and removes the source', () => {
+      const whatsapp = addConversation('whatsapp', '4915112345678@c.us', 'Anna');
+      const telegram = addConversation('telegram', 'anna_s', 'Anna Schmidt');
+      const targetId = contactOf(whatsapp);
+      const sourceId = contactOf(telegram);
+
+      const merged = contacts.merge(targetId, sourceId);
+
+      expect(merged.name).toBe('Anna');
+      expect(merged.conversations.map(conversation => conversation.id).sort()).toEqual([whatsapp.id, telegram.id].sort());
+      expect(dataStore.getContact(sourceId)).toBeNull();
+    });
+
+    test('keeps local-only privacy from either side', () => {
+      const first = addConversation('whatsapp', 'anna', 'Anna');
+      const second = addConversation('telegram', 'anna_s', 'Anna S');
+      contacts.update(contactOf(first), { privacy: { ai: 'cloud' } });
+      contacts.update(contactOf(second), { privacy: { ai: 'local' } });
+
+      expect(contacts.merge(contactOf(first), contactOf(second)).privacy.ai).toBe('local');
+    });
+
+    test('takes the source profile when the target has none', () => {
+      const first = addConversation('whatsapp', 'anna', 'Anna');
+      const second = addConversation('telegram', 'anna_s', 'Anna S');
+      contacts.update(contactOf(second), { profileId: 'friends' });
+
+      expect(contacts.merge(contactOf(first), contactOf(second))).toMatchObject({ profileId: 'friends', privacy: { ai: 'cloud' } });
+    });
+
+    test('refuses to merge a contact with itself', () => {
+      const conversation = addConversation('whatsapp', 'anna', 'Anna');
+
+      expect(() => contacts.merge(contactOf(conversation), contactOf(conversation))).toThrow('merged with itself');
+    });
+  });
+
+  describe('split', () => {
+    let whatsapp;
+    let telegram;
+    let previousId;
+
+    beforeEach(() => {
+      whatsapp = addConversation('whatsapp', 'anna', 'Anna');
+      telegram = addConversation('telegram', 'anna_s', 'Anna S');
+      previousId = contactOf(whatsapp);
+      contacts.merge(previousId, contactOf(telegram));
+      contacts.update(previousId, { profileId: 'family', privacy: { ai: 'local' } });
+    });
+
+    test('gives the conversation a new contact marked as someone else', () => {
+      const split = contacts.split(telegram.id);
+
+      expect(split.id).not.toBe(previousId);
+      expect(split.conversations.map(conversation => conversation.id)).toEqual([telegram.id]);
+      expect(split.distinct).toEqual([previousId]);
+      expect(dataStore.getContact(previousId).distinct).toEqual([split.id]);
+      expect(contacts.suggestions()).toHaveLength(0);
+    });
+
+    test('keeps the reply profile and privacy choices', () => {
+      expect(contacts.split(telegram.id)).toMatchObject({ profileId: 'family', privacy: { ai: 'local' } });
+    });
+
+    test('refuses to split a contact\'s only conversation', () => {
+      contacts.split(telegram.id);
+
+      expect(() => contacts.split(telegram.id)).toThrow('only conversation');
+    });
+  });
+});
+
+describe('nameSimilarity', () => {
+  test('ignores case, accents and punctuation', () => {
+    expect(nameSimilarity('José Núñez', 'jose nunez!')).toBe(1);
+  });
+
+  test('counts a name that starts the other as very similar', () => {
+    expect(nameSimilarity('Anna', 'Anna Schmidt')).toBe(0.9);
+    expect(nameSimilarity('Schmidt', 'Anna Schmidt')).toBeLessThan(0.85);
+  });
+
+  test('scores small typos high and different names low', () => {
+    expect(nameSimilarity('Katharina', 'Katherina')).toBeGreaterThan(0.7);
+    expect(nameSimilarity('Anna', 'Ben')).toBe(0);
+  });
+
+  test('returns 0 for a missing name', () => {
+    expect(nameSimilarity('', 'Anna')).toBe(0);
+    expect(nameSimilarity(null, undefined)).toBe(0);
+  });
+});
+
+describe('phoneDigits', () => {
+  test('keeps the digits of a formatted number', () => {
+    expect(phoneDigits('+49 (151) 123-45678')).toBe('4915112345678');
+  });
+
+  test('reads WhatsApp chat ids', () => {
+    expect(phoneDigits('4915112345678@c.us')).toBe('4915112345678');
+  });
+
+  test('rejects names and numbers of the wrong length', () => {
+    expect(phoneDigits('Anna')).toBeNull();
+    expect(phoneDigits('112')).toBeNull();
+    expect(phoneDigits('1234567890123456')).toBeNull();
+    expect(phoneDigits(null)).toBeNull();
+  });
+});
@@ -0,0 +1,126 @@
+jest.mock('electron-log');
+
+const { DataStore, messageTime } = require('../../src/services/dataStore');
+
+describe('DataStore messages', () => {
+  let dataStore;
+  let conversation;
+
+  beforeEach(() => {
+    dataStore = new DataStore();
+    conversation = dataStore.upsertConversation({ platform: 'telegram', externalId: 'ana', name: 'Ana' });
+  });
+
+  test('keeps an unknown timestamp as null', () => {
+    const message = dataStore.addMessage({ conversationId: conversation.id, text: 'ok', timestamp: null });
+
+    expect(message.timestamp).toBeNull();
+    expect(messageTime(message)).toBe(Date.parse(message.createdAt));
+    expect(dataStore.getConversation(conversation.id).lastMessageAt).toBe(message.createdAt);
+  });
+
+  test('places messages without a timestamp by when they were stored', () => {
+    const older = dataStore.addMessage({ conversationId: conversation.id, text: 'yesterday', timestamp: '2026-01-01T10:00:00.000Z' });
+    const unknown = dataStore.addMessage({ conversationId: conversation.id, text: 'just now', timestamp: null });
+
+    expect(dataStore.queryMessages({ conversationId: conversation.id }).map(message => message.id)).toEqual([older.id, unknown.id]);
+    expect(dataStore.getMessages(conversation.id, { beforeId: unknown.id }).messages.map(message => message.id)).toEqual([older.id]);
+  });
+
+  test('still stamps a message that leaves the timestamp out', () => {
+    const message = dataStore.addMessage({ conversationId: conversation.id, text: 'hi' });
+
+    expect(message.timestamp).toEqual(expect.any(String));
+  });
+});
+
+describe('DataStore.upsertConversation', () => {
+  let dataStore;
+  let conversation;
+
+  beforeEach(() => {
+    dataStore = new DataStore();
+    conversation = dataStore.upsertConversation({ platform: 'telegram', externalId: 'ana', name: 'Ana', messageCount: 5, unreadCount: 3 });
+    dataStore.addMessage({ conversationId: conversation.id, text: 'hi', timestamp: '2026-01-01T10:00:00.000Z' });
+  });
+
+  test('keeps its own counters when creating a conversation', () => {
+    expect(conversation).toMatchObject({ messageCount: 1, unreadCount: 1 });
+  });
+
+  test('keeps its own counters and contact link on update', () => {
+    const updated = dataStore.upsertConversation({
+      platform: 'telegram',
+      externalId: 'ana',
+      name: 'Ana K',
+      messageCount: 0,
+      unreadCount: 0,
+      lastMessageAt: null,
+      lastDirection: 'outgoing',
+      contactId: 'someone-else'
+    });
+
+    expect(updated).toBe(conversation);
+    expect(updated).toMatchObject({
+      name: 'Ana K',
+      messageCount: 1,
+      unreadCount: 1,
+      lastMessageAt: '2026-01-01T10:00:00.000Z',
+      lastDirection: 'incoming'
+    });
+    expect(updated.contactId).toBeUndefined();
+  });
+
+  test('finds a conversation under its new chat id only', () => {
+    dataStore.upsertConversation({ id: conversation.id, platform: 'telegram', externalId: 'ana_k' });
+
+    expect(dataStore.findConversation('telegram', 'ana')).toBeNull();
+    expect(dataStore.findConversation('telegram', 'ana_k')).toBe(conversation);
+
+    const other = dataStore.upsertConversation({ platform: 'telegram', externalId: 'ana', name: 'New Ana' });
+    expect(other.id).not.toBe(conversation.id);
+  });
+
+  test('refuses a chat id another conversation has', () => {
+    dataStore.upsertConversation({ platform: 'telegram', externalId: 'ben', name: 'Ben' });
+
+    expect(() => dataStore.upsertConversation({ id: conversation.id, platform: 'telegram', externalId: 'ben' })).toThrow('already has the chat id ben');
+    expect(dataStore.findConversation('telegram', 'ana')).toBe(conversation);
+  });
+});
+
+describe('DataStore.purgeBefore', () => {
+  let dataStore;
+
+  beforeEach(() => {
+    dataStore = new DataStore();
+  });
+
+  function addConversation(data, timestamps) {
+    const conversation = dataStore.upsertConversation(data);
+    timestamps.forEach(timestamp => dataStore.addMessage({ conversationId: conversation.id, text: timestamp, timestamp }));
+    return conversation;
+  }
+
+  test('removes old messages and conversations left empty', () => {
+    const live = addConversation({ platform: 'whatsapp', externalId: 'ana', name: 'Ana' }, ['2020-01-01T00:00:00.000Z', '2026-06-01T00:00:00.000Z']);
+    const old = addConversation({ platform: 'telegram', externalId: 'ben', name: 'Ben' }, ['2020-01-01T00:00:00.000Z']);
+
+    const counts = dataStore.purgeBefore('2026-01-01T00:00:00.000Z');
+
+    expect(counts).toMatchObject({ messages: 2, conversations: 1 });
+    expect(dataStore.getConversation(old.id)).toBeNull();
+    expect(dataStore.queryMessages({ conversationId: live.id }).map(message => message.text)).toEqual(['2026-06-01T00:00:00.000Z']);
+  });
+
+  test('can leave imported history alone', () => {
+    const imported = addConversation({ platform: 'whatsapp', externalId: 'export:ana', name: 'Ana', source: 'import' }, ['2020-01-01T00:00:00.000Z']);
+    const suggestion = dataStore.addSuggestion({ conversationId: imported.id, candidates: ['Sounds good'], createdAt: '2020-01-01T00:00:00.000Z' });
+
+    expect(dataStore.purgeBefore('2026-01-01T00:00:00.000Z', { keepImported: true })).toMatchObject({ messages: 0, suggestions: 0 });
+    expect(dataStore.queryMessages({ conversationId: imported.id })).toHaveLength(1);
+    expect(dataStore.getSuggestion(suggestion.id)).not.toBeNull();
+
+    expect(dataStore.purgeBefore('2026-01-01T00:00:00.000Z')).toMatchObject({ messages: 1, conversations: 1 });
+  });
+});
@@ -0,0 +1,210 @@
+jest.mock('electron-log');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataStore } = require('../../src/services/dataStore');
+const { DataTransfer, ImportError, validateExport } = require('../../src/services/dataTransfer');
+
+function createTransfer(dataStore, settings = { theme: 'dark' }) {
+  return new DataTransfer({
+    dataStore,
+    getAnalytics: () => ({ messageVolume: [] }),
+    getSettings: () => settings,
+    applySettings: jest.fn(),
+    appVersion: '1.0.0'
+  });
+}
+
+// A store with one analysed conversation, a rated suggestion and an event
+function populate(dataStore) {
+  const conversation = dataStore.upsertConversation({ platform: 'telegram', externalId: 'ana', name: 'Ana' });
+  const message = dataStore.addMessage({ conversationId: conversation.id, externalId: 'm1', text: 'Lunch tomorrow?', timestamp: '2026-03-01T12:00:00.000Z' });
+  dataStore.setMessageAnalysis([{ id: message.id, analysis: { sentiment: { label: 'positive', score: 0.8 }, intent: 'question', topics: ['food'] } }]);
+  const suggestion = dataStore.addSuggestion({ conversationId: conversation.id, messageId: message.id, candidates: ['Sure!', 'Can\'t, sorry'] });
+  dataStore.updateSuggestion(suggestion.id, { status: 'edited', rank: 1, sentText: 'Sure, 1pm?', respondedAt: '2026-03-01T12:01:00.000Z' });
+  return { conversation, message, suggestion };
+}
+
+describe('DataTransfer', () => {
+  let dir;
+  let source;
+  let transfer;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatsy-transfer-'));
+    source = new DataStore();
+    transfer = createTransfer(source);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function exportTo(format, options) {
+    const target = format === 'csv' ? dir : path.join(dir, `export.${format}`);
+    return transfer.export(format, target, options).path;
+  }
+
+  describe('merge import', () => {
+    test('keeps message analysis, suggestion outcomes and events', () => {
+      const { message, suggestion } = populate(source);
+      const filePath = exportTo('json');
+
+      const target = new DataStore();
+      const report = createTransfer(target).import(filePath, { mode: 'merge' });
+
+      expect(report).toMatchObject({
+        conversations: { added: 1 },
+        messages: { added: 1, duplicates: 0 },
+        suggestions: { added: 1, duplicates: 0 },
+        events: { added: source.events.length }
+      });
+      expect(target.getMessage(message.id).analysis).toEqual(message.analysis);
+      expect(target.getSuggestion(suggestion.id)).toEqual(suggestion);
+      expect(target.listEvents({ limit: 100 }).map(event => event.id)).toEqual(expect.arrayContaining(source.events.map(event => event.id)));
+
+      const conversation = target.findConversation('telegram', 'ana');
+      expect(conversation).toMatchObject({ messageCount: 1, lastMessage: 'Lunch tomorrow?', unreadCount: 0 });
+      expect(conversation.lastAnalysis.intent).toBe('question');
+    });
+
+    test('skips what is already there and reports differing records', () => {
+      const { message } = populate(source);
+      const filePath = exportTo('json');
+      message.text = 'Lunch on Friday?';
+
+      const report = transfer.import(filePath, { mode: 'merge' });
+
+      expect(report).toMatchObject({
+        conversations: { added: 0, updated: 1 },
+        messages: { added: 0 },
+        suggestions: { added: 0, duplicates: 1 },
+        events: { added: 0 }
+      });
+      expect(report.conflicts).toEqual([{ type: 'message', id: message.id, reason: 'Text differs; kept local' }]);
+      expect(source.messages.size).toBe(1);
+    });
+
+    test('adds messages of a chat that exists locally under another id', () => {
+      populate(source);
+      const filePath = exportTo('json');
+
+      const target = new DataStore();
+      const local = target.upsertConversation({ platform: 'telegram', externalId: 'ana', name: 'Ana' });
+      const report = createTransfer(target).import(filePath, { mode: 'merge' });
+
+      expect(report.conversations).toEqual({ added: 0, updated: 1 });
+      expect(target.queryMessages({ conversationId: local.id }).map(message => message.text)).toEqual(['Lunch tomorrow?']);
+      expect(target.listSuggestions()[0].conversationId).toBe(local.id);
+    });
+
+    test('applies the settings only when asked', () => {
+      populate(source);
+      const filePath = exportTo('json');
+      const target = createTransfer(new DataStore());
+
+      expect(target.import(filePath, { mode: 'merge' }).settingsApplied).toBe(false);
+      expect(target.import(filePath, { mode: 'merge', includeSettings: true }).settingsApplied).toBe(true);
+      expect(target.applySettings).toHaveBeenCalledWith({ theme: 'dark' });
+    });
+  });
+
+  describe('replace import', () => {
+    test('swaps the local data for the file', () => {
+      const { message, suggestion } = populate(source);
+      const filePath = exportTo('json');
+
+      const target = new DataStore();
+      const local = target.upsertConversation({ platform: 'whatsapp', externalId: 'ben', name: 'Ben' });
+      const report = createTransfer(target).import(filePath, { mode: 'replace' });
+
+      expect(report).toMatchObject({ mode: 'replace', conversations: { added: 1 }, messages: { added: 1 }, suggestions: { added: 1 } });
+      expect(target.getConversation(local.id)).toBeNull();
+      expect(target.getMessage(message.id)).toEqual(message);
+      expect(target.getSuggestion(suggestion.id)).toEqual(suggestion);
+    });
+  });
+
+  describe('encrypted archive', () => {
+    test('round-trips with the passphrase', () => {
+      const { message } = populate(source);
+      const filePath = exportTo('chatsy', { passphrase: 'correct horse' });
+
+      expect(fs.readFileSync(filePath, 'utf8')).not.toContain('Lunch tomorrow?');
+      const target = new DataStore();
+      createTransfer(target).import(filePath, { mode: 'merge', passphrase: 'correct horse' });
+      expect(target.getMessage(message.id).text).toBe('Lunch tomorrow?');
+    });
+
+    test('refuses a missing or wrong passphrase', () => {
+      populate(source);
+      const filePath = exportTo('chatsy', { passphrase: 'correct horse' });
+      const target = createTransfer(new DataStore());
+
+      expect(() => target.import(filePath, { mode: 'merge' })).toThrow('a passphrase is required');
+      expect(() => target.import(filePath, { mode: 'merge', passphrase: 'wrong' })).toThrow(ImportError);
+      expect(() => transfer.export('chatsy', path.join(dir, 'x.chatsy'))).toThrow('passphrase is required');
+    });
+  });
+
+  describe('CSV export', () => {
+    test('neutralises cells a spreadsheet would run as a formula', () => {
+      const conversation = source.upsertConversation({ platform: 'whatsapp', externalId: 'ana', name: 'Ana' });
+      source.addMessage({ conversationId: conversation.id, text: '=HYPERLINK("http://evil.example","x")', timestamp: '2026-03-01T12:00:00.000Z' });
+      source.addMessage({ conversationId: conversation.id, text: '-5 degrees', sender: '@ana', timestamp: '2026-03-01T12:01:00.000Z' });
+      source.addMessage({ conversationId: conversation.id, text: 'plain "quoted"', timestamp: '2026-03-01T12:02:00.000Z' });
+
+      const folder = exportTo('csv');
+      const [fileName] = fs.readdirSync(folder);
+      const lines = fs.readFileSync(path.join(folder, fileName), 'utf8').split('\r\n');
+
+      expect(lines[0]).toBe('\ufeff"timestamp","direction","sender","text"');
+      expect(lines[1]).toBe('"2026-03-01T12:00:00.000Z","incoming","Ana","\'=HYPERLINK(""http://evil.example"",""x"")"');
+      expect(lines[2]).toBe('"2026-03-01T12:01:00.000Z","incoming","\'@ana","\'-5 degrees"');
+      expect(lines[3]).toBe('"2026-03-01T12:02:00.000Z","incoming","Ana","plain ""quoted"""');
+    });
+  });
+});
+
+describe('validateExport', () => {
+  function payload(data) {
+    return { format: 'chatsy-export', version: 1, data: { conversations: [], messages: [], ...data } };
+  }
+
+  test('accepts a well-formed export', () => {
+    expect(validateExport(payload({
+      conversations: [{ id: 'c1', platform: 'telegram', name: 'Ana' }],
+      messages: [{ id: 'm1', conversationId: 'c1', text: 'hi', direction: 'incoming', timestamp: null }],
+      suggestions: [{ id: 's1', createdAt: '2026-03-01T12:00:00.000Z' }],
+      events: [{ id: 'e1', type: 'data-imported', timestamp: '2026-03-01T12:00:00.000Z' }]
+    }))).toEqual([]);
+  });
+
+  test('rejects other files and newer versions', () => {
+    expect(validateExport(null)).toEqual(['File is not a Chatsy export']);
+    expect(validateExport({ format: 'other' })).toEqual(['File is not a Chatsy export']);
+    expect(validateExport({ format: 'chatsy-export', version: 2 })).toEqual(['Unsupported export version: 2']);
+    expect(validateExport({ format: 'chatsy-export', version: 1, data: {} })).toEqual(['Export is missing conversations or messages']);
+  });
+
+  test('lists every broken record', () => {
+    expect(validateExport(payload({
+      conversations: [{ id: 'c1', platform: 'telegram' }, {}],
+      messages: [
+        { id: 'm1', conversationId: 'c2', text: 'hi', direction: 'incoming', timestamp: '2026-03-01T12:00:00.000Z' },
+        { id: 'm2', conversationId: 'c1', text: 'hi', direction: 'sideways', timestamp: 'yesterday' }
+      ],
+      suggestions: [{ id: 's1' }],
+      events: 'none'
+    }))).toEqual([
+      'Conversation c1 is missing its platform or name',
+      'Conversation 1 has no id',
+      'Message m1 belongs to an unknown conversation',
+      'Message m2 has an invalid text or timestamp',
+      'Message m2 has an invalid direction',
+      'Suggestion 0 has no id or an invalid date',
+      'Events must be a list'
+    ]);
+  });
+});
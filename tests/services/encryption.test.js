@@ -0,0 +1,64 @@
+jest.mock('electron-log');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KeyManager } = require('../../src/services/encryption');
+const { DataStore } = require('../../src/services/dataStore');
+
+describe('KeyManager.rotate', () => {
+  let dir;
+  let keyManager;
+  let dataStore;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatsy-keys-'));
+    keyManager = new KeyManager({ filePath: path.join(dir, 'keys.json') }).load();
+    dataStore = new DataStore({ filePath: path.join(dir, 'data.json'), keyManager, encrypted: true, saveDebounceMs: 0 });
+
+    const conversation = dataStore.upsertConversation({ platform: 'whatsapp', externalId: 'ana', name: 'Ana' });
+    dataStore.addMessage({ conversationId: conversation.id, text: 'See you at 8', timestamp: '2026-01-02T20:00:00.000Z' });
+    dataStore.flush();
+  });
+
+  afterEach(() => {
+    clearTimeout(dataStore.saveTimer);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // What a fresh start reads back from disk
+  function reopen() {
+    const keys = new KeyManager({ filePath: path.join(dir, 'keys.json') }).load();
+    return new DataStore({ filePath: path.join(dir, 'data.json'), keyManager: keys, encrypted: true }).load();
+  }
+
+  test('rewrites the data under new keys and drops the old ones', () => {
+    const oldKeyIds = Object.keys(keyManager.keyring.keys);
+
+    keyManager.rotate(undefined, [dataStore]);
+
+    const keyIds = Object.keys(keyManager.keyring.keys);
+    expect(keyIds).toHaveLength(oldKeyIds.length);
+    expect(keyIds.filter(keyId => oldKeyIds.includes(keyId))).toHaveLength(0);
+    expect(reopen().queryMessages({}).map(message => message.text)).toEqual(['See you at 8']);
+    expect(fs.readdirSync(dir).sort()).toEqual(['data.json', 'keys.json']);
+  });
+
+  test('keeps the old keyring and data when the rewrite fails', () => {
+    const keyring = fs.readFileSync(path.join(dir, 'keys.json'), 'utf8');
+    const failing = { stageRewrite: () => { throw new Error('Disk full'); } };
+
+    expect(() => keyManager.rotate(undefined, [dataStore, failing])).toThrow('Disk full');
+
+    expect(fs.readFileSync(path.join(dir, 'keys.json'), 'utf8')).toBe(keyring);
+    expect(reopen().queryMessages({}).map(message => message.text)).toEqual(['See you at 8']);
+    expect(fs.existsSync(path.join(dir, 'data.json.rotate'))).toBe(false);
+  });
+
+  test('old data stays readable if the new keyring is saved but the data is not replaced', () => {
+    const stalled = { stageRewrite: () => ({ commit: () => { throw new Error('Crashed'); }, discard: () => {} }) };
+
+    expect(() => keyManager.rotate(undefined, [stalled])).toThrow('Crashed');
+    expect(reopen().queryMessages({}).map(message => message.text)).toEqual(['See you at 8']);
+  });
+});
@@ -0,0 +1,23 @@
+const { parseInstagramThread } = require('../../../src/services/importers/instagram');
+
+describe('parseInstagramThread', () => {
+  test('skips messages without a valid time and says so', () => {
+    const { chats, warnings } = parseInstagramThread({
+      title: 'cara.k',
+      participants: [{ name: 'cara.k' }, { name: 'me' }],
+      messages: [
+        { sender_name: 'cara.k', timestamp_ms: 1706985000000, content: 'did you see the photos?' },
+        { sender_name: 'me', content: 'no time' },
+        { sender_name: 'me', timestamp_ms: 'later', content: 'bad time' }
+      ]
+    });
+
+    expect(chats[0].messages).toEqual([
+      expect.objectContaining({ text: 'did you see the photos?', timestamp: '2024-02-03T18:30:00.000Z' })
+    ]);
+    expect(warnings).toEqual([
+      'Skipped a message from me in cara.k: no valid date',
+      'Skipped a message from me in cara.k: no valid date'
+    ]);
+  });
+});
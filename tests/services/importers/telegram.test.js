@@ -0,0 +1,36 @@
+const { parseTelegramExport } = require('../../../src/services/importers/telegram');
+
+function chatExport(messages) {
+  return { name: 'Hiking club', type: 'private_group', id: 777, messages };
+}
+
+describe('parseTelegramExport', () => {
+  test('reads the unix time, falling back to the local date of older exports', () => {
+    const { chats, warnings } = parseTelegramExport(chatExport([
+      { id: 1, type: 'message', date: '2024-01-01T11:00:00', date_unixtime: '1704103200', from: 'Ben', text: 'Trail opens at 9' },
+      { id: 2, type: 'message', date: '2024-01-01T11:05:00', from: 'Ben', text: 'Bring water' }
+    ]));
+
+    expect(chats[0].messages.map(message => message.timestamp)).toEqual([
+      '2024-01-01T10:00:00.000Z',
+      new Date(2024, 0, 1, 11, 5).toISOString()
+    ]);
+    expect(warnings).toEqual([]);
+  });
+
+  test('skips messages with a missing or malformed date and says so', () => {
+    const { chats, warnings } = parseTelegramExport(chatExport([
+      { id: 1, type: 'message', from: 'Ben', text: 'No date at all' },
+      { id: 2, type: 'message', date: 'yesterday', from: 'Ben', text: 'Bad date' },
+      { id: 3, type: 'message', date_unixtime: 'soon', from: 'Ben', text: 'Bad unix time' },
+      { id: 4, type: 'message', date_unixtime: '1704103200', from: 'Ben', text: 'Fine' }
+    ]));
+
+    expect(chats[0].messages.map(message => message.text)).toEqual(['Fine']);
+    expect(warnings).toEqual([
+      'Skipped message 1 in Hiking club: no valid date',
+      'Skipped message 2 in Hiking club: no valid date',
+      'Skipped message 3 in Hiking club: no valid date'
+    ]);
+  });
+});
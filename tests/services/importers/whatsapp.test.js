@@ -0,0 +1,73 @@
+const { parseWhatsAppChat } = require('../../../src/services/importers/whatsapp');
+
+describe('parseWhatsAppChat', () => {
+  test('skips lines whose date cannot exist instead of rolling it over', () => {
+    const { chats, warnings } = parseWhatsAppChat([
+      '31/12/2023, 21:41 - Anna: Happy new year!',
+      '32/12/2023, 21:42 - Anna: Typo in the export',
+      '31/12/2023, 21:43 - Ben: Thanks!'
+    ].join('\n'), { fileName: 'WhatsApp Chat with Anna.txt' });
+
+    expect(chats[0].messages.map(message => message.text)).toEqual(['Happy new year!', 'Thanks!']);
+    expect(chats[0].messages[0].timestamp).toBe(new Date(2023, 11, 31, 21, 41).toISOString());
+    expect(warnings).toEqual(['Skipped a message from Anna: invalid date 32/12/2023']);
+  });
+
+  test('skips days the month does not have', () => {
+    const { chats, warnings } = parseWhatsAppChat([
+      '31/02/2023, 10:00 - Anna: Feb 31st',
+      '30/02/2024, 10:00 - Anna: Feb 30th',
+      '29/02/2024, 10:00 - Anna: Leap day',
+      '31/04/2023, 10:00 - Anna: Apr 31st',
+      '30/04/2023, 10:00 - Anna: Apr 30th'
+    ].join('\n'), { fileName: 'WhatsApp Chat with Anna.txt' });
+
+    expect(chats[0].messages.map(message => message.text)).toEqual(['Leap day', 'Apr 30th']);
+    expect(chats[0].messages[0].timestamp).toBe(new Date(2024, 1, 29, 10, 0).toISOString());
+    expect(warnings).toEqual([
+      'Skipped a message from Anna: invalid date 31/02/2023',
+      'Skipped a message from Anna: invalid date 30/02/2024',
+      'Skipped a message from Anna: invalid date 31/04/2023'
+    ]);
+  });
+
+  test('reads US month-first dates with a 12-hour clock', () => {
+    const { chats, warnings } = parseWhatsAppChat([
+      '12/31/23, 9:41 PM - Anna: Happy new year!',
+      '1/1/24, 12:05 AM - Ben: You too',
+      '1/1/24, 12:30 PM - Anna: Lunch?',
+      '2/30/24, 1:00 PM - Anna: Not a day'
+    ].join('\n'), { fileName: 'WhatsApp Chat with Anna.txt' });
+
+    expect(chats[0].messages.map(message => message.timestamp)).toEqual([
+      new Date(2023, 11, 31, 21, 41).toISOString(),
+      new Date(2024, 0, 1, 0, 5).toISOString(),
+      new Date(2024, 0, 1, 12, 30).toISOString()
+    ]);
+    expect(warnings).toEqual(['Skipped a message from Anna: invalid date 2/30/24']);
+  });
+
+  test('reads iOS transcripts with seconds', () => {
+    const { chats } = parseWhatsAppChat('[31.12.23, 21:41:05] Anna: Happy new year!', { fileName: 'WhatsApp Chat - Anna' });
+
+    expect(chats[0].messages[0].timestamp).toBe(new Date(2023, 11, 31, 21, 41, 5).toISOString());
+  });
+
+  test('follows a date order given by the user for ambiguous files', () => {
+    const content = '03/04/24, 08:00 - Anna: Which month?';
+
+    expect(parseWhatsAppChat(content, { dateOrder: 'dmy' }).chats[0].messages[0].timestamp).toBe(new Date(2024, 3, 3, 8, 0).toISOString());
+    expect(parseWhatsAppChat(content, { dateOrder: 'mdy' }).chats[0].messages[0].timestamp).toBe(new Date(2024, 2, 4, 8, 0).toISOString());
+  });
+
+  test('skips impossible times', () => {
+    const { chats, warnings } = parseWhatsAppChat([
+      '31/12/2023, 24:10 - Anna: Too late',
+      '31/12/2023, 13:05 PM - Anna: Not on a 12-hour clock',
+      '31/12/2023, 23:59 - Anna: Just in time'
+    ].join('\n'));
+
+    expect(chats[0].messages.map(message => message.text)).toEqual(['Just in time']);
+    expect(warnings).toHaveLength(2);
+  });
+});
@@ -0,0 +1,150 @@
+jest.mock('electron-log');
+
+const { DataStore } = require('../../src/services/dataStore');
+const { SearchIndex, foldTerm, parseQuery, buildSnippet, MAX_QUERY_TERMS } = require('../../src/services/searchIndex');
+
+describe('SearchIndex.search', () => {
+  let dataStore;
+  let searchIndex;
+  let ana;
+  let ben;
+
+  beforeEach(() => {
+    dataStore = new DataStore();
+    ana = dataStore.upsertConversation({ platform: 'whatsapp', externalId: 'ana', name: 'Ana Lima' });
+    ben = dataStore.upsertConversation({ platform: 'telegram', externalId: 'ben', name: 'Ben' });
+    dataStore.addMessages([
+      { conversationId: ana.id, text: 'Lunch tomorrow at the Café Crème?', timestamp: '2026-03-01T10:00:00.000Z' },
+      { conversationId: ana.id, text: 'Tomorrow lunch works', direction: 'outgoing', timestamp: '2026-03-01T10:05:00.000Z' },
+      { conversationId: ben.id, text: 'lunchbox left at the cafe', timestamp: '2026-03-02T09:00:00.000Z' },
+      { conversationId: ben.id, text: 'See you in New York', timestamp: '2026-03-03T09:00:00.000Z' }
+    ]);
+    searchIndex = new SearchIndex({ dataStore });
+  });
+
+  afterEach(() => {
+    searchIndex.dispose();
+  });
+
+  function texts(query, options) {
+    return searchIndex.search(query, options).messages.map(result => dataStore.getMessage(result.id).text);
+  }
+
+  test('matches loose words as word prefixes, newest first', () => {
+    expect(texts('lunch')).toEqual(['lunchbox left at the cafe', 'Tomorrow lunch works', 'Lunch tomorrow at the Café Crème?']);
+  });
+
+  test('needs every word of the query', () => {
+    expect(texts('lunch tomorrow')).toEqual(['Tomorrow lunch works', 'Lunch tomorrow at the Café Crème?']);
+    expect(texts('lunch york')).toEqual([]);
+  });
+
+  test('matches quoted phrases as consecutive whole words', () => {
+    expect(texts('"lunch tomorrow"')).toEqual(['Lunch tomorrow at the Café Crème?']);
+    expect(texts('"lunch"')).toEqual(['Tomorrow lunch works', 'Lunch tomorrow at the Café Crème?']);
+  });
+
+  test('ignores case and accents both ways', () => {
+    expect(texts('cafe creme')).toEqual(['Lunch tomorrow at the Café Crème?']);
+    expect(texts('CAFÉ')).toEqual(['lunchbox left at the cafe', 'Lunch tomorrow at the Café Crème?']);
+  });
+
+  test('applies the filters', () => {
+    expect(texts('lunch', { platform: 'whatsapp', direction: 'outgoing' })).toEqual(['Tomorrow lunch works']);
+    expect(texts('lunch', { conversationId: ben.id })).toEqual(['lunchbox left at the cafe']);
+    expect(texts('lunch', { since: '2026-03-01T10:01:00.000Z', until: '2026-03-01T23:59:59.999Z' })).toEqual(['Tomorrow lunch works']);
+  });
+
+  test('pages through the results and reports the total', () => {
+    const first = searchIndex.search('lunch', { limit: 2 });
+    const rest = searchIndex.search('lunch', { limit: 2, offset: 2 });
+
+    expect(first.total).toBe(3);
+    expect(first.messages).toHaveLength(2);
+    expect(rest.messages).toHaveLength(1);
+    expect(rest.conversations).toEqual([]);
+  });
+
+  test('lists conversations whose name matches', () => {
+    expect(searchIndex.search('lim').conversations.map(conversation => conversation.id)).toEqual([ana.id]);
+  });
+
+  test('returns highlighted snippets', () => {
+    const [result] = searchIndex.search('crem').messages;
+
+    expect(result).toMatchObject({ conversationName: 'Ana Lima', snippet: 'Lunch tomorrow at the Café Crème?', highlights: [[27, 32]] });
+  });
+
+  test('finds messages added after the index was built and forgets cleared ones', () => {
+    texts('lunch');
+    dataStore.addMessage({ conversationId: ben.id, text: 'Lunch on Friday?', timestamp: '2026-03-04T09:00:00.000Z' });
+    expect(texts('friday')).toEqual(['Lunch on Friday?']);
+
+    dataStore.clear({ scope: 'conversation', conversationId: ben.id });
+    expect(texts('friday')).toEqual([]);
+  });
+
+  test('refuses queries with too many words instead of dropping some', () => {
+    const words = Array.from({ length: MAX_QUERY_TERMS }, (_, i) => `w${i}`);
+    dataStore.addMessage({ conversationId: ana.id, text: words.join(' ') });
+
+    expect(searchIndex.search(words.join(' ')).total).toBe(1);
+
+    const result = searchIndex.search(`${words.join(' ')} missing`);
+    expect(result).toMatchObject({ messages: [], total: 0, error: expect.stringContaining(String(MAX_QUERY_TERMS)) });
+  });
+
+  test('returns nothing for an empty query', () => {
+    expect(searchIndex.search('  "" ')).toEqual({ messages: [], conversations: [], total: 0, tookMs: 0 });
+  });
+});
+
+describe('parseQuery', () => {
+  test('splits quoted phrases from loose words', () => {
+    expect(parseQuery('Café "New York" trip caf')).toEqual({ phrases: [['new', 'york']], words: ['cafe', 'trip', 'caf'] });
+  });
+
+  test('reads an unclosed quote to the end and drops repeated words', () => {
+    expect(parseQuery('see see "good morning')).toEqual({ phrases: [['good', 'morning']], words: ['see'] });
+  });
+
+  test('ignores punctuation and empty phrases', () => {
+    expect(parseQuery('"" ... !')).toEqual({ phrases: [], words: [] });
+  });
+});
+
+describe('foldTerm', () => {
+  test('lowercases and strips diacritics', () => {
+    expect(foldTerm('Crème')).toBe('creme');
+    expect(foldTerm('ÅNGSTRÖM')).toBe('angstrom');
+    expect(foldTerm('naïve')).toBe('naive');
+  });
+});
+
+describe('buildSnippet', () => {
+  test('keeps a short text whole', () => {
+    expect(buildSnippet('Lunch tomorrow?', [{ start: 6, end: 14 }])).toEqual({ snippet: 'Lunch tomorrow?', highlights: [[6, 14]] });
+  });
+
+  test('cuts a long text around the first match on word boundaries', () => {
+    const before = 'word '.repeat(30);
+    const after = ' more'.repeat(60);
+    const text = `${before}needle${after}`;
+    const start = before.length;
+
+    const { snippet, highlights } = buildSnippet(text, [{ start, end: start + 6 }]);
+
+    expect(snippet.startsWith('…word ')).toBe(true);
+    expect(snippet.endsWith(' more…')).toBe(true);
+    expect(snippet.length).toBeLessThanOrEqual(160 + 2);
+    const [[from, to]] = highlights;
+    expect(snippet.slice(from, to)).toBe('needle');
+  });
+
+  test('drops highlights outside the snippet', () => {
+    const text = `needle ${'filler '.repeat(40)}needle`;
+
+    const { highlights } = buildSnippet(text, [{ start: 0, end: 6 }, { start: text.length - 6, end: text.length }]);
+    expect(highlights).toEqual([[0, 6]]);
+  });
+});